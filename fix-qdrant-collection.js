@@ -1,6 +1,8 @@
 const path = require("path");
 require("dotenv").config({ path: path.resolve(__dirname, ".env") });
 const { QdrantClient } = require("@qdrant/js-client-rest");
+const { getEmbeddingProvider } = require("./src/services/embeddings");
+const { getVectorStoreConfig } = require("./src/services/vectorStore");
 
 async function fixQdrantCollection() {
   try {
@@ -18,8 +20,8 @@ async function fixQdrantCollection() {
       checkCompatibility: false,
     });
 
-    const collectionName =
-      process.env.QDRANT_COLLECTION_NAME || "news_articles";
+    const collectionName = getVectorStoreConfig("qdrant").collection;
+    const dimension = getEmbeddingProvider().dimension;
 
     console.log(`📋 Checking collection: ${collectionName}`);
     console.log(`🌐 Qdrant URL: ${process.env.QDRANT_URL}`);
@@ -28,7 +30,7 @@ async function fixQdrantCollection() {
     try {
       const collection = await client.getCollection(collectionName);
       console.log(`❌ Found existing collection with WRONG dimensions:`);
-      console.log(`   Expected: 768 (Jina embeddings)`);
+      console.log(`   Expected: ${dimension} (configured embeddings)`);
       console.log(`   Current: ${collection.config.params.vectors.size}`);
       console.log(`   Points count: ${collection.points_count}`);
 
@@ -51,7 +53,7 @@ async function fixQdrantCollection() {
     console.log(`🆕 Creating new collection with CORRECT dimensions...`);
     await client.createCollection(collectionName, {
       vectors: {
-        size: 768, // Jina embeddings dimension
+        size: dimension, // Configured embedding dimension
         distance: "Cosine",
       },
       optimizers_config: {
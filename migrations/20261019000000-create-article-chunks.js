@@ -0,0 +1,36 @@
+"use strict";
+
+const {
+  DEFAULT_TABLE,
+  createSchemaStatements,
+  dropSchemaStatements,
+} = require("../src/services/vectorStore/pgvectorSchema");
+const { getEmbeddingConfig } = require("../src/services/embeddings");
+
+/**
+ * pgvector chunk table for VECTOR_STORE=pgvector.
+ * The vector column is sized for the configured embedding provider.
+ */
+module.exports = {
+  async up(queryInterface) {
+    const statements = createSchemaStatements({
+      table: process.env.PGVECTOR_TABLE || DEFAULT_TABLE,
+      dimension: getEmbeddingConfig().dimension,
+      indexType: process.env.PGVECTOR_INDEX || "hnsw",
+    });
+
+    for (const statement of statements) {
+      await queryInterface.sequelize.query(statement);
+    }
+  },
+
+  async down(queryInterface) {
+    const statements = dropSchemaStatements({
+      table: process.env.PGVECTOR_TABLE || DEFAULT_TABLE,
+    });
+
+    for (const statement of statements) {
+      await queryInterface.sequelize.query(statement);
+    }
+  },
+};
@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+ * Feed registry polled by ingestion (see src/services/feedRegistryService.js)
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("feeds", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+        unique: true,
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: true,
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+      },
+      pollIntervalMinutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      maxArticles: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      categories: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      contentSelectors: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("feeds", ["enabled"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("feeds");
+  },
+};
@@ -0,0 +1,30 @@
+"use strict";
+
+const {
+  DEFAULT_TABLE,
+  quoteIdentifier,
+  textSearchStatements,
+} = require("../src/services/vectorStore/pgvectorSchema");
+
+/**
+ * Keyword (BM25-style) search column for article_chunks, so hybrid search
+ * reads its keyword side from Postgres instead of a local index file.
+ */
+module.exports = {
+  async up(queryInterface) {
+    const statements = textSearchStatements({
+      table: process.env.PGVECTOR_TABLE || DEFAULT_TABLE,
+    });
+
+    for (const statement of statements) {
+      await queryInterface.sequelize.query(statement);
+    }
+  },
+
+  async down(queryInterface) {
+    const table = quoteIdentifier(process.env.PGVECTOR_TABLE || DEFAULT_TABLE);
+    await queryInterface.sequelize.query(
+      `ALTER TABLE ${table} DROP COLUMN IF EXISTS search_text`
+    );
+  },
+};
@@ -0,0 +1,32 @@
+"use strict";
+
+/**
+ * One-off application state (see the Setting model in
+ * src/config/database.js), starting with the feed registry seeding flag
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("app_settings", {
+      key: {
+        type: Sequelize.STRING(100),
+        primaryKey: true,
+      },
+      value: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("app_settings");
+  },
+};
@@ -3,32 +3,48 @@
 /**
  * News Ingestion Script
  *
- * This script ingests news articles from RSS feeds,
+ * This script ingests news articles from feeds (RSS/Atom, JSON Feed or
+ * news sitemaps),
  * generates embeddings, and stores them in the vector database.
  *
  * Usage:
  * - npm run ingest              (default: 50 articles)
  * - npm run ingest:large        (100 articles)
  * - node scripts/ingestNews.js 75 --force
+ * - node scripts/ingestNews.js --clear --source "BBC News"
+ * - node scripts/ingestNews.js --dry-run
+ *
+ * Without a TTY (cron, containers) the confirmation prompt is skipped.
  */
 
 require("dotenv").config();
 const { program } = require("commander");
 const { ingestNewsFromRSS } = require("../src/services/newsIngestService");
 const {
-  initializeQdrant,
+  initializeDatabase,
+  closeDatabaseConnection,
+} = require("../src/config/database");
+const { seedFeedRegistry } = require("../src/services/feedRegistryService");
+const {
+  initializeVectorStore,
   getCollectionStats,
-} = require("../src/services/vectorService");
+  getVectorStore,
+  deleteDocuments,
+} = require("../src/services/vectorStore");
 const { logger } = require("../src/app");
 
 // Command line interface
 program
   .name("ingest-news")
-  .description("Ingest news articles from RSS feeds into vector database")
+  .description("Ingest news articles from feeds into vector database")
   .argument("[count]", "number of articles to ingest", "50")
-  .option("-f, --force", "force ingestion even if collection exists")
+  .option("-f, --force", "skip the confirmation prompt")
   .option("-c, --clear", "clear existing articles before ingesting")
-  .option("--feeds <urls>", "comma-separated list of RSS feed URLs")
+  .option("-s, --source <name>", "only clear articles from this source")
+  .option(
+    "--feeds <urls>",
+    "comma-separated feed URLs (RSS, Atom, JSON Feed or news sitemap)"
+  )
   .option("--dry-run", "simulate ingestion without actually storing data")
   .parse();
 
@@ -56,26 +72,45 @@ async function main() {
       throw new Error("Article count must be between 1 and 500");
     }
 
-    // Initialize Qdrant
-    console.log("🔧 Initializing vector database...");
-    await initializeQdrant();
+    // Feeds come from the Postgres registry when DATABASE_URL is set
+    if (!options.feeds && (await initializeDatabase())) {
+      await seedFeedRegistry();
+      console.log("📚 Using feeds from the feed registry\n");
+    }
+
+    // A dry run only reads the store, so it never creates a collection or
+    // table (or migrates one)
+    if (options.dryRun) {
+      console.log("🔧 Reading vector database (dry run, read-only)...");
+    } else {
+      console.log("🔧 Initializing vector database...");
+      await initializeVectorStore();
+    }
 
     // Check existing collection
+    let storeExists = false;
     try {
       const stats = await getCollectionStats();
+      storeExists = true;
       console.log(`📊 Current collection stats:`);
-      console.log(`   • Collection: ${stats.name}`);
+      console.log(`   • Collection: ${stats.name} (${stats.backend})`);
       console.log(`   • Documents: ${stats.pointsCount}`);
       console.log(`   • Vector size: ${stats.vectorSize}`);
       console.log(`   • Distance metric: ${stats.distance}\n`);
 
-      if (stats.pointsCount > 0 && !options.force) {
+      const clearsEverything = options.clear && !options.source;
+
+      if (stats.pointsCount > 0 && !options.force && !clearsEverything) {
         console.log("⚠️  Collection already contains documents.");
         console.log(
           "   Use --force to proceed anyway, or --clear to remove existing data.\n"
         );
 
-        if (!options.dryRun) {
+        if (!options.dryRun && !process.stdin.isTTY) {
+          console.log(
+            "ℹ️  No TTY, continuing without confirmation (stored articles are updated in place)\n"
+          );
+        } else if (!options.dryRun) {
           const readline = require("readline").createInterface({
             input: process.stdin,
             output: process.stdout,
@@ -100,31 +135,55 @@ async function main() {
     }
 
     // Handle clear option
-    if (options.clear && !options.dryRun) {
-      console.log("🗑️  Clearing existing articles...");
-      // Implementation would go here
-      console.log("✅ Existing articles cleared\n");
+    if (options.source && !options.clear) {
+      console.log("ℹ️  --source only applies together with --clear\n");
+    }
+
+    if (options.clear) {
+      const filter = options.source
+        ? { must: [{ key: "source", match: { value: options.source } }] }
+        : null;
+      const scope = options.source ? `from "${options.source}"` : "(all)";
+
+      if (options.dryRun) {
+        const count = storeExists ? await getVectorStore().count(filter) : 0;
+        console.log(`🧪 Would clear ${count} article chunks ${scope}\n`);
+      } else {
+        console.log(`🗑️  Clearing existing articles ${scope}...`);
+        const { deleted } = await deleteDocuments(filter);
+        console.log(`✅ Cleared ${deleted} article chunks\n`);
+      }
     }
 
     // Parse custom feeds
     let customFeeds = null;
     if (options.feeds) {
       customFeeds = options.feeds.split(",").map((feed) => feed.trim());
-      console.log(`📡 Using custom RSS feeds (${customFeeds.length}):`);
+      console.log(`📡 Using custom feeds (${customFeeds.length}):`);
       customFeeds.forEach((feed) => console.log(`   • ${feed}`));
       console.log();
     }
 
-    // Dry run check
+    // Dry run: fetch, extract and embed, but write nothing
     if (options.dryRun) {
-      console.log("🧪 DRY RUN MODE - No data will be stored\n");
+      console.log(
+        "🧪 DRY RUN MODE - Articles are fetched and embedded, nothing is stored\n"
+      );
     }
 
     // Start ingestion
     console.log(`📰 Starting ingestion of ${articleCount} articles...`);
     console.log(`⏰ Started at: ${new Date().toLocaleString()}\n`);
 
-    const result = await ingestNewsFromRSS(articleCount, customFeeds);
+    // A dry run compares against the store as --clear would leave it, and
+    // against nothing when there is no collection yet
+    const result = await ingestNewsFromRSS(articleCount, customFeeds, {
+      dryRun: options.dryRun,
+      storeEmpty:
+        options.dryRun &&
+        (!storeExists || (options.clear && !options.source)),
+      clearedSource: options.dryRun && options.clear ? options.source : null,
+    });
 
     const processingTime = Date.now() - startTime;
     const timeStr = `${Math.floor(processingTime / 60000)}m ${Math.floor(
@@ -132,10 +191,19 @@ async function main() {
     )}s`;
 
     // Display results
-    console.log("\n🎉 INGESTION COMPLETED SUCCESSFULLY!");
+    console.log(
+      options.dryRun
+        ? "\n🧪 DRY RUN COMPLETED - NOTHING WAS STORED"
+        : "\n🎉 INGESTION COMPLETED SUCCESSFULLY!"
+    );
     console.log("===================================");
     console.log(`📊 Processing Summary:`);
     console.log(`   • Total articles: ${result.articles.length}`);
+    console.log(`   • New: ${result.statistics.newArticles}`);
+    console.log(`   • Updated: ${result.statistics.updatedArticles}`);
+    console.log(
+      `   • Unchanged (skipped): ${result.statistics.unchangedArticles}`
+    );
     console.log(`   • Processing time: ${timeStr}`);
     console.log(
       `   • Average per article: ${Math.round(
@@ -177,14 +245,29 @@ async function main() {
         });
     }
 
-    console.log(`\n✅ Articles successfully stored in vector database`);
-    console.log(`🔍 Ready for RAG-powered queries!`);
+    if (options.dryRun) {
+      console.log(`\n📝 Would change:`);
+      result.changes
+        .filter((change) => change.status !== "unchanged")
+        .forEach((change) => {
+          console.log(
+            `   • [${change.status}] ${change.title} (${change.source})`
+          );
+        });
+    } else {
+      console.log(`\n✅ Articles successfully stored in vector database`);
+      console.log(`🔍 Ready for RAG-powered queries!`);
+    }
 
     logger.info("News ingestion completed successfully", {
+      dryRun: Boolean(options.dryRun),
       articleCount: result.articles.length,
       processingTime,
       statistics: result.statistics,
     });
+
+    // The registry's connection pool would otherwise keep the process alive
+    await closeDatabaseConnection();
   } catch (error) {
     const processingTime = Date.now() - startTime;
 
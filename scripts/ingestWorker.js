@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * News Ingestion Worker
+ *
+ * Long-running process that re-polls every registry feed on its own
+ * interval and ingests only items it hasn't seen before. Use this instead of
+ * INGEST_SCHEDULER=true when ingestion should run apart from the API.
+ *
+ * Usage:
+ * - npm run ingest:worker
+ * - node scripts/ingestWorker.js --once   (poll every feed once and exit)
+ */
+
+require("dotenv").config();
+const { program } = require("commander");
+const {
+  initializeRedis,
+  closeRedisConnection,
+} = require("../src/config/redis");
+const {
+  initializeDatabase,
+  closeDatabaseConnection,
+} = require("../src/config/database");
+const { seedFeedRegistry } = require("../src/services/feedRegistryService");
+const { initializeVectorStore } = require("../src/services/vectorStore");
+const {
+  startIngestScheduler,
+  stopIngestScheduler,
+  createIngestScheduler,
+} = require("../src/services/ingestScheduler");
+const { logger } = require("../src/app");
+
+program
+  .name("ingest-worker")
+  .description("Continuously ingest new articles from RSS feeds")
+  .option("--once", "poll every feed once, then exit")
+  .parse();
+
+const options = program.opts();
+
+/**
+ * Main worker function
+ */
+async function main() {
+  try {
+    console.log("🚀 RAG News Chatbot - Ingestion Worker");
+    console.log("=====================================\n");
+
+    await initializeRedis();
+    // Feeds come from the Postgres registry when DATABASE_URL is set
+    if (await initializeDatabase()) {
+      await seedFeedRegistry();
+    }
+    await initializeVectorStore();
+
+    if (options.once) {
+      const scheduler = createIngestScheduler();
+      await scheduler.pollNow();
+
+      scheduler.getStatus().feeds.forEach((feed) => {
+        console.log(`   • ${feed.url}: ${JSON.stringify(feed.lastResult)}`);
+      });
+
+      await closeRedisConnection();
+      await closeDatabaseConnection();
+      process.exit(0);
+    }
+
+    const scheduler = await startIngestScheduler();
+    scheduler.getStatus().feeds.forEach((feed) => {
+      console.log(`📡 ${feed.url} (every ${feed.intervalMinutes} min)`);
+    });
+  } catch (error) {
+    logger.error("Ingestion worker failed to start", {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exit(1);
+  }
+}
+
+/**
+ * Finish the in-flight poll, then exit
+ */
+async function shutdown(signal) {
+  console.log(`\n⚠️  ${signal} received, stopping ingestion worker...`);
+  await stopIngestScheduler();
+  await closeRedisConnection();
+  await closeDatabaseConnection();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -71,10 +71,14 @@ app.use(express.urlencoded({ extended: true }));
 // Import routes
 const chatRoutes = require("./routes/chat");
 const sessionRoutes = require("./routes/session");
+const adminRoutes = require("./routes/admin");
+const ingestRoutes = require("./routes/ingest");
 
 // API Routes
 app.use("/api/chat", chatRoutes);
 app.use("/api/session", sessionRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/ingest", ingestRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -87,6 +91,8 @@ app.get("/", (req, res) => {
       health: "/health",
       chat: "/api/chat",
       session: "/api/session",
+      admin: "/api/admin",
+      ingest: "/api/ingest",
     },
   });
 });
@@ -140,15 +146,40 @@ async function startServer() {
 
     // Import services here to avoid circular dependency
     const { initializeRedis } = require("./config/redis");
-    const { initializeQdrant } = require("./services/vectorService");
+    const { initializeDatabase } = require("./config/database");
+    const { initializeVectorStore } = require("./services/vectorStore");
 
     // Initialize Redis
     await initializeRedis();
     logger.info("✅ Redis initialized");
 
-    // Initialize Qdrant
-    await initializeQdrant();
-    logger.info("✅ Qdrant initialized");
+    // Initialize Postgres (durable session history; skipped when unconfigured)
+    const database = await initializeDatabase();
+    logger.info(
+      database
+        ? "✅ Database initialized"
+        : "⚠️ Database not configured, sessions live only in Redis"
+    );
+
+    // Seed a new feed registry from RSS_FEEDS / the default feeds (once)
+    if (database) {
+      const { seedFeedRegistry } = require("./services/feedRegistryService");
+      await seedFeedRegistry();
+    }
+
+    // Initialize vector store
+    await initializeVectorStore();
+    logger.info("✅ Vector store initialized");
+
+    // Re-poll feeds in this process (otherwise run scripts/ingestWorker.js)
+    const {
+      SCHEDULER_CONFIG,
+      startIngestScheduler,
+    } = require("./services/ingestScheduler");
+    if (SCHEDULER_CONFIG.inProcess) {
+      await startIngestScheduler();
+      logger.info("✅ Ingestion scheduler started");
+    }
 
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
@@ -1,4 +1,4 @@
-const { Sequelize, DataTypes } = require("sequelize");
+const { Sequelize, DataTypes, Op } = require("sequelize");
 
 let sequelize;
 let logger;
@@ -381,11 +381,80 @@ const defineModels = () => {
       }
     );
 
-    // Define associations
+    // Feed registry: the RSS feeds ingestion polls, with per-feed settings
+    const Feed = sequelize.define(
+      "Feed",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        url: {
+          type: DataTypes.STRING(2048),
+          allowNull: false,
+          unique: true,
+          validate: { isUrl: true },
+        },
+        name: {
+          type: DataTypes.STRING(200),
+          allowNull: true,
+        },
+        enabled: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true,
+        },
+        pollIntervalMinutes: {
+          type: DataTypes.INTEGER, // null: INGEST_INTERVAL_MINUTES
+          allowNull: true,
+          validate: { min: 1 },
+        },
+        maxArticles: {
+          type: DataTypes.INTEGER, // null: no per-feed cap
+          allowNull: true,
+          validate: { min: 1 },
+        },
+        categories: {
+          type: DataTypes.JSONB, // tags added to every article of the feed
+          allowNull: false,
+          defaultValue: [],
+        },
+        contentSelectors: {
+          type: DataTypes.JSONB, // CSS selectors tried before the defaults
+          allowNull: false,
+          defaultValue: [],
+        },
+      },
+      {
+        tableName: "feeds",
+        indexes: [{ fields: ["url"], unique: true }, { fields: ["enabled"] }],
+      }
+    );
+
+    // One-off application state that must survive restarts (e.g. whether
+    // the feed registry was seeded)
+    const Setting = sequelize.define(
+      "Setting",
+      {
+        key: {
+          type: DataTypes.STRING(100),
+          primaryKey: true,
+        },
+        value: {
+          type: DataTypes.JSONB,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "app_settings",
+      }
+    );
+
+    // Define associations ("messages" is already a Session attribute)
     Session.hasMany(ChatMessage, {
       foreignKey: "sessionId",
       sourceKey: "sessionId",
-      as: "messages",
+      as: "chatMessages",
       onDelete: "CASCADE",
     });
 
@@ -409,6 +478,8 @@ const defineModels = () => {
       Session,
       ChatMessage,
       Analytics,
+      Feed,
+      Setting,
     };
 
     log.info("✅ All models defined successfully");
@@ -460,10 +531,10 @@ const addInstanceMethods = (Session, ChatMessage, Analytics) => {
       include: [
         {
           model: ChatMessage,
-          as: "messages",
-          order: [["timestamp", "ASC"]],
+          as: "chatMessages",
         },
       ],
+      order: [[{ model: ChatMessage, as: "chatMessages" }, "timestamp", "ASC"]],
     });
   };
 
@@ -475,7 +546,7 @@ const addInstanceMethods = (Session, ChatMessage, Analytics) => {
       { isActive: false },
       {
         where: {
-          lastActivity: { [DataTypes.Op.lt]: cutoffDate },
+          lastActivity: { [Op.lt]: cutoffDate },
           isActive: true,
         },
       }
@@ -509,7 +580,7 @@ const createIndexes = async () => {
     // Partial indexes for active sessions
     await sequelize.query(`
       CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_sessions_active_last_activity 
-      ON sessions (last_activity) WHERE is_active = true
+      ON sessions ("lastActivity") WHERE "isActive" = true
     `);
 
     log.info("✅ Additional indexes created");
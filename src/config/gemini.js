@@ -1,55 +1,22 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const { logger } = require("../app");
+const { createLLMProvider, getLLMConfig } = require("../services/llm");
 
-let genAI;
-let model;
+let provider;
 
 /**
- * Initialize Gemini AI client
+ * Initialize the Gemini provider (same adapter the RAG pipeline uses)
  */
 const initializeGemini = () => {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error("GEMINI_API_KEY environment variable is not set");
-    }
-
     logger.info("Initializing Gemini AI client...");
 
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    provider = createLLMProvider(getLLMConfig("gemini"));
 
-    // Initialize the model with configuration
-    model = genAI.getGenerativeModel({
-      model: "gemini-pro",
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-        stopSequences: [],
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-      ],
+    logger.info("✅ Gemini AI client initialized successfully", {
+      model: provider.model,
     });
 
-    logger.info("✅ Gemini AI client initialized successfully");
-
-    return { genAI, model };
+    return { provider, model: provider.model };
   } catch (error) {
     logger.error("❌ Failed to initialize Gemini AI:", error);
     throw error;
@@ -57,13 +24,13 @@ const initializeGemini = () => {
 };
 
 /**
- * Get Gemini model instance
+ * Get the Gemini provider instance
  */
 const getGeminiModel = () => {
-  if (!model) {
+  if (!provider) {
     initializeGemini();
   }
-  return model;
+  return provider;
 };
 
 /**
@@ -71,20 +38,15 @@ const getGeminiModel = () => {
  */
 const geminiHealthCheck = async () => {
   try {
-    if (!model) {
-      initializeGemini();
-    }
+    const gemini = getGeminiModel();
 
     // Simple test query
-    const result = await model.generateContent(
-      "Say 'OK' if you are working properly"
-    );
-    const response = await result.response;
-    const text = response.text();
+    const text = await gemini.generate("Say 'OK' if you are working properly");
 
     return {
       status: "healthy",
       connected: true,
+      model: gemini.model,
       testResponse: text,
       timestamp: new Date().toISOString(),
     };
@@ -1,5 +1,11 @@
+const crypto = require("crypto");
 const Redis = require("ioredis");
 const winston = require("winston");
+const {
+  persistMessages,
+  loadMessages,
+  deleteMessages,
+} = require("../services/sessionPersistenceService");
 
 const redisLogger = winston.createLogger({
   level: "info",
@@ -155,20 +161,140 @@ const getRedisClient = () => {
   return redisClient;
 };
 
-const saveSession = async (sessionId, messages) => {
+// Sessions are stored as a Redis list of JSON messages so appends are
+// atomic (RPUSH) and history can be read in pages (LRANGE)
+const messagesKey = (sessionId) => `session:${sessionId}:messages`;
+
+// Pre-list format: the whole session as one JSON blob
+const legacyKey = (sessionId) => `session:${sessionId}`;
+
+// Redis drops empty lists, so a session known to have no messages (new, or
+// absent from Postgres) is marked instead of being looked up on every read
+const emptyKey = (sessionId) => `session:${sessionId}:empty`;
+
+const getSessionTTL = () => parseInt(process.env.REDIS_TTL) || 3600;
+
+// Hash of the secret handed out when a session is created; proves a caller
+// owns the session. Outlives the message cache, refreshed on every use.
+const tokenKey = (sessionId) => `session:${sessionId}:token`;
+
+const getSessionTokenTTL = () =>
+  (parseInt(process.env.SESSION_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest();
+
+// Fill an expired/missing list without clobbering a concurrent append; an
+// empty history sets the empty marker instead
+const REFILL_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 0 then
+  if #ARGV > 1 then
+    for i = 2, #ARGV, 1000 do
+      redis.call("RPUSH", KEYS[1], unpack(ARGV, i, math.min(i + 999, #ARGV)))
+    end
+    redis.call("EXPIRE", KEYS[1], ARGV[1])
+  else
+    redis.call("SET", KEYS[2], "1", "EX", ARGV[1])
+  end
+end
+return redis.call("LLEN", KEYS[1])
+`;
+
+/**
+ * Refill the cache with a known history (only when the list is absent)
+ */
+const refillCache = async (sessionId, messages) => {
+  const client = getRedisClient();
+  return client.eval(
+    REFILL_SCRIPT,
+    2,
+    messagesKey(sessionId),
+    emptyKey(sessionId),
+    getSessionTTL(),
+    ...messages.map((message) => JSON.stringify(message))
+  );
+};
+
+/**
+ * Refill the cache from Postgres after a miss
+ * @returns {Array|null} Messages, or null when Postgres has no such session
+ */
+const loadFromDatabase = async (sessionId) => {
   try {
-    const client = getRedisClient();
-    const ttl = parseInt(process.env.REDIS_TTL) || 3600;
+    const messages = await loadMessages(sessionId);
 
-    const sessionData = {
+    // Unknown sessions are cached as empty too
+    await refillCache(sessionId, messages || []).catch((error) =>
+      redisLogger.warn(`Could not re-cache session ${sessionId}:`, {
+        error: error.message,
+      })
+    );
+    if (!messages) {
+      return null;
+    }
+
+    redisLogger.info(`Session restored from Postgres: ${sessionId}`, {
       sessionId,
-      messages,
-      lastUpdated: new Date().toISOString(),
       messageCount: messages.length,
-    };
+    });
+
+    return messages;
+  } catch (error) {
+    redisLogger.error(`Error loading session ${sessionId} from Postgres:`, {
+      error: error.message,
+      sessionId,
+    });
+    return null;
+  }
+};
+
+/**
+ * Make sure the message list is cached: migrate a legacy JSON blob or
+ * reload from Postgres when the list has expired
+ */
+const ensureCached = async (sessionId) => {
+  const client = getRedisClient();
+
+  if (await client.exists(messagesKey(sessionId), emptyKey(sessionId))) {
+    return;
+  }
+
+  const legacy = await client.get(legacyKey(sessionId));
+  if (legacy) {
+    const { messages = [] } = JSON.parse(legacy);
+    await refillCache(sessionId, messages);
+    await client.del(legacyKey(sessionId));
 
-    const key = `session:${sessionId}`;
-    await client.setex(key, ttl, JSON.stringify(sessionData));
+    redisLogger.info(`Session migrated to list storage: ${sessionId}`, {
+      messageCount: messages.length,
+    });
+    return;
+  }
+
+  redisLogger.info(`Session not in cache: ${sessionId}`);
+  await loadFromDatabase(sessionId);
+};
+
+/**
+ * Replace a session's whole history (new sessions, imports)
+ */
+const saveSession = async (sessionId, messages) => {
+  try {
+    const client = getRedisClient();
+    const ttl = getSessionTTL();
+    const key = messagesKey(sessionId);
+
+    const transaction = client
+      .multi()
+      .del(key, legacyKey(sessionId), emptyKey(sessionId));
+    if (messages.length > 0) {
+      transaction
+        .rpush(key, ...messages.map((message) => JSON.stringify(message)))
+        .expire(key, ttl);
+    } else {
+      transaction.set(emptyKey(sessionId), "1", "EX", ttl);
+    }
+    await transaction.exec();
 
     redisLogger.info(`Session saved: ${sessionId}`, {
       sessionId,
@@ -182,31 +308,92 @@ const saveSession = async (sessionId, messages) => {
     });
     throw new Error(`Failed to save session: ${error.message}`);
   }
+
+  // Write-through to Postgres so history outlives the Redis TTL.
+  // A database outage must not break live chat, so failures are logged.
+  try {
+    await persistMessages(sessionId, messages);
+  } catch (error) {
+    redisLogger.error(`Error persisting session ${sessionId} to Postgres:`, {
+      error: error.message,
+      sessionId,
+    });
+  }
 };
 
-const getSession = async (sessionId) => {
+/**
+ * Atomically append messages to a session. Concurrent appends from other
+ * tabs or sockets are never overwritten.
+ * @param {string} sessionId - Session ID
+ * @param {Object|Array} messages - Message or messages to append
+ * @returns {number} Message count after the append
+ */
+const appendMessages = async (sessionId, messages) => {
+  const newMessages = Array.isArray(messages) ? messages : [messages];
+  let messageCount;
+
   try {
     const client = getRedisClient();
-    const key = `session:${sessionId}`;
+    const ttl = getSessionTTL();
+    const key = messagesKey(sessionId);
+
+    // Restore expired history first so the list doesn't restart empty
+    await ensureCached(sessionId);
 
-    const data = await client.get(key);
+    const [[pushError, length]] = await client
+      .multi()
+      .rpush(key, ...newMessages.map((message) => JSON.stringify(message)))
+      .expire(key, ttl)
+      .del(emptyKey(sessionId))
+      .exec();
 
-    if (!data) {
-      redisLogger.info(`Session not found: ${sessionId}`);
-      return [];
+    if (pushError) {
+      throw pushError;
     }
+    messageCount = length;
 
-    const sessionData = JSON.parse(data);
-    const messages = sessionData.messages || [];
+    redisLogger.info(`Messages appended: ${sessionId}`, {
+      sessionId,
+      appended: newMessages.length,
+      messageCount,
+    });
+  } catch (error) {
+    redisLogger.error(`Error appending to session ${sessionId}:`, {
+      error: error.message,
+      sessionId,
+    });
+    throw new Error(`Failed to append messages: ${error.message}`);
+  }
 
-    redisLogger.info(`Session retrieved: ${sessionId}`, {
+  try {
+    await persistMessages(sessionId, newMessages);
+  } catch (error) {
+    redisLogger.error(`Error persisting session ${sessionId} to Postgres:`, {
+      error: error.message,
       sessionId,
-      messageCount: messages.length,
     });
+  }
 
-    return messages;
+  return messageCount;
+};
+
+/**
+ * Read a slice of a session's history. Indexes follow LRANGE, so negative
+ * values count from the newest message (-1 is the last one).
+ * @returns {Array} Messages, oldest first
+ */
+const getMessageRange = async (sessionId, start = 0, stop = -1) => {
+  try {
+    await ensureCached(sessionId);
+
+    const items = await getRedisClient().lrange(
+      messagesKey(sessionId),
+      start,
+      stop
+    );
+    return items.map((item) => JSON.parse(item));
   } catch (error) {
-    redisLogger.error(`Error getting session ${sessionId}:`, {
+    redisLogger.error(`Error reading session ${sessionId}:`, {
       error: error.message,
       sessionId,
     });
@@ -214,13 +401,98 @@ const getSession = async (sessionId) => {
   }
 };
 
+/**
+ * Number of messages in a session
+ */
+const getSessionLength = async (sessionId) => {
+  try {
+    await ensureCached(sessionId);
+    return await getRedisClient().llen(messagesKey(sessionId));
+  } catch (error) {
+    redisLogger.error(`Error counting session ${sessionId}:`, {
+      error: error.message,
+      sessionId,
+    });
+    return 0;
+  }
+};
+
+/**
+ * Most recent messages of a session, oldest first
+ */
+const getRecentMessages = (sessionId, count) =>
+  count > 0 ? getMessageRange(sessionId, -count, -1) : Promise.resolve([]);
+
+/**
+ * Whole session history
+ */
+const getSession = async (sessionId) => {
+  const messages = await getMessageRange(sessionId, 0, -1);
+
+  redisLogger.info(`Session retrieved: ${sessionId}`, {
+    sessionId,
+    messageCount: messages.length,
+  });
+
+  return messages;
+};
+
+/**
+ * Issue the owner token of a new session. Only its hash is stored, so the
+ * token can't be read back; the caller keeps it.
+ * @param {string} sessionId - Session ID
+ * @returns {string} Token to send as X-Session-Token
+ */
+const createSessionToken = async (sessionId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await getRedisClient().set(
+    tokenKey(sessionId),
+    hashToken(token).toString("hex"),
+    "EX",
+    getSessionTokenTTL()
+  );
+
+  return token;
+};
+
+/**
+ * Check a caller's token against the session's owner token
+ * @returns {boolean} True when the session exists and the token is its own
+ */
+const verifySessionToken = async (sessionId, token) => {
+  if (!token) {
+    return false;
+  }
+
+  const client = getRedisClient();
+  const stored = await client.get(tokenKey(sessionId));
+  if (!stored) {
+    return false;
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(stored, "hex"),
+    hashToken(token)
+  );
+  if (matches) {
+    await client.expire(tokenKey(sessionId), getSessionTokenTTL());
+  }
+  return matches;
+};
+
 const deleteSession = async (sessionId) => {
   try {
     const client = getRedisClient();
-    const key = `session:${sessionId}`;
 
-    const result = await client.del(key);
-    const wasDeleted = result === 1;
+    const result = await client.del(
+      messagesKey(sessionId),
+      legacyKey(sessionId),
+      emptyKey(sessionId),
+      tokenKey(sessionId)
+    );
+    const removedFromDatabase = await deleteMessages(sessionId);
+    const wasDeleted = result > 0 || removedFromDatabase;
 
     redisLogger.info(`Session deletion: ${sessionId}`, {
       sessionId,
@@ -240,10 +512,9 @@ const deleteSession = async (sessionId) => {
 const extendSessionTTL = async (sessionId, ttl = null) => {
   try {
     const client = getRedisClient();
-    const key = `session:${sessionId}`;
-    const newTTL = ttl || parseInt(process.env.REDIS_TTL) || 3600;
+    const newTTL = ttl || getSessionTTL();
 
-    const result = await client.expire(key, newTTL);
+    const result = await client.expire(messagesKey(sessionId), newTTL);
     return result === 1;
   } catch (error) {
     redisLogger.error(`Error extending session TTL ${sessionId}:`, error);
@@ -298,9 +569,15 @@ module.exports = {
   initializeRedis,
   getRedisClient,
   saveSession,
+  appendMessages,
   getSession,
+  getMessageRange,
+  getRecentMessages,
+  getSessionLength,
   deleteSession,
   extendSessionTTL,
+  createSessionToken,
+  verifySessionToken,
   healthCheck,
   closeRedisConnection,
 };
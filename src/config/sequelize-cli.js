@@ -0,0 +1,33 @@
+require("dotenv").config();
+
+/**
+ * sequelize-cli connection settings (npm run db:migrate).
+ * Uses the same environment variables as config/database.js.
+ */
+const connection = {
+  dialect: "postgres",
+  dialectOptions:
+    process.env.DB_SSL === "false"
+      ? {}
+      : { ssl: { require: true, rejectUnauthorized: false } },
+};
+
+const databaseUrl =
+  process.env.PGVECTOR_URL || process.env.DATABASE_URL || process.env.NEON_DB_URL;
+
+const config = databaseUrl
+  ? { ...connection, url: databaseUrl }
+  : {
+      ...connection,
+      database: process.env.DB_NAME || "neondb",
+      username: process.env.DB_USER,
+      password: process.env.DB_PASS,
+      host: process.env.DB_HOST,
+      port: parseInt(process.env.DB_PORT) || 5432,
+    };
+
+module.exports = {
+  development: config,
+  test: config,
+  production: config,
+};
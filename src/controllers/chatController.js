@@ -1,15 +1,26 @@
 const { v4: uuidv4 } = require("uuid");
 const {
   generateRAGResponse,
+  streamRAGResponse,
   validateQuery,
 } = require("../services/ragService");
 const {
-  saveSession,
+  appendMessages,
   getSession,
+  getMessageRange,
+  getSessionLength,
   extendSessionTTL,
   deleteSession,
 } = require("../config/redis");
-const Joi = require("joi");
+const {
+  createStream,
+  getStream,
+  parseEventId,
+} = require("../services/streamBuffer");
+const {
+  messageSchema,
+  extractSearchFilters,
+} = require("../middleware/validation");
 const winston = require("winston");
 
 // Create dedicated logger for chat controller
@@ -29,11 +40,58 @@ const chatLogger = winston.createLogger({
   ],
 });
 
-// Validation schema for chat messages
-const messageSchema = Joi.object({
-  sessionId: Joi.string().uuid().required(),
-  message: Joi.string().min(1).max(1000).required(),
-});
+// In-flight streamed answers, keyed by bot message id
+const activeStreams = new Map();
+
+/**
+ * Stream a bot answer to the session room and persist it once complete
+ */
+const streamBotResponse = async (io, socket, sessionId, query, filters) => {
+  const messageId = uuidv4();
+  const controller = new AbortController();
+
+  activeStreams.set(messageId, {
+    controller,
+    sessionId,
+    socketId: socket.id,
+  });
+
+  try {
+    io.to(sessionId).emit("bot_stream_start", { messageId });
+
+    const ragResponse = await streamRAGResponse(query, sessionId, {
+      signal: controller.signal,
+      filters,
+      onChunk: (delta) => {
+        io.to(sessionId).emit("bot_chunk", { messageId, delta });
+      },
+    });
+
+    const botMessage = {
+      id: messageId,
+      type: "bot",
+      content: ragResponse.answer,
+      sources: ragResponse.sources || [],
+      metadata: ragResponse.metadata || {},
+      timestamp: new Date().toISOString(),
+    };
+
+    const messageCount = await appendMessages(sessionId, botMessage);
+
+    io.to(sessionId).emit("bot_typing", false);
+    io.to(sessionId).emit("bot_done", {
+      messageId,
+      content: botMessage.content,
+      sources: botMessage.sources,
+      metadata: botMessage.metadata,
+      timestamp: botMessage.timestamp,
+    });
+
+    return { ...botMessage, messageCount };
+  } finally {
+    activeStreams.delete(messageId);
+  }
+};
 
 /**
  * Handle Socket.IO connections and chat events
@@ -73,11 +131,12 @@ const handleChatSocket = (io, socket) => {
 
     try {
       // Validate input data
-      const { error } = messageSchema.validate(data);
+      const { error, value } = messageSchema.validate(data);
       if (error) {
         socket.emit("error", `Invalid input: ${error.details[0].message}`);
         return;
       }
+      const filters = extractSearchFilters(value);
 
       // Additional query validation
       const queryValidation = validateQuery(message);
@@ -88,9 +147,6 @@ const handleChatSocket = (io, socket) => {
 
       chatLogger.info(`Processing socket message from session ${sessionId}`);
 
-      // Get current session messages
-      const messages = await getSession(sessionId);
-
       // Create and store user message
       const userMessage = {
         id: uuidv4(),
@@ -103,17 +159,35 @@ const handleChatSocket = (io, socket) => {
         },
       };
 
-      messages.push(userMessage);
-      await saveSession(sessionId, messages);
+      await appendMessages(sessionId, userMessage);
       io.to(sessionId).emit("new_message", userMessage);
 
       // Show typing indicator
       io.to(sessionId).emit("bot_typing", true);
 
+      if (data.stream) {
+        const botMessage = await streamBotResponse(
+          io,
+          socket,
+          sessionId,
+          queryValidation.query,
+          filters
+        );
+
+        chatLogger.info(`Socket message streamed successfully`, {
+          sessionId,
+          processingTime: Date.now() - startTime,
+          cancelled: Boolean(botMessage.metadata.cancelled),
+          totalMessages: botMessage.messageCount,
+        });
+        return;
+      }
+
       // Generate bot response using RAG pipeline
       const ragResponse = await generateRAGResponse(
         queryValidation.query,
-        sessionId
+        sessionId,
+        { filters }
       );
 
       const botMessage = {
@@ -125,8 +199,7 @@ const handleChatSocket = (io, socket) => {
         timestamp: new Date().toISOString(),
       };
 
-      messages.push(botMessage);
-      await saveSession(sessionId, messages); // FIXED: Save updated messages
+      const totalMessages = await appendMessages(sessionId, botMessage);
 
       // Hide typing indicator and send response
       io.to(sessionId).emit("bot_typing", false);
@@ -136,7 +209,7 @@ const handleChatSocket = (io, socket) => {
       chatLogger.info(`Socket message processed successfully`, {
         sessionId,
         processingTime,
-        totalMessages: messages.length,
+        totalMessages,
       });
     } catch (error) {
       io.to(sessionId).emit("bot_typing", false);
@@ -160,6 +233,24 @@ const handleChatSocket = (io, socket) => {
     }
   });
 
+  // Cancel a streamed answer in progress
+  socket.on("cancel_stream", (payload) => {
+    const messageId =
+      typeof payload === "string" ? payload : payload?.messageId;
+    const stream = activeStreams.get(messageId);
+
+    if (!stream || !socket.rooms.has(stream.sessionId)) {
+      socket.emit("error", "No active stream to cancel");
+      return;
+    }
+
+    stream.controller.abort();
+    chatLogger.info(`Stream cancelled: ${messageId}`, {
+      sessionId: stream.sessionId,
+      socketId: socket.id,
+    });
+  });
+
   // Other socket events...
   socket.on("clear_session", async (sessionId) => {
     try {
@@ -172,13 +263,32 @@ const handleChatSocket = (io, socket) => {
     }
   });
 
+  // Answers go to the whole session room, so one is only aborted once no
+  // other socket of its session is left to receive it
   socket.on("disconnect", () => {
     chatLogger.info(`Socket disconnected: ${socket.id}`);
+
+    activeStreams.forEach((stream, messageId) => {
+      if (
+        stream.socketId !== socket.id ||
+        io.sockets.adapter.rooms.get(stream.sessionId)?.size > 0
+      ) {
+        return;
+      }
+
+      stream.controller.abort();
+      chatLogger.info(`Stream aborted on disconnect: ${messageId}`, {
+        sessionId: stream.sessionId,
+        socketId: socket.id,
+      });
+    });
   });
 };
 
 /**
- * REST API endpoint to get chat history
+ * REST API endpoint to get chat history.
+ * Without `limit` the whole history is returned; with `limit` the newest
+ * page is returned, and `before` (a message index) pages further back.
  */
 const getChatHistory = async (req, res) => {
   try {
@@ -191,17 +301,44 @@ const getChatHistory = async (req, res) => {
       });
     }
 
-    const messages = await getSession(sessionId);
+    const limit =
+      req.query.limit !== undefined ? parseInt(req.query.limit, 10) : null;
+    const before =
+      req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+
+    if (
+      (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > 500)) ||
+      (before !== null && (!Number.isInteger(before) || before < 0))
+    ) {
+      return res.status(400).json({
+        error: "limit must be 1-500 and before a non-negative message index",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const totalMessages = await getSessionLength(sessionId);
+    const end = Math.min(before ?? totalMessages, totalMessages);
+    const start = limit !== null ? Math.max(end - limit, 0) : 0;
+
+    const messages =
+      end > start ? await getMessageRange(sessionId, start, end - 1) : [];
 
     chatLogger.info(`Chat history retrieved for session ${sessionId}`, {
       sessionId,
       messageCount: messages.length,
+      totalMessages,
     });
 
     res.json({
       sessionId,
       messages,
       messageCount: messages.length,
+      totalMessages,
+      pagination: {
+        start,
+        end,
+        hasMore: start > 0,
+      },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -228,13 +365,14 @@ const sendMessage = async (req, res) => {
     });
 
     // Validate input
-    const { error } = messageSchema.validate(req.body);
+    const { error, value } = messageSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         error: `Invalid input: ${error.details[0].message}`,
         timestamp: new Date().toISOString(),
       });
     }
+    const filters = extractSearchFilters(value);
 
     // Additional query validation
     const queryValidation = validateQuery(message);
@@ -245,12 +383,6 @@ const sendMessage = async (req, res) => {
       });
     }
 
-    // FIXED: Get current session messages and update them properly
-    const currentMessages = await getSession(sessionId);
-    chatLogger.info(
-      `Retrieved ${currentMessages.length} existing messages for session ${sessionId}`
-    );
-
     // Create user message
     const userMessage = {
       id: uuidv4(),
@@ -265,12 +397,13 @@ const sendMessage = async (req, res) => {
     };
 
     // Add user message to session
-    currentMessages.push(userMessage);
+    await appendMessages(sessionId, userMessage);
 
     // Generate RAG response
     const ragResponse = await generateRAGResponse(
       queryValidation.query,
-      sessionId
+      sessionId,
+      { filters }
     );
 
     // Create bot message
@@ -287,14 +420,11 @@ const sendMessage = async (req, res) => {
     };
 
     // Add bot message to session
-    currentMessages.push(botMessage);
-
-    // FIXED: Save updated messages back to Redis
-    await saveSession(sessionId, currentMessages);
+    const totalSessionMessages = await appendMessages(sessionId, botMessage);
 
     chatLogger.info(`REST message processed and saved successfully`, {
       sessionId,
-      totalMessagesNow: currentMessages.length,
+      totalMessagesNow: totalSessionMessages,
       processingTime: Date.now() - startTime,
       sourcesFound: ragResponse.sources?.length || 0,
     });
@@ -305,7 +435,7 @@ const sendMessage = async (req, res) => {
       sources: ragResponse.sources || [],
       metadata: {
         ...ragResponse.metadata,
-        totalSessionMessages: currentMessages.length,
+        totalSessionMessages,
         processingTime: Date.now() - startTime,
       },
       sessionId,
@@ -328,8 +458,236 @@ const sendMessage = async (req, res) => {
   }
 };
 
+/**
+ * Write a single Server-Sent Event frame
+ */
+const writeSSE = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Pipe a buffered answer stream to an SSE response, replaying after lastSeq
+ */
+const pipeStreamToResponse = (req, res, stream, lastSeq = 0) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+    "X-Stream-Id": stream.streamId,
+  });
+  res.write("retry: 3000\n\n");
+
+  stream.eventsAfter(lastSeq).forEach((entry) => writeSSE(res, entry));
+
+  if (stream.finished) {
+    res.end();
+    return;
+  }
+
+  stream.subscribe();
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const onEvent = (entry) => writeSSE(res, entry);
+  const onEnd = () => {
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  stream.on("event", onEvent);
+  stream.once("end", onEnd);
+
+  // Generation keeps running after a disconnect so the client can resume;
+  // the stream aborts it when nobody is back within the retention window
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    stream.off("event", onEvent);
+    stream.off("end", onEnd);
+    stream.unsubscribe();
+  });
+};
+
+/**
+ * Replay a session's buffered stream after lastSeq and follow it live
+ */
+const resumeStream = (req, res, streamId, sessionId, lastSeq) => {
+  const stream = getStream(streamId);
+
+  if (!stream || stream.metadata.sessionId !== sessionId) {
+    return res.status(404).json({
+      error: "Stream not found or expired",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Replaying only the retained tail would silently drop part of the answer;
+  // 410 also stops an EventSource from reconnecting
+  if (!stream.canReplayAfter(lastSeq)) {
+    chatLogger.warn(
+      `Stream ${streamId} no longer buffers events after ${lastSeq}`,
+      { sessionId }
+    );
+    return res.status(410).json({
+      error:
+        "Events after Last-Event-ID are no longer buffered; load the answer from the chat history once it is complete",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // 204 tells EventSource to stop reconnecting once everything was delivered
+  if (stream.finished && stream.eventsAfter(lastSeq).length === 0) {
+    return res.status(204).end();
+  }
+
+  chatLogger.info(`Resuming SSE stream ${streamId}`, { sessionId, lastSeq });
+  return pipeStreamToResponse(req, res, stream, lastSeq);
+};
+
+/**
+ * Resume a streamed answer over GET so a browser EventSource can reconnect
+ * by itself. The Last-Event-ID header EventSource sends on reconnect takes
+ * precedence over the lastEventId query parameter of the first connection.
+ */
+const resumeMessageStream = (req, res) => {
+  const { streamId } = req.params;
+  const { sessionId } = req.query;
+  const eventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  const parsed = eventId ? parseEventId(eventId) : null;
+
+  if (!sessionId || (eventId && (!parsed || parsed.streamId !== streamId))) {
+    return res.status(400).json({
+      error: "sessionId is required and Last-Event-ID must belong to this stream",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return resumeStream(req, res, streamId, sessionId, parsed ? parsed.seq : 0);
+};
+
+/**
+ * REST API endpoint to stream a RAG answer as Server-Sent Events
+ */
+const streamMessage = async (req, res) => {
+  const startTime = Date.now();
+  const { sessionId, message } = req.body;
+
+  // Resume an answer that is still being generated (or recently finished)
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const parsed = parseEventId(lastEventId);
+    if (!parsed) {
+      return res.status(404).json({
+        error: "Stream not found or expired",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return resumeStream(req, res, parsed.streamId, sessionId, parsed.seq);
+  }
+
+  // Validate input
+  const { error, value } = messageSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: `Invalid input: ${error.details[0].message}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const filters = extractSearchFilters(value);
+
+  const queryValidation = validateQuery(message);
+  if (!queryValidation.valid) {
+    return res.status(400).json({
+      error: queryValidation.error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const messageId = uuidv4();
+  const stream = createStream(messageId, { sessionId });
+  pipeStreamToResponse(req, res, stream);
+
+  try {
+    const userMessage = {
+      id: uuidv4(),
+      type: "user",
+      content: queryValidation.query,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        method: "SSE",
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      },
+    };
+    await appendMessages(sessionId, userMessage);
+
+    const ragResponse = await streamRAGResponse(
+      queryValidation.query,
+      sessionId,
+      {
+        filters,
+        signal: stream.signal,
+        onSources: (sources) => stream.push("sources", { messageId, sources }),
+        onChunk: (delta) => stream.push("delta", { messageId, delta }),
+      }
+    );
+
+    const botMessage = {
+      id: messageId,
+      type: "bot",
+      content: ragResponse.answer,
+      sources: ragResponse.sources || [],
+      metadata: {
+        ...ragResponse.metadata,
+        processingTime: Date.now() - startTime,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    const totalSessionMessages = await appendMessages(sessionId, botMessage);
+
+    stream.push("done", {
+      messageId,
+      answer: botMessage.content,
+      sources: botMessage.sources,
+      metadata: {
+        ...botMessage.metadata,
+        totalSessionMessages,
+      },
+      sessionId,
+      timestamp: botMessage.timestamp,
+    });
+
+    chatLogger.info(`SSE message streamed and saved successfully`, {
+      sessionId,
+      totalMessagesNow: totalSessionMessages,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    chatLogger.error("Error in SSE streamMessage:", {
+      error: error.message,
+      stack: error.stack,
+      sessionId,
+      processingTime: Date.now() - startTime,
+    });
+
+    stream.push("error", {
+      messageId,
+      error: "Failed to process message",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+      timestamp: new Date().toISOString(),
+    });
+  } finally {
+    stream.finish();
+  }
+};
+
 module.exports = {
   handleChatSocket,
   getChatHistory,
   sendMessage,
+  streamMessage,
+  resumeMessageStream,
 };
@@ -0,0 +1,198 @@
+const winston = require("winston");
+const {
+  listFeeds,
+  getFeed,
+  createFeed,
+  updateFeed,
+  deleteFeed,
+} = require("../services/feedRegistryService");
+
+// Create dedicated logger for feed controller
+const feedLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+/**
+ * Let an in-process scheduler pick up the registry change right away.
+ * Required lazily: the scheduler pulls in the ingest service, which imports
+ * the app this controller is mounted in.
+ */
+const reloadScheduler = () => {
+  const { reloadIngestScheduler } = require("../services/ingestScheduler");
+  reloadIngestScheduler().catch((error) => {
+    feedLogger.error("Scheduler reload after feed change failed", {
+      error: error.message,
+    });
+  });
+};
+
+/**
+ * Shared error response for registry handlers
+ */
+const sendFeedError = (res, error, message) => {
+  if (error.code === "REGISTRY_DISABLED") {
+    return res.status(503).json({
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (error.name === "SequelizeUniqueConstraintError") {
+    return res.status(409).json({
+      error: "A feed with this URL already exists",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  feedLogger.error(message, {
+    error: error.message,
+    stack: error.stack,
+  });
+
+  res.status(500).json({
+    error: message,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const sendNotFound = (res, id) =>
+  res.status(404).json({
+    error: "Feed not found",
+    feedId: id,
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * GET /api/admin/feeds?enabled=true|false
+ */
+const getFeeds = async (req, res) => {
+  try {
+    const { enabled } = req.query;
+
+    if (enabled !== undefined && !["true", "false"].includes(enabled)) {
+      return res.status(400).json({
+        error: "enabled must be true or false",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const feeds = await listFeeds({
+      enabled: enabled === undefined ? undefined : enabled === "true",
+    });
+
+    res.json({
+      feeds,
+      count: feeds.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendFeedError(res, error, "Failed to list feeds");
+  }
+};
+
+/**
+ * GET /api/admin/feeds/:id
+ */
+const getFeedById = async (req, res) => {
+  try {
+    const feed = await getFeed(req.params.id);
+    if (!feed) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({ feed, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFeedError(res, error, "Failed to retrieve feed");
+  }
+};
+
+/**
+ * POST /api/admin/feeds
+ */
+const addFeed = async (req, res) => {
+  try {
+    const feed = await createFeed(req.validatedData);
+    reloadScheduler();
+
+    res.status(201).json({ feed, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFeedError(res, error, "Failed to create feed");
+  }
+};
+
+/**
+ * PATCH /api/admin/feeds/:id
+ */
+const editFeed = async (req, res) => {
+  try {
+    const feed = await updateFeed(req.params.id, req.validatedData);
+    if (!feed) {
+      return sendNotFound(res, req.params.id);
+    }
+    reloadScheduler();
+
+    res.json({ feed, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFeedError(res, error, "Failed to update feed");
+  }
+};
+
+/**
+ * POST /api/admin/feeds/:id/enable and /disable
+ */
+const setFeedEnabled = (enabled) => async (req, res) => {
+  try {
+    const feed = await updateFeed(req.params.id, { enabled });
+    if (!feed) {
+      return sendNotFound(res, req.params.id);
+    }
+    reloadScheduler();
+
+    res.json({ feed, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFeedError(res, error, "Failed to update feed");
+  }
+};
+
+/**
+ * DELETE /api/admin/feeds/:id
+ */
+const removeFeed = async (req, res) => {
+  try {
+    const deleted = await deleteFeed(req.params.id);
+    if (!deleted) {
+      return sendNotFound(res, req.params.id);
+    }
+    reloadScheduler();
+
+    res.json({
+      message: "Feed deleted",
+      feedId: req.params.id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendFeedError(res, error, "Failed to delete feed");
+  }
+};
+
+module.exports = {
+  getFeeds,
+  getFeedById,
+  addFeed,
+  editFeed,
+  enableFeed: setFeedEnabled(true),
+  disableFeed: setFeedEnabled(false),
+  removeFeed,
+};
@@ -0,0 +1,142 @@
+const winston = require("winston");
+const { hasAdminKey } = require("../middleware/adminAuth");
+
+// Create dedicated logger for ingest controller
+const ingestLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+/**
+ * Public documents are searchable by every session, so adding them takes the
+ * admin key
+ */
+const sendPublicForbidden = (res) =>
+  res.status(403).json({
+    error: "Public ingestion needs the admin key",
+    hint: 'Send "private": true with your sessionId (and its X-Session-Token) to add documents only you can search',
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * POST /api/ingest/url
+ * Fetch, chunk, embed and store the given article URLs. Public documents are
+ * retrievable by every session and need the admin key; private ones are only
+ * retrieved for the session that ingested them.
+ */
+const ingestUrl = async (req, res) => {
+  try {
+    const { urls, sessionId } = req.validatedData;
+    const isPrivate = req.validatedData.private;
+
+    if (!isPrivate && !hasAdminKey(req)) {
+      return sendPublicForbidden(res);
+    }
+
+    // Required lazily: the ingest service imports the app this is mounted in
+    const { ingestUrls } = require("../services/newsIngestService");
+
+    const { documents, failed } = await ingestUrls(urls, {
+      ownerSessionId: isPrivate ? sessionId : null,
+    });
+
+    if (documents.length === 0) {
+      return res.status(422).json({
+        error: "None of the URLs could be ingested",
+        failed,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(201).json({
+      documents,
+      failed,
+      visibility: isPrivate ? "private" : "public",
+      sessionId: isPrivate ? sessionId : null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    ingestLogger.error("URL ingestion failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to ingest URLs",
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+/**
+ * POST /api/ingest/upload
+ * Parse, chunk, embed and store uploaded HTML, Markdown, text and PDF files,
+ * tagged with source "upload" and the uploader's user or session id
+ */
+const uploadDocuments = async (req, res) => {
+  try {
+    const { sessionId, userId } = req.validatedData;
+    const isPrivate = req.validatedData.private;
+
+    if (!isPrivate && !hasAdminKey(req)) {
+      return sendPublicForbidden(res);
+    }
+
+    // Required lazily: the ingest service imports the app this is mounted in
+    const { ingestDocuments } = require("../services/newsIngestService");
+
+    const { documents, failed } = await ingestDocuments(
+      req.files.map((file) => ({
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        buffer: file.buffer,
+      })),
+      {
+        uploadedBy: userId || sessionId,
+        ownerSessionId: isPrivate ? sessionId : null,
+      }
+    );
+
+    if (documents.length === 0) {
+      return res.status(422).json({
+        error: "None of the files could be ingested",
+        failed,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(201).json({
+      documents,
+      failed,
+      visibility: isPrivate ? "private" : "public",
+      uploadedBy: userId || sessionId,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    ingestLogger.error("Document upload ingestion failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to ingest uploaded documents",
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+module.exports = {
+  ingestUrl,
+  uploadDocuments,
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const winston = require("winston");
+
+// Create dedicated logger
+const adminLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+/**
+ * Admin key sent as X-Admin-Key or "Authorization: Bearer <key>"
+ */
+const readAdminKey = (req) => {
+  const header = req.get("X-Admin-Key");
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.get("Authorization") || "";
+  return authorization.startsWith("Bearer ")
+    ? authorization.slice("Bearer ".length).trim()
+    : null;
+};
+
+/**
+ * Constant-time key comparison
+ */
+const keysMatch = (provided, expected) => {
+  const a = crypto.createHash("sha256").update(provided).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Whether the request carries a valid admin key, for routes that are open to
+ * everyone but allow more with the key
+ */
+const hasAdminKey = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = readAdminKey(req);
+  return Boolean(expected && provided && keysMatch(provided, expected));
+};
+
+/**
+ * Require ADMIN_API_KEY on admin routes; they stay closed while it is unset
+ */
+const requireAdminKey = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+
+  if (!expected) {
+    return res.status(503).json({
+      error: "Admin API is disabled (ADMIN_API_KEY is not set)",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const provided = readAdminKey(req);
+  if (!provided || !keysMatch(provided, expected)) {
+    adminLogger.warn("Rejected admin request", {
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl,
+    });
+
+    return res.status(401).json({
+      error: "Invalid or missing admin key",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdminKey,
+  hasAdminKey,
+};
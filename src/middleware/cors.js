@@ -38,7 +38,8 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'X-Session-Id'
+    'X-Session-Id',
+    'Last-Event-ID'
   ],
   exposedHeaders: [
     'X-RateLimit-Limit',
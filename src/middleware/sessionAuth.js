@@ -0,0 +1,66 @@
+const winston = require("winston");
+const { verifySessionToken } = require("../config/redis");
+
+// Create dedicated logger
+const sessionAuthLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+/**
+ * For private ingestion, require the X-Session-Token issued by
+ * POST /api/session/create for the sessionId in the body, so documents can
+ * only be added to a session by whoever created it. Runs after validation.
+ */
+const requireSessionOwner = async (req, res, next) => {
+  if (!req.validatedData?.private) {
+    return next();
+  }
+
+  const { sessionId } = req.validatedData;
+
+  try {
+    const token = req.get("X-Session-Token");
+    if (await verifySessionToken(sessionId, token)) {
+      return next();
+    }
+
+    sessionAuthLogger.warn("Rejected private ingestion for session", {
+      sessionId,
+      ip: req.ip,
+      path: req.originalUrl,
+      tokenSent: Boolean(token),
+    });
+
+    res.status(401).json({
+      error: "Missing or invalid session token",
+      hint: "Send the sessionToken returned by POST /api/session/create as X-Session-Token",
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sessionAuthLogger.error("Session token check failed", {
+      error: error.message,
+      sessionId,
+    });
+
+    res.status(503).json({
+      error: "Could not verify the session",
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+module.exports = {
+  requireSessionOwner,
+};
@@ -0,0 +1,80 @@
+const multer = require("multer");
+const winston = require("winston");
+
+// Create dedicated logger
+const uploadLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+const UPLOAD_CONFIG = {
+  maxFileMb: parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 10,
+  maxFiles: parseInt(process.env.UPLOAD_MAX_FILES) || 5,
+};
+
+// Files stay in memory: they are parsed once and never written to disk.
+// Unsupported types are reported per file by the ingest service.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.round(UPLOAD_CONFIG.maxFileMb * 1024 * 1024),
+    files: UPLOAD_CONFIG.maxFiles,
+    fields: 10,
+  },
+}).array("files", UPLOAD_CONFIG.maxFiles);
+
+/**
+ * Accept multipart "files" fields, answering limit and type errors as JSON
+ */
+const acceptDocumentUploads = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          error: 'No files uploaded; send them as multipart "files" fields',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `File too large; the limit is ${UPLOAD_CONFIG.maxFileMb} MB`,
+        LIMIT_FILE_COUNT: `Too many files; send at most ${UPLOAD_CONFIG.maxFiles}`,
+        LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}"; send files as "files"`,
+      };
+
+      return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+        error: messages[error.code] || error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    uploadLogger.error("Upload handling error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    res.status(400).json({
+      error: "Malformed multipart upload",
+      timestamp: new Date().toISOString(),
+    });
+  });
+};
+
+module.exports = {
+  acceptDocumentUploads,
+  UPLOAD_CONFIG,
+};
@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const cheerio = require("cheerio");
 const winston = require("winston");
 
 // Create dedicated logger
@@ -31,13 +32,127 @@ const messageSchema = Joi.object({
     "string.max": "Message is too long (maximum 1000 characters)",
     "any.required": "Message is required",
   }),
+  stream: Joi.boolean().optional(),
+  // Optional retrieval filters
+  sources: Joi.array().items(Joi.string().trim().min(1).max(200)).max(20),
+  categories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(20),
+  from: Joi.date().iso().messages({
+    "date.format": "from must be an ISO 8601 date",
+  }),
+  to: Joi.date()
+    .iso()
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.format": "to must be an ISO 8601 date",
+      "date.min": "to must not be earlier than from",
+    }),
 });
 
+/**
+ * Pick the retrieval filters out of a validated message payload
+ */
+const extractSearchFilters = (data = {}) => {
+  const filters = {};
+
+  if (data.sources?.length) filters.sources = data.sources;
+  if (data.categories?.length) filters.categories = data.categories;
+  if (data.from) filters.from = new Date(data.from).toISOString();
+  if (data.to) filters.to = new Date(data.to).toISOString();
+
+  return Object.keys(filters).length > 0 ? filters : null;
+};
+
 const sessionSchema = Joi.object({
   userId: Joi.string().optional(),
   metadata: Joi.object().optional(),
 });
 
+/**
+ * Joi check that a CSS selector parses, so a bad one can't break extraction
+ */
+const cssSelector = (value, helpers) => {
+  try {
+    cheerio.load("")(value);
+    return value;
+  } catch (error) {
+    return helpers.error("any.invalid");
+  }
+};
+
+// Feed registry schemas
+const feedFields = {
+  url: Joi.string()
+    .trim()
+    .uri({ scheme: ["http", "https"] })
+    .max(2048)
+    .messages({
+      "string.uri": "url must be an http(s) URL",
+      "string.uriCustomScheme": "url must be an http(s) URL",
+    }),
+  name: Joi.string().trim().min(1).max(200).allow(null),
+  enabled: Joi.boolean(),
+  pollIntervalMinutes: Joi.number().integer().min(1).max(10080).allow(null),
+  maxArticles: Joi.number().integer().min(1).max(500).allow(null),
+  categories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(20),
+  contentSelectors: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .min(1)
+        .max(200)
+        .custom(cssSelector)
+        .messages({ "any.invalid": "{{#label}} is not a valid CSS selector" })
+    )
+    .max(10),
+};
+
+const feedSchema = Joi.object({
+  ...feedFields,
+  url: feedFields.url.required(),
+});
+
+const feedUpdateSchema = Joi.object(feedFields)
+  .min(1)
+  .messages({ "object.min": "At least one feed setting is required" });
+
+// Ad-hoc URL ingestion
+const ingestUrlSchema = Joi.object({
+  urls: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .uri({ scheme: ["http", "https"] })
+        .max(2048)
+        .messages({
+          "string.uri": "{{#label}} must be an http(s) URL",
+          "string.uriCustomScheme": "{{#label}} must be an http(s) URL",
+        })
+    )
+    .min(1)
+    .max(10)
+    .unique()
+    .required(),
+  private: Joi.boolean().default(false),
+  sessionId: Joi.string().uuid().when("private", {
+    is: true,
+    then: Joi.required(),
+  }),
+});
+
+// Document upload form fields (the files themselves are checked on parse)
+const uploadFieldsSchema = Joi.object({
+  private: Joi.boolean().default(false),
+  sessionId: Joi.string().uuid().when("private", {
+    is: true,
+    then: Joi.required(),
+  }),
+  userId: Joi.string().trim().min(1).max(100),
+})
+  .or("sessionId", "userId")
+  .messages({
+    "object.missing": "sessionId or userId is required to tag the upload",
+  });
+
 /**
  * Validate chat message middleware
  */
@@ -268,6 +383,11 @@ module.exports = {
   validateUUID,
   validateRequest,
   handleValidationError,
+  extractSearchFilters,
   messageSchema,
   sessionSchema,
+  feedSchema,
+  feedUpdateSchema,
+  ingestUrlSchema,
+  uploadFieldsSchema,
 };
@@ -0,0 +1,66 @@
+const express = require("express");
+const {
+  getFeeds,
+  getFeedById,
+  addFeed,
+  editFeed,
+  enableFeed,
+  disableFeed,
+  removeFeed,
+} = require("../controllers/feedController");
+const { requireAdminKey } = require("../middleware/adminAuth");
+const {
+  validateRequest,
+  validateUUID,
+  feedSchema,
+  feedUpdateSchema,
+} = require("../middleware/validation");
+
+const router = express.Router();
+
+// Every admin route needs ADMIN_API_KEY
+router.use(requireAdminKey);
+
+/**
+ * GET /api/admin/feeds
+ * List registry feeds, optionally filtered with ?enabled=true|false
+ */
+router.get("/feeds", getFeeds);
+
+/**
+ * POST /api/admin/feeds
+ * Add a feed to the registry
+ */
+router.post("/feeds", validateRequest(feedSchema), addFeed);
+
+/**
+ * GET /api/admin/feeds/:id
+ * Get one feed's settings
+ */
+router.get("/feeds/:id", validateUUID("id"), getFeedById);
+
+/**
+ * PATCH /api/admin/feeds/:id
+ * Change a feed's settings
+ */
+router.patch(
+  "/feeds/:id",
+  validateUUID("id"),
+  validateRequest(feedUpdateSchema),
+  editFeed
+);
+
+/**
+ * POST /api/admin/feeds/:id/enable and /disable
+ * Resume or pause polling a feed
+ */
+router.post("/feeds/:id/enable", validateUUID("id"), enableFeed);
+router.post("/feeds/:id/disable", validateUUID("id"), disableFeed);
+
+/**
+ * DELETE /api/admin/feeds/:id
+ * Remove a feed from the registry (its stored articles are kept)
+ */
+router.delete("/feeds/:id", validateUUID("id"), removeFeed);
+
+module.exports = router;
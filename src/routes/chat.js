@@ -3,6 +3,8 @@ const rateLimit = require("express-rate-limit");
 const {
   getChatHistory,
   sendMessage,
+  streamMessage,
+  resumeMessageStream,
 } = require("../controllers/chatController");
 const { validateMessage } = require("../middleware/validation");
 
@@ -47,6 +49,20 @@ router.get("/history/:sessionId", getChatHistory);
  */
 router.post("/send", validateMessage, sendMessage);
 
+/**
+ * POST /api/chat/stream
+ * Send a message and stream the RAG response as Server-Sent Events.
+ * Resend with a Last-Event-ID header to resume an interrupted answer.
+ */
+router.post("/stream", validateMessage, streamMessage);
+
+/**
+ * GET /api/chat/stream/:streamId?sessionId=...
+ * Resume a streamed answer; works with a browser EventSource, which
+ * resends Last-Event-ID when it reconnects.
+ */
+router.get("/stream/:streamId", resumeMessageStream);
+
 /**
  * GET /api/chat (without trailing slash)
  * Health check for chat service
@@ -59,6 +75,8 @@ router.get("/", (req, res) => {
     endpoints: [
       "GET /api/chat/history/:sessionId",
       "POST /api/chat/send",
+      "POST /api/chat/stream",
+      "GET /api/chat/stream/:streamId",
       "GET /api/chat",
     ],
   });
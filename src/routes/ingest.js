@@ -0,0 +1,70 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const {
+  ingestUrl,
+  uploadDocuments,
+} = require("../controllers/ingestController");
+const {
+  validateRequest,
+  ingestUrlSchema,
+  uploadFieldsSchema,
+} = require("../middleware/validation");
+const { acceptDocumentUploads } = require("../middleware/upload");
+const { requireSessionOwner } = require("../middleware/sessionAuth");
+
+const router = express.Router();
+
+// Rate limiting for ingestion: every URL or file is parsed and embedded
+const ingestRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 requests per minute
+  message: {
+    error: "Too many ingestion requests, please slow down",
+    retryAfter: "1 minute",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    // Required here: app.js loads this router before it exports the logger
+    const { logger } = require("../app");
+    logger.warn("Ingest rate limit exceeded", {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      path: req.path,
+    });
+    res.status(429).json({
+      error: "Too many ingestion requests, please slow down",
+      retryAfter: "1 minute",
+      timestamp: new Date().toISOString(),
+    });
+  },
+});
+
+// Apply rate limiting
+router.use(ingestRateLimit);
+
+/**
+ * POST /api/ingest/url
+ * Ingest up to 10 article URLs, publicly (admin key) or privately for a session
+ */
+router.post(
+  "/url",
+  validateRequest(ingestUrlSchema),
+  requireSessionOwner,
+  ingestUrl
+);
+
+/**
+ * POST /api/ingest/upload
+ * Multipart upload of HTML, Markdown, text and PDF files ("files" fields)
+ * plus private/sessionId/userId form fields
+ */
+router.post(
+  "/upload",
+  acceptDocumentUploads,
+  validateRequest(uploadFieldsSchema),
+  requireSessionOwner,
+  uploadDocuments
+);
+
+module.exports = router;
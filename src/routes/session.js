@@ -2,7 +2,12 @@ const express = require("express");
 const rateLimit = require("express-rate-limit");
 const { v4: uuidv4 } = require("uuid");
 const { validateSession, validateUUID } = require("../middleware/validation");
-const { saveSession, getSession, deleteSession } = require("../config/redis");
+const {
+  saveSession,
+  getSession,
+  deleteSession,
+  createSessionToken,
+} = require("../config/redis");
 
 const router = express.Router();
 
@@ -44,11 +49,13 @@ router.post("/create", validateSession, async (req, res) => {
 
     // Initialize empty session
     await saveSession(sessionId, []);
+    const sessionToken = await createSessionToken(sessionId);
 
     console.log("New session created:", sessionId);
 
     res.status(201).json({
       sessionId,
+      sessionToken,
       message: "Session created successfully",
       metadata,
       timestamp: new Date().toISOString(),
@@ -104,10 +111,21 @@ router.delete("/:sessionId", validateUUID("sessionId"), async (req, res) => {
 
     const wasDeleted = await deleteSession(sessionId);
 
+    // Documents ingested privately for the session go with it. Required
+    // lazily: the ingest service imports the app this router is mounted in.
+    const { deleteSessionDocuments } = require("../services/newsIngestService");
+    const documentsDeleted = await deleteSessionDocuments(sessionId).catch(
+      (error) => {
+        console.error("Error deleting session documents:", error);
+        return 0;
+      }
+    );
+
     if (wasDeleted) {
       res.json({
         message: "Session cleared successfully",
         sessionId,
+        documentsDeleted,
         timestamp: new Date().toISOString(),
       });
     } else {
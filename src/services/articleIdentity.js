@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { v5: uuidv5 } = require("uuid");
+
+// Fixed namespace so the same article always maps to the same point id
+const ARTICLE_NAMESPACE = "5b8f2c1e-3d4a-5e6f-8a9b-0c1d2e3f4a5b";
+
+// Query parameters that only track the click, never change the page
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl)$/i,
+  /^(ref|ref_src|ref_url|cmpid|ocid|ito|at_[a-z_]+)$/i,
+  /^(ns_campaign|ns_mchannel|ns_source|ns_linkname|ns_fee)$/i,
+];
+
+/**
+ * Normalize a URL so links to the same page compare equal: lowercase
+ * scheme/host, no fragment, default port, tracking params or trailing slash
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL or null if it isn't a valid http(s) URL
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return null;
+  }
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some((pattern) => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Deterministic article id from its canonical URL, else the feed guid.
+ * Session-private copies get their own id so they never overwrite the
+ * public article or another session's copy.
+ * @param {Object} article - { url, guid, ownerSessionId }
+ * @returns {string} UUID (v5)
+ */
+function articleIdFor({ url, guid, ownerSessionId }) {
+  const key = canonicalizeUrl(url) || canonicalizeUrl(guid) || guid || url;
+  if (!key) {
+    throw new Error("Article needs a URL or guid to derive its id");
+  }
+  return uuidv5(
+    ownerSessionId ? `session:${ownerSessionId}|${key}` : key,
+    ARTICLE_NAMESPACE
+  );
+}
+
+/**
+ * Deterministic chunk id, so re-ingesting an article overwrites its chunks
+ * @param {string} articleId - Parent article id
+ * @param {number} chunkIndex - Position of the chunk in the article
+ * @returns {string} UUID (v5)
+ */
+function chunkIdFor(articleId, chunkIndex) {
+  return uuidv5(`${articleId}#${chunkIndex}`, ARTICLE_NAMESPACE);
+}
+
+/**
+ * Hash of the text that gets embedded; equal hashes mean nothing to re-embed
+ * @param {Object} article - { title, content }
+ * @returns {string} SHA-256 hex digest
+ */
+function contentHashFor({ title, content }) {
+  return crypto
+    .createHash("sha256")
+    .update(`${title || ""}\n\n${content || ""}`)
+    .digest("hex");
+}
+
+module.exports = {
+  canonicalizeUrl,
+  articleIdFor,
+  chunkIdFor,
+  contentHashFor,
+};
@@ -0,0 +1,179 @@
+const winston = require("winston");
+const { chunkIdFor } = require("./articleIdentity");
+
+// Create dedicated logger for chunking service
+const chunkLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Chunking configuration (sizes in characters)
+const CHUNK_CONFIG = {
+  chunkSize: parseInt(process.env.CHUNK_SIZE) || 1200,
+  chunkOverlap: process.env.CHUNK_OVERLAP
+    ? parseInt(process.env.CHUNK_OVERLAP)
+    : 200,
+  minChunkSize: 100,
+};
+
+/**
+ * Split text into paragraphs, falling back to sentences for long paragraphs
+ * @param {string} text - Text to split
+ * @param {number} chunkSize - Maximum unit length
+ * @returns {Array<string>} Ordered text units
+ */
+function splitIntoUnits(text, chunkSize) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const units = [];
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= chunkSize) {
+      units.push(paragraph);
+      continue;
+    }
+
+    const sentences = paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [
+      paragraph,
+    ];
+
+    for (const rawSentence of sentences) {
+      const sentence = rawSentence.trim();
+      if (!sentence) continue;
+
+      // Hard-split sentences that are longer than a whole chunk
+      for (let i = 0; i < sentence.length; i += chunkSize) {
+        units.push(sentence.substring(i, i + chunkSize));
+      }
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Take the trailing part of a chunk to carry over as overlap, starting on a
+ * sentence boundary when possible and a word boundary otherwise
+ */
+function overlapTail(text, overlap) {
+  if (overlap <= 0 || text.length <= overlap) {
+    return overlap > 0 ? text : "";
+  }
+
+  const tail = text.substring(text.length - overlap);
+  const sentenceStart = tail.search(/[.!?]["')\]]*\s+\S/);
+  if (sentenceStart >= 0) {
+    return tail.substring(sentenceStart + 1).replace(/^["')\]]*\s+/, "");
+  }
+
+  const firstSpace = tail.indexOf(" ");
+  return firstSpace > 0 ? tail.substring(firstSpace + 1) : tail;
+}
+
+/**
+ * Split article text into overlapping chunks on paragraph/sentence boundaries
+ * @param {string} text - Article text
+ * @param {Object} options - { chunkSize, chunkOverlap }
+ * @returns {Array<string>} Chunks in document order
+ */
+function chunkText(text, options = {}) {
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+
+  const chunkSize = options.chunkSize || CHUNK_CONFIG.chunkSize;
+  const chunkOverlap = Math.min(
+    options.chunkOverlap ?? CHUNK_CONFIG.chunkOverlap,
+    Math.floor(chunkSize / 2)
+  );
+
+  const units = splitIntoUnits(text, chunkSize);
+  const chunks = [];
+  let current = "";
+
+  for (const unit of units) {
+    const candidate = current ? `${current} ${unit}` : unit;
+
+    if (candidate.length <= chunkSize || !current) {
+      current = candidate;
+      continue;
+    }
+
+    chunks.push(current);
+
+    const carry = overlapTail(current, chunkOverlap);
+    current =
+      carry && carry.length + unit.length + 1 <= chunkSize
+        ? `${carry} ${unit}`
+        : unit;
+  }
+
+  if (current) {
+    // Fold a tiny trailing chunk into the previous one
+    if (
+      chunks.length > 0 &&
+      current.length < CHUNK_CONFIG.minChunkSize &&
+      chunks[chunks.length - 1].length + current.length < chunkSize * 1.25
+    ) {
+      chunks[chunks.length - 1] = `${chunks[chunks.length - 1]} ${current}`;
+    } else {
+      chunks.push(current);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Split articles into chunk documents ready for embedding and storage
+ * @param {Array} articles - Articles with id, title and content
+ * @param {Object} options - Chunking options
+ * @returns {Array} Chunk documents carrying parent article fields
+ */
+function chunkArticles(articles, options = {}) {
+  const chunkDocs = [];
+
+  for (const article of articles) {
+    const chunks = chunkText(article.content, options);
+
+    chunks.forEach((chunk, index) => {
+      chunkDocs.push({
+        ...article,
+        id: chunkIdFor(article.id, index),
+        articleId: article.id,
+        chunkIndex: index,
+        chunkCount: chunks.length,
+        content: chunk,
+      });
+    });
+  }
+
+  chunkLogger.info("Articles chunked", {
+    articles: articles.length,
+    chunks: chunkDocs.length,
+    chunkSize: options.chunkSize || CHUNK_CONFIG.chunkSize,
+    chunkOverlap: options.chunkOverlap ?? CHUNK_CONFIG.chunkOverlap,
+  });
+
+  return chunkDocs;
+}
+
+module.exports = {
+  chunkText,
+  chunkArticles,
+  CHUNK_CONFIG,
+};
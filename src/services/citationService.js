@@ -0,0 +1,108 @@
+/**
+ * Inline citation post-processing.
+ *
+ * The model is asked to cite numbered context blocks as [n] (or [n, m]).
+ * This module drops markers that point at sources that don't exist and maps
+ * every sentence of the answer to the sources it cites.
+ */
+
+// Includes the spaces before a marker so removing it leaves no gap
+const CITATION_PATTERN = /[ \t]*\[(\d+(?:\s*[,;]\s*\d+)*)\]/g;
+
+/**
+ * Split text into sentences, keeping trailing citation markers with the
+ * sentence they follow
+ */
+const splitSentences = (text) =>
+  (
+    text.match(/[^.!?\n]+(?:[.!?]+(?:\s*\[[\d,;\s]+\])*|\n|$)/g) || []
+  )
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.length > 0);
+
+/**
+ * Validate citation markers against the number of returned sources
+ * @param {string} answer - Generated answer text
+ * @param {number} sourceCount - Number of numbered sources given to the model
+ * @returns {Object} { answer, citations, citedSources, uncitedSources, invalidCitations }
+ */
+const processCitations = (answer, sourceCount) => {
+  if (!answer || typeof answer !== "string") {
+    return {
+      answer: answer || "",
+      citations: [],
+      citedSources: [],
+      uncitedSources: Array.from({ length: sourceCount }, (_, i) => i + 1),
+      invalidCitations: [],
+    };
+  }
+
+  const invalidCitations = [];
+
+  // Rewrite each marker keeping only valid, de-duplicated source numbers;
+  // the rest of the answer is left exactly as the model wrote it
+  const rewriteMarker = (marker, list, trailing, offset) => {
+    const numbers = list.split(/[,;]/).map((n) => parseInt(n.trim(), 10));
+    const valid = [
+      ...new Set(numbers.filter((n) => n >= 1 && n <= sourceCount)),
+    ];
+
+    numbers
+      .filter((n) => !valid.includes(n))
+      .forEach((n) => invalidCitations.push(n));
+
+    // A dropped marker that opened a line takes the space after it too
+    if (valid.length === 0) {
+      const opensLine = offset === 0 || answer[offset - 1] === "\n";
+      return opensLine ? "" : trailing;
+    }
+
+    const leading = marker.slice(0, marker.indexOf("["));
+    return `${leading}[${valid.join(", ")}]${trailing}`;
+  };
+
+  const cleaned = answer.replace(
+    new RegExp(`${CITATION_PATTERN.source}([ \\t]*)`, "g"),
+    rewriteMarker
+  );
+
+  const citedSet = new Set();
+  const citations = splitSentences(cleaned).map((sentence) => {
+    const sources = new Set();
+    let match;
+    const pattern = new RegExp(CITATION_PATTERN.source, "g");
+
+    while ((match = pattern.exec(sentence)) !== null) {
+      match[1]
+        .split(/[,;]/)
+        .map((n) => parseInt(n.trim(), 10))
+        .forEach((n) => {
+          sources.add(n);
+          citedSet.add(n);
+        });
+    }
+
+    return {
+      sentence: sentence.replace(CITATION_PATTERN, "").trim(),
+      sources: [...sources].sort((a, b) => a - b),
+    };
+  });
+
+  const citedSources = [...citedSet].sort((a, b) => a - b);
+  const uncitedSources = Array.from(
+    { length: sourceCount },
+    (_, i) => i + 1
+  ).filter((n) => !citedSet.has(n));
+
+  return {
+    answer: cleaned,
+    citations,
+    citedSources,
+    uncitedSources,
+    invalidCitations,
+  };
+};
+
+module.exports = {
+  processCitations,
+};
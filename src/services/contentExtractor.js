@@ -0,0 +1,454 @@
+const cheerio = require("cheerio");
+const { canonicalizeUrl } = require("./articleIdentity");
+
+/**
+ * Main-content extraction in the style of Mozilla Readability: paragraphs
+ * score their ancestors by length and comma count, class/id names and link
+ * density adjust the scores, and the best container plus related siblings
+ * become the article text. Page metadata (author, dates, lead image,
+ * canonical URL) comes from JSON-LD, OpenGraph and <meta> tags.
+ */
+
+// Elements that never hold article text
+const STRIP_SELECTOR =
+  "script, style, noscript, template, iframe, svg, canvas, form, button, input, select, textarea, nav, header, footer, aside, dialog";
+
+// class/id hints, after Readability's regexes
+const UNLIKELY_CANDIDATES =
+  /-ad-|\bads?\b|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|teaser|tools|trending|tweet|twitter|widget/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|story/i;
+const POSITIVE =
+  /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE =
+  /-ad-|hidden|^hid$|\bhid\b|banner|combx|comment|com-|contact|cookie|foot|footer|footnote|gdpr|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|subscribe|tags|taboola|tool|widget/i;
+
+// Blocks that score their ancestors
+const SCORED_SELECTOR = "p, pre, td, blockquote";
+
+// Blocks kept, in order, when turning the chosen container into text
+const BLOCK_SELECTOR = "p, h2, h3, h4, li, blockquote, pre";
+
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_SELECTOR_CHARS = 200;
+
+const ARTICLE_TYPES =
+  /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|BlogPosting|Report|LiveBlogPosting|OpinionNewsArticle|WebPage)$/;
+
+const normalizeText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+const classAndId = (el) =>
+  `${el.attribs?.class || ""} ${el.attribs?.id || ""}`.trim();
+
+/**
+ * +25 / -25 for class and id names that look like content / boilerplate
+ */
+const classWeight = (el) => {
+  let weight = 0;
+  for (const name of [el.attribs?.class, el.attribs?.id]) {
+    if (!name) continue;
+    if (NEGATIVE.test(name)) weight -= 25;
+    if (POSITIVE.test(name)) weight += 25;
+  }
+  return weight;
+};
+
+/**
+ * Starting score for a candidate container by tag
+ */
+const tagWeight = (tagName) => {
+  switch (tagName) {
+    case "article":
+      return 10;
+    case "div":
+    case "section":
+    case "main":
+      return 5;
+    case "pre":
+    case "td":
+    case "blockquote":
+      return 3;
+    case "address":
+    case "ol":
+    case "ul":
+    case "dl":
+    case "dd":
+    case "dt":
+    case "li":
+      return -3;
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+    case "th":
+      return -5;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Share of an element's text that sits inside links
+ */
+const linkDensity = ($, el) => {
+  const textLength = normalizeText($(el).text()).length;
+  if (textLength === 0) return 0;
+
+  const linkLength = $(el)
+    .find("a")
+    .toArray()
+    .reduce((sum, a) => sum + normalizeText($(a).text()).length, 0);
+
+  return linkLength / textLength;
+};
+
+/**
+ * Drop scripts, chrome and elements whose class/id marks them as boilerplate
+ */
+const stripBoilerplate = ($) => {
+  $(STRIP_SELECTOR).remove();
+  $('[hidden], [aria-hidden="true"], [role="complementary"]').remove();
+  $('[role="navigation"], [role="banner"], [role="contentinfo"]').remove();
+
+  $("*").each((i, el) => {
+    if (["html", "body", "article", "main"].includes(el.tagName)) return;
+
+    const names = classAndId(el);
+    if (
+      names &&
+      UNLIKELY_CANDIDATES.test(names) &&
+      !MAYBE_CANDIDATE.test(names)
+    ) {
+      $(el).remove();
+    }
+  });
+};
+
+/**
+ * Text of a container with paragraph boundaries kept, skipping link lists
+ * ("related stories", tag clouds) and blocks nested in other blocks
+ */
+const blockText = ($, root) => {
+  const blocks = $(root)
+    .find(BLOCK_SELECTOR)
+    .filter((i, el) => $(el).parents(BLOCK_SELECTOR).length === 0)
+    .filter((i, el) => linkDensity($, el) < 0.5)
+    .map((i, el) => normalizeText($(el).text()))
+    .get()
+    .filter(Boolean);
+
+  return blocks.length > 0
+    ? blocks.join("\n\n")
+    : normalizeText($(root).text());
+};
+
+/**
+ * Score paragraph ancestors and return the best container, or null
+ */
+const findTopCandidate = ($) => {
+  const scores = new Map();
+
+  const initialize = (el) => {
+    if (!scores.has(el)) {
+      scores.set(el, tagWeight(el.tagName) + classWeight(el));
+    }
+  };
+
+  $(SCORED_SELECTOR).each((i, el) => {
+    const text = normalizeText($(el).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    // One point for the paragraph, one per comma, one per 100 chars (max 3)
+    const commas = text.split(/[,،、，]/).length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+    $(el)
+      .parents()
+      .slice(0, 3)
+      .each((level, ancestor) => {
+        if (!ancestor.tagName || ancestor.tagName === "html") return;
+        initialize(ancestor);
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + score / divider);
+      });
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+
+  return top ? { el: top, score: topScore, scores } : null;
+};
+
+/**
+ * The top candidate plus siblings that look like part of the same article
+ * (split article bodies, interleaved ad containers removed earlier)
+ */
+const collectArticleNodes = ($, { el, score, scores }) => {
+  if (!el.parent || el.tagName === "body") {
+    return [el];
+  }
+
+  const threshold = Math.max(10, score * 0.2);
+  const topWeight = classAndId(el) ? classWeight(el) : 0;
+
+  return $(el.parent)
+    .children()
+    .toArray()
+    .filter((sibling) => {
+      if (sibling === el) return true;
+
+      let bonus = 0;
+      const sameClass =
+        classAndId(sibling) && sibling.attribs?.class === el.attribs?.class;
+      if (sameClass) {
+        bonus = score * 0.2 + topWeight;
+      }
+      if ((scores.get(sibling) || 0) + bonus >= threshold) return true;
+
+      if (sibling.tagName === "p") {
+        const text = normalizeText($(sibling).text());
+        const density = linkDensity($, sibling);
+        return (
+          (text.length > 80 && density < 0.25) ||
+          (text.length > 0 && density === 0 && /\.( |$)/.test(text))
+        );
+      }
+      return false;
+    });
+};
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ */
+const absoluteUrl = (value, baseUrl) => {
+  if (!value || typeof value !== "string") return null;
+  try {
+    return new URL(value.trim(), baseUrl || undefined).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const timestamp = Date.parse(String(value).trim());
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+/**
+ * "By Jane Doe and John Roe" -> "Jane Doe and John Roe"
+ */
+const cleanByline = (value) => {
+  const byline = normalizeText(value)
+    .split(/\s[|•·]\s/)[0]
+    .replace(/^by[:\s]+/i, "")
+    .trim();
+  // Some sites put the author's profile URL where the name belongs
+  if (!byline || /^https?:\/\//i.test(byline) || byline.length > 200) {
+    return null;
+  }
+  return byline;
+};
+
+/**
+ * Author name(s) from a JSON-LD author value (string, Person or list)
+ */
+const jsonLdAuthor = (author) => {
+  const names = (Array.isArray(author) ? author : [author])
+    .map((entry) => (typeof entry === "string" ? entry : entry?.name))
+    .map(cleanByline)
+    .filter(Boolean);
+  return names.length > 0 ? [...new Set(names)].join(", ") : null;
+};
+
+const jsonLdImage = (image) => {
+  const first = Array.isArray(image) ? image[0] : image;
+  return typeof first === "string" ? first : first?.url || null;
+};
+
+/**
+ * First article-like object in the page's JSON-LD blocks
+ */
+const findJsonLdArticle = ($) => {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const queue = Array.isArray(data) ? [...data] : [data];
+      while (queue.length > 0) {
+        const node = queue.shift();
+        if (!node || typeof node !== "object") continue;
+        if (Array.isArray(node["@graph"])) queue.push(...node["@graph"]);
+        nodes.push(node);
+      }
+    } catch (error) {
+      // Malformed JSON-LD is common; the other metadata sources still apply
+    }
+  });
+
+  const isType = (node, pattern) =>
+    [].concat(node["@type"] || []).some((type) => pattern.test(type));
+
+  return (
+    nodes.find((node) => isType(node, /Article|BlogPosting|Report/)) ||
+    nodes.find((node) => isType(node, ARTICLE_TYPES)) ||
+    null
+  );
+};
+
+/**
+ * Author, publish date, lead image and canonical URL of a page
+ * @param {Object} $ - Cheerio document (before boilerplate is stripped)
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {Object} { author, publishedAt, modifiedAt, imageUrl, canonicalUrl, title, siteName }
+ */
+function extractMetadata($, pageUrl) {
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = $(
+        `meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`
+      )
+        .first()
+        .attr("content");
+      if (value && value.trim()) return value.trim();
+    }
+    return null;
+  };
+
+  const jsonLd = findJsonLdArticle($) || {};
+  const mainEntity = jsonLd.mainEntityOfPage;
+
+  const domByline = normalizeText(
+    $('[rel="author"], [itemprop="author"], .byline, .author-name')
+      .first()
+      .text()
+  );
+
+  const canonical =
+    $('link[rel="canonical"]').attr("href") ||
+    meta("og:url") ||
+    (typeof mainEntity === "string" ? mainEntity : mainEntity?.["@id"]) ||
+    null;
+
+  return {
+    title:
+      normalizeText(jsonLd.headline) ||
+      meta("og:title", "twitter:title") ||
+      normalizeText($("title").first().text()) ||
+      null,
+    author:
+      jsonLdAuthor(jsonLd.author) ||
+      cleanByline(
+        meta(
+          "author",
+          "article:author",
+          "parsely-author",
+          "sailthru.author",
+          "byl",
+          "dc.creator"
+        )
+      ) ||
+      cleanByline(domByline),
+    publishedAt: toIsoDate(
+      jsonLd.datePublished ||
+        meta(
+          "article:published_time",
+          "datePublished",
+          "parsely-pub-date",
+          "pubdate",
+          "publishdate",
+          "date",
+          "dc.date",
+          "dcterms.created"
+        ) ||
+        $("time[datetime]").first().attr("datetime")
+    ),
+    modifiedAt: toIsoDate(
+      jsonLd.dateModified || meta("article:modified_time", "dateModified")
+    ),
+    imageUrl: absoluteUrl(
+      jsonLdImage(jsonLd.image) ||
+        meta("og:image", "og:image:url", "twitter:image", "twitter:image:src"),
+      pageUrl
+    ),
+    canonicalUrl: canonicalizeUrl(absoluteUrl(canonical, pageUrl)),
+    siteName: meta("og:site_name", "application-name"),
+  };
+}
+
+/**
+ * Main text of an article page
+ * @param {Object} $ - Cheerio document
+ * @param {Array<string>} selectors - Site-specific selectors, tried first
+ * @returns {string} Text with blank lines between paragraphs
+ */
+function extractMainContent($, selectors = []) {
+  stripBoilerplate($);
+
+  for (const selector of selectors) {
+    const element = $(selector).first();
+    if (element.length > 0) {
+      const content = blockText($, element);
+      if (content.length > MIN_SELECTOR_CHARS) {
+        return content;
+      }
+    }
+  }
+
+  const top = findTopCandidate($);
+  if (top) {
+    const content = collectArticleNodes($, top)
+      .map((node) =>
+        node.tagName === "p"
+          ? normalizeText($(node).text())
+          : blockText($, node)
+      )
+      .filter(Boolean)
+      .join("\n\n");
+    if (content.length > MIN_SELECTOR_CHARS) {
+      return content;
+    }
+  }
+
+  // Fallback: every paragraph that isn't mostly links
+  return $("p")
+    .filter((i, el) => linkDensity($, el) < 0.5)
+    .map((i, el) => normalizeText($(el).text()))
+    .get()
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Extract article text and metadata from a page
+ * @param {string} html - Page HTML
+ * @param {Object} options - { url: page URL, selectors: site-specific CSS selectors }
+ * @returns {Object} { content, metadata }
+ */
+function extractArticle(html, options = {}) {
+  const $ = cheerio.load(html);
+
+  // Metadata first: JSON-LD lives in script tags that extraction strips
+  const metadata = extractMetadata($, options.url);
+  const content = extractMainContent($, options.selectors || [])
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return { content, metadata };
+}
+
+module.exports = {
+  extractArticle,
+  extractMetadata,
+  extractMainContent,
+};
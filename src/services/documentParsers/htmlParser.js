@@ -0,0 +1,45 @@
+const cheerio = require("cheerio");
+const { extractArticle } = require("../contentExtractor");
+
+// Below this the article extractor missed the text, e.g. a page without <p>
+const MIN_ARTICLE_CHARS = 100;
+
+/**
+ * Visible text of the whole body, one block per line break
+ */
+const bodyText = (html) => {
+  const $ = cheerio.load(html);
+  $("script, style, noscript, template, svg, nav, header, footer").remove();
+  $("br").replaceWith("\n");
+  $("p, div, li, h1, h2, h3, h4, h5, h6, tr, blockquote, pre").after("\n\n");
+
+  return $("body")
+    .text()
+    .split(/\n\s*\n/)
+    .map((block) => block.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+};
+
+/**
+ * Saved web pages and HTML press releases, read with the article extractor
+ */
+const createHtmlParser = () => ({
+  type: "html",
+  extensions: [".html", ".htm", ".xhtml"],
+  mimeTypes: ["text/html", "application/xhtml+xml"],
+
+  async parse(buffer) {
+    const html = buffer.toString("utf8");
+    const { content, metadata } = extractArticle(html);
+
+    return {
+      title: metadata.title,
+      content: content.length >= MIN_ARTICLE_CHARS ? content : bodyText(html),
+      author: metadata.author,
+      publishedAt: metadata.publishedAt,
+    };
+  },
+});
+
+module.exports = createHtmlParser;
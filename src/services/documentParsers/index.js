@@ -0,0 +1,95 @@
+const path = require("path");
+const createHtmlParser = require("./htmlParser");
+const createMarkdownParser = require("./markdownParser");
+const createTextParser = require("./textParser");
+const createPdfParser = require("./pdfParser");
+
+/**
+ * Document parsers turn an uploaded file into
+ *   { type, title, content, author, publishedAt }
+ * where content is plain text with paragraphs separated by blank lines.
+ *
+ * The file extension decides the format; the declared MIME type is only
+ * used when the name has no known extension.
+ */
+const PARSERS = [
+  createHtmlParser(),
+  createMarkdownParser(),
+  createTextParser(),
+  createPdfParser(),
+];
+
+const DOCUMENT_TYPES = PARSERS.map((parser) => parser.type);
+
+const SUPPORTED_EXTENSIONS = PARSERS.flatMap((parser) => parser.extensions);
+
+/**
+ * Error carrying a code the upload controller maps to a status
+ */
+const documentError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Work out a file's format from its name, else its MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - Declared MIME type
+ * @returns {string|null} "html", "markdown", "text", "pdf", or null
+ */
+const detectDocumentType = (fileName = "", mimeType = "") => {
+  const extension = path.extname(fileName || "").toLowerCase();
+  const baseType = (mimeType || "").split(";")[0].trim().toLowerCase();
+
+  const parser =
+    PARSERS.find((candidate) => candidate.extensions.includes(extension)) ||
+    PARSERS.find((candidate) => candidate.mimeTypes.includes(baseType));
+  return parser ? parser.type : null;
+};
+
+/**
+ * Parse an uploaded file into plain text and metadata
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { fileName, mimeType }
+ * @returns {Object} { type, title, content, author, publishedAt }
+ */
+const parseDocument = async (buffer, options = {}) => {
+  const type = detectDocumentType(options.fileName, options.mimeType);
+
+  if (!type) {
+    throw documentError(
+      "UNSUPPORTED_DOCUMENT",
+      `Unsupported file type; expected one of: ${SUPPORTED_EXTENSIONS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const parser = PARSERS.find((candidate) => candidate.type === type);
+
+  let parsed;
+  try {
+    parsed = await parser.parse(buffer, options);
+  } catch (error) {
+    throw documentError(
+      "UNREADABLE_DOCUMENT",
+      `Could not read ${type} file: ${error.message}`
+    );
+  }
+
+  return {
+    type,
+    title: parsed.title || null,
+    content: (parsed.content || "").replace(/\n{3,}/g, "\n\n").trim(),
+    author: parsed.author || null,
+    publishedAt: parsed.publishedAt || null,
+  };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SUPPORTED_EXTENSIONS,
+  detectDocumentType,
+  parseDocument,
+};
@@ -0,0 +1,125 @@
+const toIsoDate = (value) => {
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+/**
+ * YAML front matter as flat "key: value" pairs; nested YAML is ignored
+ */
+const parseFrontMatter = (text) => {
+  const match = text.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)\n/);
+  if (!match) {
+    return { fields: {}, body: text };
+  }
+
+  const fields = {};
+  match[1].split("\n").forEach((line) => {
+    const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.+)$/);
+    if (field) {
+      fields[field[1].toLowerCase()] = field[2]
+        .trim()
+        .replace(/^(["'])(.*)\1$/, "$2");
+    }
+  });
+
+  return { fields, body: text.slice(match[0].length) };
+};
+
+/**
+ * Inline markup down to its text: links and images keep their label
+ */
+const stripInline = (line) =>
+  line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, "$2")
+    .replace(/~~(.+?)~~/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+
+/**
+ * Markdown source to plain paragraphs
+ */
+const markdownToText = (markdown) => {
+  const blocks = [];
+  let paragraph = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = paragraph.join(" ").replace(/\s+/g, " ").trim();
+    if (text) blocks.push(text);
+    paragraph = [];
+  };
+
+  for (const rawLine of markdown.split("\n")) {
+    // Code keeps its text; fences only delimit it
+    if (/^\s*(```|~~~)/.test(rawLine)) {
+      flush();
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      paragraph.push(rawLine);
+      continue;
+    }
+
+    // Link reference definitions, horizontal rules and table separators
+    if (
+      /^\s*\[[^\]]+\]:\s/.test(rawLine) ||
+      /^\s*([-*_])(\s*\1){2,}\s*$/.test(rawLine) ||
+      /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(rawLine)
+    ) {
+      flush();
+      continue;
+    }
+
+    const line = stripInline(
+      rawLine
+        .replace(/^\s{0,3}#{1,6}\s+/, "")
+        .replace(/\s+#+\s*$/, "")
+        .replace(/^\s*(>\s*)+/, "")
+        .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, "")
+        .replace(/\|/g, " ")
+    ).trim();
+
+    // Headings and list items stand alone; blank lines end a paragraph
+    if (!line) {
+      flush();
+    } else if (/^\s{0,3}(#{1,6}\s|[-*+]\s|\d+[.)]\s)/.test(rawLine)) {
+      flush();
+      paragraph.push(line);
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return blocks.join("\n\n");
+};
+
+/**
+ * Markdown files; the title comes from front matter or the first heading
+ */
+const createMarkdownParser = () => ({
+  type: "markdown",
+  extensions: [".md", ".markdown", ".mdown"],
+  mimeTypes: ["text/markdown", "text/x-markdown"],
+
+  async parse(buffer) {
+    const text = buffer.toString("utf8").replace(/\r\n?/g, "\n");
+    const { fields, body } = parseFrontMatter(text);
+    const heading = body.match(/^\s{0,3}#\s+(.+?)\s*#*\s*$/m);
+
+    return {
+      title: fields.title || (heading ? stripInline(heading[1]) : null),
+      content: markdownToText(body),
+      author: fields.author || null,
+      publishedAt: toIsoDate(fields.date || fields.published),
+    };
+  },
+});
+
+module.exports = createMarkdownParser;
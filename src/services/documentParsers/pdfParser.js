@@ -0,0 +1,47 @@
+const { PDFParse } = require("pdf-parse");
+
+const toIsoDate = (date) =>
+  date instanceof Date && !Number.isNaN(date.getTime())
+    ? date.toISOString()
+    : null;
+
+/**
+ * Text-layer PDFs. Scanned PDFs have no text to extract and come back
+ * empty; there is no OCR.
+ */
+const createPdfParser = () => ({
+  type: "pdf",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+
+  async parse(buffer) {
+    if (buffer.subarray(0, 5).toString("latin1") !== "%PDF-") {
+      throw new Error("File is not a PDF");
+    }
+
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const { text } = await parser.getText({ pageJoiner: "" });
+      const infoResult = await parser.getInfo();
+      const info = infoResult.info;
+      const dates = infoResult.getDateNode();
+
+      return {
+        title: info?.Title?.trim() || null,
+        // Lines within a paragraph are joined; blank lines separate them
+        content: text
+          .replace(/\r\n?/g, "\n")
+          .split(/\n\s*\n/)
+          .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+          .filter(Boolean)
+          .join("\n\n"),
+        author: info?.Author?.trim() || null,
+        publishedAt: toIsoDate(dates.CreationDate || dates.XmpCreateDate),
+      };
+    } finally {
+      await parser.destroy();
+    }
+  },
+});
+
+module.exports = createPdfParser;
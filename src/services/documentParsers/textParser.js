@@ -0,0 +1,37 @@
+// A first line longer than this is prose, not a title
+const MAX_TITLE_CHARS = 150;
+
+/**
+ * Paragraphs separated by blank lines, with runs of spaces collapsed
+ */
+const normalizeParagraphs = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/[ \t\f\v]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * Plain-text files; a short first line is taken as the title
+ */
+const createTextParser = () => ({
+  type: "text",
+  extensions: [".txt", ".text"],
+  mimeTypes: ["text/plain"],
+
+  async parse(buffer) {
+    const content = normalizeParagraphs(buffer.toString("utf8"));
+    const firstLine = content.split("\n")[0].trim();
+
+    return {
+      title:
+        firstLine && firstLine.length <= MAX_TITLE_CHARS ? firstLine : null,
+      content,
+      author: null,
+      publishedAt: null,
+    };
+  },
+});
+
+module.exports = createTextParser;
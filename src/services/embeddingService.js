@@ -1,5 +1,8 @@
-const axios = require("axios");
 const winston = require("winston");
+const {
+  getEmbeddingProvider,
+  describeEmbeddingProvider,
+} = require("./embeddings");
 
 // Create dedicated logger for embedding service
 const embeddingLogger = winston.createLogger({
@@ -18,13 +21,8 @@ const embeddingLogger = winston.createLogger({
   ],
 });
 
-const JINA_API_URL = "https://api.jina.ai/v1/embeddings";
-const JINA_MODEL = "jina-embeddings-v2-base-en";
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000;
-
 /**
- * Generate embedding for a single text using Jina AI
+ * Generate embedding for a single text (queries and documents alike)
  * @param {string} text - Text to embed
  * @returns {Array} Embedding vector
  */
@@ -33,109 +31,48 @@ async function generateEmbedding(text) {
     throw new Error("Text must be a non-empty string");
   }
 
-  if (!process.env.JINA_API_KEY) {
-    throw new Error("JINA_API_KEY environment variable is not set");
-  }
-
-  const cleanText = text.trim().substring(0, 8000); // Limit text length
-
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      embeddingLogger.info(
-        `Generating embedding (attempt ${attempt}/${MAX_RETRIES})`,
-        {
-          textLength: cleanText.length,
-          model: JINA_MODEL,
-        }
-      );
-
-      // Fixed: Remove encoding_format parameter
-      const response = await axios.post(
-        JINA_API_URL,
-        {
-          model: JINA_MODEL,
-          input: [cleanText],
-          // Removed encoding_format: 'float' - this was causing the 422 error
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${process.env.JINA_API_KEY}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 30000,
-        }
-      );
+  const provider = getEmbeddingProvider();
 
-      if (!response.data?.data?.[0]?.embedding) {
-        throw new Error("Invalid response format from Jina API");
-      }
-
-      const embedding = response.data.data[0].embedding;
-
-      embeddingLogger.info("Embedding generated successfully", {
-        embeddingDimension: embedding.length,
-        tokensUsed: response.data.usage?.total_tokens || "unknown",
-      });
-
-      return embedding;
-    } catch (error) {
-      embeddingLogger.error(
-        `Embedding generation failed (attempt ${attempt}/${MAX_RETRIES}):`,
-        {
-          message: error.message,
-          status: error.response?.status,
-          statusText: error.response?.statusText,
-          data: error.response?.data,
-        }
-      );
-
-      if (attempt === MAX_RETRIES) {
-        throw new Error(
-          `Failed to generate embedding after ${MAX_RETRIES} attempts: ${error.message}`
-        );
-      }
+  embeddingLogger.info("Generating embedding", {
+    textLength: text.length,
+    provider: describeEmbeddingProvider(provider),
+  });
 
-      // Wait before retrying
-      await new Promise((resolve) =>
-        setTimeout(resolve, RETRY_DELAY * attempt)
-      );
-    }
-  }
+  const [embedding] = await provider.embed([text]);
+  return embedding;
 }
 
 /**
  * Generate embeddings for multiple texts in batch
  * @param {Array} texts - Array of texts to embed
  * @param {number} batchSize - Batch size for processing
- * @returns {Array} Array of embedding vectors
+ * @returns {Array} Embedding vectors in input order; null where a text
+ *   could not be embedded
  */
-async function generateBatchEmbeddings(texts, batchSize = 10) {
+async function generateBatchEmbeddings(texts, batchSize) {
   if (!Array.isArray(texts) || texts.length === 0) {
     throw new Error("Texts must be a non-empty array");
   }
 
+  const provider = getEmbeddingProvider();
+  const size = batchSize || provider.batchSize || 10;
+
   embeddingLogger.info(`Starting batch embedding generation`, {
     totalTexts: texts.length,
-    batchSize,
-    model: JINA_MODEL,
+    batchSize: size,
+    provider: describeEmbeddingProvider(provider),
   });
 
   const allEmbeddings = [];
-  let processedCount = 0;
-
-  // Process in smaller batches to avoid rate limits
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    const cleanBatch = batch.map((text) =>
-      typeof text === "string"
-        ? text.trim().substring(0, 8000)
-        : String(text).substring(0, 8000)
-    );
+  let failedCount = 0;
+
+  for (let i = 0; i < texts.length; i += size) {
+    const batch = texts.slice(i, i + size);
 
     try {
       embeddingLogger.info(
-        `Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
-          texts.length / batchSize
+        `Processing batch ${Math.floor(i / size) + 1}/${Math.ceil(
+          texts.length / size
         )}`,
         {
           batchStart: i,
@@ -143,41 +80,7 @@ async function generateBatchEmbeddings(texts, batchSize = 10) {
         }
       );
 
-      // Fixed: Remove encoding_format parameter
-      const response = await axios.post(
-        JINA_API_URL,
-        {
-          model: JINA_MODEL,
-          input: cleanBatch,
-          // Removed encoding_format: 'float'
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${process.env.JINA_API_KEY}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 60000,
-        }
-      );
-
-      if (!response.data?.data || !Array.isArray(response.data.data)) {
-        throw new Error("Invalid batch response format from Jina API");
-      }
-
-      const batchEmbeddings = response.data.data.map((item) => item.embedding);
-      allEmbeddings.push(...batchEmbeddings);
-      processedCount += batch.length;
-
-      embeddingLogger.info(`Batch completed`, {
-        processedCount,
-        totalTexts: texts.length,
-        tokensUsed: response.data.usage?.total_tokens || "unknown",
-      });
-
-      // Rate limiting delay between batches
-      if (i + batchSize < texts.length) {
-        await new Promise((resolve) => setTimeout(resolve, 2000)); // Increased delay
-      }
+      allEmbeddings.push(...(await provider.embed(batch)));
     } catch (error) {
       embeddingLogger.error(
         `Batch embedding failed for batch starting at index ${i}:`,
@@ -194,52 +97,77 @@ async function generateBatchEmbeddings(texts, batchSize = 10) {
       );
       for (const text of batch) {
         try {
-          const embedding = await generateEmbedding(text);
+          const [embedding] = await provider.embed([text]);
           allEmbeddings.push(embedding);
-          processedCount++;
-
-          // Delay between individual requests
-          await new Promise((resolve) => setTimeout(resolve, 500));
         } catch (individualError) {
           embeddingLogger.error(
             "Individual embedding also failed:",
             individualError.message
           );
-          // Use zero vector as fallback
-          allEmbeddings.push(new Array(768).fill(0));
-          processedCount++;
+          // Callers skip these rather than storing meaningless vectors
+          allEmbeddings.push(null);
+          failedCount++;
         }
       }
     }
   }
 
   embeddingLogger.info(`Batch embedding generation completed`, {
-    totalProcessed: processedCount,
-    successfulEmbeddings: allEmbeddings.length,
-    averageEmbeddingLength:
-      allEmbeddings.length > 0 ? allEmbeddings[0].length : 0,
+    totalProcessed: texts.length,
+    successfulEmbeddings: texts.length - failedCount,
+    failedEmbeddings: failedCount,
+    embeddingDimension: provider.dimension,
   });
 
   return allEmbeddings;
 }
 
 /**
- * Test Jina API connection
+ * Fail fast when the configured embedding dimension doesn't match the
+ * vector collection, instead of failing on every upsert and search
+ * @param {number} collectionDimension - Vector size of the collection
+ * @param {string} collectionName - Collection name for the error message
  */
-async function testJinaConnection() {
+function verifyEmbeddingDimension(collectionDimension, collectionName) {
+  const provider = getEmbeddingProvider();
+
+  if (collectionDimension !== provider.dimension) {
+    throw new Error(
+      `Embedding dimension mismatch: ${describeEmbeddingProvider(
+        provider
+      )} produces ${provider.dimension}-dimensional vectors but collection ` +
+        `'${collectionName}' stores ${collectionDimension}. Use a matching ` +
+        `EMBEDDING_PROVIDER/EMBEDDING_MODEL or re-create the collection.`
+    );
+  }
+
+  embeddingLogger.info("✅ Embedding dimension matches collection", {
+    provider: describeEmbeddingProvider(provider),
+    dimension: provider.dimension,
+    collection: collectionName,
+  });
+}
+
+/**
+ * Test the embedding provider connection
+ */
+async function testEmbeddingConnection() {
   try {
-    embeddingLogger.info("Testing Jina API connection...");
+    embeddingLogger.info("Testing embedding provider connection...");
 
     const testEmbedding = await generateEmbedding("Hello world test");
 
-    embeddingLogger.info("✅ Jina API connection successful", {
+    embeddingLogger.info("✅ Embedding provider connection successful", {
+      provider: describeEmbeddingProvider(),
       embeddingDimension: testEmbedding.length,
-      sampleValues: testEmbedding.slice(0, 5),
     });
 
     return true;
   } catch (error) {
-    embeddingLogger.error("❌ Jina API connection failed:", error.message);
+    embeddingLogger.error(
+      "❌ Embedding provider connection failed:",
+      error.message
+    );
     return false;
   }
 }
@@ -247,6 +175,6 @@ async function testJinaConnection() {
 module.exports = {
   generateEmbedding,
   generateBatchEmbeddings,
-  testJinaConnection,
-  JINA_MODEL,
+  verifyEmbeddingDimension,
+  testEmbeddingConnection,
 };
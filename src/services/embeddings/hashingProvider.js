@@ -0,0 +1,50 @@
+const { tokenize, fnv1a } = require("../lexicalIndexService");
+
+/**
+ * Offline embedding provider using the hashing trick.
+ *
+ * Unigrams and bigrams are hashed into a fixed number of signed buckets
+ * with sublinear term frequency, then L2-normalised so cosine similarity
+ * behaves like TF weighted keyword overlap. No network, no model files,
+ * and the same text always produces the same vector.
+ *
+ * @param {Object} config - { dimension }
+ */
+const createHashingProvider = (config) => {
+  const dimension = config.dimension;
+
+  const embedOne = (text) => {
+    const tokens = tokenize(text);
+    const features = new Map();
+
+    tokens.forEach((token, i) => {
+      features.set(token, (features.get(token) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${tokens[i - 1]} ${token}`;
+        features.set(bigram, (features.get(bigram) || 0) + 0.5);
+      }
+    });
+
+    const vector = new Array(dimension).fill(0);
+    features.forEach((count, feature) => {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % dimension] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+  };
+
+  return {
+    name: "hashing",
+    model: `hashing-${dimension}`,
+    dimension,
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+};
+
+module.exports = createHashingProvider;
@@ -0,0 +1,253 @@
+const winston = require("winston");
+const createJinaProvider = require("./jinaProvider");
+const createOpenAICompatibleProvider = require("./openAICompatibleProvider");
+const createHashingProvider = require("./hashingProvider");
+
+// Create dedicated logger
+const embeddingLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Defaults per provider; EMBEDDING_MODEL / EMBEDDING_DIMENSION override them
+const PROVIDER_DEFAULTS = {
+  jina: { model: "jina-embeddings-v2-base-en", dimension: 768 },
+  openai: {
+    model: "text-embedding-3-small",
+    dimension: 1536,
+    baseURL: "https://api.openai.com/v1",
+  },
+  ollama: {
+    model: "nomic-embed-text",
+    dimension: 768,
+    baseURL: "http://localhost:11434/v1",
+  },
+  llamacpp: {
+    model: "default",
+    dimension: 768,
+    baseURL: "http://localhost:8080/v1",
+  },
+  hashing: { model: "hashing", dimension: 768 },
+};
+
+/**
+ * Resolve provider configuration from the environment
+ */
+const getEmbeddingConfig = (
+  name = process.env.EMBEDDING_PROVIDER ||
+    (process.env.JINA_API_KEY ? "jina" : "hashing")
+) => {
+  const defaults = PROVIDER_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(
+      `Unknown embedding provider "${name}". Use one of: ${Object.keys(
+        PROVIDER_DEFAULTS
+      ).join(", ")}`
+    );
+  }
+
+  const explicitDimension = parseInt(process.env.EMBEDDING_DIMENSION);
+
+  return {
+    name,
+    model: process.env.EMBEDDING_MODEL || defaults.model,
+    dimension: explicitDimension || defaults.dimension,
+    requestDimensions: name === "openai" && Boolean(explicitDimension),
+    baseURL: process.env.EMBEDDING_BASE_URL || defaults.baseURL,
+    apiKey:
+      name === "jina"
+        ? process.env.JINA_API_KEY
+        : process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+    timeout: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 30000,
+    maxRetries: parseInt(process.env.EMBEDDING_MAX_RETRIES) || 3,
+    retryDelay: parseInt(process.env.EMBEDDING_RETRY_DELAY_MS) || 1000,
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 10,
+    maxInputChars: parseInt(process.env.EMBEDDING_MAX_INPUT_CHARS) || 8000,
+  };
+};
+
+/**
+ * Errors worth retrying: timeouts, network failures, 429 and 5xx
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return true;
+};
+
+/**
+ * Wrap a raw provider with the shared input cleanup, timeout, retry and
+ * dimension checks, so every backend behaves the same way for callers.
+ */
+const withPolicy = (raw, config) => ({
+  name: raw.name,
+  model: raw.model,
+  dimension: raw.dimension,
+  batchSize: config.batchSize,
+
+  async embed(texts) {
+    const input = texts.map((text) =>
+      String(text ?? "")
+        .trim()
+        .substring(0, config.maxInputChars)
+    );
+
+    for (let attempt = 1; attempt <= config.maxRetries; attempt++) {
+      try {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+          timer = setTimeout(
+            () =>
+              reject(
+                new Error(
+                  `${raw.name} embedding timed out after ${config.timeout}ms`
+                )
+              ),
+            config.timeout
+          );
+        });
+
+        const vectors = await Promise.race([raw.embed(input), timeout]).finally(
+          () => clearTimeout(timer)
+        );
+
+        if (!Array.isArray(vectors) || vectors.length !== input.length) {
+          throw new Error(
+            `${raw.name} returned ${vectors?.length ?? 0} embeddings for ${
+              input.length
+            } inputs`
+          );
+        }
+
+        const wrongSize = vectors.find(
+          (vector) => !Array.isArray(vector) || vector.length !== raw.dimension
+        );
+        if (wrongSize) {
+          const error = new Error(
+            `${raw.name}/${raw.model} returned ${
+              wrongSize?.length ?? 0
+            }-dimensional embeddings, expected ${
+              raw.dimension
+            } (set EMBEDDING_DIMENSION)`
+          );
+          error.retryable = false;
+          throw error;
+        }
+
+        return vectors;
+      } catch (error) {
+        embeddingLogger.error(
+          `Embedding failed (attempt ${attempt}/${config.maxRetries}):`,
+          {
+            provider: raw.name,
+            message: error.message,
+            status: error.response?.status,
+            inputs: input.length,
+          }
+        );
+
+        if (
+          attempt === config.maxRetries ||
+          error.retryable === false ||
+          !isRetryable(error)
+        ) {
+          throw new Error(
+            `Failed to generate embeddings with ${raw.name}: ${error.message}`
+          );
+        }
+
+        await new Promise((resolve) =>
+          setTimeout(resolve, config.retryDelay * attempt)
+        );
+      }
+    }
+  },
+});
+
+/**
+ * Create an embedding provider.
+ *
+ * Every provider exposes:
+ * - name, model, dimension, batchSize
+ * - embed(texts) -> Promise<Array<Array<number>>>, one vector per text
+ */
+const createEmbeddingProvider = (config = getEmbeddingConfig()) => {
+  let raw;
+
+  switch (config.name) {
+    case "jina":
+      raw = createJinaProvider(config);
+      break;
+    case "openai":
+    case "ollama":
+    case "llamacpp":
+      raw = createOpenAICompatibleProvider(config);
+      break;
+    case "hashing":
+      raw = createHashingProvider(config);
+      break;
+    default:
+      throw new Error(`Unknown embedding provider "${config.name}"`);
+  }
+
+  return withPolicy(raw, config);
+};
+
+let provider;
+
+/**
+ * Get the configured provider (created once per process)
+ */
+const getEmbeddingProvider = () => {
+  if (!provider) {
+    const config = getEmbeddingConfig();
+    provider = createEmbeddingProvider(config);
+
+    if (config.name === "hashing" && !process.env.EMBEDDING_PROVIDER) {
+      embeddingLogger.warn(
+        "JINA_API_KEY not set, using offline hashing embeddings"
+      );
+    }
+
+    embeddingLogger.info("Embedding provider initialized", {
+      provider: provider.name,
+      model: provider.model,
+      dimension: provider.dimension,
+    });
+  }
+  return provider;
+};
+
+/**
+ * Override the process-wide provider (tests, scripts)
+ */
+const setEmbeddingProvider = (instance) => {
+  provider = instance;
+};
+
+/**
+ * Label used in logs and health output, e.g. "jina/jina-embeddings-v2-base-en"
+ */
+const describeEmbeddingProvider = (instance = getEmbeddingProvider()) =>
+  `${instance.name}/${instance.model}`;
+
+module.exports = {
+  getEmbeddingConfig,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  describeEmbeddingProvider,
+};
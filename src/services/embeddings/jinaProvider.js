@@ -0,0 +1,45 @@
+const axios = require("axios");
+
+/**
+ * Jina AI embedding provider
+ * @param {Object} config - { apiKey, model, dimension, timeout }
+ */
+const createJinaProvider = (config) => {
+  if (!config.apiKey) {
+    throw new Error("JINA_API_KEY environment variable is not set");
+  }
+
+  const client = axios.create({
+    baseURL: config.baseURL || "https://api.jina.ai/v1",
+    timeout: config.timeout,
+    headers: {
+      Authorization: `Bearer ${config.apiKey}`,
+      "Content-Type": "application/json",
+    },
+  });
+
+  return {
+    name: "jina",
+    model: config.model,
+    dimension: config.dimension,
+
+    async embed(texts) {
+      // No encoding_format: the API answers 422 for some models when it is set
+      const response = await client.post("/embeddings", {
+        model: config.model,
+        input: texts,
+      });
+
+      if (!Array.isArray(response.data?.data)) {
+        throw new Error("Invalid response format from Jina API");
+      }
+
+      return response.data.data
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map((item) => item.embedding);
+    },
+  };
+};
+
+module.exports = createJinaProvider;
@@ -0,0 +1,48 @@
+const axios = require("axios");
+
+/**
+ * Embedding provider for OpenAI-compatible /embeddings APIs.
+ * Covers OpenAI itself, Ollama (/v1) and llama.cpp server (--embeddings).
+ *
+ * @param {Object} config - { name, baseURL, apiKey, model, dimension, timeout }
+ */
+const createOpenAICompatibleProvider = (config) => {
+  const headers = { "Content-Type": "application/json" };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const client = axios.create({
+    baseURL: config.baseURL.replace(/\/+$/, ""),
+    timeout: config.timeout,
+    headers,
+  });
+
+  return {
+    name: config.name,
+    model: config.model,
+    dimension: config.dimension,
+
+    async embed(texts) {
+      const body = { model: config.model, input: texts };
+
+      // Only OpenAI's text-embedding-3 models accept a reduced dimension
+      if (config.requestDimensions) {
+        body.dimensions = config.dimension;
+      }
+
+      const response = await client.post("/embeddings", body);
+
+      if (!Array.isArray(response.data?.data)) {
+        throw new Error(`Invalid response format from ${config.name} API`);
+      }
+
+      return response.data.data
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map((item) => item.embedding);
+    },
+  };
+};
+
+module.exports = createOpenAICompatibleProvider;
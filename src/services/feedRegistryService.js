@@ -0,0 +1,212 @@
+const winston = require("winston");
+const { getDatabase } = require("../config/database");
+
+// Create dedicated logger
+const registryLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Default RSS feeds - high quality news sources
+const DEFAULT_RSS_FEEDS = [
+  "https://rss.cnn.com/rss/edition.rss",
+  "https://feeds.reuters.com/reuters/topNews",
+  "https://feeds.bbci.co.uk/news/world/rss.xml",
+  "https://feeds.npr.org/1001/rss.xml",
+  "https://feeds.washingtonpost.com/rss/world",
+  "https://feeds.nbcnews.com/nbcnews/public/world",
+  "https://feeds.abcnews.com/abcnews/topstories",
+];
+
+// Used without Postgres, and to seed a new registry
+const RSS_FEEDS = process.env.RSS_FEEDS
+  ? process.env.RSS_FEEDS.split(",").map((feed) => feed.trim())
+  : DEFAULT_RSS_FEEDS;
+
+/**
+ * Feed model, or null when Postgres is not configured
+ */
+const getFeedModel = () => getDatabase()?.models?.Feed || null;
+
+/**
+ * Feed model for registry edits; those need Postgres
+ */
+const requireFeedModel = () => {
+  const Feed = getFeedModel();
+  if (!Feed) {
+    const error = new Error("Feed registry requires a configured database");
+    error.code = "REGISTRY_DISABLED";
+    throw error;
+  }
+  return Feed;
+};
+
+/**
+ * Whether feeds are read from the Postgres registry
+ */
+const isRegistryEnabled = () => Boolean(getFeedModel());
+
+/**
+ * Plain feed settings as used by ingestion
+ */
+const toFeedConfig = (feed) => ({
+  id: feed.id || null,
+  url: feed.url,
+  name: feed.name || null,
+  enabled: feed.enabled !== false,
+  pollIntervalMinutes: feed.pollIntervalMinutes || null,
+  maxArticles: feed.maxArticles || null,
+  categories: feed.categories || [],
+  contentSelectors: feed.contentSelectors || [],
+  createdAt: feed.createdAt || null,
+  updatedAt: feed.updatedAt || null,
+});
+
+/**
+ * Feeds from RSS_FEEDS / the defaults, with no per-feed settings
+ */
+const getEnvironmentFeeds = () =>
+  RSS_FEEDS.map((url) => toFeedConfig({ url }));
+
+// app_settings key recording that the registry was seeded
+const SEEDED_SETTING = "feedRegistrySeeded";
+
+/**
+ * Fill a new registry with the RSS_FEEDS / default feeds, once. A flag in
+ * app_settings records the seeding, so a registry an admin emptied stays
+ * empty across restarts. A registry that already has feeds is only flagged.
+ * @returns {number} Number of feeds added
+ */
+const seedFeedRegistry = async () => {
+  const Feed = getFeedModel();
+  if (!Feed) {
+    return 0;
+  }
+
+  const database = getDatabase();
+  const { Setting } = database.models;
+
+  // The API and the worker may start together; the flag row decides
+  // which of them seeds, and rolls back with the feeds if seeding fails
+  return database.transaction(async (transaction) => {
+    const [, created] = await Setting.findOrCreate({
+      where: { key: SEEDED_SETTING },
+      defaults: { value: { seededAt: new Date().toISOString() } },
+      transaction,
+    });
+
+    if (!created || (await Feed.count({ transaction })) > 0) {
+      return 0;
+    }
+
+    await Feed.bulkCreate(RSS_FEEDS.map((url) => ({ url })), {
+      ignoreDuplicates: true,
+      transaction,
+    });
+
+    registryLogger.info(`Feed registry seeded with ${RSS_FEEDS.length} feeds`);
+    return RSS_FEEDS.length;
+  });
+};
+
+/**
+ * Feeds ingestion should poll: enabled registry feeds, or the
+ * environment feeds when Postgres is not configured
+ * @returns {Array} Feed settings
+ */
+const getActiveFeeds = async () => {
+  const Feed = getFeedModel();
+  if (!Feed) {
+    return getEnvironmentFeeds();
+  }
+
+  const feeds = await Feed.findAll({
+    where: { enabled: true },
+    order: [["createdAt", "ASC"]],
+  });
+  return feeds.map(toFeedConfig);
+};
+
+/**
+ * Registry feeds, optionally only enabled or disabled ones
+ * @param {Object} options - { enabled }
+ */
+const listFeeds = async ({ enabled } = {}) => {
+  const feeds = await requireFeedModel().findAll({
+    where: enabled === undefined ? {} : { enabled },
+    order: [["createdAt", "ASC"]],
+  });
+  return feeds.map(toFeedConfig);
+};
+
+/**
+ * One registry feed, or null
+ */
+const getFeed = async (id) => {
+  const feed = await requireFeedModel().findByPk(id);
+  return feed ? toFeedConfig(feed) : null;
+};
+
+/**
+ * Add a feed to the registry
+ * @param {Object} data - Feed settings (url required)
+ */
+const createFeed = async (data) => {
+  const feed = await requireFeedModel().create(data);
+  registryLogger.info(`Feed added: ${feed.url}`, { feedId: feed.id });
+  return toFeedConfig(feed);
+};
+
+/**
+ * Change a feed's settings
+ * @returns {Object|null} Updated feed, or null when it doesn't exist
+ */
+const updateFeed = async (id, data) => {
+  const feed = await requireFeedModel().findByPk(id);
+  if (!feed) {
+    return null;
+  }
+
+  await feed.update(data);
+  registryLogger.info(`Feed updated: ${feed.url}`, {
+    feedId: id,
+    fields: Object.keys(data),
+  });
+  return toFeedConfig(feed);
+};
+
+/**
+ * Remove a feed from the registry (stored articles are kept)
+ * @returns {boolean} Whether a feed was deleted
+ */
+const deleteFeed = async (id) => {
+  const deleted = await requireFeedModel().destroy({ where: { id } });
+  if (deleted > 0) {
+    registryLogger.info(`Feed deleted: ${id}`);
+  }
+  return deleted > 0;
+};
+
+module.exports = {
+  DEFAULT_RSS_FEEDS,
+  RSS_FEEDS,
+  isRegistryEnabled,
+  seedFeedRegistry,
+  getActiveFeeds,
+  listFeeds,
+  getFeed,
+  createFeed,
+  updateFeed,
+  deleteFeed,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const winston = require("winston");
+const { getRedisClient } = require("../config/redis");
+
+// Create dedicated logger
+const feedStateLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Seen item ids are scored by when they were first seen and trimmed on
+// every write, so a busy feed's set stays bounded; feeds rarely republish
+// items older than the retention window
+const SEEN_CONFIG = {
+  retentionMs:
+    (parseInt(process.env.INGEST_SEEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  maxItems: parseInt(process.env.INGEST_SEEN_MAX_ITEMS) || 10000,
+};
+
+const feedHash = (feedUrl) =>
+  crypto.createHash("sha1").update(feedUrl).digest("hex");
+
+const stateKey = (feedUrl) => `ingest:feed:${feedHash(feedUrl)}`;
+// Sorted set (id -> first-seen ms). The older plain sets under
+// ingest:seen:<hash> carried a TTL and expire on their own.
+const seenKey = (feedUrl) => `ingest:seen-at:${feedHash(feedUrl)}`;
+
+/**
+ * Load the stored fetch state for a feed
+ * @param {string} feedUrl - Feed URL
+ * @returns {Object} { etag, lastModified, lastCheckedAt, lastIngestedAt }
+ */
+const getFeedState = async (feedUrl) => {
+  const stored = await getRedisClient().hgetall(stateKey(feedUrl));
+
+  return {
+    etag: stored.etag || null,
+    lastModified: stored.lastModified || null,
+    lastCheckedAt: stored.lastCheckedAt || null,
+    lastIngestedAt: stored.lastIngestedAt || null,
+  };
+};
+
+/**
+ * Merge fetch state for a feed; null/undefined fields are left untouched
+ * @param {string} feedUrl - Feed URL
+ * @param {Object} state - Fields to store
+ */
+const saveFeedState = async (feedUrl, state) => {
+  const fields = Object.fromEntries(
+    Object.entries({ url: feedUrl, ...state }).filter(
+      ([, value]) => value !== null && value !== undefined
+    )
+  );
+
+  await getRedisClient().hset(stateKey(feedUrl), fields);
+};
+
+/**
+ * Drop stored validators and seen items so the next poll starts fresh
+ * @param {string} feedUrl - Feed URL
+ */
+const resetFeedState = async (feedUrl) => {
+  await getRedisClient().del(stateKey(feedUrl), seenKey(feedUrl));
+  feedStateLogger.info(`Feed state reset: ${feedUrl}`);
+};
+
+/**
+ * Filter item ids down to the ones not ingested before
+ * @param {string} feedUrl - Feed URL
+ * @param {Array<string>} itemIds - Item ids (guid or link)
+ * @returns {Array<string>} Ids that have not been seen
+ */
+const filterUnseenItems = async (feedUrl, itemIds) => {
+  if (itemIds.length === 0) {
+    return [];
+  }
+
+  const scores = await getRedisClient().zmscore(seenKey(feedUrl), ...itemIds);
+  return itemIds.filter((id, index) => scores[index] === null);
+};
+
+/**
+ * Record items as seen so later polls skip them, then drop ids older than
+ * the retention window and the oldest ids beyond the size cap
+ * @param {string} feedUrl - Feed URL
+ * @param {Array<string>} itemIds - Item ids (guid or link)
+ */
+const markItemsSeen = async (feedUrl, itemIds) => {
+  if (itemIds.length === 0) {
+    return;
+  }
+
+  const key = seenKey(feedUrl);
+  const now = Date.now();
+
+  // NX keeps the first-seen time of ids that are already there
+  await getRedisClient()
+    .multi()
+    .zadd(key, "NX", ...itemIds.flatMap((id) => [now, id]))
+    .zremrangebyscore(key, "-inf", `(${now - SEEN_CONFIG.retentionMs}`)
+    .zremrangebyrank(key, 0, -SEEN_CONFIG.maxItems - 1)
+    // Once a feed stops being polled every id ages out of the window, so
+    // the whole key can go then
+    .pexpire(key, SEEN_CONFIG.retentionMs)
+    .exec();
+
+  feedStateLogger.info(`Feed items marked seen: ${feedUrl}`, {
+    count: itemIds.length,
+  });
+};
+
+module.exports = {
+  SEEN_CONFIG,
+  getFeedState,
+  saveFeedState,
+  resetFeedState,
+  filterUnseenItems,
+  markItemsSeen,
+};
@@ -0,0 +1,133 @@
+const winston = require("winston");
+const { searchVectors, searchKeywords } = require("./vectorStore");
+
+// Create dedicated logger
+const hybridLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Fusion configuration
+const HYBRID_CONFIG = {
+  enabled: process.env.HYBRID_SEARCH !== "false",
+  denseWeight: parseFloat(process.env.HYBRID_DENSE_WEIGHT || "1"),
+  lexicalWeight: parseFloat(process.env.HYBRID_LEXICAL_WEIGHT || "1"),
+  rrfK: parseInt(process.env.RRF_K) || 60,
+  // Kept low: the reranker decides relevance among the over-fetched candidates
+  denseScoreThreshold: parseFloat(process.env.DENSE_SCORE_THRESHOLD || "0.5"),
+};
+
+/**
+ * Fuse ranked result lists with weighted reciprocal rank fusion:
+ * score(d) = sum over retrievers r of weight_r / (k + rank_r(d))
+ *
+ * @param {Object} rankings - { retrieverName: [{ id, score, payload }] }
+ * @param {Object} weights - { retrieverName: weight }
+ * @param {number} k - RRF damping constant
+ * @returns {Array} Fused results with per-retriever scores, best first
+ */
+const reciprocalRankFusion = (rankings, weights = {}, k = HYBRID_CONFIG.rrfK) => {
+  const fused = new Map();
+
+  Object.entries(rankings).forEach(([retriever, results]) => {
+    const weight = weights[retriever] ?? 1;
+
+    (results || []).forEach((result, rank) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, {
+          id: result.id,
+          score: 0,
+          payload: result.payload || {},
+          retrievers: [],
+          retrieverScores: {},
+        });
+      }
+
+      const entry = fused.get(result.id);
+      if (Object.keys(entry.payload).length === 0 && result.payload) {
+        entry.payload = result.payload;
+      }
+      entry.score += weight / (k + rank + 1);
+      entry.retrievers.push(retriever);
+      entry.retrieverScores[retriever] = result.score;
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Run dense and lexical retrieval and fuse the rankings
+ * @param {string} queryText - Query used for keyword matching
+ * @param {Array|null} embedding - Query embedding; null skips vector search
+ * @param {Object} options - { limit, filter } (filter is a Qdrant filter)
+ * @returns {Array} Fused chunk results
+ */
+const hybridSearch = async (
+  queryText,
+  embedding,
+  { limit = 15, filter = null } = {}
+) => {
+  const [denseResults, lexicalResults] = await Promise.all([
+    embedding
+      ? searchVectors(
+          embedding,
+          limit,
+          HYBRID_CONFIG.denseScoreThreshold,
+          filter
+        ).catch((error) => {
+          // Keep answering from keyword results when vector search fails
+          hybridLogger.error("Vector search failed, using keyword results", {
+            error: error.message,
+          });
+          return [];
+        })
+      : Promise.resolve([]),
+    HYBRID_CONFIG.enabled
+      ? searchKeywords(queryText, limit, filter).catch((error) => {
+          hybridLogger.error("Keyword search failed, using vector results", {
+            error: error.message,
+          });
+          return [];
+        })
+      : Promise.resolve([]),
+  ]);
+
+  const dense = (denseResults || []).filter(
+    (result) => result.score >= HYBRID_CONFIG.denseScoreThreshold
+  );
+
+  const fused = reciprocalRankFusion(
+    { dense, lexical: lexicalResults },
+    {
+      dense: HYBRID_CONFIG.denseWeight,
+      lexical: HYBRID_CONFIG.lexicalWeight,
+    }
+  ).slice(0, limit);
+
+  hybridLogger.info("Hybrid search completed", {
+    denseResults: dense.length,
+    lexicalResults: lexicalResults.length,
+    fusedResults: fused.length,
+    overlap: fused.filter((r) => r.retrievers.length > 1).length,
+  });
+
+  return fused;
+};
+
+module.exports = {
+  hybridSearch,
+  reciprocalRankFusion,
+  HYBRID_CONFIG,
+};
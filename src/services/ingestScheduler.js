@@ -0,0 +1,387 @@
+const winston = require("winston");
+const {
+  fetchFeed,
+  articleResultsFromItems,
+  ingestArticles,
+} = require("./newsIngestService");
+const { getActiveFeeds } = require("./feedRegistryService");
+const {
+  getFeedState,
+  saveFeedState,
+  filterUnseenItems,
+  markItemsSeen,
+} = require("./feedStateService");
+
+// Create dedicated logger
+const schedulerLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+/**
+ * Parse INGEST_FEED_INTERVALS ("<url>=<minutes>,<url>=<minutes>")
+ */
+const parseFeedIntervals = (value) =>
+  Object.fromEntries(
+    (value || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.lastIndexOf("=");
+        return [
+          entry.slice(0, separator).trim(),
+          parseFloat(entry.slice(separator + 1)),
+        ];
+      })
+      .filter(([url, minutes]) => url && minutes > 0)
+  );
+
+const SCHEDULER_CONFIG = {
+  inProcess: process.env.INGEST_SCHEDULER === "true",
+  intervalMinutes: parseFloat(process.env.INGEST_INTERVAL_MINUTES) || 30,
+  maxItemsPerPoll: parseInt(process.env.INGEST_MAX_ITEMS_PER_POLL) || 20,
+  feedIntervals: parseFeedIntervals(process.env.INGEST_FEED_INTERVALS),
+  // How often registry edits made elsewhere (e.g. from the API while this
+  // runs as a worker) are picked up
+  registryRefreshMinutes:
+    parseFloat(process.env.INGEST_REGISTRY_REFRESH_MINUTES) || 5,
+};
+
+/**
+ * Feeds to poll from the registry, each with its own interval
+ * @returns {Array} Feed settings plus intervalMinutes
+ */
+const getScheduledFeeds = async () =>
+  (await getActiveFeeds()).map((feed) => ({
+    ...feed,
+    intervalMinutes:
+      feed.pollIntervalMinutes ||
+      SCHEDULER_CONFIG.feedIntervals[feed.url] ||
+      SCHEDULER_CONFIG.intervalMinutes,
+  }));
+
+/**
+ * Poll one feed: conditional fetch, keep unseen items, ingest them
+ * @param {Object} feed - Feed settings ({ url, maxArticles, ... })
+ * @returns {Object} Poll result ({ status, ... })
+ */
+const pollFeed = async (feed) => {
+  const startTime = Date.now();
+  const maxItems = feed.maxArticles || SCHEDULER_CONFIG.maxItemsPerPoll;
+  const state = await getFeedState(feed.url);
+  const checkedAt = new Date().toISOString();
+
+  const response = await fetchFeed(feed.url, state);
+
+  if (response.notModified) {
+    await saveFeedState(feed.url, { lastCheckedAt: checkedAt });
+    schedulerLogger.info(`Feed not modified: ${feed.url}`);
+    return { status: "not_modified", newItems: 0, ingested: 0 };
+  }
+
+  const items = response.feed.items
+    .filter((item) => item.link && typeof item.link === "string")
+    .map((item) => ({ item, itemId: item.guid || item.link }));
+
+  const unseenIds = new Set(
+    await filterUnseenItems(feed.url, items.map(({ itemId }) => itemId))
+  );
+  const fresh = items
+    .filter(({ itemId }) => unseenIds.has(itemId))
+    .slice(0, maxItems);
+
+  let ingested = 0;
+  let retrying = 0;
+  if (fresh.length > 0) {
+    const results = await articleResultsFromItems(
+      fresh.map(({ item }) => item),
+      response.feed,
+      feed
+    );
+    const articles = results.map(({ article }) => article).filter(Boolean);
+
+    if (articles.length > 0) {
+      const { statistics } = await ingestArticles(articles);
+      ingested = statistics.newArticles + statistics.updatedArticles;
+    }
+
+    // Pages that failed for good (4xx, robots.txt, no content) are marked
+    // too, so a broken article isn't re-fetched on every poll. Temporary
+    // failures stay unseen and are retried next time.
+    const done = fresh.filter(
+      (entry, index) => results[index].article || !results[index].retryable
+    );
+    retrying = fresh.length - done.length;
+    await markItemsSeen(feed.url, done.map(({ itemId }) => itemId));
+  }
+
+  // Validators are only stored once the items are safely ingested, so a
+  // failed run re-downloads the feed next time instead of getting a 304
+  await saveFeedState(feed.url, {
+    etag: response.etag,
+    lastModified: response.lastModified,
+    lastCheckedAt: checkedAt,
+    lastIngestedAt: ingested > 0 ? new Date().toISOString() : null,
+  });
+
+  const result = {
+    status: "fetched",
+    totalItems: items.length,
+    newItems: fresh.length,
+    ingested,
+    retrying,
+    processingTime: Date.now() - startTime,
+  };
+
+  schedulerLogger.info(`Feed polled: ${feed.url}`, result);
+  return result;
+};
+
+/**
+ * Create a scheduler that re-polls each feed on its own interval.
+ * Polls run one at a time so feeds never embed and upsert concurrently.
+ * @param {Object} options - { feeds }: fixed feed list instead of the registry
+ * @returns {Object} { start, stop, reload, pollNow, getStatus }
+ */
+const createIngestScheduler = (options = {}) => {
+  const feeds = new Map();
+
+  let queue = Promise.resolve();
+  let started = false;
+  let refreshTimer = null;
+
+  const runFeed = (feed) => {
+    if (feed.running) {
+      return queue;
+    }
+    feed.running = true;
+
+    queue = queue.then(async () => {
+      try {
+        feed.lastResult = await pollFeed(feed);
+      } catch (error) {
+        feed.lastResult = { status: "error", error: error.message };
+        schedulerLogger.error(`Feed poll failed: ${feed.url}`, {
+          error: error.message,
+        });
+      } finally {
+        feed.running = false;
+        feed.lastRunAt = new Date().toISOString();
+      }
+    });
+
+    return queue;
+  };
+
+  const scheduleFeed = (feed, delayMs) => {
+    clearTimeout(feed.timer);
+    feed.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    feed.timer = setTimeout(async () => {
+      await runFeed(feed);
+      if (started && feeds.get(feed.url) === feed) {
+        scheduleFeed(feed, feed.intervalMinutes * 60 * 1000);
+      }
+    }, delayMs);
+  };
+
+  const unscheduleFeed = (feed) => {
+    clearTimeout(feed.timer);
+    feed.timer = null;
+    feed.nextRunAt = null;
+  };
+
+  /**
+   * Sync the scheduled feeds with a feed list: new feeds poll right away,
+   * removed or disabled ones stop, changed intervals are rescheduled
+   */
+  const applyFeeds = (list) => {
+    const urls = new Set(list.map((feed) => feed.url));
+
+    for (const [url, feed] of feeds) {
+      if (!urls.has(url)) {
+        unscheduleFeed(feed);
+        feeds.delete(url);
+      }
+    }
+
+    for (const settings of list) {
+      const intervalMinutes =
+        settings.intervalMinutes || SCHEDULER_CONFIG.intervalMinutes;
+      const existing = feeds.get(settings.url);
+
+      if (!existing) {
+        const feed = {
+          ...settings,
+          intervalMinutes,
+          timer: null,
+          running: false,
+          lastRunAt: null,
+          lastResult: null,
+          nextRunAt: null,
+        };
+        feeds.set(settings.url, feed);
+        if (started) scheduleFeed(feed, 0);
+        continue;
+      }
+
+      const intervalChanged = existing.intervalMinutes !== intervalMinutes;
+      Object.assign(existing, settings, { intervalMinutes });
+
+      if (started && intervalChanged && !existing.running) {
+        const lastRun = existing.lastRunAt
+          ? Date.parse(existing.lastRunAt)
+          : 0;
+        scheduleFeed(
+          existing,
+          Math.max(lastRun + intervalMinutes * 60 * 1000 - Date.now(), 0)
+        );
+      }
+    }
+  };
+
+  const loadFeeds = async () =>
+    options.feeds
+      ? options.feeds.map((feed) => ({
+          ...feed,
+          intervalMinutes:
+            feed.intervalMinutes || SCHEDULER_CONFIG.intervalMinutes,
+        }))
+      : getScheduledFeeds();
+
+  const scheduler = {
+    async start() {
+      if (started) {
+        return;
+      }
+      applyFeeds(await loadFeeds());
+      started = true;
+      feeds.forEach((feed) => scheduleFeed(feed, 0));
+
+      if (!options.feeds) {
+        refreshTimer = setInterval(() => {
+          scheduler.reload().catch((error) => {
+            schedulerLogger.error("Feed registry refresh failed", {
+              error: error.message,
+            });
+          });
+        }, SCHEDULER_CONFIG.registryRefreshMinutes * 60 * 1000);
+      }
+
+      schedulerLogger.info("Ingestion scheduler started", {
+        feeds: [...feeds.values()].map(({ url, intervalMinutes }) => ({
+          url,
+          intervalMinutes,
+        })),
+      });
+    },
+
+    async stop() {
+      started = false;
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+      feeds.forEach(unscheduleFeed);
+
+      // Let an in-flight poll finish before the caller closes connections
+      await queue;
+      schedulerLogger.info("Ingestion scheduler stopped");
+    },
+
+    /**
+     * Re-read the feed list (after registry edits)
+     */
+    async reload() {
+      applyFeeds(await loadFeeds());
+      schedulerLogger.info("Ingestion scheduler feeds reloaded", {
+        feeds: feeds.size,
+      });
+    },
+
+    async pollNow(url) {
+      if (feeds.size === 0) {
+        applyFeeds(await loadFeeds());
+      }
+      return Promise.all(
+        [...feeds.values()]
+          .filter((feed) => !url || feed.url === url)
+          .map(runFeed)
+      );
+    },
+
+    getStatus() {
+      return {
+        running: started,
+        feeds: [...feeds.values()].map((feed) => ({
+          url: feed.url,
+          intervalMinutes: feed.intervalMinutes,
+          running: feed.running,
+          lastRunAt: feed.lastRunAt,
+          lastResult: feed.lastResult,
+          nextRunAt: feed.nextRunAt,
+        })),
+      };
+    },
+  };
+
+  return scheduler;
+};
+
+let scheduler = null;
+
+/**
+ * Start the shared scheduler (in-process or from the worker script)
+ */
+const startIngestScheduler = async (options = {}) => {
+  if (!scheduler) {
+    scheduler = createIngestScheduler(options);
+  }
+  await scheduler.start();
+  return scheduler;
+};
+
+/**
+ * Pick up feed registry edits right away when the scheduler runs here
+ */
+const reloadIngestScheduler = async () => {
+  if (scheduler) {
+    await scheduler.reload();
+  }
+};
+
+/**
+ * Stop the shared scheduler, waiting for an in-flight poll
+ */
+const stopIngestScheduler = async () => {
+  if (scheduler) {
+    await scheduler.stop();
+    scheduler = null;
+  }
+};
+
+/**
+ * Status of the shared scheduler, or null when it isn't running
+ */
+const getIngestSchedulerStatus = () =>
+  scheduler ? scheduler.getStatus() : null;
+
+module.exports = {
+  SCHEDULER_CONFIG,
+  getScheduledFeeds,
+  pollFeed,
+  createIngestScheduler,
+  startIngestScheduler,
+  reloadIngestScheduler,
+  stopIngestScheduler,
+  getIngestSchedulerStatus,
+};
@@ -0,0 +1,229 @@
+/**
+ * BM25 keyword matching shared by the vector store backends. Keyword
+ * search runs inside the configured store (Postgres full-text search,
+ * Qdrant sparse vectors, or the in-process index below), so every
+ * instance and ingest process sees the same postings.
+ */
+
+// BM25 configuration
+const LEXICAL_CONFIG = {
+  k1: parseFloat(process.env.BM25_K1) || 1.2,
+  b: parseFloat(process.env.BM25_B) || 0.75,
+  // Typical chunk length in tokens, for stores that weight terms at write time
+  avgDocLength: parseFloat(process.env.BM25_AVG_DOC_TOKENS) || 150,
+};
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have he her his in is it its " +
+    "of on or she that the their them they this to was were what when where " +
+    "which who why will with would you your about after before did do does " +
+    "how into more than then there these those over said says also"
+  ).split(" ")
+);
+
+/**
+ * 32-bit FNV-1a hash
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Tokenize text for BM25. No stemming, so names and tickers match exactly.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Lower-cased tokens
+ */
+function tokenize(text) {
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+(?:['.&-][\p{L}\p{N}]+)*/gu) || [])
+    .map((token) => token.replace(/'s$/, ""))
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Text a stored chunk is keyword-indexed on
+ * @param {Object} payload - Point payload (see buildPointPayload)
+ * @returns {string} Title and content
+ */
+function documentText(payload = {}) {
+  return `${payload.title || ""}\n\n${payload.content || ""}`;
+}
+
+/**
+ * Term counts of a text
+ * @returns {Map} term -> frequency
+ */
+function termFrequencies(text) {
+  const terms = new Map();
+  tokenize(text).forEach((token) => {
+    terms.set(token, (terms.get(token) || 0) + 1);
+  });
+  return terms;
+}
+
+/**
+ * Sparse vector of BM25 term weights for a document. The store supplies
+ * the IDF half (Qdrant's `idf` modifier), so the weights only saturate
+ * term frequency and normalise length against LEXICAL_CONFIG.avgDocLength.
+ * @param {string} text - Document text
+ * @returns {Object} { indices, values }, indices are hashed terms
+ */
+function toSparseVector(text) {
+  const terms = termFrequencies(text);
+  let length = 0;
+  terms.forEach((tf) => {
+    length += tf;
+  });
+
+  const { k1, b, avgDocLength } = LEXICAL_CONFIG;
+  const norm = k1 * (1 - b + (b * length) / avgDocLength);
+  const weights = new Map();
+
+  // Hash collisions are merged, stores reject repeated indices
+  terms.forEach((tf, term) => {
+    const index = fnv1a(term);
+    weights.set(index, (weights.get(index) || 0) + (tf * (k1 + 1)) / (tf + norm));
+  });
+
+  return { indices: [...weights.keys()], values: [...weights.values()] };
+}
+
+/**
+ * Sparse query vector: one unit weight per distinct query term
+ * @param {string} query - Query text
+ * @returns {Object|null} { indices, values }, null without usable terms
+ */
+function toSparseQuery(query) {
+  const indices = [...new Set(tokenize(query).map(fnv1a))];
+  if (indices.length === 0) {
+    return null;
+  }
+  return { indices, values: indices.map(() => 1) };
+}
+
+/**
+ * Postgres tsquery matching any of the query terms
+ * @param {string} query - Query text
+ * @returns {string|null} Input for to_tsquery('simple', ...), null without terms
+ */
+function toTsQuery(query) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return null;
+  }
+  return terms.map((term) => `'${term.replace(/'/g, "''")}'`).join(" | ");
+}
+
+/**
+ * In-process BM25 index with postings lists, for the memory vector store
+ * @returns {Object} { add, remove, clear, search, size }
+ */
+function createLexicalIndex() {
+  const docs = new Map(); // id -> { length, terms }
+  const postings = new Map(); // term -> Map(id -> tf)
+  let totalLength = 0;
+
+  const remove = (id) => {
+    const existing = docs.get(id);
+    if (!existing) return;
+
+    existing.terms.forEach((tf, term) => {
+      const list = postings.get(term);
+      list.delete(id);
+      if (list.size === 0) {
+        postings.delete(term);
+      }
+    });
+
+    totalLength -= existing.length;
+    docs.delete(id);
+  };
+
+  const add = (id, text) => {
+    remove(id);
+
+    const terms = termFrequencies(text);
+    if (terms.size === 0) return;
+
+    let length = 0;
+    terms.forEach((tf, term) => {
+      length += tf;
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      postings.get(term).set(id, tf);
+    });
+
+    docs.set(id, { length, terms });
+    totalLength += length;
+  };
+
+  /**
+   * BM25 keyword search
+   * @param {string} query - Query text
+   * @param {Object} options - { limit, accept: id -> boolean }
+   * @returns {Array} Results of { id, score }, best first
+   */
+  const search = (query, { limit = 10, accept = () => true } = {}) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (docs.size === 0 || queryTerms.length === 0) {
+      return [];
+    }
+
+    const { k1, b } = LEXICAL_CONFIG;
+    const avgLength = totalLength / docs.size || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const list = postings.get(term);
+      if (!list) continue;
+
+      const idf = Math.log(1 + (docs.size - list.size + 0.5) / (list.size + 0.5));
+
+      list.forEach((tf, id) => {
+        const norm = tf + k1 * (1 - b + (b * docs.get(id).length) / avgLength);
+        scores.set(id, (scores.get(id) || 0) + (idf * tf * (k1 + 1)) / norm);
+      });
+    }
+
+    return [...scores.entries()]
+      .filter(([id]) => accept(id))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => ({ id, score }));
+  };
+
+  return {
+    add,
+    remove,
+    clear() {
+      docs.clear();
+      postings.clear();
+      totalLength = 0;
+    },
+    search,
+    get size() {
+      return docs.size;
+    },
+  };
+}
+
+module.exports = {
+  LEXICAL_CONFIG,
+  fnv1a,
+  tokenize,
+  documentText,
+  toSparseVector,
+  toSparseQuery,
+  toTsQuery,
+  createLexicalIndex,
+};
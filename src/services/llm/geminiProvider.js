@@ -0,0 +1,72 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const SAFETY_SETTINGS = [
+  {
+    category: "HARM_CATEGORY_HARASSMENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+];
+
+/**
+ * Google Gemini generation provider
+ * @param {Object} config - { apiKey, model, temperature, maxOutputTokens }
+ */
+const createGeminiProvider = (config) => {
+  if (!config.apiKey) {
+    throw new Error("GEMINI_API_KEY environment variable is not set");
+  }
+
+  const genAI = new GoogleGenerativeAI(config.apiKey);
+  const model = genAI.getGenerativeModel({
+    model: config.model,
+    generationConfig: {
+      temperature: config.temperature,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: config.maxOutputTokens,
+    },
+    safetySettings: SAFETY_SETTINGS,
+  });
+
+  return {
+    name: "gemini",
+    model: config.model,
+
+    async generate(prompt) {
+      const result = await model.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      try {
+        // The SDK aborts its fetch, so a cancelled answer stops downloading
+        const result = await model.generateContentStream(prompt, { signal });
+
+        for await (const chunk of result.stream) {
+          if (signal?.aborted) return;
+
+          const delta = chunk.text();
+          if (delta) yield delta;
+        }
+      } catch (error) {
+        if (signal?.aborted) return;
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,123 @@
+const winston = require("winston");
+const createGeminiProvider = require("./geminiProvider");
+const createOpenAICompatibleProvider = require("./openAICompatibleProvider");
+const createStubProvider = require("./stubProvider");
+
+// Create dedicated logger
+const llmLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Defaults per provider; LLM_MODEL / LLM_BASE_URL / LLM_API_KEY override
+// them for the active LLM_PROVIDER only
+const PROVIDER_DEFAULTS = {
+  gemini: { model: "gemini-1.5-flash" },
+  openai: { model: "gpt-4o-mini", baseURL: "https://api.openai.com/v1" },
+  ollama: { model: "llama3.1", baseURL: "http://localhost:11434/v1" },
+  llamacpp: { model: "default", baseURL: "http://localhost:8080/v1" },
+  stub: { model: "stub-echo" },
+};
+
+/**
+ * Resolve provider configuration from the environment
+ */
+const getLLMConfig = (name = process.env.LLM_PROVIDER || "gemini") => {
+  const defaults = PROVIDER_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Use one of: ${Object.keys(
+        PROVIDER_DEFAULTS
+      ).join(", ")}`
+    );
+  }
+
+  // Another provider asked for by name (e.g. the Gemini health check)
+  // must not get the active provider's model, endpoint or key
+  const active = name === (process.env.LLM_PROVIDER || "gemini");
+  const override = (key) => (active ? process.env[key] : undefined);
+
+  return {
+    name,
+    model: override("LLM_MODEL") || defaults.model,
+    baseURL: override("LLM_BASE_URL") || defaults.baseURL,
+    apiKey:
+      name === "gemini"
+        ? process.env.GEMINI_API_KEY
+        : override("LLM_API_KEY") || process.env.OPENAI_API_KEY,
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || "0.7"),
+    maxOutputTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2048,
+    timeout: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
+  };
+};
+
+/**
+ * Create a generation provider.
+ *
+ * Every provider exposes:
+ * - name, model
+ * - generate(prompt) -> Promise<string>
+ * - stream(prompt, { signal }) -> AsyncIterable<string> of text deltas
+ */
+const createLLMProvider = (config = getLLMConfig()) => {
+  switch (config.name) {
+    case "gemini":
+      return createGeminiProvider(config);
+    case "openai":
+    case "ollama":
+    case "llamacpp":
+      return createOpenAICompatibleProvider(config);
+    case "stub":
+      return createStubProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider "${config.name}"`);
+  }
+};
+
+let provider;
+
+/**
+ * Get the configured provider (created once per process)
+ */
+const getLLMProvider = () => {
+  if (!provider) {
+    provider = createLLMProvider();
+    llmLogger.info("LLM provider initialized", {
+      provider: provider.name,
+      model: provider.model,
+    });
+  }
+  return provider;
+};
+
+/**
+ * Override the process-wide provider (tests, scripts)
+ */
+const setLLMProvider = (instance) => {
+  provider = instance;
+};
+
+/**
+ * Label used for metadata.modelUsed, e.g. "gemini/gemini-1.5-flash"
+ */
+const describeProvider = (instance = getLLMProvider()) =>
+  `${instance.name}/${instance.model}`;
+
+module.exports = {
+  getLLMConfig,
+  createLLMProvider,
+  getLLMProvider,
+  setLLMProvider,
+  describeProvider,
+};
@@ -0,0 +1,99 @@
+const axios = require("axios");
+const { StringDecoder } = require("string_decoder");
+
+const STREAM_DONE = Symbol("done");
+
+/**
+ * Text delta of one server-sent event line ("data: {...}"), STREAM_DONE for
+ * the end marker, or null for anything else
+ */
+const parseStreamLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("data:")) return null;
+
+  const data = trimmed.slice(5).trim();
+  if (data === "[DONE]") return STREAM_DONE;
+
+  return JSON.parse(data).choices?.[0]?.delta?.content || null;
+};
+
+/**
+ * Generation provider for OpenAI-compatible chat completion APIs.
+ * Covers OpenAI itself, Ollama (/v1) and llama.cpp server.
+ *
+ * @param {Object} config - { name, baseURL, apiKey, model, temperature, maxOutputTokens, timeout }
+ */
+const createOpenAICompatibleProvider = (config) => {
+  const headers = { "Content-Type": "application/json" };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const client = axios.create({
+    baseURL: config.baseURL.replace(/\/+$/, ""),
+    timeout: config.timeout,
+    headers,
+  });
+
+  const requestBody = (prompt, stream) => ({
+    model: config.model,
+    messages: [{ role: "user", content: prompt }],
+    temperature: config.temperature,
+    max_tokens: config.maxOutputTokens,
+    stream,
+  });
+
+  return {
+    name: config.name,
+    model: config.model,
+
+    async generate(prompt) {
+      const response = await client.post(
+        "/chat/completions",
+        requestBody(prompt, false)
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (typeof text !== "string") {
+        throw new Error(`Invalid response format from ${config.name} API`);
+      }
+      return text;
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      const response = await client.post(
+        "/chat/completions",
+        requestBody(prompt, true),
+        { responseType: "stream", signal }
+      );
+
+      // The decoder keeps multi-byte characters split across chunks whole
+      const decoder = new StringDecoder("utf8");
+      let buffer = "";
+      try {
+        for await (const part of response.data) {
+          buffer += decoder.write(part);
+
+          // Server-sent events are separated by newlines
+          let newline;
+          while ((newline = buffer.indexOf("\n")) >= 0) {
+            const delta = parseStreamLine(buffer.slice(0, newline));
+            buffer = buffer.slice(newline + 1);
+
+            if (delta === STREAM_DONE) return;
+            if (delta) yield delta;
+          }
+        }
+
+        // Some servers end the last event without a newline
+        const delta = parseStreamLine(buffer + decoder.end());
+        if (delta && delta !== STREAM_DONE) yield delta;
+      } catch (error) {
+        if (signal?.aborted) return;
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = createOpenAICompatibleProvider;
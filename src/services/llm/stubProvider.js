@@ -0,0 +1,57 @@
+/**
+ * Deterministic offline provider for tests and local development.
+ *
+ * - RAG prompts ("User Question: ...") get an answer that cites each
+ *   numbered context block by its title
+ * - Query rewrite prompts ("Follow-up question: ...") echo the follow-up
+ * - Anything else echoes the last non-empty line of the prompt
+ */
+const respond = (prompt) => {
+  const question = prompt.match(/User Question:\s*(.+)/);
+  if (question) {
+    const blocks = [...prompt.matchAll(/^\[(\d+)\]\s+(.+)$/gm)];
+
+    if (blocks.length === 0) {
+      return `No sources were found for "${question[1].trim()}".`;
+    }
+
+    const lines = blocks.map(([, index, title]) => `${title.trim()} [${index}].`);
+    return `Answer to "${question[1].trim()}" based on the sources: ${lines.join(
+      " "
+    )}`;
+  }
+
+  const followUp = prompt.match(/Follow-up question:\s*(.+)/);
+  if (followUp) {
+    return followUp[1].trim();
+  }
+
+  const lines = prompt
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return `Echo: ${lines[lines.length - 1] || ""}`;
+};
+
+/**
+ * @param {Object} config - { model }
+ */
+const createStubProvider = (config) => ({
+  name: "stub",
+  model: config.model,
+
+  async generate(prompt) {
+    return respond(prompt);
+  },
+
+  async *stream(prompt, { signal } = {}) {
+    const words = respond(prompt).split(/(?<= )/);
+
+    for (const word of words) {
+      if (signal?.aborted) return;
+      yield word;
+    }
+  },
+});
+
+module.exports = createStubProvider;
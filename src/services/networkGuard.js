@@ -0,0 +1,135 @@
+const dns = require("dns");
+const net = require("net");
+
+// Fetching internal addresses on a caller's behalf would expose them
+// (SSRF), so page fetches only go to public unicast addresses. Local
+// development against intranet hosts can opt out.
+const GUARD_CONFIG = {
+  allowPrivateNetworks: process.env.FETCH_ALLOW_PRIVATE_NETWORKS === "true",
+};
+
+// Loopback, private, link-local (including cloud metadata at
+// 169.254.169.254), CGNAT, unique-local, multicast and reserved ranges
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  // NAT64 can point back at the IPv4 ranges above. (IPv4-mapped
+  // ::ffff:a.b.c.d addresses are matched against the IPv4 rules by BlockList.)
+  ["64:ff9b::", 96, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["fec0::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) =>
+  blockList.addSubnet(address, prefix, type)
+);
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockList.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+const LOOKUP_FAILED = "DNS lookup failed";
+
+const blockedError = (hostname, address) => {
+  const error = new Error(
+    `${hostname} resolves to non-public address ${address}`
+  );
+  error.code = "EBLOCKEDADDRESS";
+  return error;
+};
+
+/**
+ * dns.lookup replacement for HTTP clients: resolves the host and refuses
+ * the connection unless every address is public. The socket connects to
+ * the address checked here, so a DNS answer that changes between check and
+ * connect (rebinding) can't reach an internal host.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!GUARD_CONFIG.allowPrivateNetworks) {
+      const blocked = addresses.find(
+        ({ address }) => !isPublicAddress(address)
+      );
+      if (blocked) return callback(blockedError(hostname, blocked.address));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a URL's host is public before requesting it. IP literals
+ * never reach the lookup, so they are checked here.
+ * @param {string} url - URL about to be requested
+ * @returns {string|null} Reason to refuse it, or null
+ */
+async function checkPublicUrl(url) {
+  if (GUARD_CONFIG.allowPrivateNetworks) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname)
+      ? null
+      : `non-public address ${hostname}`;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    return blocked ? blockedError(hostname, blocked.address).message : null;
+  } catch (error) {
+    return `${LOOKUP_FAILED} (${error.code || error.message})`;
+  }
+}
+
+/**
+ * Whether a checkPublicUrl reason is a DNS failure, which may clear up,
+ * rather than a refused address
+ * @param {string} reason - Reason returned by checkPublicUrl
+ * @returns {boolean}
+ */
+function isLookupFailure(reason) {
+  return reason.startsWith(LOOKUP_FAILED);
+}
+
+module.exports = {
+  GUARD_CONFIG,
+  isPublicAddress,
+  publicLookup,
+  checkPublicUrl,
+  isLookupFailure,
+};
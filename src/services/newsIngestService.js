@@ -1,198 +1,321 @@
-const Parser = require("rss-parser");
-const axios = require("axios");
-const cheerio = require("cheerio");
-const { v4: uuidv4 } = require("uuid");
+const path = require("path");
+const crypto = require("crypto");
 const { generateBatchEmbeddings } = require("./embeddingService");
-const { insertDocuments } = require("./vectorService");
+const { chunkArticles } = require("./chunkingService");
+const {
+  insertDocuments,
+  getStoredArticles,
+  deleteArticleChunks,
+  deleteDocuments,
+} = require("./vectorStore");
+const {
+  canonicalizeUrl,
+  articleIdFor,
+  chunkIdFor,
+  contentHashFor,
+} = require("./articleIdentity");
+const { assignStoryClusters } = require("./storyClusterService");
+const { extractArticle } = require("./contentExtractor");
+const { politeGet } = require("./politeFetcher");
+const { parseSource } = require("./sourceAdapters");
+const { parseDocument } = require("./documentParsers");
+const {
+  DEFAULT_RSS_FEEDS,
+  RSS_FEEDS,
+  getActiveFeeds,
+} = require("./feedRegistryService");
 const { logger } = require("../app");
 
-const parser = new Parser({
-  timeout: 10000,
-  headers: {
-    "User-Agent":
-      "Mozilla/5.0 (compatible; RAG-NewsBot/1.0; +https://example.com/bot)",
-  },
-});
-
-// Default RSS feeds - high quality news sources
-const DEFAULT_RSS_FEEDS = [
-  "https://rss.cnn.com/rss/edition.rss",
-  "https://feeds.reuters.com/reuters/topNews",
-  "https://feeds.bbci.co.uk/news/world/rss.xml",
-  "https://feeds.npr.org/1001/rss.xml",
-  "https://feeds.washingtonpost.com/rss/world",
-  "https://feeds.nbcnews.com/nbcnews/public/world",
-  "https://feeds.abcnews.com/abcnews/topstories",
-];
-
-const RSS_FEEDS = process.env.RSS_FEEDS
-  ? process.env.RSS_FEEDS.split(",").map((feed) => feed.trim())
-  : DEFAULT_RSS_FEEDS;
+const FEED_USER_AGENT =
+  "Mozilla/5.0 (compatible; RAG-NewsBot/1.0; +https://example.com/bot)";
+
+// Upper bound on extracted article text, guarding against runaway pages
+const MAX_ARTICLE_CHARS = parseInt(process.env.MAX_ARTICLE_CHARS) || 50000;
 
 /**
- * Extract main content from article URL
+ * Accept a bare feed URL (CLI --feeds) or registry feed settings
+ */
+const toFeed = (feed) =>
+  typeof feed === "string"
+    ? { url: feed, categories: [], contentSelectors: [] }
+    : feed;
+
+/**
+ * Whether a thrown page fetch error may clear up: network errors, timeouts
+ * and server errors do, refused addresses and unparseable pages don't
+ */
+const isRetryableFetchError = (error) =>
+  Boolean(error.isAxiosError) &&
+  error.code !== "EBLOCKEDADDRESS" &&
+  (!error.response || error.response.status >= 500);
+
+/**
+ * Fetch an article page and extract its main text and metadata
  * @param {string} url - Article URL
- * @returns {string|null} Extracted content or null if failed
+ * @param {Object} options - { selectors: feed-specific CSS selectors, tried first }
+ * @returns {Object} { content, metadata }, or { error, retryable } when the
+ *   page gave no content; retryable failures (timeouts, 5xx, back-off,
+ *   unreachable robots.txt) may succeed on a later try
  */
-async function extractContentFromUrl(url) {
+async function fetchArticleContent(url, options = {}) {
   try {
     logger.info(`Extracting content from: ${url}`);
 
-    const response = await axios.get(url, {
-      timeout: 15000,
+    // robots.txt, per-host spacing and 429/503 back-off
+    const response = await politeGet(url, {
       headers: {
-        "User-Agent": "Mozilla/5.0 (compatible; RAG-NewsBot/1.0)",
         Accept:
           "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
       },
-      maxRedirects: 3,
     });
 
-    if (response.status !== 200) {
-      logger.warn(`Non-200 status for ${url}: ${response.status}`);
-      return null;
-    }
-
-    const $ = cheerio.load(response.data);
-
-    // Remove unwanted elements
-    $(
-      "script, style, nav, header, footer, aside, .ad, .advertisement, .sidebar, .related-articles"
-    ).remove();
-    $('[class*="ad"], [id*="ad"], [class*="banner"], [id*="banner"]').remove();
-
-    // Try multiple content selectors in order of preference
-    const contentSelectors = [
-      'article[role="main"]',
-      "main article",
-      '[role="main"]',
-      ".article-content",
-      ".post-content",
-      ".story-body",
-      ".content",
-      "article",
-      "main",
-    ];
-
-    let content = "";
-    for (const selector of contentSelectors) {
-      const element = $(selector).first();
-      if (element.length > 0) {
-        content = element.text().trim();
-        if (content.length > 200) {
-          // Minimum content length
-          break;
-        }
-      }
+    if (response.skipped) {
+      return { error: response.reason, retryable: response.retryable };
     }
 
-    // Fallback: get all paragraph text
-    if (content.length < 200) {
-      content = $("p")
-        .map((i, el) => $(el).text().trim())
-        .get()
-        .join(" ");
+    if (response.status !== 200) {
+      logger.warn(`Non-200 status for ${url}: ${response.status}`);
+      return {
+        error: `HTTP ${response.status}`,
+        retryable: response.status >= 500 || response.status === 408,
+      };
     }
 
-    // Clean and validate content
-    content = content.replace(/\s+/g, " ").replace(/\n+/g, " ").trim();
+    const extracted = extractArticle(response.data, {
+      url,
+      selectors: options.selectors,
+    });
 
-    if (content.length < 100) {
-      logger.warn(`Content too short for ${url}: ${content.length} characters`);
-      return null;
+    if (extracted.content.length <= 100) {
+      logger.warn(
+        `Content too short for ${url}: ${extracted.content.length} characters`
+      );
+      return { error: "content too short", retryable: false };
     }
 
-    // Limit content length to avoid token limits
-    content = content.substring(0, 3000);
+    // Very long pages are cut; the chunker handles everything below the cap
+    const content = extracted.content.substring(0, MAX_ARTICLE_CHARS);
 
     logger.info(`Content extracted from ${url}`, {
       contentLength: content.length,
+      author: extracted.metadata.author,
+      publishedAt: extracted.metadata.publishedAt,
       url: url.substring(0, 100) + "...",
     });
 
-    return content;
+    return { content, metadata: extracted.metadata };
   } catch (error) {
     logger.error(`Failed to extract content from ${url}:`, {
       error: error.message,
       url,
     });
-    return null;
+    return { error: error.message, retryable: isRetryableFetchError(error) };
   }
 }
 
 /**
- * Parse RSS feed and extract articles
- * @param {string} feedUrl - RSS feed URL
- * @param {number} maxArticles - Maximum articles to extract per feed
- * @returns {Array} Array of article objects
+ * fetchArticleContent without the failure details
+ * @param {string} url - Article URL
+ * @param {Object} options - { selectors: feed-specific CSS selectors, tried first }
+ * @returns {Object|null} { content, metadata } or null if failed
  */
-async function parseRSSFeed(feedUrl, maxArticles = 10) {
-  try {
-    logger.info(`Parsing RSS feed: ${feedUrl}`);
+async function extractContentFromUrl(url, options = {}) {
+  const extracted = await fetchArticleContent(url, options);
+  return extracted.content ? extracted : null;
+}
 
-    const feed = await parser.parseURL(feedUrl);
-    const articles = [];
+/**
+ * Build an article from a feed entry by fetching its page
+ * @param {Object} item - Feed entry (see services/sourceAdapters)
+ * @param {Object} parsedFeed - Parsed feed (for the source title)
+ * @param {Object} feed - Feed settings ({ url, categories, contentSelectors })
+ * @returns {Object} { article }, or { error, retryable } if the page had no content
+ */
+async function articleFromItem(item, parsedFeed, feed) {
+  // Skip items without proper links
+  if (!item.link || typeof item.link !== "string") {
+    return { error: "no link", retryable: false };
+  }
 
-    logger.info(`RSS feed parsed: ${feed.title}`, {
-      totalItems: feed.items.length,
-      feedUrl,
-    });
+  // Extract content from article URL
+  const extracted = await fetchArticleContent(item.link, {
+    selectors: feed.contentSelectors,
+  });
+
+  if (!extracted.content) {
+    return extracted;
+  }
 
-    for (const item of feed.items.slice(0, maxArticles)) {
+  const { content, metadata } = extracted;
+
+  const url = canonicalizeUrl(item.link) || item.link;
+
+  const article = {
+    id: articleIdFor({ url, guid: item.guid }),
+    title: item.title || metadata.title || "Untitled",
+    content: content,
+    url,
+    publishedDate:
+      item.publishedAt || metadata.publishedAt || new Date().toISOString(),
+    source: parsedFeed.title || feed.name || metadata.siteName || feed.url,
+    description: item.summary || "",
+    categories: [
+      ...new Set([...(item.categories || []), ...(feed.categories || [])]),
+    ],
+    guid: item.guid || item.link,
+    author: metadata.author || item.author || null,
+    imageUrl: metadata.imageUrl || item.imageUrl || null,
+    canonicalUrl: metadata.canonicalUrl || url,
+  };
+
+  logger.info(`Article processed: ${article.title.substring(0, 50)}...`, {
+    contentLength: content.length,
+    source: article.source,
+  });
+
+  return { article };
+}
+
+/**
+ * Turn feed entries into articles, reporting how each one went. Page
+ * fetches start together and the polite fetcher spaces them per host, so
+ * items linking to different sites don't wait on each other.
+ * @param {Array} items - Feed entries
+ * @param {Object} parsedFeed - Parsed feed
+ * @param {Object|string} feed - Feed settings or URL
+ * @returns {Array} One { article } or { error, retryable } per item, in item order
+ */
+async function articleResultsFromItems(items, parsedFeed, feed) {
+  const feedSettings = toFeed(feed);
+
+  return Promise.all(
+    items.map(async (item) => {
       try {
-        // Skip items without proper links
-        if (!item.link || typeof item.link !== "string") {
-          continue;
-        }
-
-        // Extract content from article URL
-        const content = await extractContentFromUrl(item.link);
-
-        if (content && content.length > 100) {
-          const article = {
-            id: uuidv4(),
-            title: item.title || "Untitled",
-            content: content,
-            url: item.link,
-            publishedDate:
-              item.pubDate || item.isoDate || new Date().toISOString(),
-            source: feed.title || feedUrl,
-            description: item.contentSnippet || item.summary || "",
-            categories: item.categories || [],
-            guid: item.guid || item.link,
-          };
-
-          articles.push(article);
-
-          logger.info(
-            `Article processed: ${article.title.substring(0, 50)}...`,
-            {
-              contentLength: content.length,
-              source: article.source,
-            }
-          );
-        }
-
-        // Rate limiting between requests
-        await new Promise((resolve) => setTimeout(resolve, 500));
+        return await articleFromItem(item, parsedFeed, feedSettings);
       } catch (error) {
-        logger.error(`Error processing article from ${feedUrl}:`, {
+        logger.error(`Error processing article from ${feedSettings.url}:`, {
           error: error.message,
           itemTitle: item.title,
           itemLink: item.link,
         });
-        continue;
+        return { error: error.message, retryable: true };
       }
-    }
+    })
+  );
+}
+
+/**
+ * Turn feed entries into articles
+ * @param {Array} items - Feed entries
+ * @param {Object} parsedFeed - Parsed feed
+ * @param {Object|string} feed - Feed settings or URL
+ * @returns {Array} Articles whose pages yielded content, in item order
+ */
+async function articlesFromItems(items, parsedFeed, feed) {
+  const results = await articleResultsFromItems(items, parsedFeed, feed);
+  return results.map(({ article }) => article).filter(Boolean);
+}
+
+/**
+ * GET a feed or child sitemap through the polite fetcher: sitemap indexes
+ * name their children, so every hop gets the public-address check,
+ * robots.txt and per-host spacing like article pages
+ * @param {string} url - Source URL
+ * @param {Object} headers - Extra request headers
+ * @param {Array<number>} statuses - Statuses to return instead of throwing
+ * @returns {Object} { status, data, headers, url }
+ */
+const fetchSource = async (url, headers = {}, statuses = [200]) => {
+  const response = await politeGet(url, {
+    timeout: 10000,
+    responseType: "text",
+    headers: { "User-Agent": FEED_USER_AGENT, ...headers },
+  });
+
+  if (response.skipped) {
+    throw new Error(`Source not fetched: ${response.reason}`);
+  }
+  if (!statuses.includes(response.status)) {
+    throw new Error(`Source returned HTTP ${response.status}: ${url}`);
+  }
+  return response;
+};
+
+/**
+ * Fetch a feed (RSS/Atom, JSON Feed or news sitemap, detected from the
+ * response), skipping the download when it hasn't changed since the last
+ * fetch (ETag / Last-Modified validators)
+ * @param {string} feedUrl - Feed URL
+ * @param {Object} validators - { etag, lastModified } from the previous fetch
+ * @returns {Object} { notModified: true } or { feed, etag, lastModified },
+ *   feed being { type, title, items } (see services/sourceAdapters)
+ */
+async function fetchFeed(feedUrl, validators = {}) {
+  const headers = {
+    Accept:
+      "application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, application/json;q=0.9, */*;q=0.8",
+  };
+  if (validators.etag) {
+    headers["If-None-Match"] = validators.etag;
+  }
+  if (validators.lastModified) {
+    headers["If-Modified-Since"] = validators.lastModified;
+  }
+
+  const response = await fetchSource(feedUrl, headers, [200, 304]);
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+
+  const feed = await parseSource(response.data, {
+    url: feedUrl,
+    contentType: response.headers["content-type"],
+    fetchText: async (url) => (await fetchSource(url)).data,
+  });
+
+  return {
+    notModified: false,
+    feed,
+    etag: response.headers.etag || null,
+    lastModified: response.headers["last-modified"] || null,
+  };
+}
+
+/**
+ * Fetch a feed of any supported format and extract its articles
+ * @param {Object|string} feed - Feed settings or feed URL
+ * @param {number} maxArticles - Maximum articles to extract per feed
+ * @returns {Array} Array of article objects
+ */
+async function parseFeed(feed, maxArticles = 10) {
+  const { url: feedUrl } = toFeed(feed);
+
+  try {
+    logger.info(`Parsing feed: ${feedUrl}`);
+
+    const { feed: parsedFeed } = await fetchFeed(feedUrl);
+
+    logger.info(`Feed parsed: ${parsedFeed.title || feedUrl}`, {
+      type: parsedFeed.type,
+      totalItems: parsedFeed.items.length,
+      feedUrl,
+    });
+
+    const articles = await articlesFromItems(
+      parsedFeed.items.slice(0, maxArticles),
+      parsedFeed,
+      feed
+    );
 
-    logger.info(`RSS feed processing completed: ${feedUrl}`, {
+    logger.info(`Feed processing completed: ${feedUrl}`, {
       articlesExtracted: articles.length,
-      feedTitle: feed.title,
+      feedTitle: parsedFeed.title,
     });
 
     return articles;
   } catch (error) {
-    logger.error(`Failed to parse RSS feed ${feedUrl}:`, {
+    logger.error(`Failed to parse feed ${feedUrl}:`, {
       error: error.message,
       feedUrl,
     });
@@ -201,138 +324,293 @@ async function parseRSSFeed(feedUrl, maxArticles = 10) {
 }
 
 /**
- * Ingest news articles from RSS feeds
- * @param {number} maxArticles - Maximum total articles to ingest
- * @param {Array} customFeeds - Custom RSS feeds to use (optional)
- * @returns {Array} Array of ingested articles with embeddings
+ * Collect articles from feeds without storing them
+ * @param {number} maxArticles - Maximum total articles to collect
+ * @param {Array} customFeeds - Feed URLs or settings; defaults to the registry
+ * @returns {Array} Array of articles
  */
-async function ingestNewsFromRSS(maxArticles = 50, customFeeds = null) {
-  const startTime = Date.now();
+async function collectArticles(maxArticles = 50, customFeeds = null) {
+  const feeds = customFeeds ? customFeeds.map(toFeed) : await getActiveFeeds();
+  const allArticles = [];
 
-  try {
-    logger.info("🚀 Starting news ingestion process...", {
-      maxArticles,
-      feedCount: (customFeeds || RSS_FEEDS).length,
-    });
+  if (feeds.length === 0) {
+    logger.warn("No feeds to collect from");
+    return [];
+  }
 
-    const feeds = customFeeds || RSS_FEEDS;
-    const allArticles = [];
-    const articlesPerFeed = Math.ceil(maxArticles / feeds.length);
+  const articlesPerFeed = Math.ceil(maxArticles / feeds.length);
 
-    // Process each RSS feed
-    for (const feedUrl of feeds) {
-      if (allArticles.length >= maxArticles) {
-        break;
-      }
+  // Process each feed
+  for (const feed of feeds) {
+    if (allArticles.length >= maxArticles) {
+      break;
+    }
 
-      try {
-        const feedArticles = await parseRSSFeed(feedUrl, articlesPerFeed);
-        allArticles.push(...feedArticles);
+    try {
+      const feedArticles = await parseFeed(
+        feed,
+        Math.min(articlesPerFeed, feed.maxArticles || Infinity)
+      );
+      allArticles.push(...feedArticles);
 
-        logger.info(`Feed processed: ${feedUrl}`, {
-          articlesFromFeed: feedArticles.length,
-          totalArticles: allArticles.length,
-        });
+      logger.info(`Feed processed: ${feed.url}`, {
+        articlesFromFeed: feedArticles.length,
+        totalArticles: allArticles.length,
+      });
 
-        // Rate limiting between feeds
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      } catch (error) {
-        logger.error(`Feed processing failed: ${feedUrl}`, error);
-        continue;
-      }
+      // Rate limiting between feeds
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    } catch (error) {
+      logger.error(`Feed processing failed: ${feed.url}`, error);
+      continue;
     }
+  }
 
-    // Limit total articles
-    const finalArticles = allArticles.slice(0, maxArticles);
+  // Limit total articles
+  const finalArticles = allArticles.slice(0, maxArticles);
 
-    logger.info(`Article collection completed`, {
-      totalCollected: finalArticles.length,
-      uniqueSources: [...new Set(finalArticles.map((a) => a.source))].length,
-      averageContentLength: Math.round(
-        finalArticles.reduce((sum, a) => sum + a.content.length, 0) /
-          finalArticles.length
-      ),
-    });
+  logger.info(`Article collection completed`, {
+    totalCollected: finalArticles.length,
+    uniqueSources: [...new Set(finalArticles.map((a) => a.source))].length,
+    averageContentLength: Math.round(
+      finalArticles.reduce((sum, a) => sum + a.content.length, 0) /
+        finalArticles.length
+    ),
+  });
 
-    if (finalArticles.length === 0) {
-      throw new Error("No articles were successfully collected from RSS feeds");
-    }
+  return finalArticles;
+}
 
-    // Generate embeddings for all articles
-    logger.info("📊 Generating embeddings for articles...");
-    const texts = finalArticles.map(
-      (article) => `${article.title} ${article.content}`
-    );
+/**
+ * Write embedded chunks to the vector store, dropping
+ * trailing chunks left over from longer previous versions of an article
+ * @param {Array} chunks - All chunks of the changed articles
+ * @param {Array} embeddedChunks - Chunks that have an embedding
+ * @param {Map} stored - articleId -> { chunkCount } for stored articles
+ * @returns {Object} { inserted, totalInCollection }
+ */
+async function storeChunks(chunks, embeddedChunks, stored) {
+  // Insert chunks into vector database; deterministic ids make this an
+  // overwrite for articles that were stored before
+  logger.info("💾 Inserting article chunks into vector database...");
+  const insertResult = await insertDocuments(embeddedChunks);
 
-    const embeddings = await generateBatchEmbeddings(texts, 10); // Smaller batches for stability
+  // An updated article that got shorter leaves old trailing chunks behind
+  const chunkCounts = new Map();
+  chunks.forEach((chunk) => chunkCounts.set(chunk.articleId, chunk.chunkCount));
 
-    // Attach embeddings to articles
-    finalArticles.forEach((article, index) => {
-      article.embedding = embeddings[index];
-      article.ingestionTimestamp = new Date().toISOString();
-    });
+  for (const [articleId, current] of chunkCounts) {
+    const previous = stored.get(articleId);
+    if (!previous || previous.chunkCount <= current) continue;
 
-    logger.info("✅ Embeddings generated successfully", {
-      embeddingCount: embeddings.length,
-      embeddingDimension: embeddings[0]?.length || "unknown",
+    await deleteArticleChunks(articleId, current);
+  }
+
+  return insertResult;
+}
+
+/**
+ * Chunk, embed and store articles in the vector store
+ * @param {Array} articles - Articles to ingest
+ * @param {Object} options - { dryRun: compare and embed, but write nothing;
+ *   storeEmpty: compare as if the store held nothing; clearedSource: compare
+ *   as if this source's articles were deleted } (the last two let a dry run
+ *   preview --clear without deleting anything)
+ * @returns {Object} { articles, changes, statistics }
+ */
+async function ingestArticles(articles, options = {}) {
+  const startTime = Date.now();
+
+  if (articles.length === 0) {
+    throw new Error("No articles to ingest");
+  }
+
+  // The same story can arrive from several feeds in one run
+  const uniqueArticles = [
+    ...new Map(articles.map((article) => [article.id, article])).values(),
+  ];
+  uniqueArticles.forEach((article) => {
+    article.contentHash = contentHashFor(article);
+  });
+
+  // Compare against what's stored: unchanged articles skip re-embedding
+  const stored = options.storeEmpty
+    ? new Map()
+    : await getStoredArticles(uniqueArticles.map((article) => article.id));
+  if (options.clearedSource) {
+    stored.forEach(({ source }, articleId) => {
+      if (source === options.clearedSource) stored.delete(articleId);
+    });
+  }
+  const changed = uniqueArticles.filter(
+    (article) => stored.get(article.id)?.contentHash !== article.contentHash
+  );
+  const updatedCount = changed.filter((article) =>
+    stored.has(article.id)
+  ).length;
+  const changeStats = {
+    newArticles: changed.length - updatedCount,
+    updatedArticles: updatedCount,
+    unchangedArticles: uniqueArticles.length - changed.length,
+  };
+
+  logger.info("Articles compared with the vector store", changeStats);
+
+  const changes = uniqueArticles.map((article) => ({
+    articleId: article.id,
+    title: article.title,
+    source: article.source,
+    url: article.url,
+    status: !stored.has(article.id)
+      ? "new"
+      : changed.includes(article)
+      ? "updated"
+      : "unchanged",
+    chunkCount: stored.get(article.id)?.chunkCount ?? 0,
+  }));
+
+  let embeddedChunks = [];
+  let insertResult = { inserted: 0, totalInCollection: null };
+
+  if (changed.length > 0) {
+    // Group wire copies of one story across outlets (SimHash fingerprints)
+    await assignStoryClusters(changed);
+
+    // Split articles into overlapping chunks, one vector per chunk
+    const chunks = chunkArticles(changed);
+    const chunkCounts = new Map(
+      chunks.map((chunk) => [chunk.articleId, chunk.chunkCount])
+    );
+    changes.forEach((change) => {
+      if (chunkCounts.has(change.articleId)) {
+        change.chunkCount = chunkCounts.get(change.articleId);
+      }
     });
 
-    // Insert articles into vector database
-    logger.info("💾 Inserting articles into vector database...");
-    const insertResult = await insertDocuments(finalArticles);
+    // Generate embeddings for all chunks
+    logger.info("📊 Generating embeddings for article chunks...");
+    const texts = chunks.map((chunk) => `${chunk.title}\n\n${chunk.content}`);
 
-    const processingTime = Date.now() - startTime;
+    const embeddings = await generateBatchEmbeddings(texts);
 
-    logger.info("🎉 News ingestion completed successfully!", {
-      totalArticles: finalArticles.length,
-      insertedDocuments: insertResult.inserted,
-      totalInDatabase: insertResult.totalInCollection,
-      processingTime: `${Math.round(processingTime / 1000)}s`,
-      averageTimePerArticle: `${Math.round(
-        processingTime / finalArticles.length
-      )}ms`,
+    // Attach embeddings to chunks, dropping chunks that couldn't be embedded
+    const ingestionTimestamp = new Date().toISOString();
+    chunks.forEach((chunk, index) => {
+      chunk.embedding = embeddings[index];
+      chunk.ingestionTimestamp = ingestionTimestamp;
     });
 
-    // Generate summary statistics
-    const sourceStats = {};
-    const categoryStats = {};
+    embeddedChunks = chunks.filter((chunk) => chunk.embedding);
+    if (embeddedChunks.length === 0) {
+      throw new Error("No article chunks could be embedded");
+    }
+
+    logger.info("✅ Embeddings generated successfully", {
+      embeddingCount: embeddedChunks.length,
+      skippedChunks: chunks.length - embeddedChunks.length,
+      embeddingDimension: embeddedChunks[0].embedding.length,
+    });
 
-    finalArticles.forEach((article) => {
-      sourceStats[article.source] = (sourceStats[article.source] || 0) + 1;
-      article.categories.forEach((cat) => {
-        categoryStats[cat] = (categoryStats[cat] || 0) + 1;
+    if (options.dryRun) {
+      logger.info("🧪 Dry run: vector store left untouched", {
+        wouldInsert: embeddedChunks.length,
       });
-    });
+    } else {
+      insertResult = await storeChunks(chunks, embeddedChunks, stored);
+    }
+  }
 
-    return {
-      articles: finalArticles,
-      statistics: {
-        totalArticles: finalArticles.length,
-        processingTime,
-        sources: sourceStats,
-        categories: categoryStats,
-        averageContentLength: Math.round(
-          finalArticles.reduce((sum, a) => sum + a.content.length, 0) /
-            finalArticles.length
+  const processingTime = Date.now() - startTime;
+
+  const summary = options.dryRun
+    ? "🧪 Dry run completed, nothing was stored"
+    : "🎉 Articles ingested successfully!";
+
+  logger.info(summary, {
+    totalArticles: uniqueArticles.length,
+    ...changeStats,
+    totalChunks: embeddedChunks.length,
+    insertedDocuments: insertResult.inserted,
+    totalInDatabase: insertResult.totalInCollection,
+    processingTime: `${Math.round(processingTime / 1000)}s`,
+  });
+
+  // Generate summary statistics
+  const sourceStats = {};
+  const categoryStats = {};
+
+  uniqueArticles.forEach((article) => {
+    sourceStats[article.source] = (sourceStats[article.source] || 0) + 1;
+    article.categories.forEach((cat) => {
+      categoryStats[cat] = (categoryStats[cat] || 0) + 1;
+    });
+  });
+
+  return {
+    articles: uniqueArticles,
+    changes,
+    statistics: {
+      totalArticles: uniqueArticles.length,
+      ...changeStats,
+      totalChunks: embeddedChunks.length,
+      processingTime,
+      sources: sourceStats,
+      categories: categoryStats,
+      averageContentLength: Math.round(
+        uniqueArticles.reduce((sum, a) => sum + a.content.length, 0) /
+          uniqueArticles.length
+      ),
+      dateRange: {
+        earliest: uniqueArticles.reduce(
+          (earliest, article) =>
+            !earliest || new Date(article.publishedDate) < new Date(earliest)
+              ? article.publishedDate
+              : earliest,
+          null
+        ),
+        latest: uniqueArticles.reduce(
+          (latest, article) =>
+            !latest || new Date(article.publishedDate) > new Date(latest)
+              ? article.publishedDate
+              : latest,
+          null
         ),
-        dateRange: {
-          earliest: finalArticles.reduce(
-            (earliest, article) =>
-              !earliest || new Date(article.publishedDate) < new Date(earliest)
-                ? article.publishedDate
-                : earliest,
-            null
-          ),
-          latest: finalArticles.reduce(
-            (latest, article) =>
-              !latest || new Date(article.publishedDate) > new Date(latest)
-                ? article.publishedDate
-                : latest,
-            null
-          ),
-        },
       },
-    };
+    },
+  };
+}
+
+/**
+ * Ingest news articles from feeds (RSS/Atom, JSON Feed, news sitemaps)
+ * @param {number} maxArticles - Maximum total articles to ingest
+ * @param {Array} customFeeds - Custom feed URLs or settings to use (optional)
+ * @param {Object} options - Passed to ingestArticles ({ dryRun, storeEmpty,
+ *   clearedSource })
+ * @returns {Object} { articles, changes, statistics }
+ */
+async function ingestNewsFromRSS(
+  maxArticles = 50,
+  customFeeds = null,
+  options = {}
+) {
+  const startTime = Date.now();
+
+  try {
+    logger.info("🚀 Starting news ingestion process...", {
+      maxArticles,
+      feeds: customFeeds ? customFeeds.length : "registry",
+    });
+
+    const finalArticles = await collectArticles(maxArticles, customFeeds);
+
+    if (finalArticles.length === 0) {
+      throw new Error("No articles were successfully collected from feeds");
+    }
+
+    const result = await ingestArticles(finalArticles, options);
+    result.statistics.processingTime = Date.now() - startTime;
+
+    return result;
   } catch (error) {
     const processingTime = Date.now() - startTime;
 
@@ -367,10 +645,253 @@ function validateArticle(article) {
   );
 }
 
+/**
+ * Per-document result of an ad-hoc ingestion
+ * @param {Object} article - Ingested article
+ * @param {Array} changes - Change list from ingestArticles
+ * @returns {Object} { articleId, chunkIds, status, title, source, visibility }
+ */
+function describeIngested(article, changes) {
+  const change = changes.find(({ articleId }) => articleId === article.id);
+  return {
+    articleId: article.id,
+    chunkIds: Array.from({ length: change.chunkCount }, (_, i) =>
+      chunkIdFor(article.id, i)
+    ),
+    status: change.status,
+    title: article.title,
+    source: article.source,
+    visibility: article.visibility,
+  };
+}
+
+/**
+ * Build an article from a page URL alone (no feed entry)
+ * @param {string} pageUrl - Article URL
+ * @param {Object} options - { ownerSessionId: keep it private to a session }
+ * @returns {Object|null} Article, or null when no content could be extracted
+ */
+async function articleFromUrl(pageUrl, options = {}) {
+  const extracted = await extractContentFromUrl(pageUrl);
+  if (!extracted) {
+    return null;
+  }
+
+  const { content, metadata } = extracted;
+  const url = canonicalizeUrl(pageUrl) || pageUrl;
+
+  return {
+    id: articleIdFor({ url, ownerSessionId: options.ownerSessionId }),
+    title: metadata.title || "Untitled",
+    content,
+    url,
+    publishedDate: metadata.publishedAt || new Date().toISOString(),
+    source: metadata.siteName || new URL(url).hostname,
+    description: "",
+    categories: [],
+    guid: url,
+    author: metadata.author || null,
+    imageUrl: metadata.imageUrl || null,
+    canonicalUrl: metadata.canonicalUrl || url,
+    visibility: options.ownerSessionId ? "private" : "public",
+    ownerSessionId: options.ownerSessionId || null,
+  };
+}
+
+/**
+ * Fetch, chunk, embed and store specific article URLs
+ * @param {Array<string>} urls - Article URLs
+ * @param {Object} options - { ownerSessionId: only retrieve them for this session }
+ * @returns {Object} { documents: [{ url, articleId, chunkIds, status, ... }], failed: [{ url, error }] }
+ */
+async function ingestUrls(urls, options = {}) {
+  const failed = [];
+  const articles = [];
+
+  const extracted = await Promise.all(
+    urls.map(async (url) => {
+      try {
+        return { url, article: await articleFromUrl(url, options) };
+      } catch (error) {
+        return { url, error: error.message };
+      }
+    })
+  );
+
+  extracted.forEach(({ url, article, error }) => {
+    if (article) {
+      articles.push({ url, article });
+    } else {
+      failed.push({
+        url,
+        error:
+          error ||
+          "No readable content (page unreachable, disallowed by robots.txt, or too short)",
+      });
+    }
+  });
+
+  if (articles.length === 0) {
+    return { documents: [], failed };
+  }
+
+  const { changes } = await ingestArticles(
+    articles.map(({ article }) => article)
+  );
+
+  const documents = articles.map(({ url, article }) => ({
+    url,
+    ...describeIngested(article, changes),
+  }));
+
+  logger.info("URLs ingested", {
+    documents: documents.length,
+    failed: failed.length,
+    visibility: options.ownerSessionId ? "private" : "public",
+  });
+
+  return { documents, failed };
+}
+
+/**
+ * Build an article from an uploaded file
+ * @param {Object} file - { fileName, mimeType, buffer }
+ * @param {Object} options - { uploadedBy, ownerSessionId }
+ * @returns {Object} Article
+ */
+async function articleFromUpload(file, options) {
+  const parsed = await parseDocument(file.buffer, {
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+  });
+
+  if (parsed.content.length <= 100) {
+    const error = new Error(
+      parsed.type === "pdf"
+        ? "No text found (scanned PDFs without a text layer are not supported)"
+        : "Too little text to index"
+    );
+    error.code = "EMPTY_DOCUMENT";
+    throw error;
+  }
+
+  // uploadedBy is only a label sent by the client, so it can't name the
+  // document. A private upload is keyed by its verified owner session and
+  // file name (re-uploading replaces it); a public one by its bytes, so it
+  // can never overwrite someone else's document.
+  const guid = options.ownerSessionId
+    ? `upload:${file.fileName}`
+    : `upload:sha256:${crypto
+        .createHash("sha256")
+        .update(file.buffer)
+        .digest("hex")}`;
+
+  return {
+    id: articleIdFor({ guid, ownerSessionId: options.ownerSessionId }),
+    title:
+      parsed.title ||
+      path.basename(file.fileName, path.extname(file.fileName)),
+    content: parsed.content.substring(0, MAX_ARTICLE_CHARS),
+    url: null,
+    publishedDate: parsed.publishedAt || new Date().toISOString(),
+    source: "upload",
+    description: "",
+    categories: [],
+    guid,
+    author: parsed.author,
+    imageUrl: null,
+    canonicalUrl: null,
+    visibility: options.ownerSessionId ? "private" : "public",
+    ownerSessionId: options.ownerSessionId || null,
+    uploadedBy: options.uploadedBy,
+    fileName: file.fileName,
+    documentType: parsed.type,
+  };
+}
+
+/**
+ * Parse, chunk, embed and store uploaded documents
+ * @param {Array} files - [{ fileName, mimeType, buffer }]
+ * @param {Object} options - { uploadedBy: session or user id, ownerSessionId: only retrieve them for this session }
+ * @returns {Object} { documents: [{ fileName, articleId, chunkIds, status, ... }], failed: [{ fileName, error }] }
+ */
+async function ingestDocuments(files, options = {}) {
+  const failed = [];
+  const articles = [];
+
+  for (const file of files) {
+    try {
+      articles.push({
+        fileName: file.fileName,
+        article: await articleFromUpload(file, options),
+      });
+    } catch (error) {
+      logger.warn(`Upload not ingested: ${file.fileName}`, {
+        error: error.message,
+        code: error.code,
+      });
+      failed.push({ fileName: file.fileName, error: error.message });
+    }
+  }
+
+  if (articles.length === 0) {
+    return { documents: [], failed };
+  }
+
+  const { changes } = await ingestArticles(
+    articles.map(({ article }) => article)
+  );
+
+  const documents = articles.map(({ fileName, article }) => ({
+    fileName,
+    documentType: article.documentType,
+    ...describeIngested(article, changes),
+  }));
+
+  logger.info("Uploaded documents ingested", {
+    documents: documents.length,
+    failed: failed.length,
+    uploadedBy: options.uploadedBy,
+    visibility: options.ownerSessionId ? "private" : "public",
+  });
+
+  return { documents, failed };
+}
+
+/**
+ * Delete the documents a session ingested privately
+ * @param {string} sessionId - Owning session
+ * @returns {number} Chunks deleted from the vector store
+ */
+async function deleteSessionDocuments(sessionId) {
+  const filter = {
+    must: [{ key: "ownerSessionId", match: { value: sessionId } }],
+  };
+
+  const { deleted } = await deleteDocuments(filter);
+
+  if (deleted > 0) {
+    logger.info(`Private documents deleted for session ${sessionId}`, {
+      deleted,
+    });
+  }
+  return deleted;
+}
+
 module.exports = {
   ingestNewsFromRSS,
-  parseRSSFeed,
+  ingestUrls,
+  ingestDocuments,
+  deleteSessionDocuments,
+  collectArticles,
+  ingestArticles,
+  fetchFeed,
+  articlesFromItems,
+  articleResultsFromItems,
+  parseFeed,
+  fetchArticleContent,
   extractContentFromUrl,
   validateArticle,
   DEFAULT_RSS_FEEDS,
+  RSS_FEEDS,
 };
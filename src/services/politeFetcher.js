@@ -0,0 +1,537 @@
+const axios = require("axios");
+const winston = require("winston");
+const {
+  checkPublicUrl,
+  isLookupFailure,
+  publicLookup,
+} = require("./networkGuard");
+
+// Create dedicated logger
+const fetchLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Politeness settings for article page fetches
+const FETCH_CONFIG = {
+  robotsAgent: "RAG-NewsBot",
+  userAgent: "Mozilla/5.0 (compatible; RAG-NewsBot/1.0)",
+  timeout: 15000,
+  maxRedirects: 3,
+  // Bodies are buffered in memory; larger responses are abandoned mid-stream
+  maxResponseBytes:
+    (parseInt(process.env.FETCH_MAX_RESPONSE_MB) || 5) * 1024 * 1024,
+  hostConcurrency: parseInt(process.env.FETCH_HOST_CONCURRENCY) || 1,
+  hostIntervalMs: process.env.FETCH_HOST_INTERVAL_MS
+    ? parseInt(process.env.FETCH_HOST_INTERVAL_MS)
+    : 1000,
+  maxCrawlDelaySeconds:
+    parseInt(process.env.FETCH_MAX_CRAWL_DELAY_SECONDS) || 30,
+  maxRetries: process.env.FETCH_MAX_RETRIES
+    ? parseInt(process.env.FETCH_MAX_RETRIES)
+    : 2,
+  maxRetryAfterSeconds:
+    parseInt(process.env.FETCH_MAX_RETRY_AFTER_SECONDS) || 120,
+  robotsTtlMs:
+    (parseInt(process.env.ROBOTS_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000,
+  // An unreachable robots.txt means "disallow everything" (RFC 9309), but
+  // only briefly so a flaky server isn't shut out for a day
+  robotsErrorTtlMs: 10 * 60 * 1000,
+  // RFC 9309 asks crawlers to follow at least five robots.txt redirects
+  maxRobotsRedirects: 5,
+};
+
+// Status codes that mean "slow down", retried after Retry-After
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Parse robots.txt into groups of { agents, rules, crawlDelay }
+ * @param {string} text - robots.txt body
+ * @returns {Array} Groups in file order
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator <= 0) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === "allow" || key === "disallow") && value) {
+      current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Rules that apply to our crawler: groups naming it, else the "*" groups
+ */
+const selectRobotsRules = (groups) => {
+  const agent = FETCH_CONFIG.robotsAgent.toLowerCase();
+  let matching = groups.filter((group) => group.agents.includes(agent));
+  if (matching.length === 0) {
+    matching = groups.filter((group) => group.agents.includes("*"));
+  }
+
+  const delays = matching
+    .map((group) => group.crawlDelay)
+    .filter((delay) => delay !== null);
+
+  return {
+    rules: matching.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+};
+
+/**
+ * robots.txt path pattern ("*" wildcards, "$" end anchor) as a RegExp
+ */
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+};
+
+/**
+ * Whether a path may be fetched: the longest matching rule wins, and Allow
+ * wins a tie
+ * @param {Array} rules - { allow, path } rules
+ * @param {string} path - URL path plus query
+ */
+function isPathAllowed(rules, path) {
+  if (path === "/robots.txt") return true;
+
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+// origin -> { rules, crawlDelay, unreachable, expiresAt } or in-flight promise
+const robotsCache = new Map();
+
+/**
+ * GET robots.txt, following redirects by hand so every hop passes the
+ * public-address check
+ */
+const fetchRobotsTxt = async (origin) => {
+  let url = `${origin}/robots.txt`;
+
+  for (let hop = 0; ; hop++) {
+    const blockedReason = await checkPublicUrl(url);
+    if (blockedReason) {
+      throw new Error(blockedReason);
+    }
+
+    const response = await axios.get(url, {
+      timeout: FETCH_CONFIG.timeout,
+      headers: { "User-Agent": FETCH_CONFIG.userAgent },
+      maxRedirects: 0,
+      lookup: publicLookup,
+      responseType: "text",
+      maxContentLength: FETCH_CONFIG.maxResponseBytes,
+      validateStatus: () => true,
+    });
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    if (hop >= FETCH_CONFIG.maxRobotsRedirects) {
+      throw new Error("too many redirects");
+    }
+    url = new URL(location, url).toString();
+  }
+};
+
+/**
+ * Download and parse an origin's robots.txt
+ */
+const loadRobots = async (origin) => {
+  try {
+    const response = await fetchRobotsTxt(origin);
+
+    if (response.status >= 500) {
+      return { unreachable: true, reason: `HTTP ${response.status}` };
+    }
+
+    // A missing or forbidden robots.txt places no restrictions (RFC 9309)
+    if (response.status >= 400) {
+      return { rules: [], crawlDelay: null };
+    }
+
+    return selectRobotsRules(parseRobotsTxt(response.data));
+  } catch (error) {
+    return { unreachable: true, reason: error.message };
+  }
+};
+
+/**
+ * Cached robots.txt rules for the origin of a URL
+ * @param {string} url - Any URL on the origin
+ * @returns {Object} { rules, crawlDelay } or { unreachable, reason }
+ */
+async function getRobotsRules(url) {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+
+  if (cached && (cached.then || cached.expiresAt > Date.now())) {
+    return cached;
+  }
+
+  const pending = loadRobots(origin).then((robots) => {
+    const ttl = robots.unreachable
+      ? FETCH_CONFIG.robotsErrorTtlMs
+      : FETCH_CONFIG.robotsTtlMs;
+    const entry = { ...robots, expiresAt: Date.now() + ttl };
+    robotsCache.set(origin, entry);
+    return entry;
+  });
+
+  robotsCache.set(origin, pending);
+  return pending;
+}
+
+// host -> { active, waiting, nextAllowedAt, blockedUntil, intervalMs, timer }
+const hosts = new Map();
+
+const hostState = (host) => {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      active: 0,
+      waiting: [],
+      nextAllowedAt: 0,
+      blockedUntil: 0,
+      intervalMs: FETCH_CONFIG.hostIntervalMs,
+      timer: null,
+    });
+  }
+  return hosts.get(host);
+};
+
+/**
+ * Start the next waiting request for a host once concurrency and spacing
+ * allow it. While the host has asked us to stay away, waiting requests are
+ * turned down instead.
+ */
+const pumpHost = (host) => {
+  const state = hostState(host);
+
+  if (state.blockedUntil > Date.now()) {
+    state.waiting.splice(0).forEach((resolve) => resolve(false));
+    return;
+  }
+
+  if (
+    state.timer ||
+    state.waiting.length === 0 ||
+    state.active >= FETCH_CONFIG.hostConcurrency
+  ) {
+    return;
+  }
+
+  const wait = state.nextAllowedAt - Date.now();
+  if (wait > 0) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      pumpHost(host);
+    }, wait);
+    return;
+  }
+
+  state.active++;
+  state.nextAllowedAt = Date.now() + state.intervalMs;
+  state.waiting.shift()(true);
+  pumpHost(host);
+};
+
+/**
+ * Wait for a request slot on a host
+ * @returns {boolean} false when the host is blocked by a long Retry-After
+ */
+const acquireHostSlot = (host) =>
+  new Promise((resolve) => {
+    hostState(host).waiting.push(resolve);
+    pumpHost(host);
+  });
+
+const releaseHostSlot = (host) => {
+  hostState(host).active--;
+  pumpHost(host);
+};
+
+/**
+ * Hold every request to a host back until a point in time
+ */
+const pauseHost = (host, untilMs) => {
+  const state = hostState(host);
+  state.nextAllowedAt = Math.max(state.nextAllowedAt, untilMs);
+};
+
+/**
+ * Turn down requests to a host until a point in time
+ */
+const blockHost = (host, untilMs) => {
+  const state = hostState(host);
+  state.blockedUntil = Math.max(state.blockedUntil, untilMs);
+  pumpHost(host);
+};
+
+/**
+ * Retry-After as milliseconds to wait (delta-seconds or HTTP date)
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Whether axios gave up on a body over maxContentLength (it has no error
+ * code of its own; ERR_BAD_RESPONSE also covers aborted streams)
+ */
+const isOversizedResponse = (error) =>
+  error.code === axios.AxiosError.ERR_BAD_RESPONSE &&
+  /^maxContentLength size of \d+ exceeded/.test(error.message);
+
+/**
+ * Log a skipped fetch
+ * @returns {Object} { skipped: true, reason, retryable }; retryable skips
+ *   (back-off, unreachable robots.txt, DNS errors) may succeed later
+ */
+const logSkip = (url, reason, { retryable = false, ...details } = {}) => {
+  fetchLogger.warn(`Skipping ${url}: ${reason}`, {
+    url,
+    reason,
+    retryable,
+    ...details,
+  });
+  return { skipped: true, reason, retryable };
+};
+
+/**
+ * Check robots.txt for a URL and apply its Crawl-delay to the host
+ * @returns {Object|null} { reason, retryable } when the URL must be skipped
+ */
+const checkRobots = async (url) => {
+  const robots = await getRobotsRules(url);
+  if (robots.unreachable) {
+    return {
+      reason: `robots.txt unreachable (${robots.reason})`,
+      retryable: true,
+    };
+  }
+
+  const { host, pathname, search } = new URL(url);
+  if (!isPathAllowed(robots.rules, pathname + search)) {
+    return { reason: "disallowed by robots.txt", retryable: false };
+  }
+
+  if (robots.crawlDelay !== null) {
+    if (robots.crawlDelay > FETCH_CONFIG.maxCrawlDelaySeconds) {
+      return {
+        reason: `Crawl-delay ${robots.crawlDelay}s exceeds ${FETCH_CONFIG.maxCrawlDelaySeconds}s`,
+        retryable: false,
+      };
+    }
+    hostState(host).intervalMs = Math.max(
+      FETCH_CONFIG.hostIntervalMs,
+      robots.crawlDelay * 1000
+    );
+  }
+
+  return null;
+};
+
+/**
+ * GET a page politely: refuses non-public addresses and obeys robots.txt
+ * and Crawl-delay on every redirect hop, spaces and caps requests per host,
+ * and backs off on 429/503
+ * @param {string} url - Page URL
+ * @param {Object} options - { headers, timeout }; bodies are always read as
+ *   text and capped at FETCH_CONFIG.maxResponseBytes
+ * @returns {Object} { status, data, headers, url }, or
+ *   { skipped: true, reason, retryable } when the page was not fetched
+ */
+async function politeGet(url, options = {}) {
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= FETCH_CONFIG.maxRedirects; hop++) {
+    let parsed;
+    try {
+      parsed = new URL(currentUrl);
+    } catch (error) {
+      return logSkip(currentUrl, "invalid URL");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return logSkip(currentUrl, `unsupported protocol ${parsed.protocol}`);
+    }
+
+    const blockedReason = await checkPublicUrl(currentUrl);
+    if (blockedReason) {
+      return logSkip(currentUrl, blockedReason, {
+        requestedUrl: url,
+        retryable: isLookupFailure(blockedReason),
+      });
+    }
+
+    const robotsSkip = await checkRobots(currentUrl);
+    if (robotsSkip) {
+      return logSkip(currentUrl, robotsSkip.reason, {
+        requestedUrl: url,
+        retryable: robotsSkip.retryable,
+      });
+    }
+
+    const response = await requestWithBackoff(currentUrl, parsed.host, options);
+    if (response.skipped) {
+      return response;
+    }
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    return {
+      status: response.status,
+      data: response.data,
+      headers: response.headers,
+      url: currentUrl,
+    };
+  }
+
+  return logSkip(url, `more than ${FETCH_CONFIG.maxRedirects} redirects`);
+}
+
+/**
+ * One request through the host queue, retried on 429/503
+ */
+async function requestWithBackoff(url, host, options) {
+  for (let attempt = 0; ; attempt++) {
+    if (!(await acquireHostSlot(host))) {
+      return logSkip(url, "host asked to back off (Retry-After)", {
+        until: new Date(hostState(host).blockedUntil).toISOString(),
+        retryable: true,
+      });
+    }
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        timeout: FETCH_CONFIG.timeout,
+        ...options,
+        headers: { "User-Agent": FETCH_CONFIG.userAgent, ...options.headers },
+        maxRedirects: 0,
+        // Connects only to the public address it resolved (no DNS rebinding)
+        lookup: publicLookup,
+        responseType: "text",
+        maxContentLength: FETCH_CONFIG.maxResponseBytes,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      if (isOversizedResponse(error)) {
+        return logSkip(
+          url,
+          `response larger than ${FETCH_CONFIG.maxResponseBytes} bytes`
+        );
+      }
+      throw error;
+    } finally {
+      releaseHostSlot(host);
+    }
+
+    if (!THROTTLE_STATUSES.includes(response.status)) {
+      return response;
+    }
+
+    const retryAfterMs =
+      parseRetryAfter(response.headers["retry-after"]) ??
+      FETCH_CONFIG.hostIntervalMs * 2 ** (attempt + 1);
+
+    if (attempt >= FETCH_CONFIG.maxRetries) {
+      return logSkip(url, `HTTP ${response.status} after ${attempt + 1} tries`, {
+        retryable: true,
+      });
+    }
+    if (retryAfterMs > FETCH_CONFIG.maxRetryAfterSeconds * 1000) {
+      blockHost(host, Date.now() + retryAfterMs);
+      return logSkip(
+        url,
+        `HTTP ${response.status} with Retry-After ${Math.round(
+          retryAfterMs / 1000
+        )}s`,
+        { retryable: true }
+      );
+    }
+
+    fetchLogger.info(`Backing off ${host} after HTTP ${response.status}`, {
+      url,
+      retryAfterMs,
+      attempt: attempt + 1,
+    });
+    pauseHost(host, Date.now() + retryAfterMs);
+  }
+}
+
+module.exports = {
+  FETCH_CONFIG,
+  politeGet,
+  getRobotsRules,
+  parseRobotsTxt,
+  isPathAllowed,
+};
@@ -1,8 +1,5 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const winston = require("winston");
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { getLLMProvider, describeProvider } = require("./llm");
 
 // Create dedicated logger
 const ragLogger = winston.createLogger({
@@ -22,8 +19,41 @@ const ragLogger = winston.createLogger({
 });
 
 // Import services
-const { searchVectors } = require("./qdrantService");
-const { generateEmbedding } = require("./jinaService");
+const { hybridSearch } = require("./hybridSearchService");
+const { rerankDocuments } = require("./rerankService");
+const {
+  buildSearchFilter,
+  withVisibilityFilter,
+} = require("./searchFilters");
+const { processCitations } = require("./citationService");
+const {
+  detectTemporalIntent,
+  applyRecencyRanking,
+  RECENCY_CONFIG,
+} = require("./recencyService");
+const { collapseStoryClusters } = require("./storyClusterService");
+const { generateEmbedding } = require("./embeddingService");
+const { describeEmbeddingProvider } = require("./embeddings");
+const { getVectorStore } = require("./vectorStore");
+const { getRecentMessages } = require("../config/redis");
+
+// Conversation history configuration
+const HISTORY_CONFIG = {
+  maxMessages: parseInt(process.env.RAG_HISTORY_MESSAGES) || 6,
+  maxChars: parseInt(process.env.RAG_HISTORY_MAX_CHARS) || 3000,
+  maxMessageChars: 600,
+  rewriteQueries: process.env.RAG_QUERY_REWRITE !== "false",
+};
+
+// Retrieval configuration
+const RETRIEVAL_CONFIG = {
+  chunkCandidates: parseInt(process.env.RAG_CHUNK_CANDIDATES) || 40,
+  maxArticles: parseInt(process.env.RAG_MAX_ARTICLES) || 5,
+  rerankMinScore: process.env.RERANK_MIN_SCORE
+    ? parseFloat(process.env.RERANK_MIN_SCORE)
+    : null,
+  maxChunksPerArticle: parseInt(process.env.RAG_MAX_CHUNKS_PER_ARTICLE) || 3,
+};
 
 /**
  * Validate and clean user query
@@ -59,65 +89,217 @@ const validateQuery = (query) => {
 };
 
 /**
- * Enhanced Gemini generation with retry logic and fallbacks
+ * Group chunk hits back into articles so one story is only cited once.
+ * Each group keeps the best chunk score and the matched chunks in reading order.
+ */
+const groupChunksByArticle = (results) => {
+  const groups = new Map();
+
+  for (const result of results) {
+    const payload = result.payload || {};
+    const articleId = payload.articleId || result.id;
+
+    if (!groups.has(articleId)) {
+      groups.set(articleId, {
+        id: articleId,
+        score: result.score,
+        payload: { ...payload },
+        retrievers: new Set(),
+        retrieverScores: {},
+        chunks: [],
+      });
+    }
+
+    const group = groups.get(articleId);
+    group.score = Math.max(group.score, result.score);
+    (result.retrievers || []).forEach((name) => group.retrievers.add(name));
+    Object.entries(result.retrieverScores || {}).forEach(([name, score]) => {
+      group.retrieverScores[name] = Math.max(
+        group.retrieverScores[name] ?? -Infinity,
+        score
+      );
+    });
+    if (group.chunks.length < RETRIEVAL_CONFIG.maxChunksPerArticle) {
+      group.chunks.push({
+        index: payload.chunkIndex || 0,
+        content: payload.content || "",
+        score: result.score,
+      });
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.score - a.score)
+    .map((group) => {
+      const ordered = [...group.chunks].sort((a, b) => a.index - b.index);
+      return {
+        id: group.id,
+        score: group.score,
+        retrievers: [...group.retrievers],
+        retrieverScores: group.retrieverScores,
+        payload: {
+          ...group.payload,
+          content: ordered.map((chunk) => chunk.content).join("\n...\n"),
+          matchedChunks: ordered.map((chunk) => chunk.index),
+        },
+      };
+    });
+};
+
+/**
+ * Load the most recent conversation turns for a session
  */
-const generateWithGemini = async (
+const loadConversationHistory = async (sessionId, currentQuery) => {
+  if (!sessionId) {
+    return [];
+  }
+
+  try {
+    // One extra message covers the current question stored by the caller
+    const messages = await getRecentMessages(
+      sessionId,
+      HISTORY_CONFIG.maxMessages + 1
+    );
+
+    const turns = messages.filter(
+      (m) =>
+        (m.type === "user" || m.type === "bot") &&
+        !m.isError &&
+        typeof m.content === "string"
+    );
+
+    // The socket handler stores the user message before calling the pipeline,
+    // so drop it here to avoid treating the current question as history
+    const last = turns[turns.length - 1];
+    if (last && last.type === "user" && last.content.trim() === currentQuery) {
+      turns.pop();
+    }
+
+    return turns.slice(-HISTORY_CONFIG.maxMessages);
+  } catch (error) {
+    ragLogger.warn("Failed to load conversation history", {
+      error: error.message,
+      sessionId,
+    });
+    return [];
+  }
+};
+
+/**
+ * Format conversation turns as a transcript bounded by HISTORY_CONFIG.maxChars
+ */
+const buildConversationTranscript = (history) => {
+  const lines = [];
+  let totalChars = 0;
+
+  // Walk backwards so the most recent turns survive the character budget
+  for (let i = history.length - 1; i >= 0; i--) {
+    const turn = history[i];
+    let content = turn.content.replace(/\s+/g, " ").trim();
+
+    if (content.length > HISTORY_CONFIG.maxMessageChars) {
+      content = `${content.substring(0, HISTORY_CONFIG.maxMessageChars)}...`;
+    }
+
+    const line = `${turn.type === "user" ? "User" : "Assistant"}: ${content}`;
+    if (totalChars + line.length > HISTORY_CONFIG.maxChars) {
+      break;
+    }
+
+    lines.unshift(line);
+    totalChars += line.length;
+  }
+
+  return lines.join("\n");
+};
+
+/**
+ * Rewrite a follow-up question into a standalone search query
+ */
+const rewriteFollowUpQuery = async (query, history) => {
+  if (history.length === 0) {
+    return query;
+  }
+
+  const lastUserTurn = [...history].reverse().find((m) => m.type === "user");
+
+  if (HISTORY_CONFIG.rewriteQueries) {
+    const rewritePrompt = `Given the conversation below and a follow-up question, rewrite the follow-up into a single standalone search query for a news archive. Resolve pronouns and references using the conversation. Reply with the query only.
+
+Conversation:
+${buildConversationTranscript(history)}
+
+Follow-up question: ${query}
+
+Standalone query:`;
+
+    try {
+      // Standalone queries can be very short ("UK budget")
+      const rewritten = await generateWithLLM(rewritePrompt, 1, 1000, {
+        minLength: 1,
+      });
+      const cleaned = rewritten
+        .split("\n")[0]
+        .replace(/^["'\s]+|["'\s]+$/g, "")
+        .trim();
+
+      if (cleaned.length >= 3 && cleaned.length <= 1000) {
+        return cleaned;
+      }
+    } catch (error) {
+      ragLogger.warn("Query rewrite failed, using heuristic fallback", {
+        error: error.message,
+      });
+    }
+  }
+
+  // Fallback: anchor the follow-up to the previous user question
+  if (!lastUserTurn) {
+    return query;
+  }
+
+  return `${lastUserTurn.content} ${query}`.substring(0, 1000);
+};
+
+/**
+ * LLM generation with retry logic for overload and rate-limit errors.
+ * Replies shorter than minLength count as failures.
+ */
+const generateWithLLM = async (
   prompt,
   maxRetries = 3,
-  retryDelay = 2000
+  retryDelay = 2000,
+  { minLength = 11 } = {}
 ) => {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-1.5-flash",
-    generationConfig: {
-      temperature: 0.7,
-      topK: 40,
-      topP: 0.95,
-      maxOutputTokens: 2048,
-    },
-    safetySettings: [
-      {
-        category: "HARM_CATEGORY_HARASSMENT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-      {
-        category: "HARM_CATEGORY_HATE_SPEECH",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-      {
-        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-      {
-        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-    ],
-  });
+  const provider = getLLMProvider();
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      ragLogger.info(`Gemini generation attempt ${attempt}/${maxRetries}`);
+      ragLogger.info(
+        `${provider.name} generation attempt ${attempt}/${maxRetries}`
+      );
 
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await provider.generate(prompt);
 
-      if (text && text.length > 10) {
-        ragLogger.info(`Gemini generation successful on attempt ${attempt}`);
+      if (text && text.trim().length >= minLength) {
+        ragLogger.info(
+          `${provider.name} generation successful on attempt ${attempt}`
+        );
         return text;
       } else {
-        throw new Error("Empty or invalid response from Gemini");
+        throw new Error(`Empty or invalid response from ${provider.name}`);
       }
     } catch (error) {
-      ragLogger.error(`Gemini attempt ${attempt} failed:`, {
+      ragLogger.error(`${provider.name} attempt ${attempt} failed:`, {
         error: error.message,
         code: error.code || "UNKNOWN",
-        status: error.status || "UNKNOWN",
+        status: error.status || error.response?.status || "UNKNOWN",
       });
 
       // Check if it's a rate limit or overload error
       if (
         error.message.includes("503") ||
+        error.message.includes("429") ||
         error.message.includes("overloaded") ||
         error.message.includes("quota") ||
         error.message.includes("rate limit")
@@ -139,7 +321,37 @@ const generateWithGemini = async (
 };
 
 /**
- * Generate fallback response when Gemini fails
+ * Stream an LLM generation, calling onChunk for every text delta.
+ * Stops reading early when the abort signal fires.
+ */
+const generateWithLLMStream = async (prompt, { onChunk, signal } = {}) => {
+  const provider = getLLMProvider();
+
+  ragLogger.info(`Starting ${provider.name} streaming generation`);
+
+  let text = "";
+  for await (const delta of provider.stream(prompt, { signal })) {
+    if (signal?.aborted) {
+      break;
+    }
+
+    text += delta;
+    if (onChunk) {
+      onChunk(delta);
+    }
+  }
+
+  if (signal?.aborted) {
+    ragLogger.info(`${provider.name} stream aborted by caller`, {
+      charactersStreamed: text.length,
+    });
+  }
+
+  return { text, aborted: Boolean(signal?.aborted) };
+};
+
+/**
+ * Generate fallback response when the LLM fails
  */
 const generateFallbackResponse = (query, documents) => {
   const fallbackTemplates = [
@@ -204,69 +416,172 @@ Please check these sources for information and try your question again shortly.`
 };
 
 /**
- * Main RAG response generation with enhanced error handling
+ * Validate [n] markers in a generated answer against the returned sources.
+ * Returns the cleaned answer, sources flagged as cited/uncited, and the
+ * citation metadata.
  */
-const generateRAGResponse = async (query, sessionId) => {
-  const startTime = Date.now();
+const applyCitations = (answer, sources) => {
+  const result = processCitations(answer, sources.length);
 
-  try {
-    ragLogger.info("Starting RAG response generation", {
-      query: query.substring(0, 100),
-      sessionId,
-      timestamp: new Date().toISOString(),
+  return {
+    answer: result.answer,
+    sources: sources.map((source) => ({
+      ...source,
+      cited: result.citedSources.includes(source.index),
+    })),
+    citationMetadata: {
+      citations: result.citations,
+      citedSources: result.citedSources,
+      uncitedSources: result.uncitedSources,
+      invalidCitationsRemoved: result.invalidCitations.length,
+    },
+  };
+};
+
+/**
+ * Build the generic answer returned when the pipeline fails completely
+ */
+const buildErrorFallbackAnswer = (query) =>
+  `I apologize, but I'm currently experiencing technical difficulties and cannot provide a detailed response to your question "${query}". This might be due to:
+
+• High system load on AI services
+• Temporary API limitations  
+• Network connectivity issues
+
+Please try:
+1. Asking a simpler or different question
+2. Trying again in a few minutes
+3. Checking major news websites directly for the latest information
+
+Thank you for your patience!`;
+
+/**
+ * Run retrieval and build the prompt shared by the blocking and streaming paths
+ * @param {Object} options - { filters: { sources, categories, from, to } }
+ */
+const prepareRAGContext = async (query, sessionId, options = {}) => {
+  // Validate query
+  const validation = validateQuery(query);
+  if (!validation.valid) {
+    throw new Error(`Invalid query: ${validation.error}`);
+  }
+
+  // Load prior turns and resolve follow-ups into a standalone query
+  const history = await loadConversationHistory(sessionId, validation.query);
+  const searchQuery = await rewriteFollowUpQuery(validation.query, history);
+  const transcript = buildConversationTranscript(history);
+
+  if (searchQuery !== validation.query) {
+    ragLogger.info("Follow-up rewritten for retrieval", {
+      searchQuery: searchQuery.substring(0, 100),
+      historyTurns: history.length,
     });
+  }
 
-    // Validate query
-    const validation = validateQuery(query);
-    if (!validation.valid) {
-      throw new Error(`Invalid query: ${validation.error}`);
-    }
+  // Generate embedding with the same provider used for ingestion.
+  // If it is unavailable, retrieval continues on BM25 alone.
+  ragLogger.info("Generating embedding for query");
+  let embedding = null;
+  try {
+    embedding = await generateEmbedding(searchQuery);
+  } catch (error) {
+    ragLogger.error("Query embedding failed, using keyword search only", {
+      error: error.message,
+    });
+  }
 
-    // Generate embedding
-    ragLogger.info("Generating embedding for query");
-    const embedding = await generateEmbedding(validation.query);
+  // Search for relevant documents
+  ragLogger.info("Searching for relevant documents");
+  // Over-fetch chunks so several chunks of one article still leave room.
+  // Dense and BM25 rankings are fused with reciprocal rank fusion.
+  // Explicit periods ("yesterday", "this week") become a hard date filter
+  // unless the caller already supplied a date range
+  const temporalIntent = detectTemporalIntent(validation.query);
+  const filters = { ...(options.filters || {}) };
+  if (temporalIntent.range && !filters.from && !filters.to) {
+    filters.from = temporalIntent.range.from;
+    filters.to = temporalIntent.range.to;
+    ragLogger.info("Temporal intent detected", temporalIntent);
+  }
 
-    if (!embedding || !Array.isArray(embedding)) {
-      throw new Error("Failed to generate embedding for query");
-    }
+  // Session-private documents are only retrieved for their own session
+  const filter = buildSearchFilter(filters);
+  const searchResults = await hybridSearch(searchQuery, embedding, {
+    limit: RETRIEVAL_CONFIG.chunkCandidates,
+    filter: withVisibilityFilter(filter, sessionId),
+  });
 
-    // Search for relevant documents
-    ragLogger.info("Searching for relevant documents");
-    const searchResults = await searchVectors(embedding, 5); // Get top 5 results
+  // Rerank the grouped candidates and keep the best articles as context
+  let relevantDocs = [];
+  let reranker = null;
+  if (searchResults && searchResults.length > 0) {
+    const candidates = groupChunksByArticle(searchResults);
+    const reranked = await rerankDocuments(searchQuery, candidates, {
+      minScore: RETRIEVAL_CONFIG.rerankMinScore,
+      generate: (rerankPrompt) => generateWithLLM(rerankPrompt, 1, 1000),
+    });
 
-    let relevantDocs = [];
-    if (searchResults && searchResults.length > 0) {
-      relevantDocs = searchResults.filter((result) => result.score > 0.7); // Filter by relevance
-      ragLogger.info(`Found ${relevantDocs.length} relevant documents`);
-    }
+    // Blend relevance with freshness, weighted up for time-sensitive queries,
+    // then fold copies of one wire story into a single representative
+    relevantDocs = collapseStoryClusters(
+      applyRecencyRanking(reranked.documents, {
+        weight: temporalIntent.timeSensitive
+          ? RECENCY_CONFIG.weight
+          : RECENCY_CONFIG.baseWeight,
+      })
+    ).slice(0, RETRIEVAL_CONFIG.maxArticles);
+    reranker = reranked.reranker;
+    ragLogger.info(
+      `Found ${relevantDocs.length} relevant articles from ${candidates.length} candidates (${searchResults.length} chunks)`
+    );
+  }
 
-    // Prepare context from documents
-    let context = "";
-    let sources = [];
-
-    if (relevantDocs.length > 0) {
-      context = relevantDocs
-        .map((doc, index) => {
-          const payload = doc.payload || {};
-          sources.push({
-            title: payload.title || "Untitled",
-            source: payload.source || "Unknown Source",
-            url: payload.url || "#",
-            snippet:
-              payload.snippet || payload.content?.substring(0, 150) || "",
-            relevanceScore: doc.score || 0,
-            publishedAt: payload.publishedAt || null,
-          });
-
-          return `Source ${index + 1}: ${payload.title || "Untitled"}
+  // Prepare context from documents
+  let context = "";
+  let sources = [];
+
+  if (relevantDocs.length > 0) {
+    context = relevantDocs
+      .map((doc, index) => {
+        const payload = doc.payload || {};
+        sources.push({
+          index: index + 1,
+          title: payload.title || "Untitled",
+          source: payload.source || "Unknown Source",
+          url: payload.url || "#",
+          snippet: payload.snippet || payload.content?.substring(0, 150) || "",
+          relevanceScore: doc.retrieverScores?.dense || 0,
+          vectorScore: doc.retrieverScores?.dense ?? null,
+          rerankScore: doc.rerankScore ?? null,
+          freshnessScore: doc.freshnessScore ?? null,
+          fusionScore: doc.score || 0,
+          lexicalScore: doc.retrieverScores?.lexical ?? null,
+          retrievers: doc.retrievers || [],
+          publishedAt: payload.publishedAt || payload.publishedDate || null,
+          articleId: doc.id,
+          matchedChunks: payload.matchedChunks || [],
+          storyClusterId: payload.storyClusterId || doc.id,
+          alternativeSources: doc.alternativeSources || [],
+          author: payload.author || null,
+          imageUrl: payload.imageUrl || null,
+          canonicalUrl: payload.canonicalUrl || payload.url || null,
+        });
+
+        const alsoReportedBy = (doc.alternativeSources || []).length
+          ? `\nAlso reported by: ${[
+              ...new Set(doc.alternativeSources.map((alt) => alt.source)),
+            ].join(", ")}`
+          : "";
+
+        return `[${index + 1}] ${payload.title || "Untitled"} (${payload.source || "Unknown Source"})
 Content: ${payload.content || payload.snippet || "No content available"}
-Published: ${payload.publishedAt || "Unknown date"}`;
-        })
-        .join("\n\n");
-    }
+Published: ${payload.publishedAt || payload.publishedDate || "Unknown date"}${alsoReportedBy}`;
+      })
+      .join("\n\n");
+  }
 
-    // Create enhanced prompt
-    const systemPrompt = `You are a helpful news assistant that provides accurate, up-to-date information based on reliable sources. 
+  // Create enhanced prompt
+  const prompt = `You are a helpful news assistant that provides accurate, up-to-date information based on reliable sources. 
     
 Instructions:
 - Answer the user's question using only the provided context
@@ -275,6 +590,12 @@ Instructions:
 - Maintain a professional, journalistic tone
 - Focus on factual information
 - Don't make up information not in the sources
+- Use the conversation so far to understand follow-up questions
+- Cite the numbered sources inline with markers like [1] or [1, 3] right after each claim they support
+- Only cite numbers that appear in the context below; never invent sources
+
+Conversation so far:
+${transcript || "No previous conversation."}
 
 Context from news sources:
 ${context || "No specific recent news found for this query."}
@@ -283,10 +604,50 @@ User Question: ${validation.query}
 
 Please provide a helpful response based on the available information:`;
 
+  return {
+    query: validation.query,
+    searchQuery,
+    history,
+    reranker,
+    filters: filter ? filters : null,
+    temporalIntent: temporalIntent.label,
+    relevantDocs,
+    sources,
+    prompt,
+  };
+};
+
+/**
+ * Main RAG response generation with enhanced error handling
+ * @param {Object} options - { filters } passed through to retrieval
+ */
+const generateRAGResponse = async (query, sessionId, options = {}) => {
+  const startTime = Date.now();
+
+  try {
+    ragLogger.info("Starting RAG response generation", {
+      query: query.substring(0, 100),
+      sessionId,
+      timestamp: new Date().toISOString(),
+    });
+
+    const {
+      query: cleanQuery,
+      searchQuery,
+      history,
+      reranker,
+      filters,
+      temporalIntent,
+      relevantDocs,
+      sources,
+      prompt,
+    } = await prepareRAGContext(query, sessionId, options);
+
     try {
-      // Try to generate response with Gemini (with retries)
-      ragLogger.info("Generating response with Gemini");
-      const aiResponse = await generateWithGemini(systemPrompt);
+      // Try to generate response with the configured LLM (with retries)
+      ragLogger.info(`Generating response with ${describeProvider()}`);
+      const aiResponse = await generateWithLLM(prompt);
+      const cited = applyCitations(aiResponse, sources);
 
       const processingTime = Date.now() - startTime;
 
@@ -294,29 +655,36 @@ Please provide a helpful response based on the available information:`;
         processingTime,
         sourcesCount: sources.length,
         responseLength: aiResponse?.length || 0,
+        uncitedSources: cited.citationMetadata.uncitedSources.length,
       });
 
       return {
-        answer: aiResponse,
-        sources: sources,
+        answer: cited.answer,
+        sources: cited.sources,
         metadata: {
+          ...cited.citationMetadata,
           processingTime,
           documentsFound: relevantDocs.length,
           sourcesUsed: sources.length,
-          queryLength: validation.query.length,
-          modelUsed: "gemini-1.5-flash",
+          queryLength: cleanQuery.length,
+          searchQuery,
+          historyTurnsUsed: history.length,
+          reranker,
+          filters,
+          temporalIntent,
+          modelUsed: describeProvider(),
           timestamp: new Date().toISOString(),
         },
       };
-    } catch (geminiError) {
-      // Gemini failed, use fallback response
-      ragLogger.error("Gemini generation failed, using fallback", {
-        error: geminiError.message,
-        query: validation.query.substring(0, 50),
+    } catch (llmError) {
+      // LLM failed, use fallback response
+      ragLogger.error("LLM generation failed, using fallback", {
+        error: llmError.message,
+        query: cleanQuery.substring(0, 50),
       });
 
       const fallbackResponse = generateFallbackResponse(
-        validation.query,
+        cleanQuery,
         relevantDocs
       );
       const processingTime = Date.now() - startTime;
@@ -347,23 +715,144 @@ Please provide a helpful response based on the available information:`;
 
     // Return generic fallback
     return {
-      answer: `I apologize, but I'm currently experiencing technical difficulties and cannot provide a detailed response to your question "${query}". This might be due to:
+      answer: buildErrorFallbackAnswer(query),
+      sources: [],
+      metadata: {
+        processingTime,
+        error: error.message,
+        modelUsed: "error-fallback",
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+};
 
-• High system load on AI services
-• Temporary API limitations  
-• Network connectivity issues
+/**
+ * Streaming variant of generateRAGResponse.
+ *
+ * Callbacks:
+ * - onSources(sources): retrieval finished, before any text is generated
+ * - onChunk(delta): a piece of answer text is available
+ *
+ * Resolves with the same { answer, sources, metadata } shape as
+ * generateRAGResponse once the stream ends or the signal aborts it.
+ */
+const streamRAGResponse = async (
+  query,
+  sessionId,
+  { onSources, onChunk, signal, filters } = {}
+) => {
+  const startTime = Date.now();
+  const emitChunk = (delta) => onChunk && onChunk(delta);
 
-Please try:
-1. Asking a simpler or different question
-2. Trying again in a few minutes
-3. Checking major news websites directly for the latest information
+  ragLogger.info("Starting streaming RAG response generation", {
+    query: query.substring(0, 100),
+    sessionId,
+  });
+
+  let context;
+  try {
+    context = await prepareRAGContext(query, sessionId, { filters });
+  } catch (error) {
+    ragLogger.error("Streaming RAG preparation failed", {
+      error: error.message,
+      sessionId,
+    });
 
-Thank you for your patience!`,
+    const answer = buildErrorFallbackAnswer(query);
+    if (onSources) onSources([]);
+    emitChunk(answer);
+
+    return {
+      answer,
       sources: [],
       metadata: {
-        processingTime,
+        processingTime: Date.now() - startTime,
         error: error.message,
         modelUsed: "error-fallback",
+        streamed: true,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  const { searchQuery, history, relevantDocs, sources, prompt } = context;
+  if (onSources) onSources(sources);
+
+  const baseMetadata = {
+    documentsFound: relevantDocs.length,
+    sourcesUsed: sources.length,
+    queryLength: context.query.length,
+    searchQuery,
+    historyTurnsUsed: history.length,
+    reranker: context.reranker,
+    filters: context.filters,
+    temporalIntent: context.temporalIntent,
+    streamed: true,
+  };
+
+  let streamedText = "";
+  try {
+    const { text, aborted } = await generateWithLLMStream(prompt, {
+      signal,
+      onChunk: (delta) => {
+        streamedText += delta;
+        emitChunk(delta);
+      },
+    });
+
+    // Deltas are already sent; the final answer carries cleaned citations
+    const cited = applyCitations(text, sources);
+
+    return {
+      answer: cited.answer,
+      sources: cited.sources,
+      metadata: {
+        ...baseMetadata,
+        ...cited.citationMetadata,
+        processingTime: Date.now() - startTime,
+        modelUsed: describeProvider(),
+        cancelled: aborted,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  } catch (llmError) {
+    ragLogger.error("LLM streaming failed", {
+      error: llmError.message,
+      charactersStreamed: streamedText.length,
+    });
+
+    // Once text has reached the client we can only stop; otherwise fall back
+    if (streamedText.length > 0) {
+      const cited = applyCitations(streamedText, sources);
+      return {
+        answer: cited.answer,
+        sources: cited.sources,
+        metadata: {
+          ...baseMetadata,
+          ...cited.citationMetadata,
+          processingTime: Date.now() - startTime,
+          modelUsed: describeProvider(),
+          error: "Stream interrupted",
+          timestamp: new Date().toISOString(),
+        },
+      };
+    }
+
+    const fallbackResponse = generateFallbackResponse(
+      context.query,
+      relevantDocs
+    );
+    emitChunk(fallbackResponse);
+
+    return {
+      answer: fallbackResponse,
+      sources,
+      metadata: {
+        ...baseMetadata,
+        processingTime: Date.now() - startTime,
+        modelUsed: "fallback-template",
+        error: "AI model temporarily unavailable",
         timestamp: new Date().toISOString(),
       },
     };
@@ -378,20 +867,25 @@ const healthCheck = async () => {
     // Test embedding generation
     const testEmbedding = await generateEmbedding("test query");
 
-    // Test Gemini (with shorter timeout)
-    let geminiStatus = "healthy";
+    const vectorStore = await getVectorStore().healthCheck();
+
+    // Test the LLM provider (with shorter timeout)
+    let llmStatus = "healthy";
     try {
-      await generateWithGemini("Hello", 1, 1000); // Single retry, short delay
+      await generateWithLLM("Hello", 1, 1000); // Single retry, short delay
     } catch (error) {
-      geminiStatus = error.message.includes("503") ? "overloaded" : "error";
+      llmStatus = error.message.includes("503") ? "overloaded" : "error";
     }
 
     return {
       status: "operational",
       services: {
         embedding: testEmbedding ? "healthy" : "error",
-        vectorSearch: "healthy", // Assume healthy if no error
-        gemini: geminiStatus,
+        embeddingProvider: describeEmbeddingProvider(),
+        vectorSearch: vectorStore.status,
+        vectorStore: vectorStore.backend,
+        llm: llmStatus,
+        llmProvider: describeProvider(),
       },
       timestamp: new Date().toISOString(),
     };
@@ -406,6 +900,7 @@ const healthCheck = async () => {
 
 module.exports = {
   generateRAGResponse,
+  streamRAGResponse,
   validateQuery,
   healthCheck,
 };
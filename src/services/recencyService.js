@@ -0,0 +1,206 @@
+/**
+ * Recency helpers for time-sensitive news questions: temporal intent
+ * detection and exponential freshness decay on publish time.
+ */
+
+// Recency configuration
+const RECENCY_CONFIG = {
+  halfLifeHours: parseFloat(process.env.RECENCY_HALF_LIFE_HOURS) || 48,
+  // Share of the final score given to freshness for time-sensitive queries
+  weight: parseFloat(process.env.RECENCY_WEIGHT || "0.3"),
+  // Share used for every other query (0 disables recency there)
+  baseWeight: parseFloat(process.env.RECENCY_BASE_WEIGHT || "0"),
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Explicit asks for fresh news that don't name a period. Everyday words
+// ("current account", "just explain", "update") are left out on purpose:
+// matching them would silently re-rank ordinary questions by date.
+const RECENCY_KEYWORDS =
+  /\b(latest|newest|breaking|most recent|right now|so far today)\b/i;
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  const offset = (day.getDay() + 6) % 7; // Monday as first day
+  return new Date(day.getTime() - offset * DAY_MS);
+};
+
+const UNIT_MS = {
+  hour: HOUR_MS,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+};
+
+/**
+ * Detect temporal intent in a query and turn explicit periods into a range
+ * @param {string} query - User query
+ * @param {Date} now - Reference time
+ * @returns {Object} { timeSensitive, label, range: { from, to } | null }
+ */
+const detectTemporalIntent = (query, now = new Date()) => {
+  const text = (query || "").toLowerCase();
+  const today = startOfDay(now);
+
+  const result = (label, from, to = now) => ({
+    timeSensitive: true,
+    label,
+    range: { from: from.toISOString(), to: to.toISOString() },
+  });
+
+  const relative = text.match(
+    /\b(?:past|last|previous)\s+(\d{1,3})\s+(hour|day|week|month)s?\b/
+  );
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    return result(
+      `last ${amount} ${relative[2]}${amount === 1 ? "" : "s"}`,
+      new Date(now.getTime() - amount * UNIT_MS[relative[2]])
+    );
+  }
+
+  if (/\b(?:past|last)\s+24\s*h(?:ours|rs)?\b/.test(text)) {
+    return result("last 24 hours", new Date(now.getTime() - DAY_MS));
+  }
+
+  if (/\byesterday\b/.test(text)) {
+    return result(
+      "yesterday",
+      new Date(today.getTime() - DAY_MS),
+      new Date(today.getTime() - 1)
+    );
+  }
+
+  if (/\b(today|tonight|this morning|this afternoon|this evening)\b/.test(text)) {
+    return result("today", today);
+  }
+
+  if (/\blast week\b/.test(text)) {
+    const thisWeek = startOfWeek(now);
+    return result(
+      "last week",
+      new Date(thisWeek.getTime() - 7 * DAY_MS),
+      new Date(thisWeek.getTime() - 1)
+    );
+  }
+
+  if (/\b(this week|past week)\b/.test(text)) {
+    return /\bpast week\b/.test(text)
+      ? result("past week", new Date(now.getTime() - 7 * DAY_MS))
+      : result("this week", startOfWeek(now));
+  }
+
+  if (/\blast month\b/.test(text)) {
+    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    return result(
+      "last month",
+      new Date(now.getFullYear(), now.getMonth() - 1, 1),
+      new Date(thisMonth.getTime() - 1)
+    );
+  }
+
+  if (/\bthis month\b/.test(text)) {
+    return result("this month", new Date(now.getFullYear(), now.getMonth(), 1));
+  }
+
+  if (/\bthis year\b/.test(text)) {
+    return result("this year", new Date(now.getFullYear(), 0, 1));
+  }
+
+  if (RECENCY_KEYWORDS.test(text)) {
+    return { timeSensitive: true, label: "recent", range: null };
+  }
+
+  return { timeSensitive: false, label: null, range: null };
+};
+
+/**
+ * Publish time of a stored document in milliseconds, or null
+ */
+const getPublishedTime = (payload = {}) => {
+  if (typeof payload.publishedTimestamp === "number") {
+    return payload.publishedTimestamp;
+  }
+
+  const parsed = Date.parse(payload.publishedDate || payload.publishedAt);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Exponential freshness decay: 1 when just published, 0.5 after one half-life
+ */
+const freshnessScore = (
+  publishedTime,
+  now = Date.now(),
+  halfLifeHours = RECENCY_CONFIG.halfLifeHours
+) => {
+  if (publishedTime == null) {
+    return 0;
+  }
+
+  const ageHours = Math.max(0, (now - publishedTime) / HOUR_MS);
+  return Math.pow(0.5, ageHours / halfLifeHours);
+};
+
+/**
+ * Relevance of each document scaled to 0-1 over the candidate set. Rerank
+ * scores are already 0-1, but the fallback retrieval score is an RRF value
+ * around 0.01-0.03, which freshness would otherwise drown out.
+ * @param {Array} docs - Documents with score/rerankScore
+ * @returns {Array<number>} Min-max scaled relevance, 1 for all when tied
+ */
+const normalizeRelevance = (docs) => {
+  const raw = docs.map((doc) => doc.rerankScore ?? doc.score ?? 0);
+  const min = Math.min(...raw);
+  const max = Math.max(...raw);
+
+  return raw.map((value) => (max > min ? (value - min) / (max - min) : 1));
+};
+
+/**
+ * Re-order documents by a blend of relevance and freshness:
+ * final = (1 - weight) * relevance + weight * freshness,
+ * relevance being min-max scaled over the candidates
+ *
+ * @param {Array} docs - Documents with score/rerankScore and payload
+ * @param {Object} options - { weight, halfLifeHours, now }
+ * @returns {Array} Documents with freshnessScore and finalScore, best first
+ */
+const applyRecencyRanking = (docs, options = {}) => {
+  const weight = options.weight ?? RECENCY_CONFIG.baseWeight;
+  const halfLifeHours = options.halfLifeHours ?? RECENCY_CONFIG.halfLifeHours;
+  const now = options.now ?? Date.now();
+  const relevances = normalizeRelevance(docs);
+
+  return docs
+    .map((doc, index) => {
+      const relevance = relevances[index];
+      const freshness = freshnessScore(
+        getPublishedTime(doc.payload),
+        now,
+        halfLifeHours
+      );
+
+      return {
+        ...doc,
+        freshnessScore: freshness,
+        finalScore: (1 - weight) * relevance + weight * freshness,
+        index,
+      };
+    })
+    .sort((a, b) => b.finalScore - a.finalScore || a.index - b.index)
+    .map(({ index, ...doc }) => doc);
+};
+
+module.exports = {
+  detectTemporalIntent,
+  freshnessScore,
+  applyRecencyRanking,
+  getPublishedTime,
+  RECENCY_CONFIG,
+};
@@ -0,0 +1,243 @@
+const axios = require("axios");
+const winston = require("winston");
+const { tokenize } = require("./lexicalIndexService");
+
+// Create dedicated logger
+const rerankLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Reranker configuration
+const RERANK_CONFIG = {
+  provider:
+    process.env.RERANKER || (process.env.JINA_API_KEY ? "jina" : "local"),
+  jinaURL: "https://api.jina.ai/v1/rerank",
+  jinaModel: process.env.JINA_RERANK_MODEL || "jina-reranker-v2-base-multilingual",
+  timeout: 15000,
+  maxDocumentChars: 2000,
+};
+
+/**
+ * Text sent to the reranker for a candidate document
+ */
+const documentText = (doc) => {
+  const payload = doc.payload || {};
+  return `${payload.title || ""}\n${payload.content || payload.snippet || ""}`
+    .trim()
+    .substring(0, RERANK_CONFIG.maxDocumentChars);
+};
+
+/**
+ * Jina reranker API (cross-encoder)
+ */
+const jinaReranker = {
+  name: "jina",
+  async score(query, docs) {
+    if (!process.env.JINA_API_KEY) {
+      throw new Error("JINA_API_KEY environment variable is not set");
+    }
+
+    const response = await axios.post(
+      RERANK_CONFIG.jinaURL,
+      {
+        model: RERANK_CONFIG.jinaModel,
+        query,
+        documents: docs.map(documentText),
+        top_n: docs.length,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.JINA_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        timeout: RERANK_CONFIG.timeout,
+      }
+    );
+
+    if (!Array.isArray(response.data?.results)) {
+      throw new Error("Invalid response format from Jina rerank API");
+    }
+
+    const scores = new Array(docs.length).fill(0);
+    response.data.results.forEach((result) => {
+      scores[result.index] = result.relevance_score;
+    });
+    return scores;
+  },
+};
+
+/**
+ * LLM relevance scorer. `generate(prompt)` must resolve to the model's text.
+ */
+const createLLMReranker = (generate) => ({
+  name: "llm",
+  async score(query, docs) {
+    if (typeof generate !== "function") {
+      throw new Error("LLM reranker requires a generate function");
+    }
+
+    const listing = docs
+      .map((doc, index) => `[${index}] ${documentText(doc).substring(0, 800)}`)
+      .join("\n\n");
+
+    const prompt = `Rate how relevant each news passage is to the question on a scale from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${listing}
+
+Reply with a JSON array of ${docs.length} numbers in passage order and nothing else.`;
+
+    const text = await generate(prompt);
+    const match = text.match(/\[[\s\S]*?\]/);
+    if (!match) {
+      throw new Error("LLM reranker returned no score array");
+    }
+
+    const parsed = JSON.parse(match[0]);
+    if (!Array.isArray(parsed) || parsed.length !== docs.length) {
+      throw new Error("LLM reranker returned the wrong number of scores");
+    }
+
+    return parsed.map((value) => {
+      const number = Number(value);
+      return Number.isFinite(number)
+        ? Math.min(Math.max(number, 0), 10) / 10
+        : 0;
+    });
+  },
+});
+
+/**
+ * Deterministic local scorer based on query term coverage.
+ * Title matches count double; ties keep the incoming order.
+ */
+const localReranker = {
+  name: "local",
+  async score(query, docs) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return docs.map(() => 0);
+    }
+
+    return docs.map((doc) => {
+      const payload = doc.payload || {};
+      const titleTerms = new Set(tokenize(payload.title || ""));
+      const bodyTerms = new Set(tokenize(payload.content || payload.snippet));
+
+      let matched = 0;
+      queryTerms.forEach((term) => {
+        if (titleTerms.has(term)) matched += 2;
+        else if (bodyTerms.has(term)) matched += 1;
+      });
+
+      return matched / (queryTerms.length * 2);
+    });
+  },
+};
+
+/**
+ * Pass-through reranker that keeps retrieval order
+ */
+const noopReranker = {
+  name: "none",
+  async score(query, docs) {
+    return docs.map((doc, index) => 1 - index / Math.max(docs.length, 1));
+  },
+};
+
+/**
+ * Create a reranker by name
+ * @param {string} name - jina | llm | local | none
+ * @param {Object} options - { generate } for the LLM reranker
+ */
+const createReranker = (name = RERANK_CONFIG.provider, options = {}) => {
+  switch (name) {
+    case "jina":
+      return jinaReranker;
+    case "llm":
+    case "gemini": // Before LLM_PROVIDER, the LLM reranker was always Gemini
+      return createLLMReranker(options.generate);
+    case "local":
+      return localReranker;
+    case "none":
+      return noopReranker;
+    default:
+      throw new Error(`Unknown reranker: ${name}`);
+  }
+};
+
+/**
+ * Rerank candidate documents, best first. Each document gets a rerankScore.
+ * Falls back to the incoming order when the reranker fails.
+ *
+ * @param {string} query - User query
+ * @param {Array} docs - Candidates of { id, score, payload }
+ * @param {Object} options - { reranker, topN, minScore, generate }
+ * @returns {Object} { documents, reranker, error? }
+ */
+const rerankDocuments = async (query, docs, options = {}) => {
+  const reranker =
+    options.reranker && typeof options.reranker === "object"
+      ? options.reranker
+      : createReranker(options.reranker, options);
+  const topN = options.topN || docs.length;
+
+  if (docs.length === 0) {
+    return { documents: [], reranker: reranker.name };
+  }
+
+  try {
+    const scores = await reranker.score(query, docs);
+
+    const ranked = docs
+      .map((doc, index) => ({ ...doc, rerankScore: scores[index], index }))
+      .sort((a, b) => b.rerankScore - a.rerankScore || a.index - b.index)
+      .filter(
+        (doc) => options.minScore == null || doc.rerankScore >= options.minScore
+      )
+      .slice(0, topN)
+      .map(({ index, ...doc }) => doc);
+
+    rerankLogger.info("Candidates reranked", {
+      reranker: reranker.name,
+      candidates: docs.length,
+      kept: ranked.length,
+    });
+
+    return { documents: ranked, reranker: reranker.name };
+  } catch (error) {
+    rerankLogger.error("Reranking failed, keeping retrieval order", {
+      reranker: reranker.name,
+      error: error.message,
+    });
+
+    return {
+      documents: docs.slice(0, topN).map((doc) => ({
+        ...doc,
+        rerankScore: null,
+      })),
+      reranker: reranker.name,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  createReranker,
+  rerankDocuments,
+  RERANK_CONFIG,
+};
@@ -0,0 +1,141 @@
+/**
+ * Search filter helpers.
+ *
+ * Chat requests carry simple filters ({ sources, categories, from, to }).
+ * These are turned into Qdrant filter clauses, and the same clauses are
+ * evaluated in-process for retrievers that don't run inside Qdrant.
+ */
+
+/**
+ * Build a Qdrant filter from chat request filters
+ * @param {Object} filters - { sources, categories, from, to }
+ * @returns {Object|null} Qdrant filter or null when nothing is filtered
+ */
+const buildSearchFilter = (filters = {}) => {
+  if (!filters) {
+    return null;
+  }
+
+  const must = [];
+
+  if (Array.isArray(filters.sources) && filters.sources.length > 0) {
+    must.push({ key: "source", match: { any: filters.sources } });
+  }
+
+  if (Array.isArray(filters.categories) && filters.categories.length > 0) {
+    must.push({ key: "categories", match: { any: filters.categories } });
+  }
+
+  if (filters.from || filters.to) {
+    const range = {};
+    if (filters.from) range.gte = new Date(filters.from).getTime();
+    if (filters.to) range.lte = new Date(filters.to).getTime();
+    must.push({ key: "publishedTimestamp", range });
+  }
+
+  return must.length > 0 ? { must } : null;
+};
+
+/**
+ * Limit a filter to documents a session may see: public ones (including
+ * those stored before visibility existed) and the session's private ones
+ * @param {Object|null} filter - Qdrant filter to extend
+ * @param {string|null} sessionId - Requesting session
+ * @returns {Object} Qdrant filter
+ */
+const withVisibilityFilter = (filter, sessionId) => {
+  const visible = {
+    should: [
+      { must_not: [{ key: "visibility", match: { value: "private" } }] },
+    ],
+  };
+  if (sessionId) {
+    visible.should.push({ key: "ownerSessionId", match: { value: sessionId } });
+  }
+
+  return { ...(filter || {}), must: [...(filter?.must || []), visible] };
+};
+
+/**
+ * Evaluate one Qdrant field condition against a payload
+ */
+const matchesCondition = (payload, condition) => {
+  // Nested filter
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(payload, condition);
+  }
+
+  const value = payload?.[condition.key];
+  const values = Array.isArray(value) ? value : [value];
+
+  if (condition.match) {
+    if ("value" in condition.match) {
+      return values.some((v) => v === condition.match.value);
+    }
+    if (Array.isArray(condition.match.any)) {
+      return values.some((v) => condition.match.any.includes(v));
+    }
+    if (Array.isArray(condition.match.except)) {
+      return values.every((v) => !condition.match.except.includes(v));
+    }
+  }
+
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(
+      (v) =>
+        typeof v === "number" &&
+        (gt == null || v > gt) &&
+        (gte == null || v >= gte) &&
+        (lt == null || v < lt) &&
+        (lte == null || v <= lte)
+    );
+  }
+
+  if (condition.is_empty) {
+    const emptyValue = payload?.[condition.is_empty.key];
+    return (
+      emptyValue == null ||
+      (Array.isArray(emptyValue) && emptyValue.length === 0)
+    );
+  }
+
+  if (condition.has_id) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Evaluate a Qdrant filter (must / should / must_not) against a payload
+ * @param {Object} payload - Point payload
+ * @param {Object|null} filter - Qdrant filter
+ * @returns {boolean} True when the payload passes the filter
+ */
+const matchesFilter = (payload, filter) => {
+  if (!filter) {
+    return true;
+  }
+
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+
+  if (!must.every((condition) => matchesCondition(payload, condition))) {
+    return false;
+  }
+
+  if (
+    should.length > 0 &&
+    !should.some((condition) => matchesCondition(payload, condition))
+  ) {
+    return false;
+  }
+
+  return !mustNot.some((condition) => matchesCondition(payload, condition));
+};
+
+module.exports = {
+  buildSearchFilter,
+  withVisibilityFilter,
+  matchesFilter,
+};
@@ -0,0 +1,210 @@
+const winston = require("winston");
+const { getDatabase } = require("../config/database");
+
+// Create dedicated logger
+const persistenceLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Sessions this process has already created or seen in Postgres, so the
+// per-message write path can skip findOrCreate
+const knownSessions = new Set();
+const MAX_KNOWN_SESSIONS = 10000;
+
+/**
+ * Session/ChatMessage models, or null when Postgres is not configured
+ */
+const getModels = () => {
+  const sequelize = getDatabase();
+  if (!sequelize || !sequelize.models?.ChatMessage) {
+    return null;
+  }
+  return sequelize.models;
+};
+
+/**
+ * Whether messages are being persisted to Postgres
+ */
+const isPersistenceEnabled = () => Boolean(getModels());
+
+/**
+ * Map a chat message to a chat_messages row
+ */
+const toRecord = (sessionId, message) => {
+  const { socketId, ipAddress, ...metadata } = message.metadata || {};
+
+  return {
+    messageId: message.id,
+    sessionId,
+    type: message.type,
+    content: message.content,
+    sources: message.sources || null,
+    metadata: message.isError ? { ...metadata, isError: true } : metadata,
+    timestamp: message.timestamp ? new Date(message.timestamp) : new Date(),
+    processingTime: message.metadata?.processingTime || null,
+  };
+};
+
+/**
+ * Map a chat_messages row back to the message shape used in Redis
+ */
+const fromRecord = (record) => {
+  const { isError, ...metadata } = record.metadata || {};
+  const message = {
+    id: record.messageId,
+    type: record.type,
+    content: record.content,
+    timestamp: new Date(record.timestamp).toISOString(),
+    metadata,
+  };
+
+  if (record.sources) {
+    message.sources = record.sources;
+  }
+
+  // toRecord keeps the flag in metadata, as the table has no column for it
+  if (isError) {
+    message.isError = true;
+  }
+
+  return message;
+};
+
+/**
+ * Create the sessions row if needed and remember that it exists
+ */
+const ensureSessionRow = async (Session, sessionId) => {
+  await Session.findOrCreate({
+    where: { sessionId },
+    defaults: { sessionId, messages: [] },
+  });
+
+  if (knownSessions.size >= MAX_KNOWN_SESSIONS) {
+    knownSessions.clear();
+  }
+  knownSessions.add(sessionId);
+};
+
+/**
+ * Write messages through to Postgres. Rows that already exist are left
+ * untouched, so callers can pass the whole history.
+ * @param {string} sessionId - Session ID
+ * @param {Array} messages - Chat messages
+ * @returns {number} Number of messages sent to the database
+ */
+const persistMessages = async (sessionId, messages) => {
+  const models = getModels();
+  if (!models) {
+    return 0;
+  }
+
+  const { Session, ChatMessage } = models;
+
+  if (!knownSessions.has(sessionId)) {
+    await ensureSessionRow(Session, sessionId);
+  }
+
+  if (messages.length > 0) {
+    const records = messages.map((message) => toRecord(sessionId, message));
+
+    try {
+      await ChatMessage.bulkCreate(records, { ignoreDuplicates: true });
+    } catch (error) {
+      // The session row was deleted elsewhere (another instance); recreate it
+      if (error.name !== "SequelizeForeignKeyConstraintError") {
+        throw error;
+      }
+      knownSessions.delete(sessionId);
+      await ensureSessionRow(Session, sessionId);
+      await ChatMessage.bulkCreate(records, { ignoreDuplicates: true });
+    }
+  }
+
+  // One statement: the count is derived from the rows, so duplicates that
+  // were ignored above never inflate it
+  const sequelize = Session.sequelize;
+  await Session.update(
+    {
+      messageCount: sequelize.literal(
+        `(SELECT COUNT(*) FROM "${ChatMessage.getTableName()}" WHERE "${
+          ChatMessage.rawAttributes.sessionId.field
+        }" = ${sequelize.escape(sessionId)})`
+      ),
+      lastActivity: new Date(),
+      isActive: true,
+    },
+    { where: { sessionId } }
+  );
+
+  return messages.length;
+};
+
+/**
+ * Load a session's messages from Postgres, oldest first
+ * @param {string} sessionId - Session ID
+ * @returns {Array|null} Messages, or null when the session is unknown
+ */
+const loadMessages = async (sessionId) => {
+  const models = getModels();
+  if (!models) {
+    return null;
+  }
+
+  const { Session, ChatMessage } = models;
+
+  const session = await Session.findOne({ where: { sessionId } });
+  if (!session) {
+    return null;
+  }
+
+  const records = await ChatMessage.findAll({
+    where: { sessionId },
+    order: [["timestamp", "ASC"]],
+    raw: true,
+  });
+
+  persistenceLogger.info(`Session loaded from Postgres: ${sessionId}`, {
+    messageCount: records.length,
+  });
+
+  return records.map(fromRecord);
+};
+
+/**
+ * Delete a session and its messages from Postgres
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} True when a stored session was removed
+ */
+const deleteMessages = async (sessionId) => {
+  const models = getModels();
+  if (!models) {
+    return false;
+  }
+
+  const { Session, ChatMessage } = models;
+
+  knownSessions.delete(sessionId);
+  await ChatMessage.destroy({ where: { sessionId } });
+  const removed = await Session.destroy({ where: { sessionId } });
+
+  return removed > 0;
+};
+
+module.exports = {
+  isPersistenceEnabled,
+  persistMessages,
+  loadMessages,
+  deleteMessages,
+};
@@ -0,0 +1,67 @@
+const createRssAdapter = require("./rssAdapter");
+const createJsonFeedAdapter = require("./jsonFeedAdapter");
+const createSitemapAdapter = require("./sitemapAdapter");
+
+/**
+ * Source adapters turn a fetched feed body into
+ *   { type, title, items: [entry] }
+ * where every entry has the same shape whatever the format:
+ *   { guid, link, title, publishedAt, summary, categories, author, imageUrl }
+ *
+ * Checked in order; RSS/Atom comes last as it also claims generic XML.
+ */
+const ADAPTERS = [
+  createJsonFeedAdapter(),
+  createSitemapAdapter(),
+  createRssAdapter(),
+];
+
+const SOURCE_TYPES = ADAPTERS.map((adapter) => adapter.type);
+
+/**
+ * Work out a source's format from its Content-Type and body
+ * @param {string} contentType - Response Content-Type header
+ * @param {string} body - Response body
+ * @returns {string|null} "jsonfeed", "sitemap", "rss", or null
+ */
+const detectSourceType = (contentType = "", body = "") => {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  const adapter = ADAPTERS.find((candidate) =>
+    candidate.detect(contentType || "", text)
+  );
+  return adapter ? adapter.type : null;
+};
+
+/**
+ * Parse a fetched source into entries
+ * @param {string} body - Response body
+ * @param {Object} options - { contentType, url, fetchText(url) for sitemap indexes }
+ * @returns {Object} { type, title, items }
+ */
+const parseSource = async (body, options = {}) => {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  const type = detectSourceType(options.contentType, text);
+
+  if (!type) {
+    throw new Error(
+      `Unrecognised feed format${
+        options.contentType ? ` (${options.contentType})` : ""
+      }; expected one of: ${SOURCE_TYPES.join(", ")}`
+    );
+  }
+
+  const adapter = ADAPTERS.find((candidate) => candidate.type === type);
+  const { title, items } = await adapter.parse(text, options);
+
+  return {
+    type,
+    title,
+    items: items.filter((item) => item.link),
+  };
+};
+
+module.exports = {
+  SOURCE_TYPES,
+  detectSourceType,
+  parseSource,
+};
@@ -0,0 +1,84 @@
+const URL_PATTERN = /^https?:\/\//i;
+
+const toIsoDate = (value) => {
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+/**
+ * Author names of a JSON Feed item: 1.1 "authors", 1.0 "author", or the
+ * feed-level authors
+ */
+const itemAuthor = (item, feed) => {
+  const authors =
+    item.authors ||
+    (item.author ? [item.author] : null) ||
+    feed.authors ||
+    (feed.author ? [feed.author] : []);
+
+  const names = authors.map((author) => author?.name).filter(Boolean);
+  return names.length > 0 ? names.join(", ") : null;
+};
+
+const stripHtml = (html) =>
+  String(html)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * JSON Feed 1.0 / 1.1 (https://www.jsonfeed.org/version/1.1/)
+ */
+const createJsonFeedAdapter = () => ({
+  type: "jsonfeed",
+
+  detect(contentType, body) {
+    if (/application\/feed\+json/i.test(contentType)) {
+      return true;
+    }
+    return (
+      /^\s*\{/.test(body) &&
+      /"version"\s*:\s*"https?:\/\/jsonfeed\.org\/version\//.test(
+        body.slice(0, 2000)
+      )
+    );
+  },
+
+  async parse(body) {
+    const feed = typeof body === "string" ? JSON.parse(body) : body;
+    if (!feed || !Array.isArray(feed.items)) {
+      throw new Error("JSON Feed has no items array");
+    }
+
+    return {
+      title: feed.title || null,
+      items: feed.items.map((item) => {
+        // external_url points at the story a link post is about
+        const link = [item.url, item.external_url].find(
+          (value) => typeof value === "string" && URL_PATTERN.test(value)
+        );
+
+        return {
+          guid: item.id !== undefined ? String(item.id) : link || null,
+          link: link || null,
+          title: item.title || null,
+          publishedAt:
+            toIsoDate(item.date_published) || toIsoDate(item.date_modified),
+          summary:
+            item.summary ||
+            item.content_text?.substring(0, 300) ||
+            (item.content_html
+              ? stripHtml(item.content_html).substring(0, 300)
+              : ""),
+          categories: (item.tags || []).filter(
+            (tag) => typeof tag === "string"
+          ),
+          author: itemAuthor(item, feed),
+          imageUrl: item.image || item.banner_image || null,
+        };
+      }),
+    };
+  },
+});
+
+module.exports = createJsonFeedAdapter;
@@ -0,0 +1,117 @@
+const cheerio = require("cheerio");
+
+// Sitemaps can list tens of thousands of URLs; only the newest matter
+const MAX_SITEMAP_ITEMS = 1000;
+// Child sitemaps followed from a sitemap index, newest first
+const MAX_CHILD_SITEMAPS = 3;
+
+const toIsoDate = (value) => {
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+const newestFirst = (a, b) =>
+  (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0);
+
+/**
+ * Entries of a <urlset>, with Google News (<news:news>) and image
+ * extensions when present
+ */
+const parseUrlset = ($) => {
+  let publication = null;
+
+  const items = $("url")
+    .toArray()
+    .map((url) => {
+      const $url = $(url);
+      const loc = $url.children("loc").first().text().trim();
+      if (!loc) return null;
+
+      const news = $url.find("news\\:news").first();
+      const name = news.find("news\\:publication news\\:name").text().trim();
+      publication = publication || name || null;
+
+      const keywords = news.find("news\\:keywords").text();
+
+      return {
+        guid: loc,
+        link: loc,
+        title: news.find("news\\:title").text().trim() || null,
+        publishedAt: toIsoDate(
+          news.find("news\\:publication_date").text().trim() ||
+            $url.children("lastmod").text().trim()
+        ),
+        summary: "",
+        categories: keywords
+          .split(",")
+          .map((keyword) => keyword.trim())
+          .filter(Boolean),
+        author: null,
+        imageUrl:
+          $url.find("image\\:image image\\:loc").first().text().trim() ||
+          null,
+      };
+    })
+    .filter(Boolean);
+
+  return { title: publication, items };
+};
+
+/**
+ * Google News sitemaps and plain XML sitemaps, including sitemap indexes
+ */
+const createSitemapAdapter = () => ({
+  type: "sitemap",
+
+  detect(contentType, body) {
+    return /<(urlset|sitemapindex)[\s>]/i.test(body.slice(0, 2000));
+  },
+
+  /**
+   * @param {string} body - Sitemap XML
+   * @param {Object} context - { fetchText(url) } to load child sitemaps
+   */
+  async parse(body, context = {}) {
+    const $ = cheerio.load(body, { xmlMode: true });
+
+    if ($("sitemapindex").length === 0) {
+      const { title, items } = parseUrlset($);
+      return {
+        title,
+        items: items.sort(newestFirst).slice(0, MAX_SITEMAP_ITEMS),
+      };
+    }
+
+    if (!context.fetchText) {
+      throw new Error("Sitemap index needs a fetcher for its child sitemaps");
+    }
+
+    const children = $("sitemap")
+      .toArray()
+      .map((sitemap) => ({
+        url: $(sitemap).children("loc").text().trim(),
+        publishedAt: toIsoDate($(sitemap).children("lastmod").text().trim()),
+      }))
+      .filter((child) => child.url)
+      .sort(newestFirst)
+      .slice(0, MAX_CHILD_SITEMAPS);
+
+    let title = null;
+    const items = new Map();
+    for (const child of children) {
+      const parsed = parseUrlset(
+        cheerio.load(await context.fetchText(child.url), { xmlMode: true })
+      );
+      title = title || parsed.title;
+      // Child sitemaps of one index may overlap
+      parsed.items.forEach((item) => items.set(item.link, item));
+    }
+
+    return {
+      title,
+      items: [...items.values()].sort(newestFirst).slice(0, MAX_SITEMAP_ITEMS),
+    };
+  },
+});
+
+module.exports = createSitemapAdapter;
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const winston = require("winston");
+const { getVectorStore } = require("./vectorStore");
+
+// Create dedicated logger
+const clusterLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// 64-bit SimHash split into 6 bands of 10-11 bits: two fingerprints within
+// 5 bits of each other always share at least one band, so band lookups
+// find every near-duplicate candidate
+const CLUSTER_CONFIG = {
+  bandWidths: [11, 11, 11, 11, 10, 10],
+  maxDistance: 5,
+  shingleSize: 3,
+  collapse: process.env.STORY_COLLAPSE !== "false",
+  maxCandidates: 100,
+};
+
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Overlapping word shingles of the text
+ */
+const shingles = (text) => {
+  const words = (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length <= CLUSTER_CONFIG.shingleSize) {
+    return words.length > 0 ? [words.join(" ")] : [];
+  }
+
+  const result = [];
+  for (let i = 0; i <= words.length - CLUSTER_CONFIG.shingleSize; i++) {
+    result.push(words.slice(i, i + CLUSTER_CONFIG.shingleSize).join(" "));
+  }
+  return result;
+};
+
+/**
+ * 64-bit SimHash fingerprint of a text
+ * @param {string} text - Article text
+ * @returns {string|null} 16 hex characters, or null for empty text
+ */
+function simhash(text) {
+  const features = shingles(text);
+  if (features.length === 0) {
+    return null;
+  }
+
+  const weights = new Array(64).fill(0);
+  for (const feature of features) {
+    const hash = BigInt(
+      "0x" +
+        crypto.createHash("md5").update(feature).digest("hex").slice(0, 16)
+    );
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) {
+      fingerprint |= 1n << BigInt(bit);
+    }
+  });
+
+  return (fingerprint & MASK_64).toString(16).padStart(16, "0");
+}
+
+/**
+ * Band keys used to look up near-duplicate candidates
+ * @param {string} fingerprint - SimHash hex
+ * @returns {Array<string>} Keys like "0:5a3"
+ */
+function simhashBands(fingerprint) {
+  let value = BigInt("0x" + fingerprint);
+
+  return CLUSTER_CONFIG.bandWidths.map((width, band) => {
+    const bits = value & ((1n << BigInt(width)) - 1n);
+    value >>= BigInt(width);
+    return `${band}:${bits.toString(16)}`;
+  });
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt("0x" + a) ^ BigInt("0x" + b);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Stored articles sharing at least one SimHash band with a fingerprint
+ * @param {Array<string>} bands - Band keys
+ * @returns {Array} Candidates of { articleId, simhash, storyClusterId }
+ */
+async function findStoredCandidates(bands) {
+  const { points } = await getVectorStore().scroll({
+    filter: {
+      must: [
+        { key: "simhashBands", match: { any: bands } },
+        { key: "chunkIndex", match: { value: 0 } },
+      ],
+      // A session's private copy must not lend its id to public stories
+      must_not: [{ key: "visibility", match: { value: "private" } }],
+    },
+    limit: CLUSTER_CONFIG.maxCandidates,
+  });
+
+  return points
+    .map(({ payload }) => payload)
+    .filter((payload) => payload.simhash)
+    .map((payload) => ({
+      articleId: payload.articleId,
+      simhash: payload.simhash,
+      storyClusterId: payload.storyClusterId || payload.articleId,
+    }));
+}
+
+/**
+ * Fingerprint articles and give each one a story cluster id: the cluster of
+ * its nearest stored or same-batch near-duplicate, else its own id
+ * @param {Array} articles - Articles with id and content (mutated)
+ * @returns {Array} The same articles with simhash and storyClusterId
+ */
+async function assignStoryClusters(articles) {
+  const seen = [];
+  let clustered = 0;
+
+  for (const article of articles) {
+    article.simhash = simhash(article.content);
+    article.simhashBands = article.simhash ? simhashBands(article.simhash) : [];
+    article.storyClusterId = article.id;
+
+    if (!article.simhash) continue;
+
+    let candidates = [];
+    try {
+      candidates = await findStoredCandidates(article.simhashBands);
+    } catch (error) {
+      // Clustering is best effort; the article still ingests as its own story
+      clusterLogger.warn("Near-duplicate lookup failed", {
+        error: error.message,
+        articleId: article.id,
+      });
+    }
+
+    let best = null;
+    for (const candidate of [...candidates, ...seen]) {
+      if (candidate.articleId === article.id) continue;
+
+      const distance = hammingDistance(article.simhash, candidate.simhash);
+      if (
+        distance <= CLUSTER_CONFIG.maxDistance &&
+        (!best || distance < best.distance)
+      ) {
+        best = { ...candidate, distance };
+      }
+    }
+
+    if (best) {
+      article.storyClusterId = best.storyClusterId;
+      clustered++;
+    }
+
+    seen.push({
+      articleId: article.id,
+      simhash: article.simhash,
+      storyClusterId: article.storyClusterId,
+    });
+  }
+
+  clusterLogger.info("Story clusters assigned", {
+    articles: articles.length,
+    nearDuplicates: clustered,
+  });
+
+  return articles;
+}
+
+/**
+ * Keep the best-ranked article of each story cluster and list the other
+ * outlets carrying it as alternative sources
+ * @param {Array} docs - Ranked article documents ({ id, payload })
+ * @returns {Array} Collapsed documents, order preserved
+ */
+function collapseStoryClusters(docs) {
+  if (!CLUSTER_CONFIG.collapse) {
+    return docs;
+  }
+
+  const representatives = new Map();
+
+  for (const doc of docs) {
+    const payload = doc.payload || {};
+    const clusterId = payload.storyClusterId || doc.id;
+
+    if (!representatives.has(clusterId)) {
+      representatives.set(clusterId, { ...doc, alternativeSources: [] });
+      continue;
+    }
+
+    representatives.get(clusterId).alternativeSources.push({
+      articleId: doc.id,
+      title: payload.title || "Untitled",
+      source: payload.source || "Unknown Source",
+      url: payload.url || "#",
+      publishedAt: payload.publishedAt || payload.publishedDate || null,
+    });
+  }
+
+  return [...representatives.values()];
+}
+
+module.exports = {
+  CLUSTER_CONFIG,
+  simhash,
+  simhashBands,
+  hammingDistance,
+  assignStoryClusters,
+  collapseStoryClusters,
+};
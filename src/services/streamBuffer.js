@@ -0,0 +1,187 @@
+const { EventEmitter } = require("events");
+const winston = require("winston");
+
+// Create dedicated logger
+const streamLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+// Stream buffer configuration
+const STREAM_CONFIG = {
+  retentionMs: parseInt(process.env.STREAM_REPLAY_TTL_MS) || 60000,
+  maxEvents: parseInt(process.env.STREAM_REPLAY_MAX_EVENTS) || 5000,
+};
+
+const streams = new Map();
+
+/**
+ * Buffered answer stream that late or reconnecting readers can replay.
+ * `signal` aborts once every reader has been gone for the retention window,
+ * so generation for an abandoned answer stops.
+ */
+class AnswerStream extends EventEmitter {
+  constructor(streamId, metadata = {}) {
+    super();
+    this.streamId = streamId;
+    this.metadata = metadata;
+    this.events = [];
+    this.nextSeq = 1;
+    this.finished = false;
+    this.subscribers = 0;
+    this.idleTimer = null;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Register a live reader, cancelling a pending abort
+   */
+  subscribe() {
+    this.subscribers += 1;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+  }
+
+  /**
+   * Drop a live reader; abort if nobody reconnects within the retention window
+   */
+  unsubscribe() {
+    this.subscribers = Math.max(this.subscribers - 1, 0);
+    if (this.subscribers > 0 || this.finished || this.idleTimer) {
+      return;
+    }
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.subscribers > 0 || this.finished) {
+        return;
+      }
+
+      streamLogger.info(`Answer stream abandoned, aborting: ${this.streamId}`);
+      this.controller.abort();
+    }, STREAM_CONFIG.retentionMs);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Append an event and notify live subscribers
+   */
+  push(event, data) {
+    if (this.finished) {
+      return null;
+    }
+
+    const entry = {
+      id: `${this.streamId}:${this.nextSeq}`,
+      seq: this.nextSeq,
+      event,
+      data,
+    };
+
+    this.nextSeq += 1;
+    this.events.push(entry);
+
+    // Keep only the tail of very long answers; readers behind it can no
+    // longer resume (see canReplayAfter)
+    if (this.events.length > STREAM_CONFIG.maxEvents) {
+      this.events.shift();
+    }
+
+    this.emit("event", entry);
+    return entry;
+  }
+
+  /**
+   * Whether every event after the given sequence number is still buffered,
+   * so a reader that saw up to it can resume without a gap
+   */
+  canReplayAfter(seq = 0) {
+    const oldest = this.events.length > 0 ? this.events[0].seq : this.nextSeq;
+    return seq + 1 >= oldest;
+  }
+
+  /**
+   * Events recorded after the given sequence number
+   */
+  eventsAfter(seq = 0) {
+    return this.events.filter((entry) => entry.seq > seq);
+  }
+
+  /**
+   * Mark the stream as complete and schedule its removal
+   */
+  finish() {
+    if (this.finished) {
+      return;
+    }
+
+    this.finished = true;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.emit("end");
+
+    const timer = setTimeout(() => {
+      streams.delete(this.streamId);
+      this.removeAllListeners();
+    }, STREAM_CONFIG.retentionMs);
+    timer.unref();
+  }
+}
+
+/**
+ * Register a new buffered stream
+ */
+const createStream = (streamId, metadata = {}) => {
+  const stream = new AnswerStream(streamId, metadata);
+  streams.set(streamId, stream);
+
+  streamLogger.info(`Answer stream created: ${streamId}`, metadata);
+  return stream;
+};
+
+/**
+ * Look up a buffered stream by id
+ */
+const getStream = (streamId) => streams.get(streamId) || null;
+
+/**
+ * Parse a Last-Event-ID header of the form "<streamId>:<seq>"
+ */
+const parseEventId = (eventId) => {
+  if (!eventId || typeof eventId !== "string") {
+    return null;
+  }
+
+  const separator = eventId.lastIndexOf(":");
+  if (separator <= 0) {
+    return null;
+  }
+
+  const seq = parseInt(eventId.substring(separator + 1), 10);
+  if (Number.isNaN(seq)) {
+    return null;
+  }
+
+  return { streamId: eventId.substring(0, separator), seq };
+};
+
+module.exports = {
+  STREAM_CONFIG,
+  createStream,
+  getStream,
+  parseEventId,
+  AnswerStream,
+};
@@ -0,0 +1,336 @@
+const winston = require("winston");
+const createQdrantStore = require("./qdrantStore");
+const createMemoryStore = require("./memoryStore");
+const createPgvectorStore = require("./pgvectorStore");
+const { DEFAULT_TABLE } = require("./pgvectorSchema");
+const { getEmbeddingProvider } = require("../embeddings");
+const { verifyEmbeddingDimension } = require("../embeddingService");
+
+// Create dedicated logger
+const vectorLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    }),
+  ],
+});
+
+/**
+ * Resolve vector store configuration from the environment.
+ * QDRANT_COLLECTION is accepted as a legacy alias of QDRANT_COLLECTION_NAME.
+ */
+const getVectorStoreConfig = (
+  name = process.env.VECTOR_STORE || (process.env.QDRANT_URL ? "qdrant" : "memory")
+) => ({
+  name,
+  collection:
+    process.env.QDRANT_COLLECTION_NAME ||
+    process.env.QDRANT_COLLECTION ||
+    "news_articles",
+  url: process.env.QDRANT_URL || "http://localhost:6333",
+  apiKey: process.env.QDRANT_API_KEY,
+  timeout: parseInt(process.env.QDRANT_TIMEOUT_MS) || 30000,
+  path: process.env.MEMORY_VECTOR_STORE_PATH || null,
+  databaseUrl:
+    process.env.PGVECTOR_URL ||
+    process.env.DATABASE_URL ||
+    process.env.NEON_DB_URL,
+  table: process.env.PGVECTOR_TABLE || DEFAULT_TABLE,
+  indexType: process.env.PGVECTOR_INDEX || "hnsw",
+  ssl: process.env.DB_SSL !== "false",
+  logger: vectorLogger,
+});
+
+/**
+ * Create a vector store.
+ *
+ * Every store exposes:
+ * - name, collection
+ * - initialize({ dimension }) -> { created, dimension, pointsCount }
+ * - upsert(points) -> { upserted }, points are { id, vector, payload }
+ * - search(vector, { limit, scoreThreshold, filter }) -> [{ id, score, payload }]
+ * - searchText(query, { limit, filter }) -> [{ id, score, payload }], keyword
+ *   (BM25-style) search over each point's title and content
+ * - deleteByFilter(filter) -> { deleted }
+ * - count(filter) -> number
+ * - scroll({ filter, limit, offset, withVectors }) -> { points, nextOffset }
+ * - getStats(), healthCheck()
+ *
+ * Filters use Qdrant's filter syntax (see searchFilters.js).
+ */
+const createVectorStore = (config = getVectorStoreConfig()) => {
+  switch (config.name) {
+    case "qdrant":
+      return createQdrantStore(config);
+    case "memory":
+      return createMemoryStore(config);
+    case "pgvector":
+      return createPgvectorStore(config);
+    default:
+      throw new Error(
+        `Unknown vector store "${config.name}". Use one of: qdrant, pgvector, memory`
+      );
+  }
+};
+
+let store;
+
+/**
+ * Get the configured store (created once per process)
+ */
+const getVectorStore = () => {
+  if (!store) {
+    store = createVectorStore();
+
+    if (store.name === "memory" && !process.env.VECTOR_STORE) {
+      vectorLogger.warn(
+        "QDRANT_URL not set, using the in-memory vector store"
+      );
+    }
+  }
+  return store;
+};
+
+/**
+ * Override the process-wide store (tests, scripts)
+ */
+const setVectorStore = (instance) => {
+  store = instance;
+};
+
+/**
+ * Connect the store, create the collection when missing and check that its
+ * vector size matches the configured embedding provider
+ */
+const initializeVectorStore = async () => {
+  const current = getVectorStore();
+
+  try {
+    vectorLogger.info(`Initializing ${current.name} vector store...`, {
+      collection: current.collection,
+    });
+
+    const result = await current.initialize({
+      dimension: getEmbeddingProvider().dimension,
+    });
+
+    verifyEmbeddingDimension(result.dimension, current.collection);
+    return result;
+  } catch (error) {
+    vectorLogger.error("Failed to initialize vector store:", error);
+    throw new Error(
+      `Vector store initialization failed: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Build the stored payload for an article chunk
+ */
+const buildPointPayload = (doc) => ({
+  title: doc.title,
+  content: doc.content,
+  url: doc.url,
+  publishedDate: doc.publishedDate,
+  publishedTimestamp: Date.parse(doc.publishedDate) || null,
+  source: doc.source,
+  categories: doc.categories || [],
+  snippet: doc.description || doc.content.substring(0, 150),
+  articleId: doc.articleId || doc.id,
+  chunkIndex: doc.chunkIndex || 0,
+  chunkCount: doc.chunkCount || 1,
+  contentHash: doc.contentHash || null,
+  simhash: doc.simhash || null,
+  simhashBands: doc.simhashBands || [],
+  storyClusterId: doc.storyClusterId || doc.articleId || doc.id,
+  author: doc.author || null,
+  imageUrl: doc.imageUrl || null,
+  canonicalUrl: doc.canonicalUrl || doc.url,
+  visibility: doc.visibility || "public",
+  ownerSessionId: doc.ownerSessionId || null,
+  uploadedBy: doc.uploadedBy || null,
+  fileName: doc.fileName || null,
+  ingestionTimestamp: new Date().toISOString(),
+  contentLength: doc.content.length,
+});
+
+/**
+ * Upsert embedded article chunks
+ * @param {Array} documents - Chunks with id and embedding
+ * @returns {Object} { inserted, totalInCollection }
+ */
+const insertDocuments = async (documents) => {
+  const current = getVectorStore();
+
+  try {
+    vectorLogger.info(
+      `Inserting ${documents.length} documents into ${current.name}...`
+    );
+
+    const { upserted } = await current.upsert(
+      documents.map((doc) => ({
+        id: doc.id,
+        vector: doc.embedding,
+        payload: buildPointPayload(doc),
+      }))
+    );
+    const totalInCollection = await current.count();
+
+    vectorLogger.info(`✅ Successfully inserted ${upserted} documents`, {
+      totalPointsInCollection: totalInCollection,
+    });
+
+    return { inserted: upserted, totalInCollection };
+  } catch (error) {
+    vectorLogger.error("Failed to insert documents:", error);
+    throw new Error(`Document insertion failed: ${error.message}`);
+  }
+};
+
+/**
+ * Look up articles already in the store by id
+ * @param {Array<string>} articleIds - Article ids
+ * @returns {Map} articleId -> { contentHash, chunkCount, source }
+ */
+const getStoredArticles = async (articleIds) => {
+  const stored = new Map();
+  if (articleIds.length === 0) {
+    return stored;
+  }
+
+  // The first chunk of each article carries the article-level fields
+  const { points } = await getVectorStore().scroll({
+    filter: {
+      must: [
+        { key: "articleId", match: { any: articleIds } },
+        { key: "chunkIndex", match: { value: 0 } },
+      ],
+    },
+    limit: articleIds.length,
+  });
+
+  points.forEach(({ payload }) => {
+    stored.set(payload.articleId, {
+      contentHash: payload.contentHash || null,
+      chunkCount: payload.chunkCount || 1,
+      source: payload.source || null,
+    });
+  });
+
+  return stored;
+};
+
+/**
+ * Delete an article's chunks from a position onwards (all by default)
+ * @param {string} articleId - Article id
+ * @param {number} fromChunkIndex - First chunk index to delete
+ * @returns {Object} { deleted }
+ */
+const deleteArticleChunks = async (articleId, fromChunkIndex = 0) => {
+  const must = [{ key: "articleId", match: { value: articleId } }];
+  if (fromChunkIndex > 0) {
+    must.push({ key: "chunkIndex", range: { gte: fromChunkIndex } });
+  }
+
+  return getVectorStore().deleteByFilter({ must });
+};
+
+/**
+ * Delete points matching a payload filter (every point when null)
+ * @param {Object|null} filter - Qdrant-style payload filter
+ * @returns {Object} { deleted }
+ */
+const deleteDocuments = async (filter = null) => {
+  const current = getVectorStore();
+
+  try {
+    const { deleted } = await current.deleteByFilter(filter);
+    vectorLogger.info(`🗑️ Deleted ${deleted} documents from ${current.name}`, {
+      filtered: Boolean(filter),
+    });
+    return { deleted };
+  } catch (error) {
+    vectorLogger.error("Failed to delete documents:", error);
+    throw new Error(`Document deletion failed: ${error.message}`);
+  }
+};
+
+/**
+ * Vector similarity search
+ * @param {Array} queryVector - Query embedding
+ * @param {number} limit - Maximum results
+ * @param {number} scoreThreshold - Minimum similarity
+ * @param {Object|null} filter - Qdrant-style payload filter
+ * @returns {Array} Results of { id, score, payload }
+ */
+const searchVectors = async (
+  queryVector,
+  limit = 5,
+  scoreThreshold = 0.7,
+  filter = null
+) => {
+  const current = getVectorStore();
+
+  vectorLogger.info(`Searching vectors in ${current.name}`, {
+    limit,
+    scoreThreshold,
+    vectorLength: queryVector?.length,
+    filtered: Boolean(filter),
+  });
+
+  const results = await current.search(queryVector, {
+    limit,
+    scoreThreshold,
+    filter,
+  });
+
+  vectorLogger.info(`Found ${results.length} matching documents`);
+  return results;
+};
+
+/**
+ * Keyword search in the store, the lexical side of hybrid search
+ * @param {string} queryText - Query text
+ * @param {number} limit - Maximum results
+ * @param {Object|null} filter - Qdrant-style payload filter
+ * @returns {Array} Results of { id, score, payload }, best first
+ */
+const searchKeywords = async (queryText, limit = 10, filter = null) => {
+  const current = getVectorStore();
+  const results = await current.searchText(queryText, { limit, filter });
+
+  vectorLogger.info(`Keyword search found ${results.length} documents`, {
+    store: current.name,
+    limit,
+  });
+  return results;
+};
+
+/**
+ * Collection statistics
+ */
+const getCollectionStats = () => getVectorStore().getStats();
+
+module.exports = {
+  getVectorStoreConfig,
+  createVectorStore,
+  getVectorStore,
+  setVectorStore,
+  initializeVectorStore,
+  buildPointPayload,
+  insertDocuments,
+  getStoredArticles,
+  deleteArticleChunks,
+  deleteDocuments,
+  searchVectors,
+  searchKeywords,
+  getCollectionStats,
+};
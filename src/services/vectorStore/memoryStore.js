@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { matchesFilter } = require("../searchFilters");
+const { documentText, createLexicalIndex } = require("../lexicalIndexService");
+
+/**
+ * Cosine similarity between two vectors of equal length
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * In-process vector store for tests and offline development.
+ *
+ * Search is a brute-force cosine scan with the same filter semantics as
+ * Qdrant; keyword search is BM25 over an index rebuilt from the points,
+ * so it never drifts from them. When `path` is set the points are persisted to a JSON file so
+ * the ingest script and the server can share them.
+ *
+ * @param {Object} config - { collection, path, logger }
+ */
+const createMemoryStore = (config) => {
+  const { collection, logger } = config;
+  const filePath = config.path ? path.resolve(config.path) : null;
+  const points = new Map();
+  const lexical = createLexicalIndex();
+  let dimension = null;
+  let loadedMtime = 0;
+
+  // Load from disk, reloading when another process has rewritten the file
+  const load = () => {
+    if (!filePath || !fs.existsSync(filePath)) return;
+
+    const { mtimeMs } = fs.statSync(filePath);
+    if (mtimeMs === loadedMtime) return;
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    dimension = data.dimension;
+    points.clear();
+    lexical.clear();
+    data.points.forEach((point) => {
+      points.set(String(point.id), point);
+      lexical.add(String(point.id), documentText(point.payload));
+    });
+    loadedMtime = mtimeMs;
+  };
+
+  // Atomic write: temp file, then rename
+  const save = () => {
+    if (!filePath) return;
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({ dimension, points: [...points.values()] })
+    );
+    fs.renameSync(tmpPath, filePath);
+    loadedMtime = fs.statSync(filePath).mtimeMs;
+  };
+
+  const matching = (filter) => {
+    load();
+    return [...points.values()].filter((point) =>
+      matchesFilter(point.payload, filter)
+    );
+  };
+
+  return {
+    name: "memory",
+    collection,
+
+    async initialize(options) {
+      load();
+
+      const created = dimension == null;
+      if (created) {
+        dimension = options.dimension;
+      }
+
+      logger.info(`✅ In-memory vector store '${collection}' ready`, {
+        pointsCount: points.size,
+        vectorSize: dimension,
+        persistedTo: filePath || "none",
+      });
+
+      return { created, dimension, pointsCount: points.size };
+    },
+
+    async upsert(newPoints) {
+      load();
+      newPoints.forEach((point) => {
+        if (dimension != null && point.vector.length !== dimension) {
+          throw new Error(
+            `Vector dimension error: expected dim: ${dimension}, got ${point.vector.length}`
+          );
+        }
+        points.set(String(point.id), {
+          id: point.id,
+          vector: point.vector,
+          payload: point.payload || {},
+        });
+        lexical.add(String(point.id), documentText(point.payload));
+      });
+
+      save();
+      return { upserted: newPoints.length };
+    },
+
+    async search(vector, { limit = 5, scoreThreshold, filter } = {}) {
+      return matching(filter)
+        .map((point) => ({
+          id: point.id,
+          score: cosineSimilarity(vector, point.vector),
+          payload: point.payload,
+        }))
+        .filter((result) => scoreThreshold == null || result.score >= scoreThreshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    async searchText(query, { limit = 10, filter } = {}) {
+      load();
+      return lexical
+        .search(query, {
+          limit,
+          accept: (id) => matchesFilter(points.get(id).payload, filter),
+        })
+        .map(({ id, score }) => ({
+          id: points.get(id).id,
+          score,
+          payload: points.get(id).payload,
+        }));
+    },
+
+    async deleteByFilter(filter) {
+      const doomed = matching(filter);
+      doomed.forEach((point) => {
+        points.delete(String(point.id));
+        lexical.remove(String(point.id));
+      });
+
+      save();
+      return { deleted: doomed.length };
+    },
+
+    async count(filter = null) {
+      return matching(filter).length;
+    },
+
+    async scroll({ filter = null, limit = 100, offset, withVectors = false } = {}) {
+      const all = matching(filter);
+      const start = offset != null ? Number(offset) : 0;
+      const page = all.slice(start, start + limit);
+
+      return {
+        points: page.map((point) => ({
+          id: point.id,
+          payload: point.payload,
+          ...(withVectors ? { vector: point.vector } : {}),
+        })),
+        nextOffset: start + limit < all.length ? start + limit : null,
+      };
+    },
+
+    async getStats() {
+      load();
+      return {
+        name: collection,
+        backend: "memory",
+        pointsCount: points.size,
+        status: "green",
+        vectorSize: dimension,
+        distance: "Cosine",
+        indexes: {},
+      };
+    },
+
+    async healthCheck() {
+      return { ...(await this.getStats()), status: "healthy" };
+    },
+  };
+};
+
+module.exports = createMemoryStore;
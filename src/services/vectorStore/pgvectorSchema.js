@@ -0,0 +1,92 @@
+/**
+ * DDL for the pgvector chunk table, shared by the sequelize-cli migration
+ * and the store's first-run bootstrap so both create the same schema.
+ */
+
+const DEFAULT_TABLE = "article_chunks";
+
+/**
+ * Quote a SQL identifier (table names come from configuration)
+ */
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Statements that add the keyword search column and its GIN index to an
+ * existing table (idempotent). The tsvector is generated from the payload,
+ * so writes need no extra work and it can never drift from the row.
+ * @param {Object} options - { table }
+ * @returns {Array<string>} SQL statements in execution order
+ */
+const textSearchStatements = ({ table = DEFAULT_TABLE } = {}) => {
+  const t = quoteIdentifier(table);
+  const prefix = table.replace(/[^a-zA-Z0-9_]/g, "_");
+
+  return [
+    `ALTER TABLE ${t} ADD COLUMN IF NOT EXISTS search_text tsvector
+      GENERATED ALWAYS AS (
+        to_tsvector('simple', coalesce(payload->>'title', '') || ' ' || coalesce(payload->>'content', ''))
+      ) STORED`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}_search_text_idx ON ${t} USING gin (search_text)`,
+  ];
+};
+
+/**
+ * Statements that create the extension, table and indexes (idempotent)
+ * @param {Object} options - { table, dimension, indexType: "hnsw" | "ivfflat" }
+ * @returns {Array<string>} SQL statements in execution order
+ */
+const createSchemaStatements = ({
+  table = DEFAULT_TABLE,
+  dimension,
+  indexType = "hnsw",
+}) => {
+  if (!Number.isInteger(dimension) || dimension <= 0) {
+    throw new Error(`Invalid embedding dimension: ${dimension}`);
+  }
+
+  const t = quoteIdentifier(table);
+  const prefix = table.replace(/[^a-zA-Z0-9_]/g, "_");
+
+  // HNSW builds slower but needs no training data and recalls better;
+  // IVFFlat builds fast but should be created after the table has rows
+  const vectorIndex =
+    indexType === "ivfflat"
+      ? `CREATE INDEX IF NOT EXISTS ${prefix}_embedding_idx ON ${t} USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100)`
+      : `CREATE INDEX IF NOT EXISTS ${prefix}_embedding_idx ON ${t} USING hnsw (embedding vector_cosine_ops) WITH (m = 16, ef_construction = 64)`;
+
+  return [
+    "CREATE EXTENSION IF NOT EXISTS vector",
+    `CREATE TABLE IF NOT EXISTS ${t} (
+      id UUID PRIMARY KEY,
+      article_id TEXT,
+      chunk_index INTEGER NOT NULL DEFAULT 0,
+      source TEXT,
+      published_timestamp DOUBLE PRECISION,
+      payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+      embedding vector(${dimension}) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    vectorIndex,
+    `CREATE INDEX IF NOT EXISTS ${prefix}_article_id_idx ON ${t} (article_id)`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}_source_idx ON ${t} (source)`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}_published_idx ON ${t} (published_timestamp)`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}_payload_idx ON ${t} USING gin (payload jsonb_path_ops)`,
+    ...textSearchStatements({ table }),
+  ];
+};
+
+/**
+ * Statements that drop the table (the extension is left installed)
+ */
+const dropSchemaStatements = ({ table = DEFAULT_TABLE } = {}) => [
+  `DROP TABLE IF EXISTS ${quoteIdentifier(table)}`,
+];
+
+module.exports = {
+  DEFAULT_TABLE,
+  quoteIdentifier,
+  createSchemaStatements,
+  textSearchStatements,
+  dropSchemaStatements,
+};
@@ -0,0 +1,405 @@
+const { Pool } = require("pg");
+const {
+  quoteIdentifier,
+  createSchemaStatements,
+  textSearchStatements,
+} = require("./pgvectorSchema");
+const { toTsQuery } = require("../lexicalIndexService");
+
+// Payload keys stored in their own indexed columns
+const COLUMN_FIELDS = {
+  articleId: { column: "article_id", cast: "text" },
+  source: { column: "source", cast: "text" },
+  publishedTimestamp: { column: "published_timestamp", cast: "float8" },
+};
+
+const UPSERT_BATCH_SIZE = 100;
+
+/**
+ * pgvector text representation of a vector
+ */
+const toVectorLiteral = (vector) => `[${vector.join(",")}]`;
+
+/**
+ * Translate a Qdrant-style filter into a SQL condition.
+ * Mirrors searchFilters.matchesFilter so every backend filters the same way.
+ *
+ * @param {Object|null} filter - Qdrant filter
+ * @param {Array} params - Query parameters, appended to in place
+ * @returns {string} SQL boolean expression
+ */
+const translateFilter = (filter, params) => {
+  if (!filter) {
+    return "TRUE";
+  }
+
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const condition = (cond) => {
+    // Nested filter
+    if (cond.must || cond.should || cond.must_not) {
+      return `(${translateFilter(cond, params)})`;
+    }
+
+    if (cond.is_empty) {
+      const field = COLUMN_FIELDS[cond.is_empty.key];
+      if (field) return `(${field.column} IS NULL)`;
+
+      const path = `payload->${param(cond.is_empty.key)}::text`;
+      return `(${path} IS NULL OR ${path} = 'null'::jsonb OR ${path} = '[]'::jsonb)`;
+    }
+
+    if (cond.has_id) {
+      return "FALSE";
+    }
+
+    const field = COLUMN_FIELDS[cond.key];
+
+    if (cond.match) {
+      if (field) {
+        if ("value" in cond.match) {
+          return `COALESCE(${field.column} = ${param(cond.match.value)}, FALSE)`;
+        }
+        if (Array.isArray(cond.match.any)) {
+          return `COALESCE(${field.column} = ANY(${param(
+            cond.match.any
+          )}::${field.cast}[]), FALSE)`;
+        }
+        if (Array.isArray(cond.match.except)) {
+          return `(${field.column} IS NULL OR ${field.column} <> ALL(${param(
+            cond.match.except
+          )}::${field.cast}[]))`;
+        }
+      } else {
+        // Containment on the whole payload so the GIN index applies;
+        // the second form matches the value inside an array field
+        const contains = (value) =>
+          `payload @> ${param(
+            JSON.stringify({ [cond.key]: value })
+          )}::jsonb OR payload @> ${param(
+            JSON.stringify({ [cond.key]: [value] })
+          )}::jsonb`;
+
+        if ("value" in cond.match) {
+          return `COALESCE(${contains(cond.match.value)}, FALSE)`;
+        }
+        if (Array.isArray(cond.match.any)) {
+          if (cond.match.any.length === 0) return "FALSE";
+          return `COALESCE(${cond.match.any.map(contains).join(" OR ")}, FALSE)`;
+        }
+        if (Array.isArray(cond.match.except)) {
+          if (cond.match.except.length === 0) return "TRUE";
+          return `NOT COALESCE(${cond.match.except
+            .map(contains)
+            .join(" OR ")}, FALSE)`;
+        }
+      }
+    }
+
+    if (cond.range) {
+      const value = field
+        ? field.column
+        : `(CASE WHEN jsonb_typeof(payload->${param(
+            cond.key
+          )}::text) = 'number' THEN (payload->>${param(
+            cond.key
+          )}::text)::float8 END)`;
+
+      const bounds = [
+        ["gt", ">"],
+        ["gte", ">="],
+        ["lt", "<"],
+        ["lte", "<="],
+      ]
+        .filter(([key]) => cond.range[key] != null)
+        .map(([key, op]) => `${value} ${op} ${param(cond.range[key])}`);
+
+      return bounds.length > 0
+        ? `COALESCE(${bounds.join(" AND ")}, FALSE)`
+        : `(${value} IS NOT NULL)`;
+    }
+
+    return "TRUE";
+  };
+
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+  const parts = must.map(condition);
+
+  if (should.length > 0) {
+    parts.push(`(${should.map(condition).join(" OR ")})`);
+  }
+
+  mustNot.forEach((cond) => parts.push(`NOT ${condition(cond)}`));
+
+  return parts.length > 0 ? parts.join(" AND ") : "TRUE";
+};
+
+/**
+ * pgvector (Postgres) vector store backend
+ * @param {Object} config - { databaseUrl, table, indexType, ssl, logger }
+ */
+const createPgvectorStore = (config) => {
+  const { logger } = config;
+  const table = quoteIdentifier(config.table);
+
+  if (!config.databaseUrl) {
+    throw new Error(
+      "pgvector store requires PGVECTOR_URL or DATABASE_URL to be set"
+    );
+  }
+
+  const pool = new Pool({
+    connectionString: config.databaseUrl,
+    ssl: config.ssl ? { rejectUnauthorized: false } : false,
+    max: config.poolSize || 5,
+  });
+
+  pool.on("error", (error) => {
+    logger.error("pgvector pool error:", { error: error.message });
+  });
+
+  /**
+   * Declared dimension of the embedding column, or null without the table
+   */
+  const getColumnDimension = async () => {
+    const { rows } = await pool.query(
+      `SELECT a.atttypmod AS dimension
+         FROM pg_attribute a
+        WHERE a.attrelid = to_regclass($1)
+          AND a.attname = 'embedding'`,
+      [config.table]
+    );
+    return rows[0] ? rows[0].dimension : null;
+  };
+
+  return {
+    name: "pgvector",
+    collection: config.table,
+
+    async initialize({ dimension }) {
+      await pool.query("SELECT 1");
+      logger.info("✅ Connected to Postgres successfully");
+
+      let existing = await getColumnDimension();
+      const created = existing == null;
+
+      if (created) {
+        logger.info(`Creating pgvector table '${config.table}'...`);
+        for (const statement of createSchemaStatements({
+          table: config.table,
+          dimension,
+          indexType: config.indexType,
+        })) {
+          await pool.query(statement);
+        }
+        existing = await getColumnDimension();
+        logger.info(`✅ pgvector table '${config.table}' created`, {
+          indexType: config.indexType,
+        });
+      } else {
+        // Tables created before keyword search lived in Postgres
+        for (const statement of textSearchStatements({ table: config.table })) {
+          await pool.query(statement);
+        }
+      }
+
+      const pointsCount = await this.count();
+      logger.info(`✅ pgvector table '${config.table}' ready`, {
+        pointsCount,
+        vectorSize: existing,
+      });
+
+      return { created, dimension: existing, pointsCount };
+    },
+
+    async upsert(points) {
+      let upserted = 0;
+
+      for (let i = 0; i < points.length; i += UPSERT_BATCH_SIZE) {
+        const batch = points.slice(i, i + UPSERT_BATCH_SIZE);
+        const params = [];
+        const rows = batch.map((point) => {
+          const payload = point.payload || {};
+          params.push(
+            point.id,
+            payload.articleId != null ? String(payload.articleId) : null,
+            payload.chunkIndex || 0,
+            payload.source || null,
+            typeof payload.publishedTimestamp === "number"
+              ? payload.publishedTimestamp
+              : null,
+            JSON.stringify(payload),
+            toVectorLiteral(point.vector)
+          );
+          const n = params.length;
+          return `($${n - 6}, $${n - 5}, $${n - 4}, $${n - 3}, $${n - 2}, $${
+            n - 1
+          }::jsonb, $${n}::vector)`;
+        });
+
+        await pool.query(
+          `INSERT INTO ${table}
+             (id, article_id, chunk_index, source, published_timestamp, payload, embedding)
+           VALUES ${rows.join(", ")}
+           ON CONFLICT (id) DO UPDATE SET
+             article_id = EXCLUDED.article_id,
+             chunk_index = EXCLUDED.chunk_index,
+             source = EXCLUDED.source,
+             published_timestamp = EXCLUDED.published_timestamp,
+             payload = EXCLUDED.payload,
+             embedding = EXCLUDED.embedding,
+             updated_at = now()`,
+          params
+        );
+
+        upserted += batch.length;
+        logger.info(`Upserted batch: ${upserted}/${points.length} points`);
+      }
+
+      return { upserted };
+    },
+
+    async search(vector, { limit = 5, scoreThreshold, filter } = {}) {
+      const params = [toVectorLiteral(vector)];
+      const where = translateFilter(filter, params);
+      params.push(limit);
+
+      const { rows } = await pool.query(
+        `SELECT id, payload, 1 - (embedding <=> $1::vector) AS score
+           FROM ${table}
+          WHERE ${where}
+          ORDER BY embedding <=> $1::vector
+          LIMIT $${params.length}`,
+        params
+      );
+
+      return rows
+        .map((row) => ({
+          id: row.id,
+          score: Number(row.score),
+          payload: row.payload || {},
+        }))
+        .filter(
+          (result) => scoreThreshold == null || result.score >= scoreThreshold
+        );
+    },
+
+    async searchText(query, { limit = 10, filter } = {}) {
+      const tsQuery = toTsQuery(query);
+      if (!tsQuery) {
+        return [];
+      }
+
+      const params = [tsQuery];
+      const where = translateFilter(filter, params);
+      params.push(limit);
+
+      // Rank normalisation 1 divides by 1 + log(document length), like BM25
+      const { rows } = await pool.query(
+        `SELECT id, payload, ts_rank(search_text, query, 1) AS score
+           FROM ${table}, to_tsquery('simple', $1) AS query
+          WHERE search_text @@ query AND ${where}
+          ORDER BY score DESC
+          LIMIT $${params.length}`,
+        params
+      );
+
+      return rows.map((row) => ({
+        id: row.id,
+        score: Number(row.score),
+        payload: row.payload || {},
+      }));
+    },
+
+    async deleteByFilter(filter) {
+      const params = [];
+      const result = await pool.query(
+        `DELETE FROM ${table} WHERE ${translateFilter(filter, params)}`,
+        params
+      );
+      return { deleted: result.rowCount };
+    },
+
+    async count(filter = null) {
+      const params = [];
+      const { rows } = await pool.query(
+        `SELECT count(*)::int AS count FROM ${table} WHERE ${translateFilter(
+          filter,
+          params
+        )}`,
+        params
+      );
+      return rows[0].count;
+    },
+
+    async scroll({ filter = null, limit = 100, offset, withVectors = false } = {}) {
+      const params = [];
+      const conditions = [translateFilter(filter, params)];
+
+      // Keyset pagination on the primary key
+      if (offset != null) {
+        params.push(offset);
+        conditions.push(`id > $${params.length}`);
+      }
+      params.push(limit + 1);
+
+      const { rows } = await pool.query(
+        `SELECT id, payload${withVectors ? ", embedding::text AS vector" : ""}
+           FROM ${table}
+          WHERE ${conditions.join(" AND ")}
+          ORDER BY id
+          LIMIT $${params.length}`,
+        params
+      );
+
+      const page = rows.slice(0, limit);
+      return {
+        points: page.map((row) => ({
+          id: row.id,
+          payload: row.payload || {},
+          ...(withVectors ? { vector: JSON.parse(row.vector) } : {}),
+        })),
+        nextOffset: rows.length > limit ? page[page.length - 1].id : null,
+      };
+    },
+
+    async getStats() {
+      const [pointsCount, dimension] = await Promise.all([
+        this.count(),
+        getColumnDimension(),
+      ]);
+
+      return {
+        name: config.table,
+        backend: "pgvector",
+        pointsCount,
+        status: "green",
+        vectorSize: dimension,
+        distance: "Cosine",
+        indexes: { embedding: config.indexType, searchText: "gin" },
+      };
+    },
+
+    async healthCheck() {
+      try {
+        return { ...(await this.getStats()), status: "healthy" };
+      } catch (error) {
+        return {
+          status: "unhealthy",
+          backend: "pgvector",
+          error: error.message,
+        };
+      }
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = createPgvectorStore;
+module.exports.translateFilter = translateFilter;
@@ -0,0 +1,257 @@
+const { QdrantClient } = require("@qdrant/js-client-rest");
+const {
+  documentText,
+  toSparseVector,
+  toSparseQuery,
+} = require("../lexicalIndexService");
+
+// Payload fields used by chat filters, indexed so filtered search stays fast
+const PAYLOAD_INDEXES = [
+  { field_name: "source", field_schema: "keyword" },
+  { field_name: "categories", field_schema: "keyword" },
+  { field_name: "publishedTimestamp", field_schema: "float" },
+  { field_name: "articleId", field_schema: "keyword" },
+  { field_name: "chunkIndex", field_schema: "integer" },
+  { field_name: "simhashBands", field_schema: "keyword" },
+  { field_name: "storyClusterId", field_schema: "keyword" },
+  { field_name: "visibility", field_schema: "keyword" },
+  { field_name: "ownerSessionId", field_schema: "keyword" },
+];
+
+const UPSERT_BATCH_SIZE = 100;
+
+// Sparse vector holding BM25 term weights; Qdrant applies the IDF
+const TEXT_VECTOR = "text";
+
+/**
+ * Qdrant vector store backend
+ * @param {Object} config - { url, apiKey, collection, timeout, logger }
+ */
+const createQdrantStore = (config) => {
+  const { collection, logger } = config;
+  const client = new QdrantClient({
+    url: config.url,
+    apiKey: config.apiKey,
+    timeout: config.timeout,
+  });
+
+  // Whether the collection has the keyword sparse vector (checked once)
+  let textSearch = null;
+
+  const hasTextVector = (info) =>
+    Boolean(info.config.params.sparse_vectors?.[TEXT_VECTOR]);
+
+  const isTextSearchEnabled = async () => {
+    if (textSearch == null) {
+      textSearch = hasTextVector(await client.getCollection(collection));
+    }
+    return textSearch;
+  };
+
+  /**
+   * Create payload indexes for filterable fields (idempotent)
+   */
+  const ensurePayloadIndexes = async () => {
+    for (const index of PAYLOAD_INDEXES) {
+      try {
+        await client.createPayloadIndex(collection, { ...index, wait: true });
+        logger.info(`✅ Payload index ready: ${index.field_name}`);
+      } catch (error) {
+        logger.warn(`Payload index ${index.field_name} not created:`, {
+          error: error.message,
+        });
+      }
+    }
+  };
+
+  return {
+    name: "qdrant",
+    collection,
+
+    async initialize({ dimension }) {
+      // Test connection
+      await client.getCollections();
+      logger.info("✅ Connected to Qdrant successfully");
+
+      let info;
+      let created = false;
+      try {
+        info = await client.getCollection(collection);
+        logger.info(`✅ Collection '${collection}' exists`, {
+          pointsCount: info.points_count,
+          vectorSize: info.config.params.vectors.size,
+          distance: info.config.params.vectors.distance,
+        });
+      } catch (error) {
+        // Anything but "no such collection" (auth, network) is fatal
+        if (error.status !== 404) {
+          throw error;
+        }
+
+        logger.info(`Creating new collection '${collection}'...`);
+        await client.createCollection(collection, {
+          vectors: {
+            size: dimension, // Configured embedding dimension
+            distance: "Cosine", // Cosine similarity for semantic search
+          },
+          sparse_vectors: {
+            [TEXT_VECTOR]: { modifier: "idf" },
+          },
+          optimizers_config: {
+            default_segment_number: 2,
+          },
+          replication_factor: 1,
+        });
+        info = await client.getCollection(collection);
+        created = true;
+        logger.info(`✅ Collection '${collection}' created`);
+      }
+
+      await ensurePayloadIndexes();
+
+      textSearch = hasTextVector(info);
+      if (!textSearch) {
+        logger.warn(
+          `Collection '${collection}' has no '${TEXT_VECTOR}' sparse vector; keyword search is off until it is recreated and re-ingested`
+        );
+      }
+
+      return {
+        created,
+        dimension: info.config.params.vectors.size,
+        pointsCount: info.points_count,
+      };
+    },
+
+    async upsert(points) {
+      let upserted = 0;
+      const withText = await isTextSearchEnabled();
+
+      // Insert in batches to avoid oversized requests
+      for (let i = 0; i < points.length; i += UPSERT_BATCH_SIZE) {
+        const batch = points.slice(i, i + UPSERT_BATCH_SIZE).map((point) =>
+          withText
+            ? {
+                ...point,
+                vector: {
+                  "": point.vector,
+                  [TEXT_VECTOR]: toSparseVector(documentText(point.payload)),
+                },
+              }
+            : point
+        );
+        await client.upsert(collection, { wait: true, points: batch });
+        upserted += batch.length;
+        logger.info(`Upserted batch: ${upserted}/${points.length} points`);
+      }
+
+      return { upserted };
+    },
+
+    async search(vector, { limit = 5, scoreThreshold, filter } = {}) {
+      const params = {
+        vector,
+        limit,
+        with_payload: true,
+        with_vector: false,
+      };
+      if (scoreThreshold != null) params.score_threshold = scoreThreshold;
+      if (filter) params.filter = filter;
+
+      const results = await client.search(collection, params);
+      return results.map((result) => ({
+        id: result.id,
+        score: result.score,
+        payload: result.payload || {},
+      }));
+    },
+
+    async searchText(query, { limit = 10, filter } = {}) {
+      const sparse = toSparseQuery(query);
+      if (!sparse || !(await isTextSearchEnabled())) {
+        return [];
+      }
+
+      const params = {
+        query: sparse,
+        using: TEXT_VECTOR,
+        limit,
+        with_payload: true,
+        with_vector: false,
+      };
+      if (filter) params.filter = filter;
+
+      const { points } = await client.query(collection, params);
+      return points.map((point) => ({
+        id: point.id,
+        score: point.score,
+        payload: point.payload || {},
+      }));
+    },
+
+    async deleteByFilter(filter) {
+      const deleted = await this.count(filter);
+      await client.delete(collection, { wait: true, filter: filter || {} });
+      return { deleted };
+    },
+
+    async count(filter = null) {
+      const params = { exact: true };
+      if (filter) params.filter = filter;
+
+      const result = await client.count(collection, params);
+      return result.count;
+    },
+
+    async scroll({ filter = null, limit = 100, offset, withVectors = false } = {}) {
+      const params = {
+        limit,
+        with_payload: true,
+        with_vector: withVectors,
+      };
+      if (filter) params.filter = filter;
+      if (offset != null) params.offset = offset;
+
+      const result = await client.scroll(collection, params);
+      return {
+        points: result.points.map((point) => ({
+          id: point.id,
+          payload: point.payload || {},
+          // Collections with keyword search return named vectors
+          ...(withVectors
+            ? {
+                vector: Array.isArray(point.vector)
+                  ? point.vector
+                  : point.vector?.[""],
+              }
+            : {}),
+        })),
+        nextOffset: result.next_page_offset ?? null,
+      };
+    },
+
+    async getStats() {
+      const info = await client.getCollection(collection);
+      return {
+        name: collection,
+        backend: "qdrant",
+        pointsCount: info.points_count,
+        status: info.status,
+        vectorSize: info.config.params.vectors.size,
+        distance: info.config.params.vectors.distance,
+        indexes: info.payload_schema || {},
+      };
+    },
+
+    async healthCheck() {
+      try {
+        const stats = await this.getStats();
+        return { ...stats, status: "healthy" };
+      } catch (error) {
+        return { status: "unhealthy", backend: "qdrant", error: error.message };
+      }
+    },
+  };
+};
+
+module.exports = createQdrantStore;
@@ -0,0 +1,132 @@
+// Answers are generated by a mocked pipeline that waits for its abort signal
+jest.mock("../../src/config/redis", () => ({
+  appendMessages: jest.fn(async () => 2),
+}));
+jest.mock("../../src/services/ragService", () => ({
+  validateQuery: (query) => ({ valid: true, query }),
+  streamRAGResponse: jest.fn(),
+}));
+
+const { streamRAGResponse } = require("../../src/services/ragService");
+const { handleChatSocket } = require("../../src/controllers/chatController");
+
+const SESSION = "0b7c6a52-6a0e-4f0e-9d43-2f1f3f6d1a01";
+
+/**
+ * Just enough of a Socket.IO server for the chat handlers: rooms and a
+ * broadcast that records what was emitted
+ */
+const createServer = () => {
+  const rooms = new Map();
+  const emitted = [];
+
+  return {
+    rooms,
+    emitted,
+    to: () => ({ emit: (event, data) => emitted.push({ event, data }) }),
+    sockets: { adapter: { rooms } },
+  };
+};
+
+/**
+ * A connected socket; `fire` delivers a client event and `disconnect`
+ * leaves the socket's rooms first, as Socket.IO does
+ */
+const connect = (io, id) => {
+  const handlers = {};
+  const socket = {
+    id,
+    rooms: new Set([id]),
+    handshake: { address: "127.0.0.1" },
+    on: (event, handler) => (handlers[event] = handler),
+    emit: jest.fn(),
+    join(room) {
+      socket.rooms.add(room);
+      if (!io.rooms.has(room)) io.rooms.set(room, new Set());
+      io.rooms.get(room).add(id);
+    },
+    fire: (event, data) => handlers[event](data),
+    disconnect() {
+      socket.rooms.forEach((room) => {
+        io.rooms.get(room)?.delete(id);
+        if (io.rooms.get(room)?.size === 0) io.rooms.delete(room);
+      });
+      return handlers.disconnect("transport close");
+    },
+  };
+
+  handleChatSocket(io, socket);
+  return socket;
+};
+
+/**
+ * Start a streamed answer from `socket`; resolves with the signal the
+ * pipeline received and the pending message handler
+ */
+const startAnswer = async (socket) => {
+  let receivedSignal;
+  streamRAGResponse.mockImplementationOnce(
+    (query, sessionId, { signal }) =>
+      new Promise((resolve) => {
+        receivedSignal = signal;
+        const finish = () =>
+          resolve({ answer: "partial", metadata: { cancelled: true } });
+        signal.addEventListener("abort", finish);
+      })
+  );
+
+  socket.join(SESSION);
+  const handled = socket.fire("send_message", {
+    sessionId: SESSION,
+    message: "What happened today?",
+    stream: true,
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  return { signal: receivedSignal, handled };
+};
+
+describe("socket disconnect", () => {
+  test("aborts the answer the socket was streaming", async () => {
+    const io = createServer();
+    const socket = connect(io, "socket-1");
+    const { signal, handled } = await startAnswer(socket);
+
+    expect(signal.aborted).toBe(false);
+    socket.disconnect();
+
+    expect(signal.aborted).toBe(true);
+    await handled;
+    expect(io.emitted.map(({ event }) => event)).toContain("bot_done");
+  });
+
+  test("keeps streaming while another socket of the session listens", async () => {
+    const io = createServer();
+    const socket = connect(io, "socket-1");
+    connect(io, "socket-2").join(SESSION);
+    const { signal, handled } = await startAnswer(socket);
+
+    socket.disconnect();
+
+    expect(signal.aborted).toBe(false);
+    const { messageId } = io.emitted.find(
+      ({ event }) => event === "bot_stream_start"
+    ).data;
+    socket.fire("cancel_stream", { messageId });
+    await handled;
+  });
+
+  test("leaves answers started by other sockets alone", async () => {
+    const io = createServer();
+    const streaming = connect(io, "socket-1");
+    const { signal, handled } = await startAnswer(streaming);
+    const idle = connect(io, "socket-2");
+
+    idle.disconnect();
+
+    expect(signal.aborted).toBe(false);
+    streaming.disconnect();
+    expect(signal.aborted).toBe(true);
+    await handled;
+  });
+});
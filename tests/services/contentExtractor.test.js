@@ -0,0 +1,193 @@
+const cheerio = require("cheerio");
+const {
+  extractArticle,
+  extractMetadata,
+  extractMainContent,
+} = require("../../src/services/contentExtractor");
+
+const PAGE_URL = "https://news.example.com/world/2026/10/15/truce-talks";
+
+const STORY = [
+  "Negotiators from both sides met in Cairo on Wednesday, officials said, in the first direct talks since the summer.",
+  "The talks focused on a phased ceasefire, the exchange of prisoners and the reopening of two border crossings.",
+  "Diplomats cautioned that several points, including the sequencing of withdrawals, remained unresolved.",
+];
+
+const paragraphs = (texts) => texts.map((text) => `<p>${text}</p>`).join("");
+
+/**
+ * A news page with its story surrounded by the usual boilerplate
+ */
+const newsPage = ({ head = "" } = {}) => `<!doctype html>
+<html>
+  <head><title>Truce talks resume | Example News</title>${head}</head>
+  <body>
+    <header><nav><a href="/">Home</a><a href="/world">World</a></nav></header>
+    <div class="cookie-consent">
+      <p>We use cookies to improve your experience, measure audiences and show you relevant advertising.</p>
+    </div>
+    <main>
+      <div class="article-body">
+        <h2>Talks resume in Cairo</h2>
+        ${paragraphs(STORY)}
+      </div>
+      <div class="related-stories">
+        <p><a href="/a">Markets rally as inflation cools, with shares in banks and retailers leading the gains</a></p>
+        <p><a href="/b">Heatwave warning issued for southern regions, with temperatures expected to top 40C</a></p>
+      </div>
+    </main>
+    <aside><p>Sign up to our newsletter for the morning briefing, delivered to your inbox every day.</p></aside>
+    <footer><p>Copyright Example News, all rights reserved, registered in England and Wales.</p></footer>
+  </body>
+</html>`;
+
+const jsonLd = (data) =>
+  `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+describe("extractMainContent", () => {
+  test("keeps the story and drops banners, related links and chrome", () => {
+    const content = extractMainContent(cheerio.load(newsPage()));
+
+    expect(content).toBe(["Talks resume in Cairo", ...STORY].join("\n\n"));
+    expect(content).not.toMatch(/cookies|Markets rally|newsletter|Copyright/);
+  });
+
+  test("prefers a site selector with enough text", () => {
+    const summary = STORY.map((text) => `<li>${text}</li>`).join("");
+    const $ = cheerio.load(
+      newsPage().replace("<main>", `<main><ul class="summary">${summary}</ul>`)
+    );
+
+    const content = extractMainContent($, [".missing", ".summary"]);
+
+    expect(content).toBe(STORY.join("\n\n"));
+  });
+
+  test("ignores a site selector with too little text", () => {
+    const lede = '<div class="lede"><p>Short.</p></div>';
+    const $ = cheerio.load(newsPage().replace("<main>", `<main>${lede}`));
+
+    const content = extractMainContent($, [".lede"]);
+
+    expect(content).toContain(STORY[2]);
+    expect(content).not.toContain("Short.");
+  });
+
+  test("falls back to the paragraphs that are not mostly links", () => {
+    const $ = cheerio.load(
+      `<body><p>Brief update on the talks.</p><p><a href="/x">More news</a></p></body>`
+    );
+
+    expect(extractMainContent($)).toBe("Brief update on the talks.");
+  });
+});
+
+describe("extractMetadata", () => {
+  test("reads author, dates, image and canonical URL from JSON-LD", () => {
+    const $ = cheerio.load(
+      newsPage({
+        head: jsonLd({
+          "@context": "https://schema.org",
+          "@graph": [
+            { "@type": "WebSite", name: "Example News" },
+            {
+              "@type": "NewsArticle",
+              headline: "Truce talks resume in Cairo",
+              author: [
+                { "@type": "Person", name: "By Jane Doe" },
+                "John Roe",
+                { "@type": "Person", name: "Jane Doe" },
+              ],
+              datePublished: "2026-10-15T08:30:00+01:00",
+              dateModified: "2026-10-15T10:00:00Z",
+              image: [{ "@type": "ImageObject", url: "/images/cairo.jpg" }],
+              mainEntityOfPage: {
+                "@id": "https://News.Example.com/world/truce-talks/?utm_source=x",
+              },
+            },
+          ],
+        }),
+      })
+    );
+
+    expect(extractMetadata($, PAGE_URL)).toEqual({
+      title: "Truce talks resume in Cairo",
+      author: "Jane Doe, John Roe",
+      publishedAt: "2026-10-15T07:30:00.000Z",
+      modifiedAt: "2026-10-15T10:00:00.000Z",
+      imageUrl: "https://news.example.com/images/cairo.jpg",
+      canonicalUrl: "https://news.example.com/world/truce-talks",
+      siteName: null,
+    });
+  });
+
+  test("falls back to OpenGraph and meta tags", () => {
+    const $ = cheerio.load(
+      newsPage({
+        head: `
+          <script type="application/ld+json">{ not json</script>
+          <meta property="og:title" content="Truce talks resume">
+          <meta property="og:image" content="https://cdn.example.com/cairo.jpg">
+          <meta property="og:site_name" content="Example News">
+          <meta property="og:url" content="https://news.example.com/world/truce-talks#top">
+          <meta name="author" content="By Jane Doe | Example News">
+          <meta property="article:published_time" content="2026-10-15T08:30:00Z">`,
+      })
+    );
+
+    expect(extractMetadata($, PAGE_URL)).toMatchObject({
+      title: "Truce talks resume",
+      author: "Jane Doe",
+      publishedAt: "2026-10-15T08:30:00.000Z",
+      imageUrl: "https://cdn.example.com/cairo.jpg",
+      canonicalUrl: "https://news.example.com/world/truce-talks",
+      siteName: "Example News",
+    });
+  });
+
+  test("prefers the canonical link and reads bylines from the page", () => {
+    const $ = cheerio.load(`<html><head>
+      <link rel="canonical" href="/world/truce-talks">
+      <meta property="og:url" content="https://news.example.com/other">
+      </head><body>
+      <span class="byline">By Jane Doe</span>
+      <time datetime="2026-10-15">15 October</time>
+      </body></html>`);
+
+    expect(extractMetadata($, PAGE_URL)).toMatchObject({
+      title: null,
+      author: "Jane Doe",
+      publishedAt: "2026-10-15T00:00:00.000Z",
+      canonicalUrl: "https://news.example.com/world/truce-talks",
+    });
+  });
+
+  test("ignores profile URLs given as the author", () => {
+    const $ = cheerio.load(
+      '<meta name="author" content="https://news.example.com/staff/jane">'
+    );
+
+    expect(extractMetadata($, PAGE_URL).author).toBeNull();
+  });
+});
+
+describe("extractArticle", () => {
+  test("returns the text and the metadata held in script tags", () => {
+    const html = newsPage({
+      head: jsonLd({
+        "@type": "NewsArticle",
+        author: { "@type": "Person", name: "Jane Doe" },
+        datePublished: "2026-10-15T08:30:00Z",
+      }),
+    });
+
+    const { content, metadata } = extractArticle(html, { url: PAGE_URL });
+
+    expect(content).toContain(STORY[1]);
+    expect(metadata).toMatchObject({
+      title: "Truce talks resume | Example News",
+      author: "Jane Doe",
+      publishedAt: "2026-10-15T08:30:00.000Z",
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const path = require("path");
+const { execFile } = require("child_process");
+const {
+  detectDocumentType,
+  parseDocument,
+} = require("../../src/services/documentParsers");
+
+const PARSERS_PATH = path.resolve(
+  __dirname,
+  "../../src/services/documentParsers"
+);
+
+/**
+ * Minimal PDF with a text layer: one page per entry of `pages` (each a list
+ * of lines) and an optional Info dictionary
+ */
+const buildPdf = (pages, info = {}) => {
+  const objects = [];
+  const add = (body) => objects.push(body) && objects.length;
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+
+  const pageRefs = pages.map((lines) => {
+    const text = lines
+      .map((line) => `(${line.replace(/[()\\]/g, "\\$&")}) Tj T*`)
+      .join("\n");
+    const stream = `BT /F1 12 Tf 16 TL 72 720 Td\n${text}\nET`;
+    const contents = add(
+      `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`
+    );
+    return add(
+      `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 612 792] ` +
+        `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${contents} 0 R >>`
+    );
+  });
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageRefs
+    .map((ref) => `${ref} 0 R`)
+    .join(" ")}] /Count ${pageRefs.length} >>`;
+
+  const infoEntries = Object.entries(info)
+    .map(([key, value]) => `/${key} (${value})`)
+    .join(" ");
+  const infoRef = add(`<< ${infoEntries} >>`);
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoRef} 0 R >>\n`;
+  pdf += `startxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+/**
+ * parseDocument in a separate Node process: pdf.js loads its worker with a
+ * dynamic import, which jest's module sandbox does not support
+ */
+const parseInNode = (buffer, fileName) =>
+  new Promise((resolve, reject) => {
+    const script = `
+      const { parseDocument } = require(${JSON.stringify(PARSERS_PATH)});
+      const chunks = [];
+      process.stdin.on("data", (chunk) => chunks.push(chunk));
+      process.stdin.on("end", () =>
+        parseDocument(Buffer.concat(chunks), { fileName: process.argv[1] })
+          .then((parsed) => process.stdout.write(JSON.stringify(parsed)))
+      );`;
+    const child = execFile(
+      process.execPath,
+      ["-e", script, fileName],
+      { timeout: 30000 },
+      (error, stdout) => (error ? reject(error) : resolve(JSON.parse(stdout)))
+    );
+    child.stdin.end(buffer);
+  });
+
+const parse = (text, fileName, mimeType) =>
+  parseDocument(Buffer.isBuffer(text) ? text : Buffer.from(text), {
+    fileName,
+    mimeType,
+  });
+
+describe("detectDocumentType", () => {
+  test.each([
+    ["release.html", "", "html"],
+    ["release.HTM", "", "html"],
+    ["notes.md", "", "markdown"],
+    ["notes.markdown", "text/plain", "markdown"],
+    ["report.txt", "", "text"],
+    ["report.pdf", "application/octet-stream", "pdf"],
+    ["upload", "application/pdf", "pdf"],
+    ["upload", "text/html; charset=utf-8", "html"],
+    ["report.docx", "text/plain", "text"],
+    ["report.docx", "", null],
+    ["", "image/png", null],
+  ])("%p (%p) is %p", (fileName, mimeType, type) => {
+    expect(detectDocumentType(fileName, mimeType)).toBe(type);
+  });
+});
+
+describe("parseDocument", () => {
+  test("reads HTML press releases with the article extractor", async () => {
+    const html = `<html><head>
+      <title>Acme expands to Leeds</title>
+      <meta name="author" content="Acme Press Office">
+      <meta property="article:published_time" content="2026-10-14T09:00:00Z">
+      </head><body>
+      <nav><a href="/">Home</a></nav>
+      <article>
+        <p>Acme Ltd today announced a new regional office in Leeds, creating 120 jobs over the next two years.</p>
+        <p>The office will house engineering and customer support teams, the company said in a statement.</p>
+      </article>
+      <footer><p>Media enquiries: press@acme.example, or call the office during working hours.</p></footer>
+      </body></html>`;
+
+    await expect(parse(html, "release.html")).resolves.toEqual({
+      type: "html",
+      title: "Acme expands to Leeds",
+      content:
+        "Acme Ltd today announced a new regional office in Leeds, creating 120 jobs over the next two years.\n\n" +
+        "The office will house engineering and customer support teams, the company said in a statement.",
+      author: "Acme Press Office",
+      publishedAt: "2026-10-14T09:00:00.000Z",
+    });
+  });
+
+  test("falls back to the body text of HTML without paragraphs", async () => {
+    const html = `<body><header>Acme</header>
+      <div>Quarterly results</div><div>Revenue rose 4%<br>Profit was flat</div>
+      </body>`;
+
+    const { content } = await parse(html, "results.htm");
+
+    expect(content).toBe(
+      "Quarterly results\n\nRevenue rose 4% Profit was flat"
+    );
+  });
+
+  test("reads Markdown with front matter as plain paragraphs", async () => {
+    const markdown = [
+      "---",
+      'title: "Q3 market outlook"',
+      "author: Research Desk",
+      "date: 2026-10-01",
+      "---",
+      "# Ignored heading",
+      "",
+      "Rates are **likely** to stay on hold,",
+      "according to [our survey](https://example.com/survey).",
+      "",
+      "- Inflation *eased* to 2.1%",
+      "- Wages grew `3.4%`",
+      "",
+      "| Region | Growth |",
+      "| --- | --- |",
+      "| North | 1.2% |",
+      "",
+      "[survey]: https://example.com/survey",
+    ].join("\r\n");
+
+    await expect(parse(markdown, "outlook.md")).resolves.toEqual({
+      type: "markdown",
+      title: "Q3 market outlook",
+      content: [
+        "Ignored heading",
+        "Rates are likely to stay on hold, according to our survey.",
+        "Inflation eased to 2.1%",
+        "Wages grew 3.4%",
+        "Region Growth",
+        "North 1.2%",
+      ].join("\n\n"),
+      author: "Research Desk",
+      publishedAt: "2026-10-01T00:00:00.000Z",
+    });
+  });
+
+  test("takes a Markdown title from the first heading", async () => {
+    const { title, publishedAt } = await parse(
+      "Intro line\n\n# The *real* title\n\nBody text.",
+      "notes.md"
+    );
+
+    expect(title).toBe("The real title");
+    expect(publishedAt).toBeNull();
+  });
+
+  test("keeps fenced code as text", async () => {
+    const { content } = await parse(
+      "Run this:\n\n```sh\nnpm run ingest\n```\n",
+      "howto.md"
+    );
+
+    expect(content).toBe("Run this:\n\nnpm run ingest");
+  });
+
+  test("reads plain text with a short first line as the title", async () => {
+    const text =
+      "Board changes at Acme\r\n\r\n\r\nThe board   appointed a new chair.\r\n\r\nShe starts in January.";
+
+    await expect(parse(text, "board.txt")).resolves.toEqual({
+      type: "text",
+      title: "Board changes at Acme",
+      content:
+        "Board changes at Acme\n\nThe board appointed a new chair.\n\nShe starts in January.",
+      author: null,
+      publishedAt: null,
+    });
+  });
+
+  test("does not take a long first line as the title", async () => {
+    const { title } = await parse(`${"word ".repeat(40)}\n\nMore.`, "a.txt");
+
+    expect(title).toBeNull();
+  });
+
+  test("reads the text layer and Info dictionary of a PDF", async () => {
+    const pdf = buildPdf(
+      [
+        ["Annual report 2026", "", "Revenue grew in every region."],
+        ["Outlook", "", "We expect steady demand next year."],
+      ],
+      {
+        Title: "Acme annual report",
+        Author: "Acme plc",
+        CreationDate: "D:20261001120000Z",
+      }
+    );
+
+    await expect(parseInNode(pdf, "report.pdf")).resolves.toEqual({
+      type: "pdf",
+      title: "Acme annual report",
+      content:
+        "Annual report 2026 Revenue grew in every region.\n\n" +
+        "Outlook We expect steady demand next year.",
+      author: "Acme plc",
+      publishedAt: "2026-10-01T12:00:00.000Z",
+    });
+  });
+
+  test("refuses files that only claim to be PDFs", async () => {
+    await expect(parse("<html></html>", "report.pdf")).rejects.toMatchObject({
+      code: "UNREADABLE_DOCUMENT",
+      message: "Could not read pdf file: File is not a PDF",
+    });
+  });
+
+  test("refuses unsupported file types", async () => {
+    await expect(parse("PK\u0003\u0004", "report.docx")).rejects.toMatchObject({
+      code: "UNSUPPORTED_DOCUMENT",
+      message: expect.stringContaining(".pdf"),
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * In-memory stand-in for the ioredis commands the services use, for tests
+ * that run without a Redis server
+ */
+const createFakeRedis = () => {
+  // key -> { type, value, expiresAt }
+  const data = new Map();
+
+  const entry = (key, type, create) => {
+    const existing = data.get(key);
+    if (existing && existing.expiresAt && existing.expiresAt <= Date.now()) {
+      data.delete(key);
+    } else if (existing) {
+      if (existing.type !== type) {
+        throw new Error(
+          "WRONGTYPE Operation against a key holding the wrong kind of value"
+        );
+      }
+      return existing;
+    }
+    if (!create) return null;
+
+    const created = { type, value: create(), expiresAt: null };
+    data.set(key, created);
+    return created;
+  };
+
+  const parseBound = (bound) => {
+    const text = String(bound);
+    if (text === "-inf") return { value: -Infinity, exclusive: false };
+    if (text === "+inf") return { value: Infinity, exclusive: false };
+    if (text.startsWith("(")) {
+      return { value: Number(text.slice(1)), exclusive: true };
+    }
+    return { value: Number(text), exclusive: false };
+  };
+
+  const sortedMembers = (zset) =>
+    [...zset.entries()].sort(
+      ([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : 1)
+    );
+
+  const commands = {
+    async get(key) {
+      return entry(key, "string")?.value ?? null;
+    },
+
+    async set(key, value, ...args) {
+      const stored = { type: "string", value: String(value), expiresAt: null };
+      const ex = args.findIndex((arg) => String(arg).toUpperCase() === "EX");
+      if (ex >= 0) stored.expiresAt = Date.now() + Number(args[ex + 1]) * 1000;
+      data.set(key, stored);
+      return "OK";
+    },
+
+    async del(...keys) {
+      return keys.flat().filter((key) => data.delete(key)).length;
+    },
+
+    async exists(...keys) {
+      const live = (key) => Boolean(entry(key, data.get(key)?.type));
+      return keys.flat().filter(live).length;
+    },
+
+    async rpush(key, ...values) {
+      const list = entry(key, "list", () => []).value;
+      list.push(...values.map(String));
+      return list.length;
+    },
+
+    async lrange(key, start, stop) {
+      const list = entry(key, "list")?.value || [];
+      const from = start < 0 ? Math.max(list.length + start, 0) : start;
+      const to = stop < 0 ? list.length + stop : stop;
+      return list.slice(from, to + 1);
+    },
+
+    async llen(key) {
+      return entry(key, "list")?.value.length || 0;
+    },
+
+    async hgetall(key) {
+      return { ...(entry(key, "hash")?.value || {}) };
+    },
+
+    async hset(key, fields) {
+      Object.assign(entry(key, "hash", () => ({})).value, fields);
+      return Object.keys(fields).length;
+    },
+
+    async zadd(key, ...args) {
+      const nx = String(args[0]).toUpperCase() === "NX";
+      const pairs = nx ? args.slice(1) : args;
+      const zset = entry(key, "zset", () => new Map()).value;
+      let added = 0;
+
+      for (let i = 0; i < pairs.length; i += 2) {
+        const member = String(pairs[i + 1]);
+        if (!zset.has(member)) added++;
+        if (!nx || !zset.has(member)) zset.set(member, Number(pairs[i]));
+      }
+      return added;
+    },
+
+    async zmscore(key, ...members) {
+      const zset = entry(key, "zset")?.value;
+      return members.map((member) =>
+        zset?.has(String(member)) ? String(zset.get(String(member))) : null
+      );
+    },
+
+    async zscore(key, member) {
+      return (await commands.zmscore(key, member))[0];
+    },
+
+    async zcard(key) {
+      return entry(key, "zset")?.value.size || 0;
+    },
+
+    async zremrangebyscore(key, min, max) {
+      const zset = entry(key, "zset")?.value;
+      if (!zset) return 0;
+
+      const low = parseBound(min);
+      const high = parseBound(max);
+      let removed = 0;
+      for (const [member, score] of [...zset]) {
+        const aboveLow = low.exclusive ? score > low.value : score >= low.value;
+        const belowHigh = high.exclusive
+          ? score < high.value
+          : score <= high.value;
+        if (aboveLow && belowHigh) {
+          zset.delete(member);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async zremrangebyrank(key, start, stop) {
+      const zset = entry(key, "zset")?.value;
+      if (!zset) return 0;
+
+      const members = sortedMembers(zset);
+      const from = start < 0 ? members.length + start : start;
+      const to = stop < 0 ? members.length + stop : stop;
+      const doomed = members.slice(Math.max(from, 0), Math.max(to + 1, 0));
+      doomed.forEach(([member]) => zset.delete(member));
+      return doomed.length;
+    },
+
+    async pexpire(key, ms) {
+      const existing = data.get(key);
+      if (!existing) return 0;
+      existing.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+
+    async expire(key, seconds) {
+      return commands.pexpire(key, Number(seconds) * 1000);
+    },
+
+    async pttl(key) {
+      const existing = data.get(key);
+      if (!existing) return -2;
+      return existing.expiresAt ? existing.expiresAt - Date.now() : -1;
+    },
+
+    async keys(pattern) {
+      const matcher = new RegExp(
+        `^${pattern
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*")}$`
+      );
+      return [...data.keys()].filter((key) => matcher.test(key));
+    },
+  };
+
+  const client = {
+    ...commands,
+
+    // Queued commands run in order on exec, like MULTI/EXEC
+    multi() {
+      const queued = [];
+      const transaction = new Proxy(
+        {
+          async exec() {
+            const results = [];
+            for (const [name, args] of queued) {
+              results.push([null, await commands[name](...args)]);
+            }
+            return results;
+          },
+        },
+        {
+          get(target, name) {
+            if (name in target) return target[name];
+            return (...args) => {
+              queued.push([name, args]);
+              return transaction;
+            };
+          },
+        }
+      );
+      return transaction;
+    },
+
+    flushall() {
+      data.clear();
+    },
+
+    // Enough of a connection for initializeRedis
+    options: {},
+    async ping() {
+      return "PONG";
+    },
+    async info() {
+      return "redis_version:7.2.0";
+    },
+    on() {
+      return client;
+    },
+
+    // Lua isn't available; tests stub eval with the script's logic
+    async eval() {
+      throw new Error("eval is not supported by the fake Redis");
+    },
+  };
+
+  return client;
+};
+
+module.exports = { createFakeRedis };
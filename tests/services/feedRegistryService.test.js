@@ -0,0 +1,308 @@
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+
+/**
+ * In-memory Feed / Setting models with the calls the registry makes, and a
+ * transaction that rolls both back when its callback throws
+ */
+const createFakeDatabase = () => {
+  const feeds = [];
+  const settings = new Map();
+
+  const toInstance = (row) => ({
+    ...row,
+    async update(data) {
+      Object.assign(row, data, { updatedAt: new Date() });
+      Object.assign(this, row);
+      return this;
+    },
+  });
+
+  const insertFeed = (data) => {
+    if (feeds.some((feed) => feed.url === data.url)) {
+      const error = new Error("Validation error");
+      error.name = "SequelizeUniqueConstraintError";
+      throw error;
+    }
+    const row = {
+      id: crypto.randomUUID(),
+      enabled: true,
+      categories: [],
+      contentSelectors: [],
+      ...data,
+      createdAt: new Date(Date.now() + feeds.length),
+      updatedAt: new Date(),
+    };
+    feeds.push(row);
+    return row;
+  };
+
+  const matches = (row, where = {}) =>
+    Object.entries(where).every(([key, value]) => row[key] === value);
+
+  const Feed = {
+    async count() {
+      return feeds.length;
+    },
+    async bulkCreate(rows, options = {}) {
+      return rows
+        .filter(
+          (data) =>
+            !options.ignoreDuplicates ||
+            !feeds.some((feed) => feed.url === data.url)
+        )
+        .map((data) => toInstance(insertFeed(data)));
+    },
+    async create(data) {
+      return toInstance(insertFeed(data));
+    },
+    async findAll({ where } = {}) {
+      return feeds.filter((row) => matches(row, where)).map(toInstance);
+    },
+    async findByPk(id) {
+      const row = feeds.find((feed) => feed.id === id);
+      return row ? toInstance(row) : null;
+    },
+    async destroy({ where }) {
+      const doomed = feeds.filter((row) => matches(row, where));
+      doomed.forEach((row) => feeds.splice(feeds.indexOf(row), 1));
+      return doomed.length;
+    },
+  };
+
+  const Setting = {
+    async findOrCreate({ where, defaults }) {
+      if (settings.has(where.key)) {
+        return [settings.get(where.key), false];
+      }
+      const row = { ...where, ...defaults };
+      settings.set(where.key, row);
+      return [row, true];
+    },
+  };
+
+  return {
+    models: { Feed, Setting },
+    feeds,
+    settings,
+    async transaction(callback) {
+      const savedFeeds = feeds.map((row) => ({ ...row }));
+      const savedSettings = new Map(settings);
+      try {
+        return await callback({});
+      } catch (error) {
+        feeds.splice(0, feeds.length, ...savedFeeds);
+        settings.clear();
+        savedSettings.forEach((value, key) => settings.set(key, value));
+        throw error;
+      }
+    },
+  };
+};
+
+let mockDatabase = null;
+
+jest.mock("../../src/config/database", () => ({
+  getDatabase: () => mockDatabase,
+}));
+
+// Registry edits reload an in-process scheduler, which isn't running here
+jest.mock("../../src/services/ingestScheduler", () => ({
+  reloadIngestScheduler: jest.fn().mockResolvedValue(),
+}));
+
+const {
+  RSS_FEEDS,
+  isRegistryEnabled,
+  seedFeedRegistry,
+  getActiveFeeds,
+  createFeed,
+  updateFeed,
+} = require("../../src/services/feedRegistryService");
+const adminRoutes = require("../../src/routes/admin");
+
+const ADMIN_KEY = "test-admin-key";
+
+beforeEach(() => {
+  mockDatabase = createFakeDatabase();
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_API_KEY;
+});
+
+describe("seedFeedRegistry", () => {
+  test("fills a new registry with the environment feeds", async () => {
+    await expect(seedFeedRegistry()).resolves.toBe(RSS_FEEDS.length);
+
+    expect(mockDatabase.feeds.map((feed) => feed.url)).toEqual(RSS_FEEDS);
+    expect(mockDatabase.settings.has("feedRegistrySeeded")).toBe(true);
+  });
+
+  test("seeds only once", async () => {
+    await seedFeedRegistry();
+
+    await expect(seedFeedRegistry()).resolves.toBe(0);
+    expect(mockDatabase.feeds).toHaveLength(RSS_FEEDS.length);
+  });
+
+  test("leaves a registry an admin emptied empty", async () => {
+    await seedFeedRegistry();
+    mockDatabase.feeds.splice(0);
+
+    await expect(seedFeedRegistry()).resolves.toBe(0);
+    await expect(getActiveFeeds()).resolves.toEqual([]);
+  });
+
+  test("only flags a registry that already has feeds", async () => {
+    await createFeed({ url: "https://news.example.com/rss.xml" });
+
+    await expect(seedFeedRegistry()).resolves.toBe(0);
+    expect(mockDatabase.feeds).toHaveLength(1);
+    expect(mockDatabase.settings.has("feedRegistrySeeded")).toBe(true);
+  });
+
+  test("drops the flag again when seeding fails", async () => {
+    mockDatabase.models.Feed.bulkCreate = async () => {
+      throw new Error("connection lost");
+    };
+
+    await expect(seedFeedRegistry()).rejects.toThrow("connection lost");
+    expect(mockDatabase.settings.has("feedRegistrySeeded")).toBe(false);
+  });
+
+  test("does nothing without Postgres", async () => {
+    mockDatabase = null;
+
+    await expect(seedFeedRegistry()).resolves.toBe(0);
+    expect(isRegistryEnabled()).toBe(false);
+  });
+});
+
+describe("getActiveFeeds", () => {
+  test("returns enabled registry feeds with their settings", async () => {
+    const feed = await createFeed({
+      url: "https://news.example.com/rss.xml",
+      pollIntervalMinutes: 15,
+      categories: ["uk"],
+    });
+    const paused = await createFeed({ url: "https://paused.example.com/rss" });
+    await updateFeed(paused.id, { enabled: false });
+
+    const active = await getActiveFeeds();
+
+    expect(active).toHaveLength(1);
+    expect(active[0]).toMatchObject({
+      id: feed.id,
+      url: "https://news.example.com/rss.xml",
+      enabled: true,
+      pollIntervalMinutes: 15,
+      maxArticles: null,
+      categories: ["uk"],
+      contentSelectors: [],
+    });
+  });
+
+  test("falls back to the environment feeds without Postgres", async () => {
+    mockDatabase = null;
+
+    const feeds = await getActiveFeeds();
+
+    expect(feeds.map((feed) => feed.url)).toEqual(RSS_FEEDS);
+    expect(feeds.every((feed) => feed.enabled && feed.id === null)).toBe(true);
+  });
+});
+
+describe("admin feed API", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/admin", adminRoutes);
+
+  const admin = (method, path) =>
+    request(app)[method](`/api/admin${path}`).set("X-Admin-Key", ADMIN_KEY);
+
+  test("stays closed while ADMIN_API_KEY is unset", async () => {
+    delete process.env.ADMIN_API_KEY;
+
+    const response = await request(app)
+      .get("/api/admin/feeds")
+      .set("X-Admin-Key", "anything");
+
+    expect(response.status).toBe(503);
+  });
+
+  test("rejects a missing or wrong key", async () => {
+    const missing = await request(app).get("/api/admin/feeds");
+    const wrong = await request(app)
+      .get("/api/admin/feeds")
+      .set("X-Admin-Key", "not-the-key");
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.timestamp).toEqual(expect.any(String));
+  });
+
+  test("accepts the key as a bearer token", async () => {
+    const response = await request(app)
+      .get("/api/admin/feeds")
+      .set("Authorization", `Bearer ${ADMIN_KEY}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ feeds: [], count: 0 });
+  });
+
+  test("adds, edits, pauses and deletes a feed", async () => {
+    const created = await admin("post", "/feeds").send({
+      url: "https://news.example.com/rss.xml",
+      name: "Example News",
+      pollIntervalMinutes: 10,
+    });
+    expect(created.status).toBe(201);
+    const { id } = created.body.feed;
+
+    const edited = await admin("patch", `/feeds/${id}`).send({
+      maxArticles: 5,
+    });
+    expect(edited.body.feed).toMatchObject({
+      name: "Example News",
+      maxArticles: 5,
+    });
+
+    await admin("post", `/feeds/${id}/disable`).expect(200);
+    const paused = await admin("get", "/feeds?enabled=false");
+    expect(paused.body.feeds.map((feed) => feed.id)).toEqual([id]);
+
+    await admin("delete", `/feeds/${id}`).expect(200);
+    await admin("get", `/feeds/${id}`).expect(404);
+  });
+
+  test("refuses a duplicate URL", async () => {
+    const feed = { url: "https://news.example.com/rss.xml" };
+    await admin("post", "/feeds").send(feed).expect(201);
+
+    const duplicate = await admin("post", "/feeds").send(feed);
+
+    expect(duplicate.status).toBe(409);
+  });
+
+  test("validates feed settings and ids", async () => {
+    await admin("post", "/feeds").send({ url: "not a url" }).expect(400);
+    await admin("patch", "/feeds/not-a-uuid").send({ name: "x" }).expect(400);
+    await admin("get", "/feeds?enabled=maybe").expect(400);
+  });
+
+  test("deleting every feed survives the next start", async () => {
+    await seedFeedRegistry();
+    const { body } = await admin("get", "/feeds");
+
+    for (const feed of body.feeds) {
+      await admin("delete", `/feeds/${feed.id}`).expect(200);
+    }
+    await seedFeedRegistry();
+
+    const after = await admin("get", "/feeds");
+    expect(after.body.count).toBe(0);
+  });
+});
@@ -0,0 +1,126 @@
+const { createFakeRedis } = require("./fakeRedis");
+
+const mockRedis = createFakeRedis();
+
+jest.mock("../../src/config/redis", () => ({
+  getRedisClient: () => mockRedis,
+}));
+
+const {
+  SEEN_CONFIG,
+  getFeedState,
+  saveFeedState,
+  resetFeedState,
+  filterUnseenItems,
+  markItemsSeen,
+} = require("../../src/services/feedStateService");
+
+const FEED = "https://news.example.com/rss.xml";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seenKey = async () => (await mockRedis.keys("ingest:seen-at:*"))[0];
+
+beforeEach(() => {
+  mockRedis.flushall();
+  jest.useRealTimers();
+});
+
+describe("feed state", () => {
+  test("merges validators and leaves missing fields untouched", async () => {
+    await saveFeedState(FEED, { etag: '"v1"', lastModified: "Mon" });
+    await saveFeedState(FEED, { etag: '"v2"', lastModified: null });
+
+    await expect(getFeedState(FEED)).resolves.toEqual({
+      etag: '"v2"',
+      lastModified: "Mon",
+      lastCheckedAt: null,
+      lastIngestedAt: null,
+    });
+  });
+
+  test("reset forgets validators and seen items", async () => {
+    await saveFeedState(FEED, { etag: '"v1"' });
+    await markItemsSeen(FEED, ["a"]);
+
+    await resetFeedState(FEED);
+
+    expect((await getFeedState(FEED)).etag).toBeNull();
+    await expect(filterUnseenItems(FEED, ["a"])).resolves.toEqual(["a"]);
+  });
+});
+
+describe("seen items", () => {
+  test("filters out ids marked seen, per feed", async () => {
+    await markItemsSeen(FEED, ["a", "b"]);
+
+    await expect(filterUnseenItems(FEED, ["a", "b", "c"])).resolves.toEqual([
+      "c",
+    ]);
+    await expect(
+      filterUnseenItems("https://other.example.com/feed", ["a"])
+    ).resolves.toEqual(["a"]);
+  });
+
+  test("keeps the first-seen time when an id is marked again", async () => {
+    jest.useFakeTimers({ now: new Date("2026-10-01T00:00:00Z") });
+    await markItemsSeen(FEED, ["a"]);
+    const firstSeen = await mockRedis.zscore(await seenKey(), "a");
+
+    jest.setSystemTime(new Date("2026-10-05T00:00:00Z"));
+    await markItemsSeen(FEED, ["a"]);
+
+    await expect(mockRedis.zscore(await seenKey(), "a")).resolves.toBe(
+      firstSeen
+    );
+  });
+
+  test("drops ids older than the retention window on the next write", async () => {
+    jest.useFakeTimers({ now: new Date("2026-09-01T00:00:00Z") });
+    await markItemsSeen(FEED, ["old"]);
+
+    // The feed stays active, so the key is written on every poll
+    jest.setSystemTime(Date.now() + SEEN_CONFIG.retentionMs - DAY_MS);
+    await markItemsSeen(FEED, ["recent"]);
+    jest.setSystemTime(Date.now() + 2 * DAY_MS);
+    await markItemsSeen(FEED, ["newest"]);
+
+    await expect(
+      filterUnseenItems(FEED, ["old", "recent", "newest"])
+    ).resolves.toEqual(["old"]);
+  });
+
+  test("caps the set at the most recent ids", async () => {
+    const maxItems = SEEN_CONFIG.maxItems;
+    SEEN_CONFIG.maxItems = 3;
+
+    try {
+      jest.useFakeTimers({ now: new Date("2026-10-01T00:00:00Z") });
+      for (const id of ["a", "b", "c", "d", "e"]) {
+        await markItemsSeen(FEED, [id]);
+        jest.advanceTimersByTime(1000);
+      }
+
+      await expect(mockRedis.zcard(await seenKey())).resolves.toBe(3);
+      await expect(
+        filterUnseenItems(FEED, ["a", "b", "c", "d", "e"])
+      ).resolves.toEqual(["a", "b"]);
+    } finally {
+      SEEN_CONFIG.maxItems = maxItems;
+    }
+  });
+
+  test("lets the set of a feed that stopped polling expire", async () => {
+    await markItemsSeen(FEED, ["a"]);
+
+    const ttl = await mockRedis.pttl(await seenKey());
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(SEEN_CONFIG.retentionMs);
+  });
+
+  test("does nothing for an empty id list", async () => {
+    await markItemsSeen(FEED, []);
+
+    await expect(mockRedis.keys("ingest:seen-at:*")).resolves.toEqual([]);
+    await expect(filterUnseenItems(FEED, [])).resolves.toEqual([]);
+  });
+});
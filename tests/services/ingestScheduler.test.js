@@ -0,0 +1,209 @@
+const { createFakeRedis } = require("./fakeRedis");
+
+const mockRedis = createFakeRedis();
+
+jest.mock("../../src/config/redis", () => ({
+  getRedisClient: () => mockRedis,
+}));
+
+jest.mock("../../src/services/newsIngestService", () => ({
+  fetchFeed: jest.fn(),
+  articleResultsFromItems: jest.fn(),
+  ingestArticles: jest.fn(),
+}));
+
+jest.mock("../../src/services/feedRegistryService", () => ({
+  getActiveFeeds: jest.fn(),
+}));
+
+const {
+  fetchFeed,
+  articleResultsFromItems,
+  ingestArticles,
+} = require("../../src/services/newsIngestService");
+const {
+  getFeedState,
+  filterUnseenItems,
+} = require("../../src/services/feedStateService");
+const {
+  pollFeed,
+  createIngestScheduler,
+} = require("../../src/services/ingestScheduler");
+
+const FEED = { url: "https://news.example.com/rss.xml", maxArticles: 10 };
+
+const item = (id) => ({
+  guid: id,
+  link: `https://news.example.com/${id}`,
+  title: id,
+});
+
+const feedResponse = (ids, validators = {}) => ({
+  notModified: false,
+  feed: { type: "rss", title: "Example News", items: ids.map(item) },
+  etag: '"v1"',
+  lastModified: null,
+  ...validators,
+});
+
+/**
+ * Page outcome per item id: "ok", "temporary" or "permanent"
+ */
+const mockPages = (outcomes) => {
+  articleResultsFromItems.mockImplementation(async (items) =>
+    items.map(({ guid }) => {
+      const outcome = outcomes[guid] || "ok";
+      if (outcome === "ok") {
+        return { article: { id: `article-${guid}`, title: guid } };
+      }
+      return outcome === "temporary"
+        ? { error: "timeout of 15000ms exceeded", retryable: true }
+        : { error: "HTTP 404", retryable: false };
+    })
+  );
+};
+
+const ingestedIds = (call) =>
+  ingestArticles.mock.calls[call][0].map((article) => article.id);
+
+beforeEach(() => {
+  mockRedis.flushall();
+  jest.resetAllMocks();
+  ingestArticles.mockImplementation(async (articles) => ({
+    statistics: { newArticles: articles.length, updatedArticles: 0 },
+  }));
+});
+
+describe("pollFeed", () => {
+  test("ingests unseen items and skips them on the next poll", async () => {
+    fetchFeed.mockResolvedValue(feedResponse(["a", "b"]));
+    mockPages({});
+
+    const first = await pollFeed(FEED);
+    const second = await pollFeed(FEED);
+
+    expect(first).toMatchObject({
+      status: "fetched",
+      newItems: 2,
+      ingested: 2,
+      retrying: 0,
+    });
+    expect(second).toMatchObject({ newItems: 0, ingested: 0 });
+    expect(ingestArticles).toHaveBeenCalledTimes(1);
+  });
+
+  test("retries items whose page failed temporarily", async () => {
+    fetchFeed.mockResolvedValue(feedResponse(["ok", "slow", "gone"]));
+    mockPages({ slow: "temporary", gone: "permanent" });
+
+    const first = await pollFeed(FEED);
+
+    expect(first).toMatchObject({ newItems: 3, ingested: 1, retrying: 1 });
+    await expect(
+      filterUnseenItems(FEED.url, ["ok", "slow", "gone"])
+    ).resolves.toEqual(["slow"]);
+
+    mockPages({});
+    const second = await pollFeed(FEED);
+
+    expect(second).toMatchObject({ newItems: 1, ingested: 1, retrying: 0 });
+    const retried = articleResultsFromItems.mock.calls[1][0];
+    expect(retried.map(({ guid }) => guid)).toEqual(["slow"]);
+    expect(ingestedIds(1)).toEqual(["article-slow"]);
+  });
+
+  test("marks items seen when every page failed for good", async () => {
+    fetchFeed.mockResolvedValue(feedResponse(["gone"]));
+    mockPages({ gone: "permanent" });
+
+    const result = await pollFeed(FEED);
+
+    expect(result).toMatchObject({ newItems: 1, ingested: 0, retrying: 0 });
+    expect(ingestArticles).not.toHaveBeenCalled();
+    await expect(filterUnseenItems(FEED.url, ["gone"])).resolves.toEqual([]);
+  });
+
+  test("keeps items unseen and validators unsaved when ingestion fails", async () => {
+    fetchFeed.mockResolvedValue(feedResponse(["a"]));
+    mockPages({});
+    ingestArticles.mockRejectedValue(new Error("vector store down"));
+
+    await expect(pollFeed(FEED)).rejects.toThrow("vector store down");
+
+    await expect(filterUnseenItems(FEED.url, ["a"])).resolves.toEqual(["a"]);
+    expect((await getFeedState(FEED.url)).etag).toBeNull();
+  });
+
+  test("sends stored validators and stops on 304", async () => {
+    fetchFeed.mockResolvedValueOnce(feedResponse(["a"]));
+    fetchFeed.mockResolvedValueOnce({ notModified: true });
+    mockPages({});
+
+    await pollFeed(FEED);
+    const result = await pollFeed(FEED);
+
+    expect(fetchFeed.mock.calls[1][1]).toMatchObject({ etag: '"v1"' });
+    expect(result).toEqual({
+      status: "not_modified",
+      newItems: 0,
+      ingested: 0,
+    });
+    expect(articleResultsFromItems).toHaveBeenCalledTimes(1);
+  });
+
+  test("takes at most maxArticles unseen items per poll", async () => {
+    fetchFeed.mockResolvedValue(feedResponse(["a", "b", "c"]));
+    mockPages({});
+
+    const first = await pollFeed({ ...FEED, maxArticles: 2 });
+    const second = await pollFeed({ ...FEED, maxArticles: 2 });
+
+    expect(first.newItems).toBe(2);
+    expect(second.newItems).toBe(1);
+    expect(ingestedIds(1)).toEqual(["article-c"]);
+  });
+});
+
+describe("createIngestScheduler", () => {
+  test("polls a fixed feed list on demand and reports each result", async () => {
+    fetchFeed.mockImplementation(async (url) =>
+      url === FEED.url
+        ? feedResponse(["a"])
+        : Promise.reject(new Error("getaddrinfo ENOTFOUND"))
+    );
+    mockPages({});
+
+    const scheduler = createIngestScheduler({
+      feeds: [FEED, { url: "https://broken.example.com/feed" }],
+    });
+    await scheduler.pollNow();
+
+    const status = scheduler.getStatus();
+    expect(status.running).toBe(false);
+    expect(status.feeds.map((feed) => feed.lastResult.status)).toEqual([
+      "fetched",
+      "error",
+    ]);
+    expect(status.feeds[1].lastResult.error).toBe("getaddrinfo ENOTFOUND");
+  });
+
+  test("polls one feed at a time", async () => {
+    let active = 0;
+    let maxActive = 0;
+    fetchFeed.mockImplementation(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return { notModified: true };
+    });
+
+    const scheduler = createIngestScheduler({
+      feeds: [FEED, { url: "https://other.example.com/feed" }],
+    });
+    await scheduler.pollNow();
+
+    expect(fetchFeed).toHaveBeenCalledTimes(2);
+    expect(maxActive).toBe(1);
+  });
+});
@@ -0,0 +1,92 @@
+const mockGenerateContentStream = jest.fn();
+
+jest.mock("@google/generative-ai", () => ({
+  GoogleGenerativeAI: jest.fn(() => ({
+    getGenerativeModel: () => ({
+      generateContentStream: mockGenerateContentStream,
+    }),
+  })),
+}));
+
+const createGeminiProvider = require("../../../src/services/llm/geminiProvider");
+
+const provider = createGeminiProvider({
+  apiKey: "test-key",
+  model: "gemini-1.5-flash",
+});
+
+/**
+ * SDK stream result of the given text chunks; fails like an aborted fetch
+ * once the signal fires
+ */
+const streamResult = (chunks, signal) => ({
+  stream: (async function* () {
+    for (const text of chunks) {
+      if (signal?.aborted) {
+        throw new Error("This operation was aborted");
+      }
+      yield { text: () => text };
+    }
+  })(),
+});
+
+const collect = async (iterable, onDelta = () => {}) => {
+  const deltas = [];
+  for await (const delta of iterable) {
+    deltas.push(delta);
+    onDelta(delta);
+  }
+  return deltas;
+};
+
+beforeEach(() => mockGenerateContentStream.mockReset());
+
+describe("geminiProvider.stream", () => {
+  test("passes the abort signal to the SDK request", async () => {
+    const controller = new AbortController();
+    mockGenerateContentStream.mockImplementation(async (prompt, options) =>
+      streamResult(["Hello", "", " world"], options.signal)
+    );
+
+    const deltas = await collect(
+      provider.stream("Hi", { signal: controller.signal })
+    );
+
+    expect(deltas).toEqual(["Hello", " world"]);
+    expect(mockGenerateContentStream).toHaveBeenCalledWith("Hi", {
+      signal: controller.signal,
+    });
+  });
+
+  test("ends quietly when aborted mid-stream", async () => {
+    const controller = new AbortController();
+    mockGenerateContentStream.mockImplementation(async (prompt, options) =>
+      streamResult(["one", "two", "three"], options.signal)
+    );
+
+    const deltas = await collect(
+      provider.stream("Hi", { signal: controller.signal }),
+      () => controller.abort()
+    );
+
+    expect(deltas).toEqual(["one"]);
+  });
+
+  test("ends quietly when aborted before the response", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    mockGenerateContentStream.mockRejectedValue(new Error("aborted"));
+
+    await expect(
+      collect(provider.stream("Hi", { signal: controller.signal }))
+    ).resolves.toEqual([]);
+  });
+
+  test("rethrows errors that are not aborts", async () => {
+    mockGenerateContentStream.mockRejectedValue(new Error("503 overloaded"));
+
+    await expect(collect(provider.stream("Hi"))).rejects.toThrow(
+      "503 overloaded"
+    );
+  });
+});
@@ -0,0 +1,83 @@
+const { getLLMConfig } = require("../../../src/services/llm");
+
+const LLM_ENV = [
+  "LLM_PROVIDER",
+  "LLM_MODEL",
+  "LLM_BASE_URL",
+  "LLM_API_KEY",
+  "OPENAI_API_KEY",
+  "GEMINI_API_KEY",
+];
+
+const saved = {};
+
+beforeEach(() => {
+  LLM_ENV.forEach((key) => {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  LLM_ENV.forEach((key) => {
+    if (saved[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = saved[key];
+    }
+  });
+});
+
+describe("getLLMConfig", () => {
+  test("applies the LLM_* overrides to the active provider", () => {
+    process.env.LLM_PROVIDER = "ollama";
+    process.env.LLM_MODEL = "qwen2.5:7b";
+    process.env.LLM_BASE_URL = "http://ollama:11434/v1";
+    process.env.LLM_API_KEY = "ollama-key";
+
+    expect(getLLMConfig()).toMatchObject({
+      name: "ollama",
+      model: "qwen2.5:7b",
+      baseURL: "http://ollama:11434/v1",
+      apiKey: "ollama-key",
+    });
+  });
+
+  test("gives Gemini its own model while another provider is active", () => {
+    process.env.LLM_PROVIDER = "ollama";
+    process.env.LLM_MODEL = "qwen2.5:7b";
+    process.env.GEMINI_API_KEY = "gemini-key";
+
+    expect(getLLMConfig("gemini")).toMatchObject({
+      name: "gemini",
+      model: "gemini-1.5-flash",
+      apiKey: "gemini-key",
+    });
+  });
+
+  test("keeps the active provider's endpoint and key from other providers", () => {
+    process.env.LLM_PROVIDER = "ollama";
+    process.env.LLM_BASE_URL = "http://ollama:11434/v1";
+    process.env.LLM_API_KEY = "ollama-key";
+    process.env.OPENAI_API_KEY = "openai-key";
+
+    expect(getLLMConfig("openai")).toMatchObject({
+      model: "gpt-4o-mini",
+      baseURL: "https://api.openai.com/v1",
+      apiKey: "openai-key",
+    });
+  });
+
+  test("defaults to Gemini", () => {
+    process.env.LLM_MODEL = "gemini-1.5-pro";
+
+    expect(getLLMConfig()).toMatchObject({
+      name: "gemini",
+      model: "gemini-1.5-pro",
+    });
+  });
+
+  test("rejects unknown providers", () => {
+    expect(() => getLLMConfig("mistral")).toThrow(/Unknown LLM provider/);
+  });
+});
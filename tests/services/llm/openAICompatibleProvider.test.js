@@ -0,0 +1,96 @@
+const { Readable } = require("stream");
+
+const mockPost = jest.fn();
+
+jest.mock("axios", () => ({
+  create: () => ({ post: mockPost }),
+}));
+
+const createOpenAICompatibleProvider = require("../../../src/services/llm/openAICompatibleProvider");
+
+const provider = createOpenAICompatibleProvider({
+  name: "ollama",
+  baseURL: "http://localhost:11434/v1/",
+  model: "llama3.1",
+});
+
+/**
+ * Serve the given raw chunks as the streamed response body
+ */
+const respondWith = (...chunks) =>
+  mockPost.mockResolvedValue({
+    data: Readable.from(chunks.map((chunk) => Buffer.from(chunk))),
+  });
+
+const event = (content) =>
+  `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+
+const collect = async (iterable) => {
+  const deltas = [];
+  for await (const delta of iterable) {
+    deltas.push(delta);
+  }
+  return deltas;
+};
+
+beforeEach(() => mockPost.mockReset());
+
+describe("openAICompatibleProvider.stream", () => {
+  test("yields the content deltas until [DONE]", async () => {
+    respondWith(
+      `${event("Hello")}\n\n: keep-alive\n\n`,
+      `${event(" world")}\n\ndata: [DONE]\n\n${event("ignored")}\n\n`
+    );
+
+    await expect(collect(provider.stream("Hi"))).resolves.toEqual([
+      "Hello",
+      " world",
+    ]);
+  });
+
+  test("joins events split across chunks", async () => {
+    const line = event("split");
+    respondWith(line.slice(0, 12), `${line.slice(12)}\n`, "\ndata: [DONE]\n");
+
+    await expect(collect(provider.stream("Hi"))).resolves.toEqual(["split"]);
+  });
+
+  test("keeps the last event when it has no trailing newline", async () => {
+    respondWith(`${event("first")}\n\n`, event("last"));
+
+    await expect(collect(provider.stream("Hi"))).resolves.toEqual([
+      "first",
+      "last",
+    ]);
+  });
+
+  test("keeps multi-byte characters split across chunks", async () => {
+    const bytes = Buffer.from(`${event("café ☕")}\n\n`);
+    const cut = bytes.indexOf(Buffer.from("☕")) + 1;
+    mockPost.mockResolvedValue({
+      data: Readable.from([bytes.subarray(0, cut), bytes.subarray(cut)]),
+    });
+
+    await expect(collect(provider.stream("Hi"))).resolves.toEqual([
+      "café ☕",
+    ]);
+  });
+
+  test("ends quietly when the request is aborted", async () => {
+    const controller = new AbortController();
+    const body = new Readable({ read() {} });
+    body.push(`${event("partial")}\n\n`);
+    mockPost.mockResolvedValue({ data: body });
+
+    const deltas = [];
+    for await (const delta of provider.stream("Hi", {
+      signal: controller.signal,
+    })) {
+      deltas.push(delta);
+      controller.abort();
+      body.destroy(new Error("canceled"));
+    }
+
+    expect(deltas).toEqual(["partial"]);
+  });
+});
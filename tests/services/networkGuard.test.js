@@ -0,0 +1,156 @@
+const dns = require("dns");
+const {
+  GUARD_CONFIG,
+  isPublicAddress,
+  publicLookup,
+  checkPublicUrl,
+  isLookupFailure,
+} = require("../../src/services/networkGuard");
+
+const resolvesTo = (...addresses) =>
+  addresses.map((address) => ({
+    address,
+    family: address.includes(":") ? 6 : 4,
+  }));
+
+beforeEach(() => {
+  GUARD_CONFIG.allowPrivateNetworks = false;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("isPublicAddress", () => {
+  test.each([
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.5",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "224.0.0.1",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:10.0.0.1",
+    "64:ff9b::a00:1",
+    "not an address",
+  ])("refuses %s", (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(["93.184.216.34", "8.8.8.8", "2606:4700::1111", "::ffff:8.8.8.8"])(
+    "allows %s",
+    (address) => {
+      expect(isPublicAddress(address)).toBe(true);
+    }
+  );
+});
+
+describe("checkPublicUrl", () => {
+  test("refuses IP literals on internal ranges", async () => {
+    await expect(
+      checkPublicUrl("http://169.254.169.254/latest/meta-data")
+    ).resolves.toBe("non-public address 169.254.169.254");
+    await expect(checkPublicUrl("http://[::1]:8080/")).resolves.toBe(
+      "non-public address ::1"
+    );
+  });
+
+  test("refuses a host with any internal address", async () => {
+    jest
+      .spyOn(dns.promises, "lookup")
+      .mockResolvedValue(resolvesTo("93.184.216.34", "10.0.0.7"));
+
+    await expect(
+      checkPublicUrl("https://intranet.example.com/")
+    ).resolves.toBe(
+      "intranet.example.com resolves to non-public address 10.0.0.7"
+    );
+  });
+
+  test("allows a host with only public addresses", async () => {
+    jest
+      .spyOn(dns.promises, "lookup")
+      .mockResolvedValue(resolvesTo("93.184.216.34"));
+
+    await expect(
+      checkPublicUrl("https://news.example.com/a")
+    ).resolves.toBeNull();
+  });
+
+  test("reports a failed lookup as temporary", async () => {
+    jest
+      .spyOn(dns.promises, "lookup")
+      .mockRejectedValue(
+        Object.assign(new Error("busy"), { code: "EAI_AGAIN" })
+      );
+
+    const reason = await checkPublicUrl("https://news.example.com/a");
+
+    expect(reason).toBe("DNS lookup failed (EAI_AGAIN)");
+    expect(isLookupFailure(reason)).toBe(true);
+    expect(isLookupFailure("non-public address 10.0.0.1")).toBe(false);
+  });
+
+  test("lets everything through when private networks are allowed", async () => {
+    GUARD_CONFIG.allowPrivateNetworks = true;
+
+    await expect(checkPublicUrl("http://127.0.0.1/")).resolves.toBeNull();
+  });
+});
+
+describe("publicLookup", () => {
+  const lookup = (hostname, options) =>
+    new Promise((resolve) =>
+      publicLookup(hostname, options, (error, address, family) =>
+        resolve({ error, address, family })
+      )
+    );
+
+  test("connects to the address it checked", async () => {
+    jest
+      .spyOn(dns, "lookup")
+      .mockImplementation((hostname, options, callback) =>
+        callback(null, resolvesTo("93.184.216.34", "2606:4700::1111"))
+      );
+
+    await expect(lookup("news.example.com", {})).resolves.toEqual({
+      error: null,
+      address: "93.184.216.34",
+      family: 4,
+    });
+  });
+
+  test("refuses a host that now resolves to an internal address", async () => {
+    jest
+      .spyOn(dns, "lookup")
+      .mockImplementation((hostname, options, callback) =>
+        callback(null, resolvesTo("127.0.0.1"))
+      );
+
+    const { error } = await lookup("rebind.example.com", {});
+
+    expect(error.code).toBe("EBLOCKEDADDRESS");
+    expect(error.message).toBe(
+      "rebind.example.com resolves to non-public address 127.0.0.1"
+    );
+  });
+
+  test("returns every address when asked to", async () => {
+    const addresses = resolvesTo("93.184.216.34", "2606:4700::1111");
+    jest
+      .spyOn(dns, "lookup")
+      .mockImplementation((hostname, options, callback) =>
+        callback(null, addresses)
+      );
+
+    const { address } = await lookup("news.example.com", { all: true });
+
+    expect(address).toEqual(addresses);
+  });
+});
@@ -0,0 +1,359 @@
+process.env.FETCH_ALLOW_PRIVATE_NETWORKS = "true";
+process.env.FETCH_HOST_INTERVAL_MS = "0";
+process.env.FETCH_MAX_RETRIES = "0";
+process.env.EMBEDDING_PROVIDER = "hashing";
+delete process.env.MEMORY_VECTOR_STORE_PATH;
+
+// The real guard, with checkPublicUrl open to tests that let one local
+// server stand in for a public host
+jest.mock("../../src/services/networkGuard", () => {
+  const actual = jest.requireActual("../../src/services/networkGuard");
+  return { ...actual, checkPublicUrl: jest.fn(actual.checkPublicUrl) };
+});
+
+const http = require("http");
+const {
+  GUARD_CONFIG,
+  checkPublicUrl,
+} = require("../../src/services/networkGuard");
+const {
+  fetchArticleContent,
+  articleResultsFromItems,
+  fetchFeed,
+  ingestArticles,
+} = require("../../src/services/newsIngestService");
+const {
+  createVectorStore,
+  getVectorStoreConfig,
+  getVectorStore,
+  setVectorStore,
+  initializeVectorStore,
+} = require("../../src/services/vectorStore");
+
+const ARTICLE_HTML = `<html><head><title>Budget day</title></head><body>
+  <article><p>${"The chancellor set out the budget in parliament. ".repeat(
+    10
+  )}</p></article></body></html>`;
+
+const servers = [];
+
+/**
+ * Serve routes ({ "/path": (req, res) => ... }) on a local port; robots.txt
+ * is a 404 (no restrictions) unless a route says otherwise
+ */
+const startServer = async (routes) => {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (route) return route(req, res);
+    res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+const html = (body, status = 200, headers = {}) => (req, res) =>
+  res.writeHead(status, { "Content-Type": "text/html", ...headers }).end(body);
+
+afterAll(() => Promise.all(servers.map((server) => server.close())));
+
+describe("fetchArticleContent", () => {
+  let base;
+
+  beforeAll(async () => {
+    base = await startServer({
+      "/article": html(ARTICLE_HTML),
+      "/short": html("<html><body><p>Too short.</p></body></html>"),
+      "/server-error": html("oops", 500),
+      "/throttled": html("busy", 503, { "Retry-After": "3600" }),
+      "/forbidden": html("no", 403),
+    });
+  });
+
+  test("returns the extracted text", async () => {
+    const result = await fetchArticleContent(`${base}/article`);
+
+    expect(result.content).toContain("The chancellor set out the budget");
+    expect(result.error).toBeUndefined();
+  });
+
+  test.each([
+    ["/missing", "HTTP 404"],
+    ["/forbidden", "HTTP 403"],
+    ["/short", "content too short"],
+  ])("treats %s as a permanent failure", async (path, error) => {
+    await expect(fetchArticleContent(`${base}${path}`)).resolves.toEqual({
+      error,
+      retryable: false,
+    });
+  });
+
+  test("treats server errors as temporary", async () => {
+    await expect(fetchArticleContent(`${base}/server-error`)).resolves.toEqual({
+      error: "HTTP 500",
+      retryable: true,
+    });
+  });
+
+  test("treats throttling as temporary", async () => {
+    const result = await fetchArticleContent(`${base}/throttled`);
+
+    expect(result.retryable).toBe(true);
+    expect(result.error).toMatch(/HTTP 503/);
+  });
+
+  test("treats a refused connection as temporary", async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    const result = await fetchArticleContent(`http://127.0.0.1:${port}/a`);
+
+    expect(result.retryable).toBe(true);
+  });
+});
+
+describe("fetchArticleContent and robots.txt", () => {
+  test("treats an unreachable robots.txt as temporary", async () => {
+    const base = await startServer({
+      "/robots.txt": html("down", 500),
+      "/article": html(ARTICLE_HTML),
+    });
+
+    const result = await fetchArticleContent(`${base}/article`);
+
+    expect(result).toEqual({
+      error: "robots.txt unreachable (HTTP 500)",
+      retryable: true,
+    });
+  });
+
+  test("treats a disallowed page as permanent", async () => {
+    const base = await startServer({
+      "/robots.txt": html("User-agent: *\nDisallow: /private/"),
+      "/private/article": html(ARTICLE_HTML),
+    });
+
+    await expect(
+      fetchArticleContent(`${base}/private/article`)
+    ).resolves.toEqual({
+      error: "disallowed by robots.txt",
+      retryable: false,
+    });
+  });
+});
+
+describe("articleResultsFromItems", () => {
+  test("reports one result per item, in item order", async () => {
+    const base = await startServer({
+      "/article": html(ARTICLE_HTML),
+      "/server-error": html("oops", 500),
+    });
+
+    const results = await articleResultsFromItems(
+      [
+        { guid: "1", link: `${base}/server-error`, title: "Down" },
+        { guid: "2", link: `${base}/article`, title: "Budget day" },
+        { guid: "3", title: "No link" },
+      ],
+      { title: "Example News", items: [] },
+      { url: `${base}/feed`, categories: ["uk"] }
+    );
+
+    expect(results[0]).toEqual({ error: "HTTP 500", retryable: true });
+    expect(results[1].article).toMatchObject({
+      title: "Budget day",
+      source: "Example News",
+      categories: ["uk"],
+    });
+    expect(results[2]).toEqual({ error: "no link", retryable: false });
+  });
+});
+
+describe("fetchFeed", () => {
+  const RSS = `<?xml version="1.0"?><rss version="2.0"><channel>
+    <title>Example News</title>
+    <item><title>Budget day</title><link>https://news.example.com/budget</link>
+      <guid>budget-1</guid><pubDate>Wed, 15 Oct 2026 09:00:00 GMT</pubDate></item>
+  </channel></rss>`;
+
+  const urlset = (...links) => `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${links
+      .map((link) => `<url><loc>${link}</loc></url>`)
+      .join("")}</urlset>`;
+
+  const sitemapIndex = (...children) => `<?xml version="1.0"?>
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${children
+      .map((child) => `<sitemap><loc>${child}</loc></sitemap>`)
+      .join("")}</sitemapindex>`;
+
+  let base;
+  let internal;
+  let internalHits = 0;
+
+  beforeAll(async () => {
+    internal = await startServer({
+      "/secret.xml": (req, res) => {
+        internalHits++;
+        html(urlset("https://internal.example.com/secret"))(req, res);
+      },
+    });
+
+    base = await startServer({
+      "/feed.xml": (req, res) =>
+        req.headers["if-none-match"] === '"v1"'
+          ? res.writeHead(304).end()
+          : res
+              .writeHead(200, {
+                "Content-Type": "application/rss+xml",
+                ETag: '"v1"',
+              })
+              .end(RSS),
+      // Indexes are built per request: base is only known once listening
+      "/index.xml": (req, res) =>
+        html(sitemapIndex(`${base}/child.xml`))(req, res),
+      "/child.xml": html(urlset("https://news.example.com/a")),
+      "/internal-index.xml": (req, res) =>
+        html(sitemapIndex(`${base}/child.xml`, `${internal}/secret.xml`))(
+          req,
+          res
+        ),
+      "/redirect-index.xml": (req, res) =>
+        html(sitemapIndex(`${base}/hop.xml`))(req, res),
+      "/hop.xml": (req, res) =>
+        res.writeHead(302, { Location: `${internal}/secret.xml` }).end(),
+    });
+
+    // Only the feed server counts as public; the internal one keeps the
+    // real check
+    const { port } = new URL(base);
+    GUARD_CONFIG.allowPrivateNetworks = false;
+    checkPublicUrl.mockImplementation(async (url) =>
+      new URL(url).port === port
+        ? null
+        : jest
+            .requireActual("../../src/services/networkGuard")
+            .checkPublicUrl(url)
+    );
+  });
+
+  afterAll(() => {
+    GUARD_CONFIG.allowPrivateNetworks = true;
+  });
+
+  test("parses a feed and returns its validators", async () => {
+    const result = await fetchFeed(`${base}/feed.xml`);
+
+    expect(result).toMatchObject({ notModified: false, etag: '"v1"' });
+    expect(result.feed).toMatchObject({ type: "rss", title: "Example News" });
+    expect(result.feed.items[0]).toMatchObject({
+      guid: "budget-1",
+      link: "https://news.example.com/budget",
+    });
+  });
+
+  test("reports an unchanged feed", async () => {
+    await expect(
+      fetchFeed(`${base}/feed.xml`, { etag: '"v1"' })
+    ).resolves.toEqual({ notModified: true });
+  });
+
+  test("follows the child sitemaps of an index", async () => {
+    const { feed } = await fetchFeed(`${base}/index.xml`);
+
+    expect(feed.type).toBe("sitemap");
+    expect(feed.items.map((item) => item.link)).toEqual([
+      "https://news.example.com/a",
+    ]);
+  });
+
+  test("refuses a child sitemap on a non-public address", async () => {
+    await expect(fetchFeed(`${base}/internal-index.xml`)).rejects.toThrow(
+      /non-public address 127\.0\.0\.1/
+    );
+    expect(internalHits).toBe(0);
+  });
+
+  test("refuses a child sitemap that redirects to a non-public address", async () => {
+    await expect(fetchFeed(`${base}/redirect-index.xml`)).rejects.toThrow(
+      /non-public address/
+    );
+    expect(internalHits).toBe(0);
+  });
+
+  test("refuses a feed on a non-public address", async () => {
+    await expect(fetchFeed(`${internal}/secret.xml`)).rejects.toThrow(
+      /Source not fetched: non-public address/
+    );
+    expect(internalHits).toBe(0);
+  });
+
+  test("fails on an error status", async () => {
+    await expect(fetchFeed(`${base}/missing.xml`)).rejects.toThrow(
+      "Source returned HTTP 404"
+    );
+  });
+});
+
+describe("ingestArticles dry runs", () => {
+  const article = (id, source) => ({
+    id,
+    title: `${source} story ${id}`,
+    content: `${source} reports on ${id}. `.repeat(20),
+    url: `https://news.example.com/${id}`,
+    source,
+    categories: ["uk"],
+    publishedDate: "2026-10-15T09:00:00.000Z",
+  });
+
+  const articles = () => [article("a", "BBC News"), article("b", "Reuters")];
+
+  const statuses = ({ changes }) =>
+    Object.fromEntries(
+      changes.map((change) => [change.articleId, change.status])
+    );
+
+  beforeAll(async () => {
+    setVectorStore(createVectorStore(getVectorStoreConfig("memory")));
+    await initializeVectorStore();
+    await ingestArticles(articles());
+  });
+
+  test("compares with the stored articles and writes nothing", async () => {
+    const before = await getVectorStore().count();
+    const changed = {
+      ...article("b", "Reuters"),
+      content: "Updated. ".repeat(30),
+    };
+
+    const result = await ingestArticles([article("a", "BBC News"), changed], {
+      dryRun: true,
+    });
+
+    expect(statuses(result)).toEqual({ a: "unchanged", b: "updated" });
+    await expect(getVectorStore().count()).resolves.toBe(before);
+  });
+
+  test("previews a full clear against an empty store", async () => {
+    const before = await getVectorStore().count();
+
+    const result = await ingestArticles(articles(), {
+      dryRun: true,
+      storeEmpty: true,
+    });
+
+    expect(statuses(result)).toEqual({ a: "new", b: "new" });
+    expect(result.statistics.newArticles).toBe(2);
+    await expect(getVectorStore().count()).resolves.toBe(before);
+  });
+
+  test("previews clearing one source", async () => {
+    const result = await ingestArticles(articles(), {
+      dryRun: true,
+      clearedSource: "BBC News",
+    });
+
+    expect(statuses(result)).toEqual({ a: "new", b: "unchanged" });
+  });
+});
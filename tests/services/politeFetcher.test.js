@@ -0,0 +1,303 @@
+process.env.FETCH_HOST_INTERVAL_MS = "0";
+process.env.FETCH_MAX_RETRIES = "0";
+
+// The real guard, with checkPublicUrl open to tests that let one local
+// server stand in for a public host
+jest.mock("../../src/services/networkGuard", () => {
+  const actual = jest.requireActual("../../src/services/networkGuard");
+  return { ...actual, checkPublicUrl: jest.fn(actual.checkPublicUrl) };
+});
+
+const http = require("http");
+const {
+  GUARD_CONFIG,
+  checkPublicUrl,
+} = require("../../src/services/networkGuard");
+const {
+  FETCH_CONFIG,
+  politeGet,
+  getRobotsRules,
+  parseRobotsTxt,
+  isPathAllowed,
+} = require("../../src/services/politeFetcher");
+
+const servers = [];
+
+/**
+ * Serve routes ({ "/path": (req, res) => ... }) on a local port that
+ * checkPublicUrl treats as public; robots.txt is a 404 unless a route says
+ * otherwise
+ */
+const startServer = async (routes) => {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const route = routes[req.url];
+    if (route) return route(req, res);
+    res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  servers.push(server);
+  return { base: `http://127.0.0.1:${server.address().port}`, hits };
+};
+
+const send = (body, status = 200, headers = {}) => (req, res) =>
+  res.writeHead(status, { "Content-Type": "text/html", ...headers }).end(body);
+
+beforeAll(() => {
+  GUARD_CONFIG.allowPrivateNetworks = false;
+  checkPublicUrl.mockImplementation(async (url) => {
+    const { port } = new URL(url);
+    const local = servers.some(
+      (server) => String(server.address().port) === port
+    );
+    return local
+      ? null
+      : jest
+          .requireActual("../../src/services/networkGuard")
+          .checkPublicUrl(url);
+  });
+});
+
+afterAll(() => Promise.all(servers.map((server) => server.close())));
+
+describe("parseRobotsTxt", () => {
+  test("groups rules under consecutive user-agent lines", () => {
+    const groups = parseRobotsTxt(
+      [
+        "# comment",
+        "User-agent: Googlebot",
+        "User-agent: RAG-NewsBot",
+        "Disallow: /private/ # trailing comment",
+        "Crawl-delay: 2",
+        "",
+        "User-agent: *",
+        "Allow: /public/",
+        "Disallow:",
+      ].join("\r\n")
+    );
+
+    expect(groups).toEqual([
+      {
+        agents: ["googlebot", "rag-newsbot"],
+        rules: [{ allow: false, path: "/private/" }],
+        crawlDelay: 2,
+      },
+      {
+        agents: ["*"],
+        rules: [{ allow: true, path: "/public/" }],
+        crawlDelay: null,
+      },
+    ]);
+  });
+
+  test("ignores rules before the first user-agent", () => {
+    expect(parseRobotsTxt("Disallow: /\nUser-agent: *")).toEqual([
+      { agents: ["*"], rules: [], crawlDelay: null },
+    ]);
+  });
+});
+
+describe("isPathAllowed", () => {
+  const rules = [
+    { allow: false, path: "/news/" },
+    { allow: true, path: "/news/public/" },
+    { allow: false, path: "/*.pdf$" },
+    { allow: false, path: "/search*q=" },
+    { allow: true, path: "/same" },
+    { allow: false, path: "/same" },
+  ];
+
+  test.each([
+    ["/news/story", false],
+    ["/news/public/story", true],
+    ["/files/report.pdf", false],
+    ["/files/report.pdf?download=1", true],
+    ["/search?page=2&q=budget", false],
+    ["/same", true],
+    ["/other", true],
+    ["/robots.txt", true],
+  ])("%s is allowed: %p", (path, allowed) => {
+    expect(isPathAllowed(rules, path)).toBe(allowed);
+  });
+});
+
+describe("getRobotsRules", () => {
+  test("prefers the group naming our crawler over *", async () => {
+    const { base } = await startServer({
+      "/robots.txt": send(
+        [
+          "User-agent: *",
+          "Disallow: /",
+          "",
+          "User-agent: RAG-NewsBot",
+          "Disallow: /drafts/",
+          "Crawl-delay: 1",
+        ].join("\n")
+      ),
+    });
+
+    await expect(getRobotsRules(`${base}/a`)).resolves.toMatchObject({
+      rules: [{ allow: false, path: "/drafts/" }],
+      crawlDelay: 1,
+    });
+  });
+
+  test("places no restrictions for a missing robots.txt", async () => {
+    const { base } = await startServer({});
+
+    await expect(getRobotsRules(`${base}/a`)).resolves.toMatchObject({
+      rules: [],
+      crawlDelay: null,
+    });
+  });
+});
+
+describe("politeGet", () => {
+  test("returns the page as text, whatever its type", async () => {
+    const { base } = await startServer({
+      "/data.json": send('{"a":1}', 200, {
+        "Content-Type": "application/json",
+      }),
+    });
+
+    const response = await politeGet(`${base}/data.json`);
+
+    expect(response).toMatchObject({
+      status: 200,
+      data: '{"a":1}',
+      url: `${base}/data.json`,
+    });
+  });
+
+  describe("with a small response cap", () => {
+    const cap = FETCH_CONFIG.maxResponseBytes;
+    const big = "x".repeat(4096);
+
+    beforeAll(() => {
+      FETCH_CONFIG.maxResponseBytes = 1024;
+    });
+
+    afterAll(() => {
+      FETCH_CONFIG.maxResponseBytes = cap;
+    });
+
+    test("skips a page whose Content-Length is over the cap", async () => {
+      const { base } = await startServer({ "/big": send(big) });
+
+      await expect(politeGet(`${base}/big`)).resolves.toEqual({
+        skipped: true,
+        reason: "response larger than 1024 bytes",
+        retryable: false,
+      });
+    });
+
+    test("stops reading a chunked page once it passes the cap", async () => {
+      const { base } = await startServer({
+        "/stream": (req, res) => {
+          res.writeHead(200, { "Content-Type": "text/html" });
+          res.write(big);
+          res.end(big);
+        },
+      });
+
+      await expect(politeGet(`${base}/stream`)).resolves.toMatchObject({
+        skipped: true,
+        reason: "response larger than 1024 bytes",
+      });
+    });
+
+    test("still fetches a page under the cap", async () => {
+      const { base } = await startServer({ "/small": send("small") });
+
+      await expect(politeGet(`${base}/small`)).resolves.toMatchObject({
+        status: 200,
+        data: "small",
+      });
+    });
+  });
+
+  test("follows redirects and checks every hop against robots.txt", async () => {
+    const { base, hits } = await startServer({
+      "/robots.txt": send("User-agent: *\nDisallow: /private/"),
+      "/moved": send("", 301, { Location: "/private/page" }),
+      "/private/page": send("secret"),
+    });
+
+    await expect(politeGet(`${base}/moved`)).resolves.toEqual({
+      skipped: true,
+      reason: "disallowed by robots.txt",
+      retryable: false,
+    });
+    expect(hits).not.toContain("/private/page");
+  });
+
+  test("refuses a redirect to an internal address", async () => {
+    const { base } = await startServer({
+      "/moved": send("", 302, {
+        Location: "http://169.254.169.254/latest/meta-data",
+      }),
+    });
+
+    await expect(politeGet(`${base}/moved`)).resolves.toEqual({
+      skipped: true,
+      reason: "non-public address 169.254.169.254",
+      retryable: false,
+    });
+  });
+
+  test("stops after too many redirects", async () => {
+    const { base } = await startServer({
+      "/loop": send("", 302, { Location: "/loop" }),
+    });
+
+    await expect(politeGet(`${base}/loop`)).resolves.toMatchObject({
+      skipped: true,
+      reason: `more than ${FETCH_CONFIG.maxRedirects} redirects`,
+    });
+  });
+
+  test("skips a host asking for too long a Crawl-delay", async () => {
+    const { base, hits } = await startServer({
+      "/robots.txt": send("User-agent: *\nCrawl-delay: 600"),
+      "/page": send("page"),
+    });
+
+    const response = await politeGet(`${base}/page`);
+
+    expect(response).toMatchObject({ skipped: true, retryable: false });
+    expect(response.reason).toMatch(/^Crawl-delay 600s exceeds/);
+    expect(hits).toEqual(["/robots.txt"]);
+  });
+
+  test("backs off a host sending a long Retry-After", async () => {
+    const { base, hits } = await startServer({
+      "/busy": send("busy", 429, { "Retry-After": "3600" }),
+      "/other": send("other"),
+    });
+    FETCH_CONFIG.maxRetries = 1;
+
+    await expect(politeGet(`${base}/busy`)).resolves.toEqual({
+      skipped: true,
+      reason: "HTTP 429 with Retry-After 3600s",
+      retryable: true,
+    });
+    FETCH_CONFIG.maxRetries = 0;
+    await expect(politeGet(`${base}/other`)).resolves.toEqual({
+      skipped: true,
+      reason: "host asked to back off (Retry-After)",
+      retryable: true,
+    });
+    expect(hits.filter((path) => path !== "/robots.txt")).toEqual(["/busy"]);
+  });
+
+  test.each([
+    ["not a url", "invalid URL"],
+    ["ftp://files.example.com/a", "unsupported protocol ftp:"],
+  ])("skips %s", async (url, reason) => {
+    await expect(politeGet(url)).resolves.toMatchObject({
+      skipped: true,
+      reason,
+    });
+  });
+});
@@ -0,0 +1,314 @@
+process.env.LLM_PROVIDER = "stub";
+process.env.EMBEDDING_PROVIDER = "hashing";
+process.env.VECTOR_STORE = "memory";
+process.env.RERANKER = "local";
+process.env.RAG_QUERY_REWRITE = "true";
+delete process.env.MEMORY_VECTOR_STORE_PATH;
+
+jest.mock("../../src/config/redis", () => ({
+  getRecentMessages: jest.fn(),
+}));
+
+const { getRecentMessages } = require("../../src/config/redis");
+const { getLLMProvider } = require("../../src/services/llm");
+const { generateEmbedding } = require("../../src/services/embeddingService");
+const {
+  createVectorStore,
+  getVectorStoreConfig,
+  setVectorStore,
+  initializeVectorStore,
+  insertDocuments,
+} = require("../../src/services/vectorStore");
+const {
+  generateRAGResponse,
+  streamRAGResponse,
+} = require("../../src/services/ragService");
+const {
+  createStream,
+  getStream,
+  parseEventId,
+} = require("../../src/services/streamBuffer");
+
+const SESSION = "0b7c6a52-6a0e-4f0e-9d43-2f1f3f6d1a01";
+const OWNER = "5d1f0c33-8a51-4a4b-b3a7-7f2f1e0c9b02";
+
+const ARTICLES = [
+  {
+    id: "budget",
+    title: "UK budget raises fuel duty",
+    content:
+      "The chancellor's UK budget raises fuel duty and freezes income tax thresholds until 2028.",
+    source: "BBC News",
+  },
+  {
+    id: "truce",
+    title: "Gaza truce talks resume in Cairo",
+    content:
+      "Negotiators returned to Cairo to discuss extending the Gaza truce and hostage releases.",
+    source: "Reuters",
+  },
+  {
+    id: "memo",
+    title: "Private budget memo",
+    content: "Notes on the UK budget shared only with one session.",
+    source: "upload",
+    visibility: "private",
+    ownerSessionId: OWNER,
+  },
+];
+
+const provider = getLLMProvider();
+
+beforeAll(async () => {
+  setVectorStore(createVectorStore(getVectorStoreConfig("memory")));
+  await initializeVectorStore();
+
+  const chunks = await Promise.all(
+    ARTICLES.map(async (article) => ({
+      ...article,
+      id: `${article.id}-0`,
+      articleId: article.id,
+      publishedDate: new Date().toISOString(),
+      embedding: await generateEmbedding(`${article.title}\n\n${article.content}`),
+    }))
+  );
+  await insertDocuments(chunks);
+});
+
+beforeEach(() => {
+  getRecentMessages.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("generateRAGResponse with the stub provider", () => {
+  test("answers from retrieved articles with validated citations", async () => {
+    const response = await generateRAGResponse(
+      "What is in the UK budget?",
+      SESSION
+    );
+
+    expect(response.metadata.modelUsed).toMatch(/^stub\//);
+    expect(response.sources[0]).toMatchObject({
+      index: 1,
+      title: "UK budget raises fuel duty",
+      source: "BBC News",
+      cited: true,
+    });
+    expect(response.answer).toContain(
+      "UK budget raises fuel duty (BBC News) [1]."
+    );
+    expect(response.metadata.citedSources).toContain(1);
+    expect(response.metadata.uncitedSources).toEqual([]);
+    expect(response.metadata.invalidCitationsRemoved).toBe(0);
+  });
+
+  test("keeps private documents out of other sessions' answers", async () => {
+    const other = await generateRAGResponse("UK budget memo notes", SESSION);
+    const owner = await generateRAGResponse("UK budget memo notes", OWNER);
+
+    expect(other.sources.map((s) => s.title)).not.toContain(
+      "Private budget memo"
+    );
+    expect(owner.sources.map((s) => s.title)).toContain("Private budget memo");
+  });
+
+  test("removes citations that point past the returned sources", async () => {
+    jest
+      .spyOn(provider, "generate")
+      .mockResolvedValueOnce("Fuel duty goes up [1]. Taxes fall [9].");
+
+    const response = await generateRAGResponse(
+      "What is in the UK budget?",
+      SESSION
+    );
+
+    expect(response.answer).toBe("Fuel duty goes up [1]. Taxes fall.");
+    expect(response.metadata.invalidCitationsRemoved).toBe(1);
+  });
+});
+
+describe("follow-up rewrite", () => {
+  const history = [
+    { type: "user", content: "What is in the UK budget?" },
+    { type: "bot", content: "Fuel duty rises [1]." },
+    // The caller stores the current question before running the pipeline
+    { type: "user", content: "And the thresholds?" },
+  ];
+
+  test("searches with a short standalone query from the model", async () => {
+    getRecentMessages.mockResolvedValue(history);
+    const generate = jest
+      .spyOn(provider, "generate")
+      .mockResolvedValueOnce("UK budget");
+
+    const response = await generateRAGResponse("And the thresholds?", SESSION);
+
+    expect(generate.mock.calls[0][0]).toContain(
+      "Follow-up question: And the thresholds?"
+    );
+    expect(generate.mock.calls[0][0]).toContain(
+      "User: What is in the UK budget?"
+    );
+    expect(response.metadata.searchQuery).toBe("UK budget");
+    expect(response.metadata.historyTurnsUsed).toBe(2);
+    expect(response.sources[0].title).toBe("UK budget raises fuel duty");
+  });
+
+  test("anchors the follow-up to the previous question when the rewrite fails", async () => {
+    getRecentMessages.mockResolvedValue(history);
+    jest
+      .spyOn(provider, "generate")
+      .mockRejectedValueOnce(new Error("model unavailable"));
+
+    const response = await generateRAGResponse("And the thresholds?", SESSION);
+
+    expect(response.metadata.searchQuery).toBe(
+      "What is in the UK budget? And the thresholds?"
+    );
+  });
+
+  test("does not rewrite a first question", async () => {
+    const generate = jest.spyOn(provider, "generate");
+
+    const response = await generateRAGResponse(
+      "Gaza truce talks in Cairo",
+      SESSION
+    );
+
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(response.metadata.searchQuery).toBe("Gaza truce talks in Cairo");
+    expect(response.sources[0].title).toBe("Gaza truce talks resume in Cairo");
+  });
+});
+
+describe("streamRAGResponse with the stub provider", () => {
+  test("sends sources first, then deltas that add up to the answer", async () => {
+    const calls = [];
+
+    const response = await streamRAGResponse(
+      "What is in the UK budget?",
+      SESSION,
+      {
+        onSources: (sources) => calls.push(["sources", sources]),
+        onChunk: (delta) => calls.push(["delta", delta]),
+      }
+    );
+
+    expect(calls[0][0]).toBe("sources");
+    expect(calls[0][1][0].title).toBe("UK budget raises fuel duty");
+
+    const streamed = calls
+      .filter(([kind]) => kind === "delta")
+      .map(([, delta]) => delta)
+      .join("");
+    expect(streamed).toBe(response.answer);
+    expect(response.answer).toContain("[1]");
+    expect(response.metadata).toMatchObject({
+      streamed: true,
+      cancelled: false,
+      citedSources: expect.arrayContaining([1]),
+    });
+  });
+
+  test("stops generating when the signal is aborted", async () => {
+    const controller = new AbortController();
+    const deltas = [];
+
+    const response = await streamRAGResponse(
+      "What is in the UK budget?",
+      SESSION,
+      {
+        signal: controller.signal,
+        onChunk: (delta) => {
+          deltas.push(delta);
+          if (deltas.length === 2) controller.abort();
+        },
+      }
+    );
+
+    expect(deltas).toHaveLength(2);
+    expect(response.answer).toBe(deltas.join(""));
+    expect(response.metadata.cancelled).toBe(true);
+  });
+});
+
+describe("resuming a streamed answer", () => {
+  /**
+   * Feed a streamed answer into a buffered stream the way the SSE
+   * controller does
+   */
+  const streamInto = async (stream, onChunk = () => {}) => {
+    const messageId = stream.streamId;
+    const response = await streamRAGResponse(
+      "What is in the UK budget?",
+      SESSION,
+      {
+        signal: stream.signal,
+        onSources: (sources) => stream.push("sources", { messageId, sources }),
+        onChunk: (delta) => {
+          stream.push("delta", { messageId, delta });
+          onChunk();
+        },
+      }
+    );
+    stream.push("done", { messageId, answer: response.answer });
+    stream.finish();
+    return response;
+  };
+
+  const deltaText = (events) =>
+    events
+      .filter((entry) => entry.event === "delta")
+      .map((entry) => entry.data.delta)
+      .join("");
+
+  test("replays the rest of the answer after Last-Event-ID", async () => {
+    const stream = createStream("resume-after-disconnect", {
+      sessionId: SESSION,
+    });
+    const response = await streamInto(stream);
+
+    // The client saw the sources and two deltas before disconnecting
+    const seen = stream.eventsAfter(0).slice(0, 3);
+    const lastEventId = seen[seen.length - 1].id;
+
+    const parsed = parseEventId(lastEventId);
+    const resumed = getStream(parsed.streamId);
+    expect(resumed).toBe(stream);
+    expect(resumed.metadata.sessionId).toBe(SESSION);
+
+    const replay = resumed.eventsAfter(parsed.seq);
+    expect(replay[0].seq).toBe(parsed.seq + 1);
+    expect(replay[replay.length - 1].event).toBe("done");
+    expect(deltaText([...seen, ...replay])).toBe(response.answer);
+  });
+
+  test("a reader joining mid-answer gets every event exactly once", async () => {
+    const stream = createStream("late-reader", { sessionId: SESSION });
+    const received = [];
+    let deltas = 0;
+
+    await streamInto(stream, () => {
+      deltas += 1;
+      if (deltas === 2) {
+        received.push(...stream.eventsAfter(0));
+        stream.subscribe();
+        stream.on("event", (entry) => received.push(entry));
+      }
+    });
+
+    expect(received.map((entry) => entry.seq)).toEqual(
+      stream.eventsAfter(0).map((entry) => entry.seq)
+    );
+    expect(received[received.length - 1].event).toBe("done");
+  });
+
+  test("rejects event ids that do not name a stream", () => {
+    expect(parseEventId("no-sequence")).toBeNull();
+    expect(parseEventId("stream:abc")).toBeNull();
+    expect(parseEventId("a:b:12")).toEqual({ streamId: "a:b", seq: 12 });
+  });
+});
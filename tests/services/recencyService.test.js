@@ -0,0 +1,176 @@
+const {
+  detectTemporalIntent,
+  freshnessScore,
+  applyRecencyRanking,
+  getPublishedTime,
+} = require("../../src/services/recencyService");
+
+// Wednesday 15 October 2026, 12:00 local time
+const NOW = new Date(2026, 9, 15, 12, 0, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("detectTemporalIntent", () => {
+  test.each([
+    "What's the latest on the Gaza truce?",
+    "Breaking news from Westminster",
+    "most recent inflation figures",
+    "Who is leading the election right now?",
+    "What has happened so far today in the markets?",
+  ])("flags %p as time-sensitive", (query) => {
+    expect(detectTemporalIntent(query, NOW).timeSensitive).toBe(true);
+  });
+
+  test.each([
+    "What is the current account deficit?",
+    "Just explain how the budget works",
+    "How do I update my phone?",
+    "Now that rates are higher, what happens to mortgages?",
+    "What is a current affair programme?",
+    "Recent history of the European Union",
+    "Give me an update on the theory of relativity",
+    "Why was the policy developing so slowly?",
+  ])("does not flag %p", (query) => {
+    expect(detectTemporalIntent(query, NOW)).toEqual({
+      timeSensitive: false,
+      label: null,
+      range: null,
+    });
+  });
+
+  test("turns yesterday into the previous calendar day", () => {
+    const intent = detectTemporalIntent("What happened yesterday?", NOW);
+
+    expect(intent.label).toBe("yesterday");
+    expect(intent.range).toEqual({
+      from: new Date(2026, 9, 14).toISOString(),
+      to: new Date(new Date(2026, 9, 15).getTime() - 1).toISOString(),
+    });
+  });
+
+  test("starts this week on Monday", () => {
+    const intent = detectTemporalIntent("Top stories this week", NOW);
+
+    expect(intent.range.from).toBe(new Date(2026, 9, 12).toISOString());
+    expect(intent.range.to).toBe(NOW.toISOString());
+  });
+
+  test("reads a relative period", () => {
+    const intent = detectTemporalIntent("news from the past 3 days", NOW);
+
+    expect(intent.label).toBe("last 3 days");
+    expect(Date.parse(intent.range.from)).toBe(NOW.getTime() - 72 * HOUR_MS);
+  });
+
+  test("has no range for time-sensitive words without a period", () => {
+    expect(detectTemporalIntent("latest headlines", NOW)).toEqual({
+      timeSensitive: true,
+      label: "recent",
+      range: null,
+    });
+  });
+});
+
+describe("freshnessScore", () => {
+  test("halves every half-life", () => {
+    const now = NOW.getTime();
+
+    expect(freshnessScore(now, now, 48)).toBe(1);
+    expect(freshnessScore(now - 48 * HOUR_MS, now, 48)).toBeCloseTo(0.5);
+    expect(freshnessScore(now - 96 * HOUR_MS, now, 48)).toBeCloseTo(0.25);
+  });
+
+  test("is 0 without a publish time and 1 for future dates", () => {
+    const now = NOW.getTime();
+
+    expect(freshnessScore(null, now)).toBe(0);
+    expect(freshnessScore(now + HOUR_MS, now)).toBe(1);
+  });
+
+  test("reads the publish time from the payload", () => {
+    expect(getPublishedTime({ publishedTimestamp: 42 })).toBe(42);
+    expect(getPublishedTime({ publishedDate: "2026-10-15T00:00:00Z" })).toBe(
+      Date.parse("2026-10-15T00:00:00Z")
+    );
+    expect(getPublishedTime({ publishedDate: "not a date" })).toBeNull();
+  });
+});
+
+describe("applyRecencyRanking", () => {
+  const hoursAgo = (hours) =>
+    new Date(NOW.getTime() - hours * HOUR_MS).toISOString();
+
+  const doc = (id, scores, publishedDate) => ({
+    id,
+    ...scores,
+    payload: { publishedDate },
+  });
+
+  const rank = (docs, weight) =>
+    applyRecencyRanking(docs, { weight, now: NOW.getTime() }).map(
+      (d) => d.id
+    );
+
+  test("keeps a much more relevant article above fresher weak matches", () => {
+    // Reranker unavailable: only reciprocal rank fusion scores (~0.01-0.03)
+    const docs = [
+      doc("relevant", { score: 0.0328, rerankScore: null }, hoursAgo(72)),
+      doc("related", { score: 0.0241, rerankScore: null }, hoursAgo(24)),
+      doc("weak", { score: 0.0161, rerankScore: null }, hoursAgo(1)),
+    ];
+
+    expect(rank(docs, 0.3)).toEqual(["relevant", "related", "weak"]);
+  });
+
+  test("lets freshness decide between equally relevant articles", () => {
+    const docs = [
+      doc("old", { score: 0.0164 }, hoursAgo(96)),
+      doc("new", { score: 0.0164 }, hoursAgo(2)),
+    ];
+
+    expect(rank(docs, 0.3)).toEqual(["new", "old"]);
+  });
+
+  test("blends rerank scores the same way", () => {
+    const docs = [
+      doc("older-better", { score: 0.03, rerankScore: 0.9 }, hoursAgo(48)),
+      doc("newer-close", { score: 0.02, rerankScore: 0.85 }, hoursAgo(1)),
+      doc("newer-poor", { score: 0.01, rerankScore: 0.1 }, hoursAgo(1)),
+    ];
+
+    expect(rank(docs, 0.3)).toEqual([
+      "newer-close",
+      "older-better",
+      "newer-poor",
+    ]);
+    expect(rank(docs, 0)).toEqual([
+      "older-better",
+      "newer-close",
+      "newer-poor",
+    ]);
+  });
+
+  test("keeps the input order for weight 0", () => {
+    const docs = [
+      doc("a", { score: 0.03 }, hoursAgo(100)),
+      doc("b", { score: 0.02 }, hoursAgo(1)),
+      doc("c", { score: 0.01 }, null),
+    ];
+
+    expect(rank(docs, 0)).toEqual(["a", "b", "c"]);
+  });
+
+  test("adds freshness and final scores", () => {
+    const [ranked] = applyRecencyRanking(
+      [doc("a", { score: 0.02 }, hoursAgo(48))],
+      { weight: 0.5, halfLifeHours: 48, now: NOW.getTime() }
+    );
+
+    expect(ranked.freshnessScore).toBeCloseTo(0.5);
+    expect(ranked.finalScore).toBeCloseTo(0.75);
+    expect(ranked.score).toBe(0.02);
+  });
+
+  test("handles no candidates", () => {
+    expect(applyRecencyRanking([], { weight: 0.3 })).toEqual([]);
+  });
+});
@@ -0,0 +1,207 @@
+const {
+  createReranker,
+  rerankDocuments,
+} = require("../../src/services/rerankService");
+
+const doc = (id, title, content, score = 0.5) => ({
+  id,
+  score,
+  payload: { title, content },
+});
+
+const candidates = () => [
+  doc("weather", "Weekend weather", "Rain expected across the north.", 0.9),
+  doc("budget-body", "Treasury statement", "The UK budget raises fuel duty.", 0.8),
+  doc("budget-title", "UK budget: what changes", "Tax thresholds are frozen.", 0.7),
+  doc("football", "Cup final", "A late goal settled the match.", 0.6),
+];
+
+describe("rerankDocuments with the local reranker", () => {
+  test("orders title matches above body matches above misses", async () => {
+    const { documents, reranker } = await rerankDocuments(
+      "UK budget",
+      candidates(),
+      { reranker: "local" }
+    );
+
+    expect(reranker).toBe("local");
+    expect(documents.map((d) => d.id)).toEqual([
+      "budget-title",
+      "budget-body",
+      "weather",
+      "football",
+    ]);
+    expect(documents.map((d) => d.rerankScore)).toEqual([1, 0.5, 0, 0]);
+  });
+
+  test("keeps the incoming order for tied scores", async () => {
+    const docs = [
+      doc("b", "Other", "nothing relevant"),
+      doc("a", "Another", "still nothing"),
+    ];
+
+    const { documents } = await rerankDocuments("UK budget", docs, {
+      reranker: "local",
+    });
+
+    expect(documents.map((d) => d.id)).toEqual(["b", "a"]);
+  });
+
+  test("is deterministic across runs", async () => {
+    const first = await rerankDocuments("budget fuel", candidates(), {
+      reranker: "local",
+    });
+    const second = await rerankDocuments("budget fuel", candidates(), {
+      reranker: "local",
+    });
+
+    expect(second.documents).toEqual(first.documents);
+  });
+
+  test("scores every document 0 for a query without usable terms", async () => {
+    const { documents } = await rerankDocuments("the of and", candidates(), {
+      reranker: "local",
+    });
+
+    expect(documents.map((d) => d.rerankScore)).toEqual([0, 0, 0, 0]);
+    expect(documents.map((d) => d.id)).toEqual(candidates().map((d) => d.id));
+  });
+});
+
+describe("rerankDocuments options", () => {
+  test("drops documents below minScore", async () => {
+    const { documents } = await rerankDocuments("UK budget", candidates(), {
+      reranker: "local",
+      minScore: 0.5,
+    });
+
+    expect(documents.map((d) => d.id)).toEqual(["budget-title", "budget-body"]);
+  });
+
+  test("keeps at most topN documents after sorting", async () => {
+    const { documents } = await rerankDocuments("UK budget", candidates(), {
+      reranker: "local",
+      topN: 1,
+    });
+
+    expect(documents.map((d) => d.id)).toEqual(["budget-title"]);
+  });
+
+  test("applies minScore before topN", async () => {
+    const { documents } = await rerankDocuments("UK budget", candidates(), {
+      reranker: "local",
+      minScore: 0.75,
+      topN: 3,
+    });
+
+    expect(documents.map((d) => d.id)).toEqual(["budget-title"]);
+  });
+
+  test("keeps the retrieval score next to the rerank score", async () => {
+    const { documents } = await rerankDocuments("UK budget", candidates(), {
+      reranker: "local",
+    });
+
+    const budgetTitle = documents.find((d) => d.id === "budget-title");
+    expect(budgetTitle.score).toBe(0.7);
+    expect(budgetTitle.rerankScore).toBe(1);
+    expect(budgetTitle.payload.title).toBe("UK budget: what changes");
+    expect(budgetTitle).not.toHaveProperty("index");
+  });
+
+  test("accepts a reranker object", async () => {
+    const reversed = {
+      name: "reversed",
+      score: async (query, docs) => docs.map((d, index) => index),
+    };
+
+    const { documents, reranker } = await rerankDocuments("q", candidates(), {
+      reranker: reversed,
+    });
+
+    expect(reranker).toBe("reversed");
+    expect(documents.map((d) => d.id)).toEqual([
+      "football",
+      "budget-title",
+      "budget-body",
+      "weather",
+    ]);
+  });
+
+  test("returns nothing for no candidates", async () => {
+    await expect(
+      rerankDocuments("UK budget", [], { reranker: "local" })
+    ).resolves.toEqual({ documents: [], reranker: "local" });
+  });
+});
+
+describe("rerankDocuments fallback", () => {
+  const failing = {
+    name: "failing",
+    score: async () => {
+      throw new Error("scorer unavailable");
+    },
+  };
+
+  test("keeps retrieval order when the scorer throws", async () => {
+    const result = await rerankDocuments("UK budget", candidates(), {
+      reranker: failing,
+      topN: 3,
+    });
+
+    expect(result.reranker).toBe("failing");
+    expect(result.error).toBe("scorer unavailable");
+    expect(result.documents.map((d) => d.id)).toEqual([
+      "weather",
+      "budget-body",
+      "budget-title",
+    ]);
+    expect(result.documents.map((d) => d.score)).toEqual([0.9, 0.8, 0.7]);
+    expect(result.documents.every((d) => d.rerankScore === null)).toBe(true);
+  });
+
+  test("does not apply minScore to unscored documents", async () => {
+    const { documents } = await rerankDocuments("UK budget", candidates(), {
+      reranker: failing,
+      minScore: 0.5,
+    });
+
+    expect(documents).toHaveLength(4);
+  });
+
+  test("falls back when the LLM reply has the wrong number of scores", async () => {
+    const result = await rerankDocuments("UK budget", candidates(), {
+      reranker: "llm",
+      generate: async () => "[7, 3]",
+    });
+
+    expect(result.error).toMatch(/wrong number of scores/);
+    expect(result.documents.map((d) => d.id)).toEqual(
+      candidates().map((d) => d.id)
+    );
+  });
+});
+
+describe("createReranker", () => {
+  test("parses and clamps LLM scores to 0-1", async () => {
+    const reranker = createReranker("llm", {
+      generate: async () => "Scores: [10, 4, 15, \"x\"]",
+    });
+
+    await expect(reranker.score("UK budget", candidates())).resolves.toEqual([
+      1, 0.4, 1, 0,
+    ]);
+  });
+
+  test("scores in retrieval order with the pass-through reranker", async () => {
+    const { documents } = await rerankDocuments("UK budget", candidates(), {
+      reranker: "none",
+    });
+
+    expect(documents.map((d) => d.id)).toEqual(candidates().map((d) => d.id));
+  });
+
+  test("rejects unknown names", () => {
+    expect(() => createReranker("cohere")).toThrow("Unknown reranker: cohere");
+  });
+});
@@ -0,0 +1,193 @@
+process.env.REDIS_URL = "redis://localhost:6379";
+
+const { createFakeRedis } = require("./fakeRedis");
+
+const mockRedis = createFakeRedis();
+
+// Mirrors REFILL_SCRIPT in config/redis.js, as there is no Lua here
+mockRedis.eval = async (script, numKeys, listKey, emptyKey, ttl, ...items) => {
+  if (!(await mockRedis.exists(listKey))) {
+    if (items.length > 0) {
+      await mockRedis.rpush(listKey, ...items);
+      await mockRedis.expire(listKey, ttl);
+    } else {
+      await mockRedis.set(emptyKey, "1", "EX", ttl);
+    }
+  }
+  return mockRedis.llen(listKey);
+};
+
+jest.mock("ioredis", () => jest.fn(() => mockRedis));
+
+/**
+ * In-memory Session / ChatMessage models with the calls the persistence
+ * service makes, counting reads
+ */
+const createFakeDatabase = () => {
+  const sessions = new Map();
+  const rows = [];
+  const reads = { sessions: 0, messages: 0 };
+
+  const Session = {
+    async findOrCreate({ where, defaults }) {
+      if (!sessions.has(where.sessionId)) {
+        sessions.set(where.sessionId, { ...defaults });
+      }
+      return [sessions.get(where.sessionId), false];
+    },
+    async findOne({ where }) {
+      reads.sessions++;
+      return sessions.get(where.sessionId) || null;
+    },
+    async update() {
+      return [1];
+    },
+    async destroy({ where }) {
+      return sessions.delete(where.sessionId) ? 1 : 0;
+    },
+    sequelize: { literal: (sql) => sql, escape: (value) => `'${value}'` },
+  };
+
+  const ChatMessage = {
+    rawAttributes: { sessionId: { field: "session_id" } },
+    getTableName: () => "chat_messages",
+    async bulkCreate(records) {
+      records
+        .filter(
+          (record) => !rows.some((row) => row.messageId === record.messageId)
+        )
+        .forEach((record) => rows.push(record));
+    },
+    async findAll({ where }) {
+      reads.messages++;
+      return rows.filter((row) => row.sessionId === where.sessionId);
+    },
+    async destroy({ where }) {
+      const doomed = rows.filter((row) => row.sessionId === where.sessionId);
+      doomed.forEach((row) => rows.splice(rows.indexOf(row), 1));
+      return doomed.length;
+    },
+  };
+
+  return { models: { Session, ChatMessage }, sessions, rows, reads };
+};
+
+let mockDatabase = null;
+
+jest.mock("../../src/config/database", () => ({
+  getDatabase: () => mockDatabase,
+}));
+
+const {
+  initializeRedis,
+  saveSession,
+  appendMessages,
+  getSession,
+  getSessionLength,
+  deleteSession,
+} = require("../../src/config/redis");
+
+// The persistence service remembers sessions it has created, so each test
+// uses a session of its own
+let sessionCount = 0;
+let SESSION = null;
+
+const message = (id, type, extra = {}) => ({
+  id,
+  type,
+  content: `${type} message ${id}`,
+  timestamp: "2026-10-15T09:00:00.000Z",
+  metadata: {},
+  ...extra,
+});
+
+beforeAll(() => initializeRedis());
+
+beforeEach(() => {
+  sessionCount += 1;
+  SESSION = `session-${sessionCount}`;
+  mockRedis.flushall();
+  mockDatabase = createFakeDatabase();
+});
+
+describe("restoring a session from Postgres", () => {
+  test("keeps error replies flagged", async () => {
+    await saveSession(SESSION, [
+      message("1", "user"),
+      message("2", "bot", { isError: true, metadata: { retryable: true } }),
+    ]);
+    mockRedis.flushall();
+
+    const restored = await getSession(SESSION);
+
+    expect(restored).toHaveLength(2);
+    expect(restored[0].isError).toBeUndefined();
+    expect(restored[1]).toMatchObject({
+      isError: true,
+      metadata: { retryable: true },
+    });
+    expect(restored[1].metadata).not.toHaveProperty("isError");
+  });
+
+  test("re-caches the history so later reads stay in Redis", async () => {
+    await saveSession(SESSION, [message("1", "user")]);
+    mockRedis.flushall();
+
+    await getSession(SESSION);
+    await getSession(SESSION);
+
+    expect(mockDatabase.reads.messages).toBe(1);
+  });
+});
+
+describe("empty sessions", () => {
+  test("a new session is read without Postgres", async () => {
+    await saveSession(SESSION, []);
+
+    await expect(getSession(SESSION)).resolves.toEqual([]);
+    await expect(getSessionLength(SESSION)).resolves.toBe(0);
+    expect(mockDatabase.reads.sessions).toBe(0);
+  });
+
+  test("an empty session restored from Postgres is looked up once", async () => {
+    await saveSession(SESSION, []);
+    mockRedis.flushall();
+
+    await getSession(SESSION);
+    await getSession(SESSION);
+    await getSessionLength(SESSION);
+
+    expect(mockDatabase.reads.sessions).toBe(1);
+  });
+
+  test("an unknown session is looked up once", async () => {
+    await getSession("unknown-session");
+    await getSession("unknown-session");
+
+    expect(mockDatabase.reads.sessions).toBe(1);
+  });
+
+  test("the first message replaces the empty marker", async () => {
+    await saveSession(SESSION, []);
+
+    await expect(appendMessages(SESSION, message("1", "user"))).resolves.toBe(1);
+
+    await expect(getSession(SESSION)).resolves.toEqual([message("1", "user")]);
+    await expect(mockRedis.exists(`session:${SESSION}:empty`)).resolves.toBe(0);
+  });
+
+  test("saving a history clears the empty marker", async () => {
+    await saveSession(SESSION, []);
+    await saveSession(SESSION, [message("1", "user")]);
+
+    await expect(getSessionLength(SESSION)).resolves.toBe(1);
+  });
+
+  test("deleting a session clears the empty marker", async () => {
+    await saveSession(SESSION, []);
+
+    await deleteSession(SESSION);
+
+    await expect(mockRedis.exists(`session:${SESSION}:empty`)).resolves.toBe(0);
+  });
+});
@@ -0,0 +1,248 @@
+const {
+  detectSourceType,
+  parseSource,
+} = require("../../src/services/sourceAdapters");
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"
+  xmlns:feedburner="http://rssnamespace.org/feedburner/ext/1.0">
+  <channel>
+    <title>Example News</title>
+    <item>
+      <title>Budget day</title>
+      <link>https://feeds.example.com/~r/budget</link>
+      <feedburner:origLink>https://news.example.com/budget</feedburner:origLink>
+      <guid isPermaLink="false">budget-1</guid>
+      <pubDate>Wed, 15 Oct 2026 09:00:00 GMT</pubDate>
+      <description>The chancellor set out the budget.</description>
+      <category>Politics</category>
+      <media:content url="https://img.example.com/budget.jpg" medium="image"/>
+    </item>
+    <item>
+      <title>Permalink only</title>
+      <guid>https://news.example.com/permalink</guid>
+    </item>
+    <item><title>No link at all</title></item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Atom</title>
+  <entry>
+    <title>Rates held</title>
+    <id>tag:example.com,2026:rates</id>
+    <link rel="self" href="https://news.example.com/rates.atom"/>
+    <link rel="alternate" href="https://news.example.com/rates"/>
+    <updated>2026-10-14T08:00:00Z</updated>
+    <category term="Economy"/>
+    <author><name>Jane Reporter</name></author>
+  </entry>
+</feed>`;
+
+const JSON_FEED = JSON.stringify({
+  version: "https://jsonfeed.org/version/1.1",
+  title: "Example JSON",
+  authors: [{ name: "Desk" }],
+  items: [
+    {
+      id: 7,
+      url: "https://news.example.com/storm",
+      title: "Storm warning",
+      content_html: "<p>Gales <b>expected</b> tonight.</p>",
+      date_published: "2026-10-15T06:00:00Z",
+      tags: ["weather", 3],
+      image: "https://img.example.com/storm.jpg",
+    },
+    {
+      id: "link-post",
+      external_url: "https://other.example.com/story",
+      content_text: "Worth a read.",
+      authors: [{ name: "Ann" }, { name: "Bo" }],
+    },
+  ],
+});
+
+const urlset = (entries) => `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+  xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  ${entries.join("\n")}
+</urlset>`;
+
+const newsEntry = (loc, date, title) => `<url>
+  <loc>${loc}</loc>
+  <news:news>
+    <news:publication><news:name>Example Times</news:name></news:publication>
+    <news:publication_date>${date}</news:publication_date>
+    <news:title>${title}</news:title>
+    <news:keywords>politics, budget</news:keywords>
+  </news:news>
+  <image:image><image:loc>https://img.example.com/a.jpg</image:loc></image:image>
+</url>`;
+
+const plainEntry = (loc, lastmod) =>
+  `<url><loc>${loc}</loc><lastmod>${lastmod}</lastmod></url>`;
+
+const sitemapIndex = (children) => `<?xml version="1.0"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  ${children
+    .map(
+      ([loc, lastmod]) =>
+        `<sitemap><loc>${loc}</loc><lastmod>${lastmod}</lastmod></sitemap>`
+    )
+    .join("\n")}
+</sitemapindex>`;
+
+describe("detectSourceType", () => {
+  test.each([
+    ["application/rss+xml", "", "rss"],
+    ["application/atom+xml", "", "rss"],
+    ["application/feed+json", "", "jsonfeed"],
+    ["text/xml", RSS, "rss"],
+    ["text/xml", ATOM, "rss"],
+    ["application/json", JSON_FEED, "jsonfeed"],
+    ["application/xml", urlset([]), "sitemap"],
+    ["text/xml", sitemapIndex([]), "sitemap"],
+    ["text/html", "<html><body>Not a feed</body></html>", null],
+    ["application/json", '{"items": []}', null],
+  ])("reads %s with this body as %p", (contentType, body, type) => {
+    expect(detectSourceType(contentType, body)).toBe(type);
+  });
+});
+
+describe("parseSource", () => {
+  test("reads RSS items and drops those without a link", async () => {
+    const feed = await parseSource(RSS, { contentType: "application/rss+xml" });
+
+    expect(feed.type).toBe("rss");
+    expect(feed.title).toBe("Example News");
+    expect(feed.items).toHaveLength(2);
+    expect(feed.items[0]).toMatchObject({
+      guid: "budget-1",
+      link: "https://news.example.com/budget",
+      title: "Budget day",
+      publishedAt: "2026-10-15T09:00:00.000Z",
+      summary: "The chancellor set out the budget.",
+      categories: ["Politics"],
+      imageUrl: "https://img.example.com/budget.jpg",
+    });
+    expect(feed.items[1].link).toBe("https://news.example.com/permalink");
+  });
+
+  test("reads Atom entries through their alternate link", async () => {
+    const feed = await parseSource(ATOM);
+
+    expect(feed.title).toBe("Example Atom");
+    expect(feed.items).toEqual([
+      expect.objectContaining({
+        guid: "tag:example.com,2026:rates",
+        link: "https://news.example.com/rates",
+        title: "Rates held",
+        categories: ["Economy"],
+        author: "Jane Reporter",
+      }),
+    ]);
+  });
+
+  test("reads JSON Feed items", async () => {
+    const feed = await parseSource(JSON_FEED);
+
+    expect(feed.type).toBe("jsonfeed");
+    expect(feed.items[0]).toEqual({
+      guid: "7",
+      link: "https://news.example.com/storm",
+      title: "Storm warning",
+      publishedAt: "2026-10-15T06:00:00.000Z",
+      summary: "Gales expected tonight.",
+      categories: ["weather"],
+      author: "Desk",
+      imageUrl: "https://img.example.com/storm.jpg",
+    });
+    expect(feed.items[1]).toMatchObject({
+      link: "https://other.example.com/story",
+      summary: "Worth a read.",
+      author: "Ann, Bo",
+    });
+  });
+
+  test("reads a Google News sitemap newest first", async () => {
+    const feed = await parseSource(
+      urlset([
+        newsEntry(
+          "https://news.example.com/old",
+          "2026-10-13T10:00:00Z",
+          "Old"
+        ),
+        newsEntry(
+          "https://news.example.com/new",
+          "2026-10-15T10:00:00Z",
+          "New"
+        ),
+      ])
+    );
+
+    expect(feed.type).toBe("sitemap");
+    expect(feed.title).toBe("Example Times");
+    expect(feed.items.map((item) => item.title)).toEqual(["New", "Old"]);
+    expect(feed.items[0]).toMatchObject({
+      guid: "https://news.example.com/new",
+      categories: ["politics", "budget"],
+      imageUrl: "https://img.example.com/a.jpg",
+    });
+  });
+
+  test("follows the newest three child sitemaps of an index", async () => {
+    const children = {
+      "https://news.example.com/sitemap-1.xml": urlset([
+        plainEntry("https://news.example.com/a", "2026-10-11"),
+      ]),
+      "https://news.example.com/sitemap-2.xml": urlset([
+        plainEntry("https://news.example.com/b", "2026-10-12"),
+      ]),
+      "https://news.example.com/sitemap-3.xml": urlset([
+        plainEntry("https://news.example.com/c", "2026-10-13"),
+        plainEntry("https://news.example.com/b", "2026-10-12"),
+      ]),
+      "https://news.example.com/sitemap-4.xml": urlset([
+        plainEntry("https://news.example.com/d", "2026-10-14"),
+      ]),
+    };
+    const fetchText = jest.fn(async (url) => children[url]);
+
+    const feed = await parseSource(
+      sitemapIndex([
+        ["https://news.example.com/sitemap-1.xml", "2026-10-11"],
+        ["https://news.example.com/sitemap-2.xml", "2026-10-12"],
+        ["https://news.example.com/sitemap-3.xml", "2026-10-13"],
+        ["https://news.example.com/sitemap-4.xml", "2026-10-14"],
+      ]),
+      { fetchText }
+    );
+
+    expect(fetchText.mock.calls.map(([url]) => url)).toEqual([
+      "https://news.example.com/sitemap-4.xml",
+      "https://news.example.com/sitemap-3.xml",
+      "https://news.example.com/sitemap-2.xml",
+    ]);
+    expect(feed.items.map((item) => item.link)).toEqual([
+      "https://news.example.com/d",
+      "https://news.example.com/c",
+      "https://news.example.com/b",
+    ]);
+  });
+
+  test("needs a fetcher for a sitemap index", async () => {
+    await expect(
+      parseSource(sitemapIndex([["https://news.example.com/s.xml", ""]]))
+    ).rejects.toThrow("Sitemap index needs a fetcher");
+  });
+
+  test("names the expected formats for anything else", async () => {
+    await expect(
+      parseSource("<html></html>", { contentType: "text/html" })
+    ).rejects.toThrow(
+      "Unrecognised feed format (text/html); expected one of: jsonfeed, sitemap, rss"
+    );
+  });
+});
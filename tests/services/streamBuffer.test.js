@@ -0,0 +1,147 @@
+process.env.STREAM_REPLAY_MAX_EVENTS = "5";
+
+const express = require("express");
+const request = require("supertest");
+
+// Resuming only reads the stream buffer; answers are never generated here
+jest.mock("../../src/config/redis", () => ({}));
+jest.mock("../../src/services/ragService", () => ({
+  validateQuery: jest.fn(),
+}));
+
+const {
+  STREAM_CONFIG,
+  createStream,
+} = require("../../src/services/streamBuffer");
+const chatRoutes = require("../../src/routes/chat");
+
+const SESSION = "0b7c6a52-6a0e-4f0e-9d43-2f1f3f6d1a01";
+
+let streamCount = 0;
+
+/**
+ * A buffered answer of `deltas` delta events followed by "done"
+ */
+const answerStream = (deltas, { finished = true } = {}) => {
+  streamCount += 1;
+  const stream = createStream(`answer-${streamCount}`, { sessionId: SESSION });
+  for (let i = 1; i <= deltas; i++) {
+    stream.push("delta", { delta: `part ${i} ` });
+  }
+  if (finished) {
+    stream.push("done", { answer: "complete" });
+    stream.finish();
+  }
+  return stream;
+};
+
+/**
+ * Collect an SSE body as text
+ */
+const readText = (res, callback) => {
+  let text = "";
+  res.on("data", (chunk) => (text += chunk));
+  res.on("end", () => callback(null, text));
+};
+
+describe("AnswerStream", () => {
+  test("keeps the last maxEvents events", () => {
+    const stream = answerStream(7);
+
+    expect(STREAM_CONFIG.maxEvents).toBe(5);
+    expect(stream.eventsAfter(0).map((entry) => entry.seq)).toEqual([
+      4, 5, 6, 7, 8,
+    ]);
+  });
+
+  test("can replay only from the oldest retained event on", () => {
+    const stream = answerStream(7);
+
+    expect(stream.canReplayAfter(3)).toBe(true);
+    expect(stream.canReplayAfter(8)).toBe(true);
+    expect(stream.canReplayAfter(2)).toBe(false);
+    expect(stream.canReplayAfter(0)).toBe(false);
+  });
+
+  test("can replay a stream that has not been trimmed from the start", () => {
+    expect(answerStream(3).canReplayAfter(0)).toBe(true);
+    expect(answerStream(0, { finished: false }).canReplayAfter(0)).toBe(true);
+  });
+});
+
+describe("GET /api/chat/stream/:streamId", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/chat", chatRoutes);
+
+  const resume = (stream, lastEventId, sessionId = SESSION) => {
+    const call = request(app)
+      .get(`/api/chat/stream/${stream.streamId}`)
+      .query({ sessionId })
+      .buffer(true)
+      .parse(readText);
+    return lastEventId ? call.set("Last-Event-ID", lastEventId) : call;
+  };
+
+  test("replays the events after Last-Event-ID", async () => {
+    const stream = answerStream(3);
+
+    const response = await resume(stream, `${stream.streamId}:2`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/event-stream/);
+    const ids = [...response.body.matchAll(/^id: (.+)$/gm)].map(
+      ([, id]) => id
+    );
+    expect(ids).toEqual([`${stream.streamId}:3`, `${stream.streamId}:4`]);
+    expect(response.body).toContain("event: done");
+  });
+
+  test("answers 410 instead of replaying a partial tail", async () => {
+    const stream = answerStream(7);
+
+    const response = await resume(stream, `${stream.streamId}:1`);
+
+    expect(response.status).toBe(410);
+    expect(JSON.parse(response.body)).toEqual({
+      error: expect.stringContaining("no longer buffered"),
+      timestamp: expect.any(String),
+    });
+  });
+
+  test("answers 410 to a first connection after trimming", async () => {
+    const stream = answerStream(7, { finished: false });
+
+    const response = await resume(stream);
+
+    expect(response.status).toBe(410);
+  });
+
+  test("answers 204 once everything was delivered", async () => {
+    const stream = answerStream(2);
+
+    const response = await resume(stream, `${stream.streamId}:3`);
+
+    expect(response.status).toBe(204);
+  });
+
+  test("hides streams of other sessions", async () => {
+    const stream = answerStream(2);
+
+    const response = await resume(
+      stream,
+      `${stream.streamId}:1`,
+      "5d1f0c33-8a51-4a4b-b3a7-7f2f1e0c9b02"
+    );
+
+    expect(response.status).toBe(404);
+  });
+
+  test("refuses a Last-Event-ID from another stream", async () => {
+    const stream = answerStream(2);
+
+    const response = await resume(stream, "another-stream:1");
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,8 @@
+const createMemoryStore = require("../../../src/services/vectorStore/memoryStore");
+const { describeStoreContract } = require("./storeContract");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+describeStoreContract("memory", () =>
+  createMemoryStore({ collection: "contract_test", logger })
+);
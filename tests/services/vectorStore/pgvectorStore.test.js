@@ -0,0 +1,354 @@
+jest.mock("pg", () => ({ Pool: jest.fn() }));
+
+const { Pool } = require("pg");
+const createPgvectorStore = require("../../../src/services/vectorStore/pgvectorStore");
+const { translateFilter } = createPgvectorStore;
+const {
+  createSchemaStatements,
+  textSearchStatements,
+} = require("../../../src/services/vectorStore/pgvectorSchema");
+const {
+  buildSearchFilter,
+  withVisibilityFilter,
+} = require("../../../src/services/searchFilters");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Translate a filter, returning the SQL and the parameters it appended
+ */
+const translate = (filter, params = []) => ({
+  sql: translateFilter(filter, params),
+  params,
+});
+
+describe("translateFilter", () => {
+  test("no filter matches everything", () => {
+    expect(translate(null)).toEqual({ sql: "TRUE", params: [] });
+    expect(translate({})).toEqual({ sql: "TRUE", params: [] });
+  });
+
+  describe("indexed columns", () => {
+    test("match.value compares the column", () => {
+      expect(
+        translate({ must: [{ key: "source", match: { value: "BBC News" } }] })
+      ).toEqual({
+        sql: "COALESCE(source = $1, FALSE)",
+        params: ["BBC News"],
+      });
+    });
+
+    test("match.any and match.except cast the array to the column type", () => {
+      expect(translate(buildSearchFilter({ sources: ["BBC", "CNN"] }))).toEqual({
+        sql: "COALESCE(source = ANY($1::text[]), FALSE)",
+        params: [["BBC", "CNN"]],
+      });
+
+      expect(
+        translate({ must: [{ key: "source", match: { except: ["upload"] } }] })
+      ).toEqual({
+        sql: "(source IS NULL OR source <> ALL($1::text[]))",
+        params: [["upload"]],
+      });
+    });
+
+    test("ranges bind each bound", () => {
+      expect(
+        translate(buildSearchFilter({ from: "1970-01-01T00:00:01Z", to: "1970-01-01T00:00:02Z" }))
+      ).toEqual({
+        sql: "COALESCE(published_timestamp >= $1 AND published_timestamp <= $2, FALSE)",
+        params: [1000, 2000],
+      });
+
+      expect(
+        translate({ must: [{ key: "publishedTimestamp", range: { gt: 1, lt: 2 } }] })
+      ).toEqual({
+        sql: "COALESCE(published_timestamp > $1 AND published_timestamp < $2, FALSE)",
+        params: [1, 2],
+      });
+    });
+
+    test("is_empty checks for NULL", () => {
+      expect(translate({ must: [{ is_empty: { key: "articleId" } }] })).toEqual({
+        sql: "(article_id IS NULL)",
+        params: [],
+      });
+    });
+  });
+
+  describe("payload fields", () => {
+    test("match.value uses JSONB containment for scalars and arrays", () => {
+      expect(
+        translate({ must: [{ key: "categories", match: { value: "world" } }] })
+      ).toEqual({
+        sql: "COALESCE(payload @> $1::jsonb OR payload @> $2::jsonb, FALSE)",
+        params: ['{"categories":"world"}', '{"categories":["world"]}'],
+      });
+    });
+
+    test("match.any ORs the containments; an empty list matches nothing", () => {
+      expect(
+        translate(buildSearchFilter({ categories: ["world", "tech"] }))
+      ).toEqual({
+        sql: "COALESCE(payload @> $1::jsonb OR payload @> $2::jsonb OR payload @> $3::jsonb OR payload @> $4::jsonb, FALSE)",
+        params: [
+          '{"categories":"world"}',
+          '{"categories":["world"]}',
+          '{"categories":"tech"}',
+          '{"categories":["tech"]}',
+        ],
+      });
+
+      expect(
+        translate({ must: [{ key: "categories", match: { any: [] } }] })
+      ).toEqual({ sql: "FALSE", params: [] });
+    });
+
+    test("match.except negates the containments; an empty list matches everything", () => {
+      expect(
+        translate({ must: [{ key: "categories", match: { except: ["world"] } }] })
+      ).toEqual({
+        sql: "NOT COALESCE(payload @> $1::jsonb OR payload @> $2::jsonb, FALSE)",
+        params: ['{"categories":"world"}', '{"categories":["world"]}'],
+      });
+
+      expect(
+        translate({ must: [{ key: "categories", match: { except: [] } }] })
+      ).toEqual({ sql: "TRUE", params: [] });
+    });
+
+    test("is_empty treats missing, null and [] as empty", () => {
+      expect(translate({ must: [{ is_empty: { key: "categories" } }] })).toEqual({
+        sql: "(payload->$1::text IS NULL OR payload->$1::text = 'null'::jsonb OR payload->$1::text = '[]'::jsonb)",
+        params: ["categories"],
+      });
+    });
+
+    test("ranges only compare numeric values", () => {
+      expect(
+        translate({ must: [{ key: "chunkIndex", range: { gte: 2 } }] })
+      ).toEqual({
+        sql: "COALESCE((CASE WHEN jsonb_typeof(payload->$1::text) = 'number' THEN (payload->>$2::text)::float8 END) >= $3, FALSE)",
+        params: ["chunkIndex", "chunkIndex", 2],
+      });
+
+      expect(translate({ must: [{ key: "chunkIndex", range: {} }] })).toEqual({
+        sql: "((CASE WHEN jsonb_typeof(payload->$1::text) = 'number' THEN (payload->>$2::text)::float8 END) IS NOT NULL)",
+        params: ["chunkIndex", "chunkIndex"],
+      });
+    });
+  });
+
+  describe("boolean structure", () => {
+    test("must_not negates each clause", () => {
+      expect(
+        translate({
+          must_not: [
+            { key: "source", match: { value: "upload" } },
+            { key: "visibility", match: { value: "private" } },
+          ],
+        })
+      ).toEqual({
+        sql: "NOT COALESCE(source = $1, FALSE) AND NOT COALESCE(payload @> $2::jsonb OR payload @> $3::jsonb, FALSE)",
+        params: [
+          "upload",
+          '{"visibility":"private"}',
+          '{"visibility":["private"]}',
+        ],
+      });
+    });
+
+    test("should becomes one parenthesised OR", () => {
+      expect(
+        translate({
+          should: [
+            { key: "source", match: { value: "BBC" } },
+            { key: "source", match: { value: "CNN" } },
+          ],
+        })
+      ).toEqual({
+        sql: "(COALESCE(source = $1, FALSE) OR COALESCE(source = $2, FALSE))",
+        params: ["BBC", "CNN"],
+      });
+    });
+
+    test("has_id is not supported and matches nothing", () => {
+      expect(translate({ must: [{ has_id: ["a"] }] }).sql).toBe("FALSE");
+    });
+
+    test("the visibility filter nests after existing parameters", () => {
+      const filter = withVisibilityFilter(
+        buildSearchFilter({ sources: ["BBC"] }),
+        "session-1"
+      );
+
+      expect(translate(filter, ["[1,0]"])).toEqual({
+        sql:
+          "COALESCE(source = ANY($2::text[]), FALSE) AND " +
+          "(((NOT COALESCE(payload @> $3::jsonb OR payload @> $4::jsonb, FALSE)) " +
+          "OR COALESCE(payload @> $5::jsonb OR payload @> $6::jsonb, FALSE)))",
+        params: [
+          "[1,0]",
+          ["BBC"],
+          '{"visibility":"private"}',
+          '{"visibility":["private"]}',
+          '{"ownerSessionId":"session-1"}',
+          '{"ownerSessionId":["session-1"]}',
+        ],
+      });
+    });
+
+    test("the visibility filter without a session only admits non-private points", () => {
+      expect(translate(withVisibilityFilter(null, null))).toEqual({
+        sql: "(((NOT COALESCE(payload @> $1::jsonb OR payload @> $2::jsonb, FALSE))))",
+        params: ['{"visibility":"private"}', '{"visibility":["private"]}'],
+      });
+    });
+  });
+});
+
+describe("pgvector schema", () => {
+  test("creates the keyword search column and GIN index with the table", () => {
+    const statements = createSchemaStatements({
+      table: "chunks",
+      dimension: 4,
+    });
+
+    expect(statements[1]).toContain('CREATE TABLE IF NOT EXISTS "chunks"');
+    expect(statements[1]).toContain("embedding vector(4) NOT NULL");
+    expect(statements.slice(-2)).toEqual(textSearchStatements({ table: "chunks" }));
+    expect(statements[statements.length - 1]).toBe(
+      'CREATE INDEX IF NOT EXISTS chunks_search_text_idx ON "chunks" USING gin (search_text)'
+    );
+  });
+
+  test("builds an IVFFlat index on request", () => {
+    const statements = createSchemaStatements({
+      table: "chunks",
+      dimension: 4,
+      indexType: "ivfflat",
+    });
+
+    expect(statements[2]).toContain("USING ivfflat (embedding vector_cosine_ops)");
+  });
+
+  test("rejects invalid dimensions", () => {
+    expect(() => createSchemaStatements({ dimension: 0 })).toThrow(
+      "Invalid embedding dimension: 0"
+    );
+  });
+});
+
+describe("pgvector queries", () => {
+  let query;
+  let store;
+
+  beforeEach(() => {
+    query = jest.fn(async () => ({ rows: [], rowCount: 0 }));
+    Pool.mockImplementation(() => ({ query, on: jest.fn(), end: jest.fn() }));
+    store = createPgvectorStore({
+      databaseUrl: "postgres://localhost/test",
+      table: "chunks",
+      logger,
+    });
+  });
+
+  test("requires a database URL", () => {
+    expect(() => createPgvectorStore({ table: "chunks", logger })).toThrow(
+      "pgvector store requires PGVECTOR_URL or DATABASE_URL to be set"
+    );
+  });
+
+  test("search binds the vector first, then the filter, then the limit", async () => {
+    query.mockResolvedValueOnce({
+      rows: [
+        { id: "a", payload: { title: "A" }, score: "0.91" },
+        { id: "b", payload: null, score: "0.42" },
+      ],
+    });
+
+    const results = await store.search([0.5, 1], {
+      limit: 3,
+      scoreThreshold: 0.5,
+      filter: { must: [{ key: "source", match: { value: "BBC" } }] },
+    });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("1 - (embedding <=> $1::vector) AS score");
+    expect(sql).toContain("WHERE COALESCE(source = $2, FALSE)");
+    expect(sql).toContain("ORDER BY embedding <=> $1::vector");
+    expect(sql).toContain("LIMIT $3");
+    expect(params).toEqual(["[0.5,1]", "BBC", 3]);
+    expect(results).toEqual([{ id: "a", score: 0.91, payload: { title: "A" } }]);
+  });
+
+  test("searchText ranks the tsvector against an OR query of the terms", async () => {
+    await store.searchText("The UK budget's fuel duty", {
+      limit: 5,
+      filter: withVisibilityFilter(null, null),
+    });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("ts_rank(search_text, query, 1) AS score");
+    expect(sql).toContain("to_tsquery('simple', $1) AS query");
+    expect(sql).toContain("WHERE search_text @@ query AND (((NOT COALESCE(payload @> $2::jsonb");
+    expect(sql).toContain("LIMIT $4");
+    expect(params[0]).toBe("'uk' | 'budget' | 'fuel' | 'duty'");
+    expect(params[3]).toBe(5);
+  });
+
+  test("searchText skips the query when nothing is searchable", async () => {
+    await expect(store.searchText("the of and")).resolves.toEqual([]);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test("searchText escapes quotes in terms", async () => {
+    await store.searchText("O'Neil");
+    expect(query.mock.calls[0][1][0]).toBe("'o''neil'");
+  });
+
+  test("scroll pages on the primary key after the offset", async () => {
+    query.mockResolvedValueOnce({
+      rows: [
+        { id: "b", payload: {} },
+        { id: "c", payload: {} },
+        { id: "d", payload: {} },
+      ],
+    });
+
+    const page = await store.scroll({
+      filter: { must: [{ key: "source", match: { value: "BBC" } }] },
+      limit: 2,
+      offset: "a",
+    });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("WHERE COALESCE(source = $1, FALSE) AND id > $2");
+    expect(sql).toContain("ORDER BY id");
+    expect(sql).toContain("LIMIT $3");
+    expect(params).toEqual(["BBC", "a", 3]);
+    expect(page).toEqual({
+      points: [
+        { id: "b", payload: {} },
+        { id: "c", payload: {} },
+      ],
+      nextOffset: "c",
+    });
+  });
+
+  test("deleteByFilter reports the deleted row count", async () => {
+    query.mockResolvedValueOnce({ rows: [], rowCount: 7 });
+
+    await expect(
+      store.deleteByFilter({
+        must: [{ key: "ownerSessionId", match: { value: "s1" } }],
+      })
+    ).resolves.toEqual({ deleted: 7 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toBe(
+      'DELETE FROM "chunks" WHERE COALESCE(payload @> $1::jsonb OR payload @> $2::jsonb, FALSE)'
+    );
+    expect(params).toEqual(['{"ownerSessionId":"s1"}', '{"ownerSessionId":["s1"]}']);
+  });
+});
@@ -0,0 +1,108 @@
+const http = require("http");
+const createQdrantStore = require("../../../src/services/vectorStore/qdrantStore");
+const { describeStoreContract } = require("./storeContract");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Needs a running Qdrant; the suite uses (and empties) its own collection
+describeStoreContract(
+  "qdrant",
+  () =>
+    createQdrantStore({
+      url: process.env.QDRANT_URL,
+      apiKey: process.env.QDRANT_API_KEY,
+      collection:
+        process.env.QDRANT_TEST_COLLECTION || "news_articles_contract_test",
+      timeout: 10000,
+      logger,
+    }),
+  { describe: process.env.QDRANT_URL ? describe : describe.skip }
+);
+
+describe("qdrant initialize", () => {
+  let server;
+  let url;
+  let collectionStatus;
+  const created = [];
+
+  const collectionInfo = {
+    status: "green",
+    points_count: 0,
+    config: {
+      params: {
+        vectors: { size: 8, distance: "Cosine" },
+        sparse_vectors: { text: { modifier: "idf" } },
+      },
+    },
+  };
+
+  // Just the endpoints initialize() calls, answering like Qdrant 1.10+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const reply = (status, result) =>
+        res
+          .writeHead(status, { "Content-Type": "application/json" })
+          .end(JSON.stringify({ status: "ok", time: 0, result }));
+      const path = req.url.split("?")[0];
+
+      if (path === "/") {
+        return reply(200, { title: "qdrant", version: "1.10.0" });
+      }
+      if (path === "/collections") return reply(200, { collections: [] });
+      if (path === "/collections/test_articles" && req.method === "PUT") {
+        created.push(path);
+        collectionStatus = 200;
+        return reply(200, true);
+      }
+      if (path === "/collections/test_articles") {
+        return collectionStatus === 200
+          ? reply(200, collectionInfo)
+          : res
+              .writeHead(collectionStatus, {
+                "Content-Type": "application/json",
+              })
+              .end(JSON.stringify({ status: { error: "Not Found" } }));
+      }
+      if (path === "/collections/test_articles/index") {
+        return reply(200, { operation_id: 1, status: "completed" });
+      }
+      res.writeHead(404).end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    created.length = 0;
+  });
+
+  const store = () =>
+    createQdrantStore({
+      url,
+      collection: "test_articles",
+      timeout: 5000,
+      logger,
+    });
+
+  test("creates the collection when Qdrant answers 404", async () => {
+    collectionStatus = 404;
+
+    await expect(store().initialize({ dimension: 8 })).resolves.toEqual({
+      created: true,
+      dimension: 8,
+      pointsCount: 0,
+    });
+    expect(created).toEqual(["/collections/test_articles"]);
+  });
+
+  test("fails on any other error instead of creating a collection", async () => {
+    collectionStatus = 403;
+
+    await expect(store().initialize({ dimension: 8 })).rejects.toMatchObject({
+      status: 403,
+    });
+    expect(created).toEqual([]);
+  });
+});
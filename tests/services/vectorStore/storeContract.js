@@ -0,0 +1,373 @@
+const {
+  buildSearchFilter,
+  withVisibilityFilter,
+} = require("../../../src/services/searchFilters");
+
+/**
+ * Behaviour every vector store backend must share. Retrieval builds one
+ * Qdrant-style filter and hands it to whichever store is configured, so
+ * private documents are only as safe as the least faithful backend.
+ */
+
+const OWNER_A = "6c9a4b7e-0d2f-4c55-9a1e-3f7b2c8d1e01";
+const OWNER_B = "6c9a4b7e-0d2f-4c55-9a1e-3f7b2c8d1e02";
+
+const ID = {
+  public: "00000000-0000-4000-8000-000000000001",
+  legacy: "00000000-0000-4000-8000-000000000002",
+  privateA: "00000000-0000-4000-8000-000000000003",
+  privateB: "00000000-0000-4000-8000-000000000004",
+};
+
+const DIMENSION = 4;
+
+const POINTS = [
+  {
+    id: ID.public,
+    vector: [1, 0, 0, 0],
+    payload: {
+      articleId: "public",
+      chunkIndex: 0,
+      title: "Budget raises fuel duty",
+      content: "The chancellor raised fuel duty in the budget.",
+      source: "BBC News",
+      categories: ["politics", "economy"],
+      publishedTimestamp: 1000,
+      visibility: "public",
+      ownerSessionId: null,
+    },
+  },
+  {
+    // Stored before visibility existed: no visibility or owner fields
+    id: ID.legacy,
+    vector: [0.9, 0.1, 0, 0],
+    payload: {
+      articleId: "legacy",
+      chunkIndex: 0,
+      title: "Truce talks resume",
+      content: "Negotiators met again in Cairo.",
+      source: "Reuters",
+      categories: ["world"],
+      publishedTimestamp: 2000,
+    },
+  },
+  {
+    id: ID.privateA,
+    vector: [0, 1, 0, 0],
+    payload: {
+      articleId: "private-a",
+      chunkIndex: 0,
+      title: "Session A budget notes",
+      content: "Private notes about the budget for session A.",
+      source: "upload",
+      publishedTimestamp: 3000,
+      visibility: "private",
+      ownerSessionId: OWNER_A,
+    },
+  },
+  {
+    id: ID.privateB,
+    vector: [0, 1, 0, 0],
+    payload: {
+      articleId: "private-b",
+      chunkIndex: 0,
+      title: "Session B budget notes",
+      content: "Private notes about the budget for session B.",
+      source: "upload",
+      categories: [],
+      publishedTimestamp: 4000,
+      visibility: "private",
+      ownerSessionId: OWNER_B,
+    },
+  },
+];
+
+const ids = (points) => points.map((point) => String(point.id)).sort();
+
+const expected = (...names) => names.map((name) => ID[name]).sort();
+
+/**
+ * Every point matching a filter, read through scroll in small pages
+ */
+const scrollAll = async (store, filter, withVectors = false) => {
+  const points = [];
+  let offset;
+
+  do {
+    const page = await store.scroll({ filter, limit: 2, offset, withVectors });
+    points.push(...page.points);
+    offset = page.nextOffset;
+  } while (offset != null);
+
+  return points;
+};
+
+/**
+ * Register the contract tests for a store
+ * @param {string} name - Suite name
+ * @param {Function} createStore - () => store, called once per suite
+ * @param {Object} options - { describe: describe or describe.skip }
+ */
+const describeStoreContract = (name, createStore, options = {}) => {
+  const describeSuite = options.describe || describe;
+
+  describeSuite(`${name} store contract`, () => {
+    let store;
+
+    beforeAll(async () => {
+      store = createStore();
+      await store.initialize({ dimension: DIMENSION });
+    });
+
+    beforeEach(async () => {
+      await store.deleteByFilter(null);
+      await store.upsert(POINTS);
+    });
+
+    afterAll(async () => {
+      if (!store) return;
+      await store.deleteByFilter(null);
+      if (store.close) await store.close();
+    });
+
+    describe("upsert and count", () => {
+      test("counts every point without a filter", async () => {
+        await expect(store.count()).resolves.toBe(4);
+      });
+
+      test("overwrites a point with the same id", async () => {
+        await store.upsert([
+          {
+            ...POINTS[0],
+            payload: { ...POINTS[0].payload, title: "Budget revised" },
+          },
+        ]);
+
+        await expect(store.count()).resolves.toBe(4);
+        const [point] = (
+          await store.scroll({
+            filter: { must: [{ key: "articleId", match: { value: "public" } }] },
+          })
+        ).points;
+        expect(point.payload.title).toBe("Budget revised");
+      });
+    });
+
+    describe("visibility filter", () => {
+      test("shows public, legacy and the session's own private points", async () => {
+        const filter = withVisibilityFilter(null, OWNER_A);
+
+        expect(ids(await scrollAll(store, filter))).toEqual(
+          expected("public", "legacy", "privateA")
+        );
+        await expect(store.count(filter)).resolves.toBe(3);
+      });
+
+      test("hides every private point without a session", async () => {
+        const filter = withVisibilityFilter(null, null);
+
+        expect(ids(await scrollAll(store, filter))).toEqual(
+          expected("public", "legacy")
+        );
+      });
+
+      test("keeps the visibility clause when combined with chat filters", async () => {
+        const filter = withVisibilityFilter(
+          buildSearchFilter({ sources: ["upload"] }),
+          OWNER_B
+        );
+
+        expect(ids(await scrollAll(store, filter))).toEqual(
+          expected("privateB")
+        );
+      });
+
+      test("never returns another session's points from vector search", async () => {
+        const results = await store.search([0, 1, 0, 0], {
+          limit: 10,
+          filter: withVisibilityFilter(null, OWNER_A),
+        });
+
+        expect(ids(results)).toEqual(expected("public", "legacy", "privateA"));
+        expect(String(results[0].id)).toBe(ID.privateA);
+        expect(results[0].score).toBeCloseTo(1, 5);
+        expect(results[0].payload.ownerSessionId).toBe(OWNER_A);
+      });
+
+      test("never returns another session's points from keyword search", async () => {
+        const results = await store.searchText("budget notes", {
+          limit: 10,
+          filter: withVisibilityFilter(null, OWNER_A),
+        });
+
+        expect(results.map((result) => String(result.id))).toContain(
+          ID.privateA
+        );
+        expect(results.map((result) => String(result.id))).not.toContain(
+          ID.privateB
+        );
+      });
+    });
+
+    describe("field conditions", () => {
+      test("match.value and match.any test each element of an array field", async () => {
+        expect(
+          ids(
+            await scrollAll(store, {
+              must: [{ key: "categories", match: { value: "economy" } }],
+            })
+          )
+        ).toEqual(expected("public"));
+
+        expect(
+          ids(
+            await scrollAll(
+              store,
+              buildSearchFilter({ categories: ["world", "economy"] })
+            )
+          )
+        ).toEqual(expected("public", "legacy"));
+      });
+
+      test("match.any on an indexed column", async () => {
+        expect(
+          ids(
+            await scrollAll(
+              store,
+              buildSearchFilter({ sources: ["BBC News", "Reuters"] })
+            )
+          )
+        ).toEqual(expected("public", "legacy"));
+      });
+
+      test("range bounds are inclusive or exclusive as given", async () => {
+        expect(
+          ids(
+            await scrollAll(store, {
+              must: [{ key: "publishedTimestamp", range: { gte: 2000, lte: 3000 } }],
+            })
+          )
+        ).toEqual(expected("legacy", "privateA"));
+
+        expect(
+          ids(
+            await scrollAll(store, {
+              must: [{ key: "publishedTimestamp", range: { gt: 2000, lt: 4000 } }],
+            })
+          )
+        ).toEqual(expected("privateA"));
+      });
+
+      test("is_empty matches missing and empty fields", async () => {
+        expect(
+          ids(
+            await scrollAll(store, {
+              must: [{ is_empty: { key: "categories" } }],
+            })
+          )
+        ).toEqual(expected("privateA", "privateB"));
+      });
+
+      test("must_not on a missing field keeps the point", async () => {
+        expect(
+          ids(
+            await scrollAll(store, {
+              must_not: [{ key: "visibility", match: { value: "public" } }],
+            })
+          )
+        ).toEqual(expected("legacy", "privateA", "privateB"));
+      });
+
+      test("should needs at least one matching clause", async () => {
+        expect(
+          ids(
+            await scrollAll(store, {
+              should: [
+                { key: "source", match: { value: "Reuters" } },
+                { key: "ownerSessionId", match: { value: OWNER_B } },
+              ],
+            })
+          )
+        ).toEqual(expected("legacy", "privateB"));
+      });
+    });
+
+    describe("search", () => {
+      test("orders by cosine similarity and honours limit and scoreThreshold", async () => {
+        const results = await store.search([1, 0, 0, 0], {
+          limit: 2,
+          filter: withVisibilityFilter(null, null),
+        });
+
+        expect(results.map((result) => String(result.id))).toEqual([
+          ID.public,
+          ID.legacy,
+        ]);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+
+        const strict = await store.search([1, 0, 0, 0], {
+          limit: 10,
+          scoreThreshold: 0.999,
+        });
+        expect(strict.map((result) => String(result.id))).toEqual([ID.public]);
+      });
+    });
+
+    describe("scroll", () => {
+      test("pages through every matching point once", async () => {
+        const points = await scrollAll(store, null);
+
+        expect(ids(points)).toEqual(
+          expected("public", "legacy", "privateA", "privateB")
+        );
+        expect(points.every((point) => point.vector === undefined)).toBe(true);
+      });
+
+      test("returns vectors on request", async () => {
+        const points = await scrollAll(
+          store,
+          { must: [{ key: "articleId", match: { value: "private-a" } }] },
+          true
+        );
+
+        expect(points).toHaveLength(1);
+        expect(points[0].vector).toEqual([0, 1, 0, 0]);
+      });
+    });
+
+    describe("deleteByFilter", () => {
+      test("deletes only a session's private points", async () => {
+        const filter = {
+          must: [{ key: "ownerSessionId", match: { value: OWNER_A } }],
+        };
+
+        await expect(store.deleteByFilter(filter)).resolves.toEqual({
+          deleted: 1,
+        });
+        await expect(store.count()).resolves.toBe(3);
+        await expect(store.count(filter)).resolves.toBe(0);
+
+        const results = await store.searchText("budget notes", { limit: 10 });
+        expect(results.map((result) => String(result.id))).not.toContain(
+          ID.privateA
+        );
+      });
+
+      test("deletes by payload range", async () => {
+        const { deleted } = await store.deleteByFilter({
+          must: [{ key: "publishedTimestamp", range: { gte: 3000 } }],
+        });
+
+        expect(deleted).toBe(2);
+        expect(ids(await scrollAll(store, null))).toEqual(
+          expected("public", "legacy")
+        );
+      });
+    });
+  });
+};
+
+module.exports = {
+  describeStoreContract,
+  DIMENSION,
+};